@@ -0,0 +1,48 @@
+// scripts/migrateWalletIndexes.js
+import mongoose from 'mongoose';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+/**
+ * Depot float wallets have no user, which the old unique `user_1` index
+ * rejects after the first one. This drops it and builds the partial
+ * per-user and per-depot unique indexes the Wallet model now declares.
+ */
+const migrateWalletIndexes = async () => {
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milkbank');
+    console.log('✅ Connected to MongoDB');
+
+    const WalletModule = await import(`file://${join(__dirname, '..', 'src', 'models', 'Wallet.js')}`);
+    const Wallet = WalletModule.default;
+
+    const indexes = await Wallet.collection.indexes();
+    const legacy = indexes.find(index => index.name === 'user_1');
+
+    if (legacy) {
+      await Wallet.collection.dropIndex('user_1');
+      console.log('🗑️  Dropped legacy user_1 index');
+    } else {
+      console.log('✅ No legacy user_1 index');
+    }
+
+    await Wallet.createIndexes();
+    console.log('✅ Wallet indexes built');
+
+    console.log('\n🎉 WALLET INDEX MIGRATION COMPLETE!');
+  } catch (error) {
+    console.error('❌ Wallet index migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+};
+
+migrateWalletIndexes();
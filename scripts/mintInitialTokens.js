@@ -86,7 +86,10 @@ const mintInitialTokens = async () => {
         
         // Since we can't transfer from "nowhere", we'll directly add to admin wallet
         // This simulates the system owning the tokens initially
-        await adminWallet.addTokens(tokensToTransfer);
+        await Wallet.issueTokens(adminWallet, tokensToTransfer, {
+          entryType: 'issuance',
+          description: 'Initial supply allocation to System Admin'
+        });
         
         console.log(`✅ ${tokensToTransfer.toLocaleString()} MTZ transferred to System Admin`);
         console.log(`💰 System Admin new balance: ${adminWallet.getBalance().toLocaleString()} MTZ`);
@@ -0,0 +1,209 @@
+// scripts/mockMpesaServer.js
+import express from 'express';
+import crypto from 'crypto';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+/**
+ * Local stand-in for the Daraja API so STK Push and B2C flows run offline.
+ * Point the backend at it with MPESA_BASE_URL=http://localhost:5055
+ *
+ * Outcomes are controlled by MOCK_MPESA_RESULT (success | fail | timeout)
+ * or at runtime with: POST /mock/result { "result": "fail" }
+ * Paybill payments are simulated with: POST /mock/c2b { "phone", "amount" }
+ */
+const PORT = process.env.MOCK_MPESA_PORT || 5055;
+const DELAY_MS = Number(process.env.MOCK_MPESA_DELAY_MS || 2000);
+let mockResult = process.env.MOCK_MPESA_RESULT || 'success';
+
+const app = express();
+app.use(express.json());
+
+const mockId = (prefix) => `${prefix}${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+const receiptNumber = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+const sendCallback = (url, payload) => {
+  setTimeout(async () => {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      console.log(`📨 Callback → ${url.split('?')[0]} (${response.status})`);
+    } catch (error) {
+      console.error(`❌ Callback to ${url.split('?')[0]} failed:`, error.message);
+    }
+  }, DELAY_MS);
+};
+
+// OAuth
+app.get('/oauth/v1/generate', (req, res) => {
+  res.json({ access_token: mockId('MOCKTOKEN'), expires_in: '3599' });
+});
+
+// STK Push
+app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL } = req.body;
+  const merchantRequestId = mockId('MR');
+  const checkoutRequestId = mockId('ws_CO_');
+
+  console.log(`📲 STK Push: ${Amount} KSH from ${PhoneNumber} (${mockResult})`);
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+
+  if (mockResult === 'timeout') return;
+
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: mockResult === 'success' ? 0 : 1032,
+    ResultDesc: mockResult === 'success'
+      ? 'The service request is processed successfully.'
+      : 'Request cancelled by user'
+  };
+
+  if (mockResult === 'success') {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: Amount },
+        { Name: 'MpesaReceiptNumber', Value: receiptNumber() },
+        { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/\D/g, '').slice(0, 14)) },
+        { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+      ]
+    };
+  }
+
+  sendCallback(CallBackURL, { Body: { stkCallback } });
+});
+
+// B2C
+app.post('/mpesa/b2c/v1/paymentrequest', (req, res) => {
+  const { Amount, PartyB, ResultURL, QueueTimeOutURL } = req.body;
+  const conversationId = mockId('AG_');
+  const originatorConversationId = mockId('OC_');
+
+  console.log(`💸 B2C: ${Amount} KSH to ${PartyB} (${mockResult})`);
+
+  res.json({
+    ConversationID: conversationId,
+    OriginatorConversationID: originatorConversationId,
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.'
+  });
+
+  if (mockResult === 'timeout') {
+    sendCallback(QueueTimeOutURL, {
+      Result: { ConversationID: conversationId, ResultDesc: 'The request timed out' }
+    });
+    return;
+  }
+
+  const success = mockResult === 'success';
+  const transactionId = receiptNumber();
+
+  sendCallback(ResultURL, {
+    Result: {
+      ResultType: 0,
+      ResultCode: success ? 0 : 2001,
+      ResultDesc: success ? 'The service request is processed successfully.' : 'The initiator information is invalid.',
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      TransactionID: transactionId,
+      ResultParameters: success ? {
+        ResultParameter: [
+          { Key: 'TransactionAmount', Value: Amount },
+          { Key: 'TransactionReceipt', Value: transactionId },
+          { Key: 'ReceiverPartyPublicName', Value: `${PartyB} - Mock Customer` },
+          { Key: 'TransactionCompletedDateTime', Value: new Date().toISOString() }
+        ]
+      } : undefined
+    }
+  });
+});
+
+// C2B URL registration
+let c2bUrls = null;
+
+app.post('/mpesa/c2b/v1/registerurl', (req, res) => {
+  const { ShortCode, ValidationURL, ConfirmationURL } = req.body;
+  c2bUrls = { shortCode: ShortCode, validation: ValidationURL, confirmation: ConfirmationURL };
+
+  console.log(`🔗 C2B URLs registered for ${ShortCode}`);
+
+  res.json({
+    OriginatorCoversationID: mockId('OC_'),
+    ResponseCode: '0',
+    ResponseDescription: 'Success'
+  });
+});
+
+// Simulate a customer paying the paybill: { "phone", "amount", "accountNumber" }
+app.post('/mock/c2b', async (req, res) => {
+  if (!c2bUrls) {
+    return res.status(400).json({ success: false, message: 'Register C2B URLs first' });
+  }
+
+  const { phone, amount, accountNumber } = req.body;
+  const payload = {
+    TransactionType: 'Pay Bill',
+    TransID: receiptNumber(),
+    TransTime: new Date().toISOString().replace(/\D/g, '').slice(0, 14),
+    TransAmount: String(amount),
+    BusinessShortCode: c2bUrls.shortCode,
+    BillRefNumber: accountNumber || phone,
+    MSISDN: phone,
+    FirstName: 'MOCK'
+  };
+
+  try {
+    const validation = await fetch(c2bUrls.validation, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }).then(response => response.json());
+
+    if (validation.ResultCode !== '0') {
+      console.log(`🚫 C2B ${payload.TransID} rejected by validation`);
+      return res.json({ success: false, validation });
+    }
+
+    await fetch(c2bUrls.confirmation, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    console.log(`💰 C2B ${payload.TransID}: ${amount} KSH from ${phone}`);
+    res.json({ success: true, transId: payload.TransID, payload });
+  } catch (error) {
+    res.status(502).json({ success: false, message: error.message });
+  }
+});
+
+// Switch outcome without restarting
+app.post('/mock/result', (req, res) => {
+  const { result } = req.body;
+  if (!['success', 'fail', 'timeout'].includes(result)) {
+    return res.status(400).json({ success: false, message: 'result must be success, fail or timeout' });
+  }
+  mockResult = result;
+  console.log(`🔧 Mock outcome set to: ${mockResult}`);
+  res.json({ success: true, result: mockResult });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock M-Pesa gateway running on http://localhost:${PORT}`);
+  console.log(`   Outcome: ${mockResult}, callback delay: ${DELAY_MS}ms`);
+});
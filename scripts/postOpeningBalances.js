@@ -0,0 +1,69 @@
+// scripts/postOpeningBalances.js
+import mongoose from 'mongoose';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+/**
+ * Wallets funded before the ledger existed have balances with no postings.
+ * This posts an opening_balance journal for the unexplained difference so
+ * every stored balance can be rebuilt from the ledger.
+ */
+const postOpeningBalances = async () => {
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milkbank');
+    console.log('✅ Connected to MongoDB');
+
+    const LedgerModule = await import(`file://${join(__dirname, '..', 'src', 'models', 'LedgerEntry.js')}`);
+    const LedgerEntry = LedgerModule.default;
+
+    await import(`file://${join(__dirname, '..', 'src', 'models', 'Wallet.js')}`);
+
+    console.log('\n📒 CHECKING WALLET BALANCES AGAINST THE LEDGER...');
+    const drifts = await LedgerEntry.findBalanceDrift();
+
+    if (drifts.length === 0) {
+      console.log('✅ All wallets already match their postings');
+      return;
+    }
+
+    let posted = 0;
+    let skipped = 0;
+
+    for (const wallet of drifts) {
+      // Only positive gaps are opening balances - a negative gap needs investigation
+      if (wallet.drift < 0) {
+        console.log(`⚠️  Wallet ${wallet._id}: ledger exceeds stored balance by ${Math.abs(wallet.drift)} MTZ, skipping`);
+        skipped++;
+        continue;
+      }
+
+      await LedgerEntry.postJournal('opening_balance', [
+        { account: 'issuance', direction: 'debit', amount: wallet.drift },
+        { wallet: wallet._id, user: wallet.user, direction: 'credit', amount: wallet.drift }
+      ], { description: 'Opening balance carried over from pre-ledger wallet' });
+
+      console.log(`✅ Wallet ${wallet._id}: posted opening balance of ${wallet.drift} MTZ`);
+      posted++;
+    }
+
+    console.log('\n🎉 OPENING BALANCES COMPLETE!');
+    console.log('========================================');
+    console.log(`📒 Journals posted: ${posted}`);
+    console.log(`⚠️  Wallets skipped: ${skipped}`);
+
+  } catch (error) {
+    console.error('❌ Posting opening balances failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+};
+
+postOpeningBalances();
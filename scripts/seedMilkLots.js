@@ -0,0 +1,71 @@
+// scripts/seedMilkLots.js
+import mongoose from 'mongoose';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+/**
+ * Milk already in depot tanks when lot tracking shipped has no lots, so its
+ * pickups would come back untraced. Tanks drain oldest first, which means the
+ * current raw stock is the newest deposits: this walks each depot's accepted
+ * deposits newest first and gives them lotRemaining until the stock is covered.
+ */
+const seedMilkLots = async () => {
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milkbank');
+    console.log('✅ Connected to MongoDB');
+
+    const DepotModule = await import(`file://${join(__dirname, '..', 'src', 'models', 'Depot.js')}`);
+    const TransactionModule = await import(`file://${join(__dirname, '..', 'src', 'models', 'Transaction.js')}`);
+    const Depot = DepotModule.default;
+    const Transaction = TransactionModule.default;
+
+    const depots = await Depot.find({ 'stock.rawMilk': { $gt: 0 } });
+    console.log(`\n🥛 SEEDING LOTS FOR ${depots.length} DEPOT(S) WITH RAW STOCK...`);
+
+    for (const depot of depots) {
+      const tracked = await Transaction.countDocuments({ depot: depot._id, type: 'milk_deposit', lotRemaining: { $exists: true } });
+      if (tracked > 0) {
+        console.log(`⏭️  ${depot.code}: lots already tracked, skipping`);
+        continue;
+      }
+
+      let remaining = depot.stock.rawMilk;
+      let seeded = 0;
+      const deposits = Transaction.find({
+        depot: depot._id,
+        type: 'milk_deposit',
+        status: { $in: ['pending', 'completed'] }
+      }).sort({ createdAt: -1 }).cursor();
+
+      for await (const deposit of deposits) {
+        if (remaining <= 0) break;
+        const lot = Math.min(remaining, deposit.litersRaw || 0);
+        if (lot <= 0) continue;
+
+        await Transaction.updateOne({ _id: deposit._id }, {
+          $set: { lotRemaining: lot, lotOpenedAt: deposit.capturedAt || deposit.createdAt }
+        });
+        remaining = Math.round((remaining - lot) * 100) / 100;
+        seeded++;
+      }
+
+      console.log(`✅ ${depot.code}: ${seeded} lot(s) seeded${remaining > 0 ? `, ${remaining}L stays untraced` : ''}`);
+    }
+
+    console.log('\n🎉 MILK LOTS SEEDED!');
+  } catch (error) {
+    console.error('❌ Seeding milk lots failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+};
+
+seedMilkLots();
@@ -0,0 +1,49 @@
+// scripts/seedRoles.js
+import mongoose from 'mongoose';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+/**
+ * Creates the starting roles (ROLE_PRESETS) that are missing. Roles an admin
+ * already has are left alone, so edits made through the API survive a re-run.
+ */
+const seedRoles = async () => {
+  try {
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/milkbank');
+    console.log('✅ Connected to MongoDB');
+
+    const RoleModule = await import(`file://${join(__dirname, '..', 'src', 'models', 'Role.js')}`);
+    const Role = RoleModule.default;
+    const { ROLE_PRESETS } = RoleModule;
+
+    console.log(`\n🔑 SEEDING ${ROLE_PRESETS.length} ROLE(S)...`);
+
+    for (const preset of ROLE_PRESETS) {
+      const result = await Role.updateOne(
+        { key: preset.key },
+        { $setOnInsert: preset },
+        { upsert: true }
+      );
+
+      console.log(result.upsertedCount > 0
+        ? `✅ ${preset.key}: created`
+        : `⏭️  ${preset.key}: already exists, skipping`);
+    }
+
+    console.log('\n🎉 ROLES SEEDED!');
+  } catch (error) {
+    console.error('❌ Seeding roles failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+};
+
+seedRoles();
@@ -5,6 +5,7 @@ import Environment from './config/env.js';
 import connectDB from './config/db.js'; 
 import { notFound, errorHandler } from './middleware/errorHandler.js';
 import os from 'os';
+import JobScheduler from './services/jobScheduler.js';
 
 // Route Imports
 import authRoutes from './routes/authRoutes.js';
@@ -15,6 +16,11 @@ import adminRoutes from './routes/adminRoutes.js';
 import kccRoutes from './routes/kccRoutes.js';
 import withdrawalRoutes from './routes/withdrawalRoutes.js';
 import mpesaRoutes from './routes/mpesaRoutes.js';
+import ussdRoutes from './routes/ussdRoutes.js';
+import disputeRoutes from './routes/disputeRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import merchantRoutes from './routes/merchantRoutes.js';
+import creditRoutes from './routes/creditRoutes.js';
 
 class App {
   constructor() {
@@ -28,12 +34,17 @@ class App {
    * Configure application middleware
    */
   setupMiddleware() {
+    // Behind a load balancer req.ip must come from X-Forwarded-For, or every
+    // client shares the proxy's address (and its brute-force lockouts)
+    this.app.set('trust proxy', Environment.get('TRUST_PROXY', false));
+
     // Security & CORS - Allow all origins for testing
     this.app.use(cors({
       origin: '*', // Allow all origins
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Device-Id', 'X-Device-Name'],
+      exposedHeaders: ['Idempotent-Replayed']
     }));
 
     // Request logging
@@ -72,7 +83,12 @@ class App {
           admin: '/api/admin',
           kcc: '/api/kcc',
           withdraw: '/api/withdraw',
-          mpesa: '/api/mpesa'
+          mpesa: '/api/mpesa',
+          ussd: '/api/ussd',
+          disputes: '/api/disputes',
+          payments: '/api/payments',
+          merchants: '/api/merchants',
+          credit: '/api/credit'
         }
       });
     });
@@ -105,6 +121,21 @@ class App {
 
     // M-Pesa Routes
     this.app.use('/api/mpesa', mpesaRoutes);
+
+    // USSD Routes
+    this.app.use('/api/ussd', ussdRoutes);
+
+    // Dispute Routes
+    this.app.use('/api/disputes', disputeRoutes);
+
+    // Payment Request & QR Routes
+    this.app.use('/api/payments', paymentRoutes);
+
+    // Merchant Routes
+    this.app.use('/api/merchants', merchantRoutes);
+
+    // Input Credit Routes
+    this.app.use('/api/credit', creditRoutes);
   }
  
   /**
@@ -150,6 +181,7 @@ class App {
   async start() {
     try {
       await connectDB();
+      await JobScheduler.start();
 
       const PORT = Environment.get('PORT') || 5000;
       const HOST = '0.0.0.0'; // Listen on all network interfaces
@@ -192,6 +224,8 @@ class App {
    * Stop the server gracefully
    */
   async stop() {
+    JobScheduler.stop();
+
     if (this.server) {
       this.server.close();
       console.log('🛑 Server stopped gracefully');
@@ -33,7 +33,7 @@ class Environment {
     const defaults = {
       NODE_ENV: 'development',
       PORT: 5000,
-      JWT_EXPIRES_IN: '30d',
+      JWT_EXPIRES_IN: '15m',
       LOG_LEVEL: 'info',
       CORS_ORIGIN: 'http://localhost:3000'
     };
@@ -0,0 +1,805 @@
+// src/controllers/adminUserController.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import Depot from '../models/Depot.js';
+import Kcc from '../models/Kcc.js';
+import Shift from '../models/Shift.js';
+import Activation from '../models/Activation.js';
+import AuditLog from '../models/AuditLog.js';
+import AuthSession from '../models/AuthSession.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import SecurityService from '../services/securityService.js';
+import PermissionService from '../services/permissionService.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Where a user sits, for PermissionService.scopeFilter
+const USER_SCOPE = { depot: 'assignedDepot', kcc: 'assignedKcc', county: 'county' };
+
+// Query strings can arrive as arrays or objects (?role[$ne]=) - only plain text reaches a filter
+const queryText = (value) => (value === undefined || value === '' ? undefined : String(value));
+
+/**
+ * Names of id query params that aren't valid ObjectIds
+ */
+const invalidIds = (query, names) => names.filter(name =>
+  query[name] !== undefined && query[name] !== '' && !mongoose.isValidObjectId(String(query[name]))
+);
+
+// Staff with a users:manage or wallets:lock grant can't act on admin accounts
+const isShielded = (actor, user) => user?.role === 'admin' && actor.role !== 'admin';
+
+const shieldedResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'Only an admin can act on an admin account'
+});
+
+const userSummary = (user) => ({
+  id: user._id,
+  name: user.name,
+  phone: user.phone,
+  email: user.email,
+  role: user.role,
+  status: user.status,
+  paymentStatus: user.paymentStatus,
+  county: user.county,
+  assignedDepot: user.assignedDepot,
+  assignedKcc: user.assignedKcc,
+  mustChangePassword: user.mustChangePassword,
+  mustChangePin: user.mustChangePin,
+  createdAt: user.createdAt
+});
+
+class AdminUserController {
+  /**
+   * ADMIN: Search users - ?q=&role=&status=&paymentStatus=&county=&depot=&kcc=&page=&limit=
+   */
+  static async listUsers(req, res) {
+    try {
+      const badIds = invalidIds(req.query, ['depot', 'kcc']);
+      if (badIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid id: ${badIds.join(', ')}`
+        });
+      }
+
+      const q = queryText(req.query.q);
+      const role = queryText(req.query.role);
+      const status = queryText(req.query.status);
+      const paymentStatus = queryText(req.query.paymentStatus);
+      const county = queryText(req.query.county);
+      const depot = queryText(req.query.depot);
+      const kcc = queryText(req.query.kcc);
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+      // A scoped users:read grant only sees users at its depots, branches and counties
+      const filter = req.permissionScope
+        ? { $and: [await PermissionService.scopeFilter(req.permissionScope, USER_SCOPE)] }
+        : {};
+      if (role) filter.role = role;
+      if (status) filter.status = status;
+      if (paymentStatus) filter.paymentStatus = paymentStatus;
+      if (county) filter.county = new RegExp(`^${escapeRegex(county)}$`, 'i');
+      if (depot) filter.assignedDepot = depot;
+      if (kcc) filter.assignedKcc = kcc;
+      if (q) {
+        const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+        filter.$or = [{ name: pattern }, { phone: pattern }, { email: pattern }];
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .populate('assignedDepot', 'name code')
+          .populate('assignedKcc', 'name code')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Users retrieved',
+        data: {
+          users: users.map(userSummary),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve users',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: One user with wallet state and recent admin actions
+   */
+  static async getUser(req, res) {
+    try {
+      const user = await User.findById(req.params.userId)
+        .populate('assignedDepot', 'name code')
+        .populate('assignedKcc', 'name code');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const [wallet, activations, auditTrail] = await Promise.all([
+        Wallet.findOne({ user: user._id }),
+        Activation.find({ user: user._id }).sort({ createdAt: -1 }),
+        AuditLog.find({ targetUser: user._id })
+          .populate('actor', 'name email')
+          .sort({ createdAt: -1 })
+          .limit(20)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'User retrieved',
+        data: {
+          user: { ...userSummary(user), statusReason: user.statusReason, activatedAt: user.activatedAt },
+          wallet: wallet ? {
+            id: wallet._id,
+            balance: wallet.getBalance(),
+            isLocked: wallet.isLocked,
+            lockReason: wallet.lockReason,
+            lockSource: wallet.lockSource,
+            lockedUntil: wallet.lockedUntil,
+            failedPinAttempts: wallet.failedAttempts
+          } : null,
+          activations,
+          auditTrail
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve user',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Suspend a user account
+   */
+  static async suspendUser(req, res) {
+    try {
+      const { reason } = req.body;
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required to suspend a user'
+        });
+      }
+
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (isShielded(req.user, user)) {
+        return shieldedResponse(res);
+      }
+
+      if (user._id.equals(req.user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot suspend your own account'
+        });
+      }
+
+      if (user.status === 'suspended') {
+        return res.status(400).json({
+          success: false,
+          message: 'User is already suspended'
+        });
+      }
+
+      const previousStatus = user.status;
+      user.status = 'suspended';
+      user.statusReason = reason;
+      await user.save();
+      await AuthSession.revokeAll(user._id, 'suspended');
+
+      await AuditLog.record(req, {
+        action: 'user.suspend',
+        targetType: 'User',
+        targetId: user._id,
+        targetUser: user._id,
+        reason,
+        details: { previousStatus }
+      });
+
+      res.json({
+        success: true,
+        message: `${user.name} suspended`,
+        data: { user: userSummary(user) }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to suspend user',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Reactivate a suspended user
+   */
+  static async reactivateUser(req, res) {
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (isShielded(req.user, user)) {
+        return shieldedResponse(res);
+      }
+
+      if (user.status !== 'suspended') {
+        return res.status(400).json({
+          success: false,
+          message: `User is ${user.status}, not suspended`
+        });
+      }
+
+      if (!['verified', 'waived'].includes(user.paymentStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: 'User has not paid the onboarding fee - verify or waive it instead'
+        });
+      }
+
+      user.status = 'active';
+      user.statusReason = undefined;
+      await user.save();
+
+      await AuditLog.record(req, {
+        action: 'user.reactivate',
+        targetType: 'User',
+        targetId: user._id,
+        targetUser: user._id,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: `${user.name} reactivated`,
+        data: { user: userSummary(user) }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reactivate user',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Waive the onboarding fee and activate the account
+   */
+  static async waiveOnboardingFee(req, res) {
+    try {
+      const { reason } = req.body;
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required to waive the onboarding fee'
+        });
+      }
+
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (['verified', 'waived'].includes(user.paymentStatus)) {
+        return res.status(400).json({
+          success: false,
+          message: `Onboarding fee already ${user.paymentStatus}`
+        });
+      }
+
+      const activation = await Activation.create({
+        user: user._id,
+        role: user.role,
+        amount: 0,
+        paymentMethod: 'waived',
+        phone: user.phone,
+        status: 'verified',
+        processedBy: req.user._id,
+        notes: `Onboarding fee of KES ${user.onboardingFee} waived: ${reason}`
+      });
+
+      user.paymentStatus = 'waived';
+      user.status = 'active';
+      user.activatedAt = new Date();
+      await user.save();
+
+      await Wallet.getOrCreateWallet(user._id);
+
+      await AuditLog.record(req, {
+        action: 'user.waive_fee',
+        targetType: 'Activation',
+        targetId: activation._id,
+        targetUser: user._id,
+        reason,
+        details: { waivedAmount: user.onboardingFee, activation: activation.reference }
+      });
+
+      res.json({
+        success: true,
+        message: `Onboarding fee waived for ${user.name}`,
+        data: {
+          user: userSummary(user),
+          activation: {
+            reference: activation.reference,
+            paymentMethod: activation.paymentMethod,
+            notes: activation.notes
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to waive onboarding fee',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Reset a user's password and/or PIN to temporary values.
+   * The user must change them on next login.
+   */
+  static async resetCredentials(req, res) {
+    try {
+      const { password = false, pin = false, reason } = req.body;
+      if (!password && !pin) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose password, pin or both to reset'
+        });
+      }
+
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (isShielded(req.user, user)) {
+        return shieldedResponse(res);
+      }
+
+      const temporary = {};
+      if (password) {
+        temporary.password = crypto.randomBytes(6).toString('base64url');
+        user.password = temporary.password;
+        user.mustChangePassword = true;
+      }
+      if (pin) {
+        temporary.pin = String(crypto.randomInt(0, 10000)).padStart(4, '0');
+        user.pin = temporary.pin;
+        user.mustChangePin = true;
+      }
+      await user.save();
+      await AuthSession.revokeAll(user._id, 'credentials_reset');
+
+      await AuditLog.record(req, {
+        action: 'user.reset_credentials',
+        targetType: 'User',
+        targetId: user._id,
+        targetUser: user._id,
+        reason,
+        details: { password: !!password, pin: !!pin }
+      });
+
+      res.json({
+        success: true,
+        message: `Temporary credentials issued for ${user.name} - share them securely`,
+        data: {
+          temporary,
+          mustChangePassword: user.mustChangePassword,
+          mustChangePin: user.mustChangePin
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset credentials',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Move an attendant to another depot, or a KCC user to another branch
+   */
+  static async reassignUser(req, res) {
+    try {
+      const { depotId, kccId, reason } = req.body;
+
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (isShielded(req.user, user)) {
+        return shieldedResponse(res);
+      }
+
+      if (user.isAttendant()) {
+        if (!depotId) {
+          return res.status(400).json({
+            success: false,
+            message: 'depotId is required to reassign an attendant'
+          });
+        }
+
+        const depot = await Depot.findById(depotId);
+        if (!depot) {
+          return res.status(404).json({
+            success: false,
+            message: 'Depot not found'
+          });
+        }
+
+        // A scoped grant can only move people to places it also covers
+        if (!PermissionService.covers(req.permissionScope, { depot: depot._id, county: depot.location?.county })) {
+          return res.status(403).json({
+            success: false,
+            message: 'The destination depot is outside your assigned scope'
+          });
+        }
+
+        const previousDepotId = user.assignedDepot;
+        if (previousDepotId && previousDepotId.equals(depot._id)) {
+          return res.status(400).json({
+            success: false,
+            message: `Attendant is already assigned to ${depot.name}`
+          });
+        }
+
+        if (await Shift.findOpen(user._id)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Attendant has an open shift - close it before reassigning'
+          });
+        }
+
+        // Free the old depot's lead slot; the new depot keeps its staff and
+        // only gets this attendant as lead when it has none
+        if (previousDepotId) {
+          await Depot.updateOne(
+            { _id: previousDepotId, assignedAttendant: user._id },
+            { $set: { assignedAttendant: null } }
+          );
+        }
+        if (!depot.assignedAttendant) {
+          depot.assignedAttendant = user._id;
+          await depot.save();
+        }
+
+        user.assignedDepot = depot._id;
+        await user.save();
+
+        await AuditLog.record(req, {
+          action: 'user.reassign_depot',
+          targetType: 'Depot',
+          targetId: depot._id,
+          targetUser: user._id,
+          reason,
+          details: { from: previousDepotId, to: depot._id, lead: depot.assignedAttendant.equals(user._id) }
+        });
+
+        return res.json({
+          success: true,
+          message: `${user.name} reassigned to ${depot.name}`,
+          data: { user: userSummary(user), depot: { id: depot._id, name: depot.name, code: depot.code } }
+        });
+      }
+
+      if (user.isKccAttendant() || user.isKccAdmin()) {
+        if (!kccId) {
+          return res.status(400).json({
+            success: false,
+            message: 'kccId is required to reassign a KCC user'
+          });
+        }
+
+        const kcc = await Kcc.findById(kccId);
+        if (!kcc) {
+          return res.status(404).json({
+            success: false,
+            message: 'KCC branch not found'
+          });
+        }
+
+        if (!PermissionService.covers(req.permissionScope, { kcc: kcc._id, county: kcc.location?.county })) {
+          return res.status(403).json({
+            success: false,
+            message: 'The destination branch is outside your assigned scope'
+          });
+        }
+
+        const previousKccId = user.assignedKcc;
+        user.assignedKcc = kcc._id;
+        await user.save();
+
+        await AuditLog.record(req, {
+          action: 'user.reassign_kcc',
+          targetType: 'Kcc',
+          targetId: kcc._id,
+          targetUser: user._id,
+          reason,
+          details: { from: previousKccId, to: kcc._id }
+        });
+
+        return res.json({
+          success: true,
+          message: `${user.name} reassigned to ${kcc.name}`,
+          data: { user: userSummary(user), kcc: { id: kcc._id, name: kcc.name, code: kcc.code } }
+        });
+      }
+
+      res.status(400).json({
+        success: false,
+        message: `Users with role ${user.role} cannot be reassigned`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reassign user',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Lock a user's wallet - blocks sends, withdrawals and redemptions
+   */
+  static async lockWallet(req, res) {
+    try {
+      const reason = req.body.lockReason || req.body.reason;
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A lockReason is required to lock a wallet'
+        });
+      }
+
+      const wallet = await Wallet.findOne({ user: req.params.userId });
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      if (isShielded(req.user, await User.findById(wallet.user).select('role'))) {
+        return shieldedResponse(res);
+      }
+
+      if (wallet.isLocked) {
+        return res.status(400).json({
+          success: false,
+          message: `Wallet already locked: ${wallet.lockReason}`
+        });
+      }
+
+      wallet.isLocked = true;
+      wallet.lockReason = reason;
+      wallet.lockSource = 'admin';
+      wallet.lockedUntil = undefined;
+      await wallet.save();
+
+      await AuditLog.record(req, {
+        action: 'wallet.lock',
+        targetType: 'Wallet',
+        targetId: wallet._id,
+        targetUser: wallet.user,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Wallet locked',
+        data: { walletId: wallet._id, isLocked: wallet.isLocked, lockReason: wallet.lockReason }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to lock wallet',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Unlock a user's wallet
+   */
+  static async unlockWallet(req, res) {
+    try {
+      const wallet = await Wallet.findOne({ user: req.params.userId });
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      if (isShielded(req.user, await User.findById(wallet.user).select('role'))) {
+        return shieldedResponse(res);
+      }
+
+      if (!wallet.isLocked) {
+        return res.status(400).json({
+          success: false,
+          message: 'Wallet is not locked'
+        });
+      }
+
+      const previousReason = wallet.lockReason;
+      await SecurityService.unlockWallet(wallet, 'admin', { ip: req.ip, actor: req.user._id });
+
+      await AuditLog.record(req, {
+        action: 'wallet.unlock',
+        targetType: 'Wallet',
+        targetId: wallet._id,
+        targetUser: wallet.user,
+        reason: req.body.reason,
+        details: { previousReason }
+      });
+
+      res.json({
+        success: true,
+        message: 'Wallet unlocked',
+        data: { walletId: wallet._id, isLocked: wallet.isLocked }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unlock wallet',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Audit log - ?actor=&targetUser=&action=&page=&limit=
+   */
+  static async getAuditLogs(req, res) {
+    try {
+      const badIds = invalidIds(req.query, ['actor', 'targetUser']);
+      if (badIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid id: ${badIds.join(', ')}`
+        });
+      }
+
+      const actor = queryText(req.query.actor);
+      const targetUser = queryText(req.query.targetUser);
+      const action = queryText(req.query.action);
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const filter = {};
+      if (actor) filter.actor = actor;
+      if (targetUser) filter.targetUser = targetUser;
+      if (action) filter.action = action;
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(filter)
+          .populate('actor', 'name email role')
+          .populate('targetUser', 'name phone role')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Audit log retrieved',
+        data: {
+          logs,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve audit log',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Security log - failed PIN/password attempts, lockouts, unlocks
+   * ?user=&type=&ip=&page=&limit=
+   */
+  static async getSecurityEvents(req, res) {
+    try {
+      const badIds = invalidIds(req.query, ['user']);
+      if (badIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid id: ${badIds.join(', ')}`
+        });
+      }
+
+      const user = queryText(req.query.user);
+      const type = queryText(req.query.type);
+      const ip = queryText(req.query.ip);
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+      const filter = {};
+      if (user) filter.user = user;
+      if (type) filter.type = type;
+      if (ip) filter.ip = ip;
+
+      const [events, total] = await Promise.all([
+        SecurityEvent.find(filter)
+          .populate('user', 'name phone role')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        SecurityEvent.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Security log retrieved',
+        data: {
+          events,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve security log',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default AdminUserController;
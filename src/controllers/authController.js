@@ -6,6 +6,13 @@ import Transaction from '../models/Transaction.js';
 import Activation from '../models/Activation.js';
 import Wallet from '../models/Wallet.js';
 import Kcc from '../models/Kcc.js';
+import C2BPayment from '../models/C2BPayment.js';
+import Merchant from '../models/Merchant.js';
+import AuthSession from '../models/AuthSession.js';
+import SessionService from '../services/sessionService.js';
+import OtpService from '../services/otpService.js';
+import SecurityService from '../services/securityService.js';
+import Environment from '../config/env.js';
 
 class AuthController { 
 /**
@@ -21,7 +28,8 @@ static async register(req, res) {
     const onboardingFees = {
       farmer: 100,
       attendant: 500,
-      admin: 1000
+      admin: 1000,
+      merchant: 500
     };
 
     let status = 'pending';
@@ -45,9 +53,20 @@ static async register(req, res) {
     // ✅ SIMPLIFIED: Auto-create wallet without transaction
     await Wallet.create({ user: newUser._id });
 
+    // Merchants get a business profile and till code
+    let merchant = null;
+    if (role === 'merchant') {
+      merchant = await Merchant.create({
+        user: newUser._id,
+        businessName: req.body.businessName,
+        category: req.body.category,
+        county
+      });
+    }
+
     // If M-Pesa code provided, verify immediately
     if (mpesaCode && onboardingFee > 0) {
-      const paymentVerified = await AuthController.verifyMpesaPayment(mpesaCode, onboardingFee, phone);
+      const paymentVerified = await AuthController.verifyMpesaPayment(mpesaCode, onboardingFee, phone, newUser._id);
       if (paymentVerified) {
         newUser.status = 'active';
         newUser.paymentStatus = 'verified';
@@ -57,8 +76,17 @@ static async register(req, res) {
       }
     }
 
+    // Send the phone verification code - registration still succeeds if SMS fails
+    let phoneVerificationSent = false;
+    try {
+      await OtpService.issue(newUser.phone, 'phone_verification', newUser._id);
+      phoneVerificationSent = true;
+    } catch (error) {
+      console.error(`Phone verification SMS failed for ${newUser.phone}:`, error.message);
+    }
+
     // Generate token
-    const token = newUser.generateAuthToken();
+    const { token, refreshToken, expiresIn } = await SessionService.startSession(newUser, req);
     
     // Get wallet balance for response
     const wallet = await Wallet.getOrCreateWallet(newUser._id);
@@ -73,7 +101,8 @@ static async register(req, res) {
       status: newUser.status,
       county: newUser.county,
       onboardingFee: newUser.onboardingFee,
-      paymentStatus: newUser.paymentStatus
+      paymentStatus: newUser.paymentStatus,
+      phoneVerified: newUser.phoneVerified
     };
 
     res.status(201).json({
@@ -82,11 +111,19 @@ static async register(req, res) {
       data: { 
         user: userResponse, 
         token,
+        refreshToken,
+        expiresIn,
         wallet: {
           balance: wallet.getBalance()
         },
+        phoneVerificationSent,
         paymentRequired: onboardingFee > 0 && newUser.status === 'pending',
-        onboardingFee: onboardingFee
+        onboardingFee: onboardingFee,
+        merchant: merchant ? {
+          businessName: merchant.businessName,
+          category: merchant.category,
+          tillCode: merchant.tillCode
+        } : undefined
       }
     });
     
@@ -178,15 +215,10 @@ static async login(req, res) {
     const { email, password } = req.body;
     
     const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-    
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+
+    // Counts failures per account and per IP - throws 429 while locked out
+    const isPasswordValid = await SecurityService.verifyPassword(user, password, { account: email, ip: req.ip });
+    if (!user || !isPasswordValid) {
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -205,7 +237,10 @@ static async login(req, res) {
       county: user.county,
       assignedDepot: user.assignedDepot,
       onboardingFee: user.onboardingFee,
-      paymentStatus: user.paymentStatus
+      paymentStatus: user.paymentStatus,
+      mustChangePassword: user.mustChangePassword,
+      mustChangePin: user.mustChangePin,
+      phoneVerified: user.phoneVerified
     };
     
     if (user.status !== 'active') {
@@ -222,16 +257,19 @@ static async login(req, res) {
       });
     }
     
-    const token = user.generateAuthToken();
+    // Unknown device - confirm with an SMS code first
+    if (await AuthController.requireDeviceOtp(user, req, res)) return;
+
+    const { token, refreshToken, expiresIn } = await SessionService.startSession(user, req);
     
     res.json({
       success: true,
       message: `Welcome back, ${user.name}!`,
-      data: { user: userResponse, token }
+      data: { user: userResponse, token, refreshToken, expiresIn }
     });
     
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Login failed',
       error: error.message
@@ -250,15 +288,10 @@ static async loginWithPhone(req, res) {
     const formattedPhone = phone.startsWith('254') ? phone : `254${phone.replace(/^0/, '')}`;
     
     const user = await User.findOne({ phone: formattedPhone }).select('+password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid phone number or password'
-      });
-    }
-    
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
+
+    // Counts failures per account and per IP - throws 429 while locked out
+    const isPasswordValid = await SecurityService.verifyPassword(user, password, { account: formattedPhone, ip: req.ip });
+    if (!user || !isPasswordValid) {
       return res.status(401).json({
         success: false,
         message: 'Invalid phone number or password'
@@ -277,7 +310,10 @@ static async loginWithPhone(req, res) {
       county: user.county,
       assignedDepot: user.assignedDepot,
       onboardingFee: user.onboardingFee,
-      paymentStatus: user.paymentStatus
+      paymentStatus: user.paymentStatus,
+      mustChangePassword: user.mustChangePassword,
+      mustChangePin: user.mustChangePin,
+      phoneVerified: user.phoneVerified
     };
     
     if (user.status !== 'active') {
@@ -294,16 +330,19 @@ static async loginWithPhone(req, res) {
       });
     }
     
-    const token = user.generateAuthToken();
+    // Unknown device - confirm with an SMS code first
+    if (await AuthController.requireDeviceOtp(user, req, res)) return;
+
+    const { token, refreshToken, expiresIn } = await SessionService.startSession(user, req);
     
     res.json({
       success: true,
       message: `Welcome back, ${user.name}!`,
-      data: { user: userResponse, token }
+      data: { user: userResponse, token, refreshToken, expiresIn }
     });
     
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Login failed',
       error: error.message
@@ -319,7 +358,7 @@ static async loginWithPhone(req, res) {
       
       const user = await User.findById(req.user.id).select('+pin');
       
-      const isPinValid = await user.comparePin(pin);
+      const isPinValid = await SecurityService.verifyPin(user, pin, { ip: req.ip });
       if (!isPinValid) {
         return res.status(401).json({
           success: false,
@@ -334,7 +373,7 @@ static async loginWithPhone(req, res) {
       });
       
     } catch (error) {
-      res.status(400).json({
+      res.status(error.statusCode || 400).json({
         success: false,
         message: 'PIN verification failed',
         error: error.message
@@ -360,20 +399,21 @@ static async verifyPaymentPublic(req, res) {
       });
     }
 
-    if (user.status === 'active') {
+    // Only pending accounts are activated by paying - a suspended user stays suspended
+    if (user.status !== 'pending') {
       return res.status(400).json({
         success: false,
-        message: 'Account already active'
+        message: user.status === 'active' ? 'Account already active' : `Account is ${user.status} - contact support`
       });
     }
 
     // Verify payment
-    const paymentVerified = await AuthController.verifyMpesaPayment(mpesaCode, user.onboardingFee, user.phone);
+    const paymentVerified = await AuthController.verifyMpesaPayment(mpesaCode, user.onboardingFee, user.phone, user._id);
     
     if (!paymentVerified) {
       return res.status(400).json({
         success: false,
-        message: 'Payment verification failed. Please check your M-Pesa code.'
+        message: 'Payment verification failed. Check the M-Pesa code, amount and phone number - each code can only be used once.'
       });
     }
 
@@ -397,7 +437,7 @@ static async verifyPaymentPublic(req, res) {
     await activation.save();
 
     // Generate new token for immediate login
-    const token = user.generateAuthToken();
+    const { token, refreshToken, expiresIn } = await SessionService.startSession(user, req);
 
     res.json({
       success: true,
@@ -410,7 +450,9 @@ static async verifyPaymentPublic(req, res) {
           role: user.role,
           status: user.status
         },
-        token // ✅ Provide new token
+        token, // ✅ Provide new token
+        refreshToken,
+        expiresIn
       }
     });
 
@@ -439,10 +481,10 @@ static async getPaymentInstructionsPublic(req, res) {
       });
     }
 
-    if (user.status === 'active') {
+    if (user.status !== 'pending') {
       return res.json({
         success: true,
-        message: 'Account already active',
+        message: user.status === 'active' ? 'Account already active' : `Account is ${user.status} - contact support`,
         data: { paymentRequired: false }
       });
     }
@@ -489,7 +531,9 @@ static async getPaymentInstructionsPublic(req, res) {
         assignedDepot: user.assignedDepot,
         onboardingFee: user.onboardingFee,
         paymentStatus: user.paymentStatus,
-        activatedAt: user.activatedAt
+        activatedAt: user.activatedAt,
+        mustChangePassword: user.mustChangePassword,
+        mustChangePin: user.mustChangePin
       };
 
       res.json({
@@ -507,6 +551,371 @@ static async getPaymentInstructionsPublic(req, res) {
     }
   }
 
+  /**
+   * Change password - clears an admin-forced reset
+   */
+  static async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user.id).select('+password');
+      const isPasswordValid = await SecurityService.verifyPassword(user, currentPassword, { account: user.phone, ip: req.ip });
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      user.password = newPassword;
+      user.mustChangePassword = false;
+      await user.save();
+
+      // Every other device is signed out - this one gets fresh tokens
+      await AuthSession.revokeAll(user._id, 'password_change');
+      const { token, refreshToken, expiresIn } = await SessionService.startSession(user, req);
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully. Other devices have been signed out.',
+        data: { mustChangePin: user.mustChangePin, token, refreshToken, expiresIn }
+      });
+
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: 'Password change failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change PIN - clears an admin-forced reset
+   */
+  static async changePin(req, res) {
+    try {
+      const { currentPin, newPin } = req.body;
+
+      const user = await User.findById(req.user.id).select('+pin');
+      const isPinValid = await SecurityService.verifyPin(user, currentPin, { ip: req.ip });
+      if (!isPinValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current PIN is incorrect'
+        });
+      }
+
+      user.pin = String(newPin);
+      user.mustChangePin = false;
+      await user.save();
+
+      await AuthSession.revokeAll(user._id, 'pin_change');
+      const { token, refreshToken, expiresIn } = await SessionService.startSession(user, req);
+
+      res.json({
+        success: true,
+        message: 'PIN changed successfully. Other devices have been signed out.',
+        data: { mustChangePassword: user.mustChangePassword, token, refreshToken, expiresIn }
+      });
+
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: 'PIN change failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * New-device login check. Returns true when it has answered with an OTP challenge;
+   * the client logs in again with { otp } to finish.
+   */
+  static async requireDeviceOtp(user, req, res) {
+    if (!Environment.get('OTP_NEW_DEVICE_LOGIN', true) || await SessionService.isKnownDevice(user, req)) {
+      return false;
+    }
+
+    if (req.body.otp) {
+      await OtpService.verify(user.phone, 'device_login', req.body.otp);
+      return false;
+    }
+
+    const { expiresAt, resendAfterSeconds } = await OtpService.issue(user.phone, 'device_login', user._id);
+    res.status(202).json({
+      success: true,
+      message: `New device - enter the code sent to your phone ending ${user.phone.slice(-3)}`,
+      data: { otpRequired: true, purpose: 'device_login', expiresAt, resendAfterSeconds }
+    });
+    return true;
+  }
+
+  /**
+   * Send a code - { phone, purpose: phone_verification|pin_reset|password_reset|device_login }.
+   * Answers the same whether or not the phone is registered.
+   */
+  static async requestOtp(req, res) {
+    try {
+      const { phone, purpose } = req.body;
+      const user = await User.findOne({ phone });
+      const { ttlMinutes, resendSeconds } = OtpService.getSettings();
+
+      if (user && !(purpose === 'phone_verification' && user.phoneVerified)) {
+        try {
+          await OtpService.issue(phone, purpose, user._id);
+        } catch (error) {
+          // A throttle or SMS failure would tell the caller the number is registered
+          if (!error.statusCode) throw error;
+          console.warn(`⚠️ OTP not sent for ${purpose}: ${error.message}`);
+        }
+      }
+
+      // Same body for every number, registered or not
+      res.json({
+        success: true,
+        message: 'If this number is registered, a code has been sent by SMS',
+        data: {
+          purpose,
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+          resendAfterSeconds: resendSeconds
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to send code',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Confirm a phone number - { phone, code }
+   */
+  static async verifyPhone(req, res) {
+    try {
+      const { phone, code } = req.body;
+      const user = await User.findOne({ phone });
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code has expired or was not requested. Request a new one.'
+        });
+      }
+
+      await OtpService.verify(phone, 'phone_verification', code);
+
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+      await user.save();
+
+      res.json({
+        success: true,
+        message: 'Phone number verified',
+        data: { phoneVerified: true }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Phone verification failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Lift a wrong-PIN wallet lockout with an SMS code - { phone, code }
+   */
+  static async unlockWallet(req, res) {
+    try {
+      const { phone, code } = req.body;
+      const user = await User.findOne({ phone });
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code has expired or was not requested. Request a new one.'
+        });
+      }
+
+      await OtpService.verify(phone, 'wallet_unlock', code);
+
+      const wallet = await Wallet.getOrCreateWallet(user._id);
+      const unlocked = await SecurityService.unlockWallet(wallet, 'otp', { ip: req.ip });
+
+      res.json({
+        success: true,
+        message: unlocked
+          ? 'Wallet unlocked'
+          : wallet.isLocked ? 'Wallet was locked by an administrator - contact support' : 'Wallet is not locked',
+        data: { isLocked: wallet.isLocked }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Wallet unlock failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Forgotten PIN/password - { phone, code, newPin } or { phone, code, newPassword }.
+   * Signs out every device.
+   */
+  static async resetCredential(req, res) {
+    try {
+      const { phone, code, newPin, newPassword } = req.body;
+      const purpose = newPin ? 'pin_reset' : 'password_reset';
+
+      const user = await User.findOne({ phone });
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code has expired or was not requested. Request a new one.'
+        });
+      }
+
+      await OtpService.verify(phone, purpose, code);
+
+      if (newPin) {
+        user.pin = String(newPin);
+        user.mustChangePin = false;
+      } else {
+        user.password = newPassword;
+        user.mustChangePassword = false;
+      }
+      // The code proves the phone belongs to the user
+      if (!user.phoneVerified) {
+        user.phoneVerified = true;
+        user.phoneVerifiedAt = new Date();
+      }
+      await user.save();
+      await AuthSession.revokeAll(user._id, purpose);
+      if (!newPin) {
+        await SecurityService.clearAccount(user);
+      }
+
+      res.json({
+        success: true,
+        message: `${newPin ? 'PIN' : 'Password'} reset successfully. Please log in again.`
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: 'Reset failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for new tokens - { refreshToken }
+   */
+  static async refreshToken(req, res) {
+    try {
+      const { user, token, refreshToken, expiresIn } = await SessionService.refresh(req.body.refreshToken, req);
+
+      res.json({
+        success: true,
+        message: 'Token refreshed',
+        data: {
+          user: { id: user._id, name: user.name, role: user.role },
+          token,
+          refreshToken,
+          expiresIn
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Token refresh failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Sign out this device
+   */
+  static async logout(req, res) {
+    try {
+      await SessionService.revokeSession(req.user._id, req.authSession._id, 'logout');
+
+      res.json({
+        success: true,
+        message: 'Logged out'
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Logout failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Sign out every device, this one included
+   */
+  static async logoutAll(req, res) {
+    try {
+      const result = await AuthSession.revokeAll(req.user._id, 'logout_all');
+
+      res.json({
+        success: true,
+        message: `Signed out of ${result.modifiedCount} device(s)`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Logout failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Logged-in devices
+   */
+  static async getSessions(req, res) {
+    try {
+      const sessions = await SessionService.listSessions(req.user, req.authSession._id);
+
+      res.json({
+        success: true,
+        message: 'Sessions retrieved',
+        data: { sessions }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve sessions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remote sign-out of another device
+   */
+  static async revokeSession(req, res) {
+    try {
+      const session = await SessionService.revokeSession(req.user._id, req.params.sessionId, 'remote_signout');
+
+      res.json({
+        success: true,
+        message: `Signed out ${session.device?.name || session.device?.userAgent || 'device'}`
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to sign out device',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Update profile
    */
@@ -553,19 +962,20 @@ static async verifyPayment(req, res) {
       });
     }
 
-    if (user.status === 'active') {
+    // Only pending accounts are activated by paying - a suspended user stays suspended
+    if (user.status !== 'pending') {
       return res.status(400).json({
         success: false,
-        message: 'Account already active'
+        message: user.status === 'active' ? 'Account already active' : `Account is ${user.status} - contact support`
       });
     }
 
-    const paymentVerified = await AuthController.verifyMpesaPayment(mpesaCode, user.onboardingFee, user.phone);
+    const paymentVerified = await AuthController.verifyMpesaPayment(mpesaCode, user.onboardingFee, user.phone, user._id);
     
     if (!paymentVerified) {
       return res.status(400).json({
         success: false,
-        message: 'Payment verification failed'
+        message: 'Payment verification failed. Check the M-Pesa code, amount and phone number - each code can only be used once.'
       });
     }
 
@@ -616,10 +1026,10 @@ static async getPaymentInstructions(req, res) {
   try {
     const user = await User.findById(req.user.id);
     
-    if (user.status === 'active') {
+    if (user.status !== 'pending') {
       return res.json({
         success: true,
-        message: 'Account already active',
+        message: user.status === 'active' ? 'Account already active' : `Account is ${user.status} - contact support`,
         data: { paymentRequired: false }
       });
     }
@@ -647,12 +1057,18 @@ static async getPaymentInstructions(req, res) {
   }
 }
   /**
-   * M-Pesa payment verification (mock)
+   * M-Pesa payment verification against confirmed C2B paybill payments.
+   * The matching payment is consumed so the same code can't activate twice.
    */
-  static async verifyMpesaPayment(mpesaCode, expectedAmount, phone) {
-    console.log(`Verifying payment: ${mpesaCode}, Amount: ${expectedAmount}, Phone: ${phone}`);
-    await new Promise(resolve => setTimeout(resolve, 500));
-    return mpesaCode && mpesaCode.length >= 8;
+  static async verifyMpesaPayment(mpesaCode, expectedAmount, phone, userId) {
+    const payment = await C2BPayment.consume(mpesaCode, {
+      expectedAmount,
+      phone,
+      userId,
+      purpose: 'onboarding_fee'
+    });
+
+    return payment !== null;
   }
 }
 
@@ -0,0 +1,227 @@
+// src/controllers/creditController.js
+import CreditService from '../services/creditService.js';
+import CreditAdvance from '../models/CreditAdvance.js';
+import AuditLog from '../models/AuditLog.js';
+
+class CreditController {
+  /**
+   * FARMER: Credit limit from 30/60/90-day deposit history
+   */
+  static async getEligibility(req, res) {
+    try {
+      const eligibility = await CreditService.getEligibility(req.user._id);
+
+      res.json({
+        success: true,
+        message: eligibility.eligible
+          ? `You can borrow up to ${eligibility.limit} MTZ`
+          : `Not eligible: ${eligibility.reason}`,
+        data: { eligibility }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check eligibility',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * FARMER: Request an advance - { amount, type: mtz|voucher, tillCode, purpose }
+   */
+  static async requestAdvance(req, res) {
+    try {
+      const advance = await CreditService.requestAdvance(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Advance ${advance.reference} for ${advance.principal} MTZ submitted for approval`,
+        data: { advance: CreditService.describe(advance) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: 'Advance request failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * FARMER: My advances with outstanding balance and repayment schedule
+   */
+  static async getMyAdvances(req, res) {
+    try {
+      const advances = await CreditAdvance.find({ farmer: req.user._id })
+        .populate('merchant', 'businessName tillCode')
+        .sort({ createdAt: -1 });
+      const described = advances.map(CreditService.describe);
+
+      res.json({
+        success: true,
+        message: 'Advances retrieved',
+        data: {
+          outstanding: Math.round(described.reduce((sum, advance) =>
+            sum + (['active', 'defaulted'].includes(advance.status) ? advance.outstanding : 0), 0) * 100) / 100,
+          advances: described
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve advances',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * FARMER: Withdraw a request that hasn't been reviewed
+   */
+  static async cancelAdvance(req, res) {
+    try {
+      const advance = await CreditService.cancelAdvance(req.params.advanceId, req.user._id);
+
+      res.json({
+        success: true,
+        message: `Advance ${advance.reference} cancelled`,
+        data: { advance: CreditService.describe(advance) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to cancel advance',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN/KCC ADMIN: Advances - ?status=&farmer=
+   */
+  static async listAdvances(req, res) {
+    try {
+      const advances = await CreditService.listAdvances(req.query);
+
+      res.json({
+        success: true,
+        message: 'Advances retrieved',
+        data: {
+          count: advances.length,
+          advances: advances.map(CreditService.describe)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve advances',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN/KCC ADMIN: Approve an advance - { notes }
+   */
+  static async approveAdvance(req, res) {
+    try {
+      const { advance, farmer, transaction } =
+        await CreditService.approveAdvance(req.params.advanceId, req.user, req.body.notes);
+
+      await AuditLog.record(req, {
+        action: 'credit.approve',
+        targetType: 'CreditAdvance',
+        targetId: advance._id,
+        targetUser: farmer._id,
+        reason: req.body.notes,
+        details: {
+          reference: advance.reference,
+          type: advance.type,
+          principal: advance.principal,
+          transaction: transaction?.reference
+        }
+      });
+
+      res.json({
+        success: true,
+        message: advance.type === 'voucher'
+          ? `Voucher ${advance.voucherCode} for ${advance.principal} MTZ issued to ${farmer.name}`
+          : `${advance.principal} MTZ advanced to ${farmer.name}`,
+        data: {
+          advance: CreditService.describe(advance),
+          transactionId: transaction?.reference
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Advance approval failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN/KCC ADMIN: Reject an advance - { notes }
+   */
+  static async rejectAdvance(req, res) {
+    try {
+      const { advance, farmer } =
+        await CreditService.rejectAdvance(req.params.advanceId, req.user, req.body.notes);
+
+      await AuditLog.record(req, {
+        action: 'credit.reject',
+        targetType: 'CreditAdvance',
+        targetId: advance._id,
+        targetUser: farmer._id,
+        reason: req.body.notes,
+        details: { reference: advance.reference, principal: advance.principal }
+      });
+
+      res.json({
+        success: true,
+        message: `Advance ${advance.reference} rejected`,
+        data: { advance: CreditService.describe(advance) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Advance rejection failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * MERCHANT: Redeem a farmer's input voucher - { voucherCode }
+   */
+  static async redeemVoucher(req, res) {
+    try {
+      const { advance, transaction } = await CreditService.redeemVoucher(req.user._id, req.body.voucherCode);
+
+      res.json({
+        success: true,
+        message: `Voucher ${advance.voucherCode} redeemed - ${advance.principal} MTZ received for ${advance.farmer.name}`,
+        data: {
+          voucher: {
+            code: advance.voucherCode,
+            advance: advance.reference,
+            amount: advance.principal,
+            farmer: advance.farmer.name,
+            purpose: advance.purpose,
+            transactionId: transaction.reference
+          }
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Voucher redemption failed',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default CreditController;
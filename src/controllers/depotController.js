@@ -4,6 +4,15 @@ import Depot from '../models/Depot.js';
 import User from '../models/User.js';
 import Transaction from '../models/Transaction.js';
 import Token from '../models/Token.js';
+import Shift from '../models/Shift.js';
+import PricingService from '../services/pricingService.js';
+import DepositRejectionService from '../services/depositRejectionService.js';
+import DepositService from '../services/depositService.js';
+import CreditService from '../services/creditService.js';
+import PocketService from '../services/pocketService.js';
+import ShiftService from '../services/shiftService.js';
+import FloatService from '../services/floatService.js';
+import AppError from '../utils/appError.js';
 
 class DepotController {
 
@@ -212,11 +221,112 @@ static async updateDepot(req, res) {
 }
 
 /**
- * Assign/Reassign attendant to depot
+ * Get depot pricing - grade rates, bands and rejection limits
+ */
+static async getDepotPricing(req, res) {
+  try {
+    const depot = await Depot.findById(req.params.id).select('name code pricing');
+    if (!depot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Depot not found'
+      });
+    }
+
+    const token = await Token.getToken();
+    const effectiveRates = {};
+    for (const grade of ['premium', 'standard', 'low']) {
+      const quote = await PricingService.priceDeposit(depot, 1, grade, token);
+      effectiveRates[grade] = quote.ratePerLiter;
+    }
+
+    res.json({
+      success: true,
+      message: 'Depot pricing retrieved',
+      data: {
+        depot: { name: depot.name, code: depot.code },
+        pricing: depot.pricing,
+        mintingRatio: token.mintingRules.ratio,
+        qualityMultipliers: token.mintingRules.qualityMultipliers,
+        effectiveRates
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve depot pricing',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Update depot pricing - grade rates, bands and rejection limits
+ */
+static async updateDepotPricing(req, res) {
+  try {
+    const { gradeBands, rejection } = req.body;
+
+    const depot = await Depot.findById(req.params.id);
+    if (!depot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Depot not found'
+      });
+    }
+
+    for (const field of ['baseRate', 'premiumRate', 'lowRate']) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || value <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a positive number`
+        });
+      }
+      depot.pricing[field] = value;
+    }
+
+    if (gradeBands !== undefined) {
+      const bandError = PricingService.validateGradeBands(gradeBands);
+      if (bandError) {
+        return res.status(400).json({
+          success: false,
+          message: bandError
+        });
+      }
+      depot.pricing.gradeBands = gradeBands;
+    }
+
+    if (rejection !== undefined) {
+      depot.pricing.rejection = { ...depot.pricing.rejection.toObject(), ...rejection };
+    }
+
+    await depot.save();
+
+    res.json({
+      success: true,
+      message: `Pricing updated for ${depot.name}`,
+      data: { pricing: depot.pricing }
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Depot pricing update failed',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Add an attendant to the depot staff. Depots run several attendants across
+ * shifts; `lead: true` (or an empty lead slot) also makes them the lead contact.
  */
 static async assignAttendant(req, res) {
   try {
-    const { attendantId } = req.body;
+    const { attendantId, lead } = req.body;
     const depotId = req.params.id;
 
     const depot = await Depot.findById(depotId);
@@ -236,22 +346,34 @@ static async assignAttendant(req, res) {
       });
     }
 
-    // Unassign old attendant if exists
-    if (depot.assignedAttendant) {
-      const oldAttendant = await User.findById(depot.assignedAttendant);
-      if (oldAttendant) {
-        oldAttendant.assignedDepot = null;
-        await oldAttendant.save();
-      }
+    // Moving depots mid-shift would strand the open shift
+    const openShift = await Shift.findOpen(newAttendant._id);
+    if (openShift && !openShift.depot.equals(depot._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attendant has an open shift at another depot - close it first'
+      });
     }
 
-    // Assign new attendant
-    depot.assignedAttendant = attendantId;
-    await depot.save();
+    // Leaving another depot frees its lead slot
+    const previousDepotId = newAttendant.assignedDepot;
+    if (previousDepotId && !previousDepotId.equals(depot._id)) {
+      await Depot.updateOne(
+        { _id: previousDepotId, assignedAttendant: newAttendant._id },
+        { $set: { assignedAttendant: null } }
+      );
+    }
+
+    if (lead || !depot.assignedAttendant) {
+      depot.assignedAttendant = attendantId;
+      await depot.save();
+    }
 
     newAttendant.assignedDepot = depotId;
     await newAttendant.save();
 
+    const staff = await User.find({ assignedDepot: depotId, role: 'attendant' }).select('name phone status');
+
     res.json({
       success: true,
       message: 'Attendant assigned successfully',
@@ -264,8 +386,10 @@ static async assignAttendant(req, res) {
         attendant: {
           id: newAttendant._id,
           name: newAttendant.name,
-          phone: newAttendant.phone
-        }
+          phone: newAttendant.phone,
+          lead: depot.assignedAttendant.equals(newAttendant._id)
+        },
+        staff
       }
     });
 
@@ -329,46 +453,12 @@ static async assignAttendant(req, res) {
       });
     }
   }
-// Helper functions for generating codes (inside class as static methods)
-/**
- * Generate depot-specific sequential deposit code (KMB001-0025)
- */
-static async generateDepositCode(depotCode) {
-  const Transaction = mongoose.model('Transaction');
-  
-  const lastDeposit = await Transaction.findOne(
-    { depot: { $exists: true }, depositCode: new RegExp(`^${depotCode}-`) },
-    { depositCode: 1 },
-    { sort: { createdAt: -1 } }
-  );
-  
-  let sequence = 1;
-  if (lastDeposit && lastDeposit.depositCode) {
-    const lastSequence = parseInt(lastDeposit.depositCode.split('-')[1]) || 0;
-    sequence = lastSequence + 1;
-  }
-  
-  return `${depotCode}-${sequence.toString().padStart(4, '0')}`;
-}
-
-/**
- * Generate 6-digit easy-to-remember short code
- */
-static generateShortCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let result = '';
-  for (let i = 0; i < 6; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
 /**
  * Record milk deposit only (physical milk acceptance) - STEP 1
  */
 static async recordMilkDeposit(req, res) {
   try {
-    const { farmerPhone, liters, lactometerReading } = req.body;
+    const { farmerPhone, liters } = req.body;
     const attendantId = req.user.id;
     const depotId = req.params.depotId;
 
@@ -390,17 +480,9 @@ static async recordMilkDeposit(req, res) {
       });
     }
 
-    // Check if farmer account is active
-    if (farmer.status !== 'active') {
-      return res.status(400).json({
-        success: false,
-        message: `Farmer account is ${farmer.status} - cannot accept deposits`
-      });
-    }
-
     const depot = await Depot.findById(depotId);
 
-    // Verify depot exists and is active
+    // Verify depot exists
     if (!depot) {
       return res.status(404).json({
         success: false,
@@ -408,52 +490,32 @@ static async recordMilkDeposit(req, res) {
       });
     }
 
-    if (depot.status !== 'active') {
-      return res.status(400).json({
-        success: false,
-        message: `Depot is ${depot.status} - cannot accept deposits`
-      });
-    }
-
-    // ✅ REMOVED: All token calculations - just record milk quality
-    const quality = lactometerReading >= 28 ? 'premium' : 'standard';
-
-    // Check depot capacity
-    if (!depot.canAcceptDeposit(liters)) {
-      return res.status(400).json({
-        success: false,
-        message: `Depot cannot accept ${liters}L. Current: ${depot.stock.rawMilk}L/${depot.stock.capacity}L`
-      });
-    }
-
-    // ✅ GENERATE farmer-friendly codes
-    // FIXED: Call using the class name
-    const depositCode = await DepotController.generateDepositCode(depot.code);
-    const shortCode = DepotController.generateShortCode();
-
-    // Create PENDING milk deposit transaction (NO token amounts)
-    const transaction = await Transaction.create({
-      type: 'milk_deposit',
-      fromUser: farmer._id,
-      toUser: farmer._id,
-      attendant: attendantId,
-      depot: depot._id,
-      litersRaw: liters,
-      lactometerReading: lactometerReading,
-      qualityGrade: quality,
-      tokensAmount: 0, // ✅ Will be calculated during payment
-      status: 'pending', // Waiting for token payment
-      depositCode: depositCode, // ✅ Added: Depot-specific sequential code
-      shortCode: shortCode,     // ✅ Added: 6-digit easy code
-      notes: `Milk deposit recorded at ${depot.name} - awaiting token payment. Codes: ${depositCode}, ${shortCode}`
+    // ✅ Deposits are booked to the attendant's open shift
+    const shift = await ShiftService.requireOpenShift(attendantId, depotId);
+
+    // ✅ Grade, reject, check capacity and record - shared with offline sync
+    const {
+      transaction,
+      acceptedLiters,
+      quality,
+      readings,
+      rejection,
+      fullyRejected,
+      farmerRecord
+    } = await DepositService.recordDeposit({
+      depot,
+      farmer,
+      attendantId,
+      shift,
+      input: req.body
     });
-
-    // Update depot stock immediately (milk is physically deposited)
-    await depot.addMilkStock(liters, 'raw');
+    const { depositCode, shortCode } = transaction;
 
     res.json({
       success: true,
-      message: `${liters}L milk deposited successfully at ${depot.name}`,
+      message: fullyRejected
+        ? `${liters}L milk rejected at ${depot.name}`
+        : `${acceptedLiters}L milk deposited successfully at ${depot.name}`,
       data: {
         depositRecord: {
           depositCode: depositCode,      // ✅ Added: KMB001-0025
@@ -464,8 +526,16 @@ static async recordMilkDeposit(req, res) {
             name: farmer.name,
             phone: farmer.phone
           },
-          liters,
+          liters: acceptedLiters,
           quality,
+          readings: PricingService.describeReadings(readings),
+          rejection: rejection ? {
+            reasons: rejection.reasons,
+            details: rejection.details,
+            rejectedLiters: rejection.rejectedLiters,
+            acceptedLiters: rejection.acceptedLiters
+          } : null,
+          farmerQuality: farmerRecord ? DepositRejectionService.getFarmerQuality(farmerRecord) : null,
           depot: {
             name: depot.name,
             code: depot.code
@@ -474,15 +544,25 @@ static async recordMilkDeposit(req, res) {
             rawMilk: depot.stock.rawMilk,
             capacity: depot.stock.capacity
           },
-          status: 'pending_payment',
+          status: fullyRejected ? 'rejected' : 'pending_payment',
           depositTime: transaction.createdAt,
-          nextStep: 'Present this code at counter for token payment' // ✅ Updated message
+          nextStep: fullyRejected
+            ? 'Milk not accepted - no payment due'
+            : 'Present this code at counter for token payment' // ✅ Updated message
         }
       }
     });
 
   } catch (error) {
-    res.status(400).json({
+    // Account, depot and capacity refusals answer with the reason as the message
+    if (error.refused) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Milk deposit recording failed',
       error: error.message
@@ -515,9 +595,14 @@ static async getPendingDeposits(req, res) {
     .populate('fromUser', 'name phone')
     .sort({ createdAt: -1 });
 
-    // ✅ Calculate tokens due for each pending deposit
-    const depositsWithTokens = pendingDeposits.map(deposit => {
-      const tokensDue = deposit.litersRaw; // 1 liter = 1 MTZ
+    const [depot, token] = await Promise.all([
+      Depot.findById(depotId),
+      Token.getToken()
+    ]);
+
+    // ✅ Quote tokens due for each pending deposit at current pricing
+    const depositsWithTokens = await Promise.all(pendingDeposits.map(async deposit => {
+      const quote = await PricingService.priceDeposit(depot, deposit.litersRaw, deposit.qualityGrade || 'standard', token);
       return {
         transactionId: deposit._id,
         reference: deposit.reference,
@@ -530,10 +615,12 @@ static async getPendingDeposits(req, res) {
         liters: deposit.litersRaw,
         quality: deposit.qualityGrade,
         lactometerReading: deposit.lactometerReading,
-        tokensDue: tokensDue,
+        readings: PricingService.describeReadings(deposit),
+        tokensDue: quote.tokensAmount,
+        ratePerLiter: quote.ratePerLiter,
         depositTime: deposit.createdAt
       };
-    });
+    }));
 
     res.json({
       success: true,
@@ -571,8 +658,8 @@ static async processTokenPayment(req, res) {
       });
     }
 
-    const Wallet = mongoose.model('Wallet');
-    
+    const shift = await ShiftService.requireOpenShift(attendantId, depotId);
+
     // Find the pending deposit transaction for THIS depot
     const depositTx = await Transaction.findOne({
       _id: transactionId,
@@ -590,33 +677,63 @@ static async processTokenPayment(req, res) {
 
     const farmer = depositTx.fromUser;
     const liters = depositTx.litersRaw;
-    const quality = depositTx.qualityGrade;
+    const quality = depositTx.qualityGrade || 'standard';
 
-    // Calculate tokens due (1 liter = 1 token)
-    const tokensAmount = liters;
+    // ✅ Price the deposit at payment time from depot grade rates
+    const pricing = await PricingService.priceDeposit(depositTx.depot, liters, quality);
+    const tokensAmount = pricing.tokensAmount;
 
-    // Check attendant has enough tokens in their wallet
-    const attendantWallet = await Wallet.getOrCreateWallet(attendantId);
-    if (attendantWallet.getBalance() < tokensAmount) {
+    // ✅ Farmers are paid from the depot float, not the attendant's own wallet
+    const floatWallet = await FloatService.getFloatWallet(depotId);
+    if (floatWallet.getBalance() < tokensAmount) {
+      const topUpRequest = await FloatService.checkFloat(depositTx.depot);
       return res.status(400).json({
         success: false,
-        message: `Insufficient tokens. Available: ${attendantWallet.getBalance()} MTZ, Needed: ${tokensAmount} MTZ`
+        message: `Insufficient depot float. Available: ${floatWallet.getBalance()} MTZ, Needed: ${tokensAmount} MTZ`,
+        data: {
+          topUpRequest: topUpRequest ? FloatService.describe(topUpRequest) : null
+        }
       });
     }
 
-    // ✅ SIMPLE: Transfer tokens from attendant to farmer
-    const transferResult = await Wallet.transferTokens(
-      attendantId,     // FROM attendant (has 10,000 MTZ)
-      farmer._id,      // TO farmer  
-      tokensAmount,
-      `Payment for ${liters}L ${quality} milk at ${depositTx.depot.name}`
-    );
+    const transferResult = await FloatService.payFromFloat({
+      depot: depositTx.depot,
+      toUserId: farmer._id,
+      amount: tokensAmount,
+      description: `Payment for ${liters}L ${quality} milk at ${depositTx.depot.name}`,
+      entryType: 'deposit_payment',
+      attendantId,
+      withinTransaction: async (session) => {
+        // ✅ Complete the deposit only if it is still pending - a second payment attempt gets nothing
+        const completed = await Transaction.findOneAndUpdate(
+          { _id: depositTx._id, status: 'pending' },
+          {
+            $set: {
+              tokensAmount,
+              exchangeRate: pricing.ratePerLiter,
+              pricingBreakdown: pricing,
+              status: 'completed',
+              paidInShift: shift?._id,
+              notes: `Token payment completed - ${tokensAmount} MTZ paid`
+            }
+          },
+          { new: true, session }
+        );
+        if (!completed) {
+          throw new AppError('Deposit was already paid or rejected', 409);
+        }
+
+        // ✅ Withhold input credit repayments, then auto-sweep the rest into savings pockets
+        const repayment = await CreditService.collectRepayments(farmer._id, tokensAmount, depositTx, session);
+        const pocketSweeps = await PocketService.sweepPayment(farmer._id, tokensAmount - (repayment?.total || 0), session);
+        return { repayment, pocketSweeps };
+      }
+    });
+    const { repayment, pocketSweeps } = transferResult.extra;
+    const withheld = repayment?.total || 0;
 
-    // ✅ UPDATE the milk deposit transaction to completed
-    depositTx.tokensAmount = tokensAmount;
-    depositTx.status = 'completed';
-    depositTx.notes = `Token payment completed - ${tokensAmount} MTZ paid`;
-    await depositTx.save();
+    // ✅ Raise a top-up request if this payment took the float below minimum
+    const topUpRequest = await FloatService.checkFloat(depositTx.depot);
 
     res.json({
       success: true,
@@ -631,15 +748,23 @@ static async processTokenPayment(req, res) {
           milkDetails: {
             liters: liters,
             quality: quality,
-            lactometerReading: depositTx.lactometerReading
+            lactometerReading: depositTx.lactometerReading,
+            readings: PricingService.describeReadings(depositTx)
           },
           paymentDetails: {
             tokensPaid: tokensAmount,
-            rate: '1 MTZ per liter',
-            attendantBalance: transferResult.fromBalance,  // New balance: 10,000 - 25 = 9,975
-            farmerBalance: transferResult.toBalance        // New balance: 0 + 25 = 25
+            rate: `${pricing.ratePerLiter} MTZ per liter`,
+            lineItems: pricing.lineItems,
+            floatBalance: transferResult.floatBalance,
+            farmerBalance: Math.round((transferResult.userBalance - withheld) * 100) / 100,
+            creditRepayment: repayment ? {
+              withheld,
+              advances: repayment.collected
+            } : null,
+            pocketSweeps
           },
           depot: depositTx.depot.name,
+          topUpRequest: topUpRequest ? FloatService.describe(topUpRequest) : null,
           status: 'completed',
           paymentTime: new Date()
         }
@@ -647,7 +772,7 @@ static async processTokenPayment(req, res) {
     });
 
   } catch (error) {
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Token payment failed',
       error: error.message
@@ -781,8 +906,11 @@ static async getDepotTransactions(req, res) {
         });
       }
 
-      // Get attendant's wallet balance
-      const attendantWallet = await Wallet.getOrCreateWallet(attendantId);
+      // Get attendant's wallet balance and the depot float (kept separate)
+      const [attendantWallet, floatWallet] = await Promise.all([
+        Wallet.getOrCreateWallet(attendantId),
+        FloatService.getFloatWallet(depotId)
+      ]);
 
       const dashboard = {
         depot: {
@@ -802,6 +930,20 @@ static async getDepotTransactions(req, res) {
           pendingDeposits: pendingDeposits,
           needsPickup: depot.needsKccPickup()
         },
+        float: {
+          balance: floatWallet.getBalance(),
+          minBalance: depot.float.minBalance,
+          targetBalance: depot.float.targetBalance,
+          belowMinimum: floatWallet.getBalance() < depot.float.minBalance
+        },
+        // KCC plant lab outcomes for this depot's pickups
+        quality: {
+          score: depot.getQualityScore(),
+          plantIntakes: depot.quality.plantIntakes,
+          plantRejections: depot.quality.plantRejections,
+          penaltiesCharged: depot.quality.penaltiesCharged,
+          lastResult: depot.quality.lastResult
+        },
         attendant: {
           walletBalance: attendantWallet.getBalance(),
           dailyLimit: attendantWallet.limits.dailySendLimit,
@@ -825,78 +967,6 @@ static async getDepotTransactions(req, res) {
   }
 
 
-  /**
-   * KCC picks up raw milk - replenishes tokens to depot attendant
-   */
-  static async kccPickup(req, res) {
-    try {
-      const { litersRaw } = req.body;
-      const attendantId = req.user.id;
-
-      const depot = await Depot.findById(req.params.depotId);
-      const attendant = await User.findById(attendantId);
-
-      if (!depot) {
-        return res.status(404).json({
-          success: false,
-          message: 'Depot not found'
-        });
-      }
-
-      // Verify exact amount available
-      if (depot.stock.rawMilk < litersRaw) {
-        return res.status(400).json({
-          success: false,
-          message: `Only ${depot.stock.rawMilk}L available, requested ${litersRaw}L`
-        });
-      }
-
-      // Create pickup transaction
-      const transaction = new Transaction({
-        type: 'kcc_pickup',
-        fromUser: attendantId,
-        toUser: attendantId, // Tokens to depot attendant
-        attendant: attendantId,
-        depot: depot._id,
-        litersRaw: litersRaw,
-        tokensAmount: litersRaw, // 1:1 token replenishment
-        status: 'completed'
-      });
-
-      await transaction.save();
-
-      // Remove milk from depot
-      await depot.removeMilkStock(litersRaw, 'raw');
-      
-      // Replenish tokens to attendant
-      await attendant.updateTokenBalance(litersRaw, 'add');
-
-      res.json({
-        success: true,
-        message: `${litersRaw}L collected - ${litersRaw} tokens replenished`,
-        data: {
-          receipt: {
-            transactionId: transaction.reference,
-            litersCollected: litersRaw,
-            tokensReplenished: litersRaw,
-            attendantBalance: attendant.tokenBalance,
-            depotStock: {
-              rawMilk: depot.stock.rawMilk,
-              pasteurizedMilk: depot.stock.pasteurizedMilk
-            }
-          }
-        }
-      });
-
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        message: 'Pickup failed',
-        error: error.message
-      });
-    }
-  }
-
   /**
    * KCC delivers pasteurized milk - depot attendant pays tokens
    */
@@ -931,6 +1001,7 @@ static async getDepotTransactions(req, res) {
         toUser: kccAttendantId, // KCC attendant receives
         attendant: attendantId,
         kccAttendant: kccAttendantId,
+        kcc: kccAttendant.assignedKcc,
         depot: depot._id,
         litersPasteurized: litersPasteurized,
         tokensAmount: litersPasteurized, // 1:1 token payment
@@ -1252,60 +1323,7 @@ static async getPendingKccOperations(req, res) {
  */
 static async getStockAlerts(req, res) {
   try {
-    const depot = req.depot;
-    const alerts = [];
-
-    // Check raw milk capacity
-    const rawMilkPercent = (depot.stock.rawMilk / depot.stock.capacity) * 100;
-    
-    if (rawMilkPercent >= 80) {
-      alerts.push({
-        id: 'capacity_warning',
-        type: 'capacity_warning',
-        severity: rawMilkPercent >= 90 ? 'high' : 'medium',
-        title: 'Raw Milk Nearing Capacity',
-        message: 'Consider scheduling KCC pickup soon',
-        threshold: 80,
-        current: Math.round(rawMilkPercent),
-        metric: 'rawMilk',
-        suggestedAction: 'Schedule KCC pickup',
-        createdAt: new Date()
-      });
-    }
-
-    // Check pasteurized milk stock (if too low)
-    const pasteurizedPercent = (depot.stock.pasteurizedMilk / depot.stock.capacity) * 100;
-    
-    if (pasteurizedPercent <= 10 && depot.stock.pasteurizedMilk > 0) {
-      alerts.push({
-        id: 'low_pasteurized',
-        type: 'low_stock',
-        severity: 'medium',
-        title: 'Low Pasteurized Milk Stock',
-        message: 'Consider requesting KCC delivery',
-        threshold: 10,
-        current: Math.round(pasteurizedPercent),
-        metric: 'pasteurizedMilk',
-        suggestedAction: 'Request KCC delivery',
-        createdAt: new Date()
-      });
-    }
-
-    // Check if KCC pickup is needed based on depot rules
-    if (depot.needsKccPickup()) {
-      alerts.push({
-        id: 'pickup_needed',
-        type: 'pickup_required',
-        severity: 'high',
-        title: 'KCC Pickup Required',
-        message: `Raw milk at ${Math.round(rawMilkPercent)}% capacity`,
-        threshold: depot.pickupRules.triggerValue || 80,
-        current: Math.round(rawMilkPercent),
-        metric: 'rawMilk',
-        suggestedAction: 'Request immediate pickup',
-        createdAt: new Date()
-      });
-    }
+    const alerts = req.depot.getStockAlerts();
 
     res.json({
       success: true,
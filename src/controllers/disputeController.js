@@ -0,0 +1,229 @@
+// src/controllers/disputeController.js
+import DisputeService from '../services/disputeService.js';
+import Dispute, { DISPUTE_CATEGORIES } from '../models/Dispute.js';
+import AuditLog from '../models/AuditLog.js';
+
+const disputeSummary = (dispute) => ({
+  id: dispute._id,
+  reference: dispute.reference,
+  transactionReference: dispute.transactionReference,
+  category: dispute.category,
+  description: dispute.description,
+  status: dispute.status,
+  requiresSecondApproval: dispute.requiresSecondApproval,
+  approvals: dispute.approvals.length,
+  reviewNotes: dispute.reviewNotes,
+  resolvedAt: dispute.resolvedAt,
+  createdAt: dispute.createdAt
+});
+
+class DisputeController {
+  /**
+   * FARMER/ATTENDANT: Open a dispute on a transaction reference
+   */
+  static async openDispute(req, res) {
+    try {
+      const { dispute, transaction } = await DisputeService.openDispute(req.user, req.body);
+
+      await AuditLog.record(req, {
+        action: 'dispute.open',
+        targetType: 'Dispute',
+        targetId: dispute._id,
+        targetUser: req.user._id,
+        reason: dispute.description,
+        details: { transaction: transaction.reference, category: dispute.category }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Dispute ${dispute.reference} opened for ${transaction.reference}`,
+        data: { dispute: disputeSummary(dispute) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to open dispute',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * FARMER/ATTENDANT: Disputes I have opened
+   */
+  static async getMyDisputes(req, res) {
+    try {
+      const disputes = await Dispute.find({ openedBy: req.user._id }).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        message: 'Disputes retrieved',
+        data: {
+          categories: DISPUTE_CATEGORIES,
+          disputes: disputes.map(disputeSummary)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve disputes',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Dispute queue - ?status=open|awaiting_second_approval|approved|rejected
+   */
+  static async listDisputes(req, res) {
+    try {
+      const disputes = await DisputeService.listDisputes({ status: req.query.status });
+
+      res.json({
+        success: true,
+        message: 'Disputes retrieved',
+        data: {
+          count: disputes.length,
+          disputes
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve disputes',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: One dispute with its transaction and reversal
+   */
+  static async getDispute(req, res) {
+    try {
+      const dispute = await Dispute.findById(req.params.disputeId)
+        .populate('openedBy', 'name phone role')
+        .populate('transaction')
+        .populate('reversalTransaction')
+        .populate('approvals.admin', 'name email')
+        .populate('reviewedBy', 'name email');
+
+      if (!dispute) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dispute not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Dispute retrieved',
+        data: { dispute }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve dispute',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Approve a dispute - reverses the transaction, or records the
+   * first of two approvals when it is past the 24h window
+   */
+  static async approveDispute(req, res) {
+    try {
+      const { notes } = req.body;
+      const { dispute, transaction, reversal } = await DisputeService.approveDispute(
+        req.params.disputeId,
+        req.user._id,
+        notes
+      );
+
+      await AuditLog.record(req, {
+        action: reversal ? 'dispute.approve' : 'dispute.first_approval',
+        targetType: 'Dispute',
+        targetId: dispute._id,
+        targetUser: dispute.openedBy,
+        reason: notes,
+        details: { transaction: transaction.reference, approvals: dispute.approvals.length }
+      });
+
+      if (!reversal) {
+        return res.json({
+          success: true,
+          message: `First approval recorded. ${transaction.reference} is older than 24h - a second admin must approve the reversal.`,
+          data: { dispute: disputeSummary(dispute) }
+        });
+      }
+
+      await AuditLog.record(req, {
+        action: 'transaction.reverse',
+        targetType: 'Transaction',
+        targetId: transaction._id,
+        targetUser: transaction.fromUser,
+        reason: `Dispute ${dispute.reference}`,
+        details: {
+          type: transaction.type,
+          tokensAmount: transaction.tokensAmount,
+          reversal: reversal.reference
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `${transaction.reference} reversed by ${reversal.reference}`,
+        data: {
+          dispute: disputeSummary(dispute),
+          reversal: {
+            id: reversal._id,
+            reference: reversal.reference,
+            tokensAmount: reversal.tokensAmount,
+            relatedTransaction: transaction.reference
+          }
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to approve dispute',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Reject a dispute
+   */
+  static async rejectDispute(req, res) {
+    try {
+      const { notes } = req.body;
+      const dispute = await DisputeService.rejectDispute(req.params.disputeId, req.user._id, notes);
+
+      await AuditLog.record(req, {
+        action: 'dispute.reject',
+        targetType: 'Dispute',
+        targetId: dispute._id,
+        targetUser: dispute.openedBy,
+        reason: notes,
+        details: { transaction: dispute.transactionReference }
+      });
+
+      res.json({
+        success: true,
+        message: `Dispute ${dispute.reference} rejected`,
+        data: { dispute: disputeSummary(dispute) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to reject dispute',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default DisputeController;
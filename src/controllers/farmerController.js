@@ -3,6 +3,8 @@ import Transaction from '../models/Transaction.js';
 import Wallet from '../models/Wallet.js';
 import User from '../models/User.js'; 
 import Depot from '../models/Depot.js'; 
+import WithdrawalService from '../services/withdrawalService.js';
+import StatementService from '../services/statementService.js';
 
 class FarmerController {
   
@@ -52,7 +54,7 @@ class FarmerController {
         liters: deposit.litersRaw,
         quality: deposit.qualityGrade,
         lactometerReading: deposit.lactometerReading,
-        qualityDescription: deposit.lactometerReading >= 28 ? 'Premium Quality' : 'Standard Quality',
+        qualityDescription: FarmerController.getQualityDescription(deposit.qualityGrade),
         
         // Token Information - SIMPLE 1:1 CALCULATION
         tokensExpected: deposit.litersRaw, // 1 liter = 1 token
@@ -206,96 +208,16 @@ static async checkDepot(req, res) {
  */
 static async withdrawMilk(req, res) {
   try {
-    const { depotCode, liters, pin } = req.body; // ✅ depotCode instead of depotId
+    const { depotCode, liters, pin } = req.body;
     const farmerId = req.user.id;
 
-    // Step 1: Verify farmer and PIN
-    const farmer = await User.findById(farmerId).select('+pin');
-    if (!farmer || farmer.role !== 'farmer') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only farmers can withdraw milk'
-      });
-    }
-
-    const isPinValid = await farmer.comparePin(pin);
-    if (!isPinValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid PIN'
-      });
-    }
-
-    // Step 2: Find depot by CODE (not ID)
-    const depot = await Depot.findOne({ code: depotCode.toUpperCase() });
-    if (!depot) {
-      return res.status(404).json({
-        success: false,
-        message: 'Depot not found. Please check the depot code.'
-      });
-    }
-
-    // ✅ DEPOT VERIFICATION - Show depot details for confirmation
-    const depotVerification = {
-      name: depot.name,
-      code: depot.code,
-      location: `${depot.location.village}, ${depot.location.subcounty}`,
-      availableMilk: depot.stock.pasteurizedMilk + 'L',
-      status: depot.status
-    };
-
-    // Step 3: Get depot attendant
-    const depotAttendant = await User.findOne({ 
-      assignedDepot: depot._id, 
-      role: 'attendant', 
-      status: 'active' 
-    });
-
-    if (!depotAttendant) {
-      return res.status(400).json({
-        success: false,
-        message: 'This depot is currently unavailable'
-      });
-    }
-
-    // Step 4: Validations
-    if (depot.stock.pasteurizedMilk < liters) {
-      return res.status(400).json({
-        success: false,
-        message: `Not enough milk available at ${depot.name}. Only ${depot.stock.pasteurizedMilk}L left.`
-      });
-    }
-
-    const farmerWallet = await Wallet.getOrCreateWallet(farmerId);
-    const farmerBalance = farmerWallet.getBalance();
-    
-    if (farmerBalance < liters) {
-      return res.status(400).json({
-        success: false,
-        message: `Not enough tokens. You have ${farmerBalance} MTZ, need ${liters} MTZ.`
-      });
-    }
-
-    // Step 5: Process withdrawal
-    const paymentResult = await Wallet.transferTokens(
+    const { transaction, depot, attendant, newBalance } = await WithdrawalService.withdrawMilk({
       farmerId,
-      depotAttendant._id,
+      depotCode,
       liters,
-      `Milk withdrawal: ${liters}L from ${depot.name} (${depot.code})`
-    );
-
-    await depot.removeMilkStock(liters, 'pasteurized');
-
-    const withdrawalTx = await Transaction.create({
-      type: 'milk_withdrawal',
-      fromUser: farmerId,
-      toUser: depotAttendant._id,
-      attendant: depotAttendant._id,
-      depot: depot._id,
-      litersPasteurized: liters,
-      tokensAmount: liters,
-      status: 'completed',
-      notes: `Farmer withdrawal: ${liters}L from ${depot.code}`
+      pin,
+      channel: 'app',
+      ip: req.ip
     });
 
     res.json({
@@ -308,23 +230,30 @@ static async withdrawMilk(req, res) {
           transactionVerified: true
         },
         receipt: {
-          transactionId: withdrawalTx.reference,
-          depot: depotVerification,
+          transactionId: transaction.reference,
+          depot: WithdrawalService.getDepotVerification(depot),
           milk: {
-            liters: liters,
+            liters: transaction.litersPasteurized,
             type: 'Pasteurized Milk'
           },
           payment: {
-            tokensUsed: liters,
-            yourNewBalance: paymentResult.fromBalance
+            tokensUsed: transaction.tokensAmount,
+            yourNewBalance: newBalance
           },
           collectedAt: new Date().toLocaleString(),
-          attendant: depotAttendant.name
+          attendant: attendant.name
         }
       }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Withdrawal error:', error);
     res.status(500).json({
       success: false,
@@ -335,6 +264,53 @@ static async withdrawMilk(req, res) {
 }
 
 
+  /**
+   * Monthly statement as JSON, CSV or PDF (?format=json|csv|pdf).
+   * Farmers get their own; admins pass :farmerId.
+   */
+  static async getMonthlyStatement(req, res) {
+    try {
+      const farmerId = req.params.farmerId || req.user.id;
+      const { year, month } = req.params;
+      const format = (req.query.format || 'pdf').toLowerCase();
+
+      if (!['json', 'csv', 'pdf'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Format must be json, csv or pdf'
+        });
+      }
+
+      const statement = await StatementService.buildMonthlyStatement(farmerId, year, month);
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${StatementService.getFileName(statement, 'csv')}"`);
+        return res.send(StatementService.toCsv(statement));
+      }
+
+      if (format === 'pdf') {
+        const pdf = await StatementService.toPdf(statement);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${StatementService.getFileName(statement, 'pdf')}"`);
+        return res.send(pdf);
+      }
+
+      res.json({
+        success: true,
+        message: `Statement for ${statement.period.label}`,
+        data: { statement }
+      });
+
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to generate statement',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get farmer's deposit summary for dashboard
    */
@@ -614,7 +590,7 @@ static async getDashboard(req, res) {
           liters: deposit.litersRaw,
           quality: deposit.qualityGrade,
           lactometerReading: deposit.lactometerReading,
-          qualityDescription: deposit.lactometerReading >= 28 ? 'Premium Quality' : 'Standard Quality',
+          qualityDescription: FarmerController.getQualityDescription(deposit.qualityGrade),
           lactometerDescription: FarmerController.getLactometerDescription(deposit.lactometerReading) // FIXED
         },
         
@@ -720,6 +696,18 @@ static async debugTransactions(req, res) {
     return descriptions[status] || status;
   }
  
+  /**
+   * Helper function to describe the graded quality
+   */
+  static getQualityDescription(grade) {
+    const descriptions = {
+      premium: 'Premium Quality',
+      standard: 'Standard Quality',
+      low: 'Low Quality'
+    };
+    return descriptions[grade] || 'Standard Quality';
+  }
+
   /**
    * Helper function to get lactometer descriptions
    */
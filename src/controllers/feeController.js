@@ -14,7 +14,8 @@ class FeeController {
         data: {
           p2pTransfer: token.feeStructure.p2pTransfer,
           cashRedemption: token.redemptionRules,
-          withdrawalService: token.feeStructure.withdrawalService
+          withdrawalService: token.feeStructure.withdrawalService,
+          pocketEarlyWithdrawal: token.feeStructure.pocketEarlyWithdrawal
         }
       });
     } catch (error) {
@@ -96,6 +97,39 @@ class FeeController {
     }
   }
 
+  /**
+   * Update the locked pocket early-withdrawal penalty (Admin only)
+   */
+  static async updatePocketFees(req, res) {
+    try {
+      const { rate } = req.body;
+      if (rate === undefined || Number(rate) < 0 || Number(rate) > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Penalty rate must be between 0 and 1'
+        });
+      }
+
+      const token = await Token.getToken();
+      token.feeStructure.pocketEarlyWithdrawal.rate = Number(rate);
+      await token.save();
+
+      res.json({
+        success: true,
+        message: 'Pocket early-withdrawal penalty updated successfully',
+        data: {
+          pocketEarlyWithdrawal: token.feeStructure.pocketEarlyWithdrawal
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to update pocket penalty',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get fee statistics (Admin only)
    */
@@ -0,0 +1,282 @@
+// src/controllers/floatController.js
+import Depot from '../models/Depot.js';
+import AuditLog from '../models/AuditLog.js';
+import FloatService from '../services/floatService.js';
+import AppError from '../utils/appError.js';
+
+class FloatController {
+  /**
+   * Attendants use their assigned depot; admins and KCC admins (own county) any depot
+   */
+  static async loadDepot(req) {
+    const depot = req.depot || await Depot.findById(req.params.depotId);
+    if (!depot) {
+      throw new AppError('Depot not found', 404);
+    }
+    await FloatService.assertReviewerScope(req.user, depot);
+    return depot;
+  }
+
+  /**
+   * Float balance, thresholds, next-morning forecast and suggested top-up
+   */
+  static async getFloatStatus(req, res) {
+    try {
+      const depot = await FloatController.loadDepot(req);
+      const status = await FloatService.getStatus(depot);
+
+      res.json({
+        success: true,
+        message: status.belowMinimum
+          ? `${depot.name} float is below its ${status.minBalance} MTZ minimum`
+          : `${depot.name} float retrieved`,
+        data: { float: status }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to retrieve float',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ATTENDANT: Ask for a top-up - { amount, reason }. No amount uses the forecast suggestion.
+   */
+  static async requestTopUp(req, res) {
+    try {
+      const request = await FloatService.requestTopUp({
+        depot: req.depot,
+        user: req.user,
+        amount: req.body.amount,
+        reason: req.body.reason
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Top-up request ${request.reference} for ${request.amount} MTZ submitted for approval`,
+        data: { request: FloatService.describe(request) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: 'Top-up request failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ATTENDANT: Withdraw a pending top-up request for the depot
+   */
+  static async cancelTopUp(req, res) {
+    try {
+      const request = await FloatService.cancelRequest(req.params.requestId, req.depot);
+
+      res.json({
+        success: true,
+        message: `Top-up request ${request.reference} cancelled`,
+        data: { request: FloatService.describe(request) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to cancel top-up request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ATTENDANT: Move personal tokens into the depot float - { amount, pin }
+   */
+  static async contribute(req, res) {
+    try {
+      const result = await FloatService.contribute({
+        depot: req.depot,
+        userId: req.user._id,
+        amount: req.body.amount,
+        pin: req.body.pin,
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: `${req.body.amount} MTZ moved into ${req.depot.name} float`,
+        data: {
+          floatBalance: result.floatBalance,
+          personalBalance: result.userBalance
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: 'Float contribution failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Float movements by type - ?from=&to= (defaults to the last 7 days)
+   */
+  static async getFloatReport(req, res) {
+    try {
+      const depot = await FloatController.loadDepot(req);
+      const report = await FloatService.getFloatReport(depot, req.query);
+
+      res.json({
+        success: true,
+        message: `${depot.name} float report`,
+        data: report
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to build float report',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Float thresholds - { minBalance, targetBalance, autoRequest }
+   */
+  static async updateFloatSettings(req, res) {
+    try {
+      const depot = await Depot.findById(req.params.depotId);
+      if (!depot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Depot not found'
+        });
+      }
+
+      const previous = { ...depot.float.toObject() };
+      const { minBalance, targetBalance, autoRequest } = req.body;
+      if (minBalance !== undefined) depot.float.minBalance = Number(minBalance);
+      if (targetBalance !== undefined) depot.float.targetBalance = Number(targetBalance);
+      if (autoRequest !== undefined) depot.float.autoRequest = autoRequest === true || autoRequest === 'true';
+
+      if (depot.float.targetBalance < depot.float.minBalance) {
+        return res.status(400).json({
+          success: false,
+          message: 'Target balance must be at least the minimum balance'
+        });
+      }
+
+      await depot.save();
+
+      await AuditLog.record(req, {
+        action: 'depot.float_settings',
+        targetType: 'Depot',
+        targetId: depot._id,
+        details: { previous, current: depot.float.toObject() }
+      });
+
+      res.json({
+        success: true,
+        message: `${depot.name} float settings updated`,
+        data: { float: depot.float }
+      });
+    } catch (error) {
+      res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({
+        success: false,
+        message: 'Failed to update float settings',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN/KCC ADMIN: Top-up requests - ?status=pending|approved|rejected|cancelled|all&depot=
+   */
+  static async listTopUps(req, res) {
+    try {
+      const result = await FloatService.listRequests(req.user, req.query);
+
+      res.json({
+        success: true,
+        message: 'Top-up requests retrieved',
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve top-up requests',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN/KCC ADMIN: Fund a request - { amount, notes }. Admins fund from the
+   * treasury wallet, KCC admins from their own wallet.
+   */
+  static async approveTopUp(req, res) {
+    try {
+      const { request, depot, transaction } = await FloatService.approveRequest(req.params.requestId, req.user, req.body);
+
+      await AuditLog.record(req, {
+        action: 'float.approve',
+        targetType: 'FloatRequest',
+        targetId: request._id,
+        reason: req.body.notes,
+        details: {
+          reference: request.reference,
+          depot: depot.code,
+          requested: request.amount,
+          approved: request.approvedAmount,
+          transaction: transaction.reference
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `${request.approvedAmount} MTZ added to ${depot.name} float`,
+        data: {
+          request: FloatService.describe(request),
+          transactionId: transaction.reference
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Top-up approval failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN/KCC ADMIN: Reject a request - { notes }
+   */
+  static async rejectTopUp(req, res) {
+    try {
+      const { request, depot } = await FloatService.rejectRequest(req.params.requestId, req.user, req.body.notes);
+
+      await AuditLog.record(req, {
+        action: 'float.reject',
+        targetType: 'FloatRequest',
+        targetId: request._id,
+        reason: req.body.notes,
+        details: { reference: request.reference, depot: depot.code, amount: request.amount }
+      });
+
+      res.json({
+        success: true,
+        message: `Top-up request ${request.reference} rejected`,
+        data: { request: FloatService.describe(request) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Top-up rejection failed',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default FloatController;
@@ -0,0 +1,72 @@
+// src/controllers/jobController.js
+import JobScheduler from '../services/jobScheduler.js';
+
+class JobController {
+  /**
+   * ADMIN: List scheduled jobs with their next and last runs
+   */
+  static async listJobs(req, res) {
+    try {
+      const jobs = await JobScheduler.listJobs();
+
+      res.json({
+        success: true,
+        message: 'Scheduled jobs retrieved',
+        data: { count: jobs.length, jobs }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve jobs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Recent runs of a job
+   */
+  static async getJobRuns(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const runs = await JobScheduler.getRuns(req.params.name, limit);
+
+      res.json({
+        success: true,
+        message: `Recent runs of ${req.params.name}`,
+        data: { count: runs.length, runs }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to retrieve job runs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Trigger a job now
+   */
+  static async runJob(req, res) {
+    try {
+      const run = await JobScheduler.runNow(req.params.name, req.user.id);
+
+      res.status(run.status === 'succeeded' ? 200 : 500).json({
+        success: run.status === 'succeeded',
+        message: run.status === 'succeeded'
+          ? `Job ${run.name} completed in ${run.durationMs}ms`
+          : `Job ${run.name} failed: ${run.error}`,
+        data: { run }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to run job',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default JobController;
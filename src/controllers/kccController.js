@@ -6,6 +6,11 @@ import Wallet from '../models/Wallet.js';
 import Transaction from '../models/Transaction.js';
 import Depot from '../models/Depot.js';
 import DeliveryRequest from '../models/DeliveryRequest.js'; 
+import Shift from '../models/Shift.js';
+import ShiftService from '../services/shiftService.js';
+import FloatService from '../services/floatService.js';
+import TraceabilityService from '../services/traceabilityService.js';
+import AppError from '../utils/appError.js';
 
 class KccController {
   
@@ -153,7 +158,8 @@ class KccController {
         kccAdminId,
         attendantId,
         tokenAmount,
-        `KCC float allocation to ${attendant.name}`
+        `KCC float allocation to ${attendant.name}`,
+        'float_transfer'
       );
       
       res.json({
@@ -238,10 +244,10 @@ static async recordKccPickup(req, res) {
       });
     }
 
-    // Find depot and its attendant
-    const [depot, depotAttendant] = await Promise.all([
+    // Find depot and the attendant on shift
+    const [depot, { attendant: depotAttendant, shift }] = await Promise.all([
       Depot.findById(depotId),
-      User.findOne({ assignedDepot: depotId, role: 'attendant', status: 'active' })
+      ShiftService.findOnShiftAttendant(depotId)
     ]);
 
     if (!depot) {
@@ -254,7 +260,7 @@ static async recordKccPickup(req, res) {
     if (!depotAttendant) {
       return res.status(400).json({
         success: false,
-        message: 'No active attendant assigned to this depot'
+        message: 'No attendant on shift at this depot'
       });
     }
 
@@ -295,31 +301,55 @@ static async recordKccPickup(req, res) {
       canAfford: true
     };
 
-    // Use the new removeMilkStock method
-    const stockResult = await depot.removeMilkStock(litersRaw, 'raw');
-    if (!stockResult.success) {
-      return res.status(400).json({
-        success: false,
-        message: stockResult.error
-      });
-    }
+    // Stock, lots and the pickup record move together - a failure leaves the tank as it was
+    const session = await mongoose.startSession();
+    let pickupTx;
+    let lots;
+    let untracedLiters;
+    let updatedDepot;
+    try {
+      session.startTransaction();
 
-    // Create PENDING KCC pickup transaction
-    const pickupTx = await Transaction.create({
-      type: 'kcc_pickup',
-      fromUser: depotAttendant._id,
-      toUser: kccAttendantId,
-      attendant: kccAttendantId,
-      kccAttendant: kccAttendantId,
-      depot: depotId,
-      litersRaw: litersRaw,
-      tokensAmount: 0, // Will be set during payment
-      status: 'pending', // Waiting for payment
-      notes: `KCC pickup recorded - ${litersRaw}L raw milk collected from ${depot.name}`
-    });
+      updatedDepot = await Depot.findById(depotId).session(session);
+      const stockResult = await updatedDepot.removeMilkStock(litersRaw, 'raw', session);
+      if (!stockResult.success) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: stockResult.error
+        });
+      }
 
-    // Get updated depot data after stock removal
-    const updatedDepot = await Depot.findById(depotId);
+      // Which deposits left the tank with this pickup, oldest first
+      ({ lots, untracedLiters } = await TraceabilityService.allocateLots(depotId, litersRaw, session));
+
+      // Create PENDING KCC pickup transaction
+      [pickupTx] = await Transaction.create([{
+        type: 'kcc_pickup',
+        fromUser: depotAttendant._id,
+        toUser: kccAttendantId,
+        attendant: kccAttendantId,
+        kccAttendant: kccAttendantId,
+        kcc: kccAttendant.assignedKcc._id,
+        depot: depotId,
+        shift: shift?._id,
+        litersRaw: litersRaw,
+        sourceLots: lots,
+        untracedLiters,
+        tokensAmount: 0, // Will be set during payment
+        status: 'pending', // Waiting for payment
+        notes: `KCC pickup recorded - ${litersRaw}L raw milk collected from ${depot.name}`
+      }], { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     res.json({
       success: true,
@@ -336,6 +366,8 @@ static async recordKccPickup(req, res) {
           liters: litersRaw,
           cost: pickupCost, // ✅ NEW: Show cost
           depotRemainingStock: updatedDepot.stock.rawMilk,
+          farmerDeposits: lots.length,
+          untracedLiters,
           status: 'pending_payment',
           nextStep: 'Process payment to complete transaction'
         }
@@ -396,19 +428,26 @@ static async processKccPayment(req, res) {
       });
     }
 
-    // Transfer payment
-    const paymentResult = await Wallet.transferTokens(
-      kccAttendantId,
-      depotAttendantId,
-      liters,
-      `Payment for ${liters}L raw milk pickup`
-    );
-
-    // Update transaction
-    pickupTx.tokensAmount = liters;
-    pickupTx.status = 'completed';
-    pickupTx.notes = `Payment completed - ${liters} MTZ paid`;
-    await pickupTx.save();
+    // Transfer payment into the depot float
+    const paymentResult = await FloatService.payIntoFloat({
+      depot: pickupTx.depot,
+      fromUserId: kccAttendantId,
+      amount: liters,
+      description: `Payment for ${liters}L raw milk pickup`,
+      entryType: 'kcc_pickup_payment',
+      attendantId: depotAttendantId,
+      // Complete the pickup with the payment - a second attempt finds it paid and moves nothing
+      withinTransaction: async (session) => {
+        const completed = await Transaction.findOneAndUpdate(
+          { _id: pickupTx._id, status: 'pending' },
+          { $set: { tokensAmount: liters, status: 'completed', notes: `Payment completed - ${liters} MTZ paid` } },
+          { new: true, session }
+        );
+        if (!completed) {
+          throw new AppError('Pickup was already paid', 409);
+        }
+      }
+    });
 
     res.json({
       success: true,
@@ -418,21 +457,21 @@ static async processKccPayment(req, res) {
           transactionId: pickupTx.reference,
           liters: liters,
           cost: liters, // ✅ NEW: Show cost clearly
-          kccAttendantBalance: paymentResult.fromBalance,
-          depotAttendantBalance: paymentResult.toBalance,
+          kccAttendantBalance: paymentResult.userBalance,
+          depotFloatBalance: paymentResult.floatBalance,
           status: 'completed'
         },
         // ✅ NEW: Show updated wallet status
         walletStatus: {
           previousBalance: currentBalance,
-          newBalance: paymentResult.fromBalance,
+          newBalance: paymentResult.userBalance,
           amountSpent: liters
         }
       }
     });
   } catch (error) {
     console.error('KCC payment error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       message: 'Payment failed',
       error: error.message
@@ -554,8 +593,8 @@ static async requestKccDelivery(req, res) {
       });
     }
 
-    // Check depot wallet balance
-    const depotWallet = await Wallet.getOrCreateWallet(depotAttendantId);
+    // Check depot float balance
+    const depotWallet = await FloatService.getFloatWallet(depot._id);
     const depotBalance = depotWallet.getBalance();
     
     if (depotBalance < litersPasteurized) {
@@ -669,7 +708,7 @@ static async confirmKccDelivery(req, res) {
       });
     }
 
-    const depotWallet = await Wallet.getOrCreateWallet(deliveryRequest.depotAttendant._id);
+    const depotWallet = await FloatService.getFloatWallet(deliveryRequest.depot._id);
     if (depotWallet.getBalance() < liters) {
       return res.status(400).json({
         success: false,
@@ -677,37 +716,50 @@ static async confirmKccDelivery(req, res) {
       });
     }
 
-    // PROCESS PAYMENT (depot → KCC)
-    const paymentResult = await Wallet.transferTokens(
-      deliveryRequest.depotAttendant._id,
-      kccAttendantId,
-      liters,
-      `Payment for ${liters}L pasteurized milk delivery (QR: ${qrCode})`
-    );
+    // PROCESS PAYMENT (depot float → KCC)
+    const paymentResult = await FloatService.payFromFloat({
+      depot: deliveryRequest.depot,
+      toUserId: kccAttendantId,
+      amount: liters,
+      description: `Payment for ${liters}L pasteurized milk delivery (QR: ${qrCode})`,
+      entryType: 'kcc_delivery_payment',
+      attendantId: deliveryRequest.depotAttendant._id,
+      // Claim the request, stock the depot and record the delivery with the payment
+      withinTransaction: async (session) => {
+        const claimed = await DeliveryRequest.findOneAndUpdate(
+          { _id: deliveryRequest._id, status: 'pending' },
+          { $set: { status: 'completed', completedBy: kccAttendantId, completedAt: new Date() } },
+          { new: true, session }
+        );
+        if (!claimed) {
+          throw new AppError('Delivery was already confirmed', 409);
+        }
 
-    // UPDATE DEPOT STOCK
-    await deliveryRequest.depot.addMilkStock(liters, 'pasteurized');
+        await deliveryRequest.depot.addMilkStock(liters, 'pasteurized', session);
 
-    // CREATE TRANSACTION
-    const deliveryTx = await Transaction.create({
-      type: 'kcc_delivery',
-      fromUser: kccAttendantId,
-      toUser: deliveryRequest.depotAttendant._id,
-      attendant: deliveryRequest.depotAttendant._id,
-      kccAttendant: kccAttendantId,
-      depot: deliveryRequest.depot._id,
-      litersPasteurized: liters,
-      tokensAmount: liters,
-      status: 'completed',
-      notes: `QR-verified delivery: ${qrCode} from ${kccAttendant.assignedKcc.name}`
-    });
+        // Booked to the requesting attendant's shift, if open
+        const depotShift = await Shift.findOpen(deliveryRequest.depotAttendant._id).session(session);
+        const [transaction] = await Transaction.create([{
+          type: 'kcc_delivery',
+          fromUser: kccAttendantId,
+          toUser: deliveryRequest.depotAttendant._id,
+          attendant: deliveryRequest.depotAttendant._id,
+          kccAttendant: kccAttendantId,
+          kcc: kccAttendant.assignedKcc._id,
+          depot: deliveryRequest.depot._id,
+          shift: depotShift?._id,
+          litersPasteurized: liters,
+          tokensAmount: liters,
+          status: 'completed',
+          notes: `QR-verified delivery: ${qrCode} from ${kccAttendant.assignedKcc.name}`
+        }], { session });
 
-    // UPDATE DELIVERY REQUEST
-    deliveryRequest.status = 'completed';
-    deliveryRequest.completedBy = kccAttendantId;
-    deliveryRequest.completedAt = new Date();
-    deliveryRequest.transaction = deliveryTx._id;
-    await deliveryRequest.save();
+        claimed.transaction = transaction._id;
+        await claimed.save({ session });
+        return transaction;
+      }
+    });
+    const deliveryTx = paymentResult.extra;
 
     res.json({
       success: true,
@@ -722,7 +774,7 @@ static async confirmKccDelivery(req, res) {
           payment: {
             amount: liters,
             
-            kccNewBalance: paymentResult.toBalance
+            kccNewBalance: paymentResult.userBalance
           },
           stock: {
             previous: deliveryRequest.depot.stock.pasteurizedMilk - liters,
@@ -734,7 +786,7 @@ static async confirmKccDelivery(req, res) {
 
   } catch (error) {
     console.error('Delivery confirmation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Delivery confirmation failed',
       error: error.message
@@ -955,8 +1007,9 @@ static async acceptPickupSignal(req, res) {
     depot.pickupSignal.acceptedBy = kccAttendantIdObj;
     await depot.save();
     
-    // Get depot attendant info
-    const depotAttendant = await User.findById(depot.assignedAttendant).select('name phone');
+    // Whoever is on shift at the depot hands the milk over
+    const { attendant: onShift } = await ShiftService.findOnShiftAttendant(depot._id);
+    const depotAttendant = onShift ? { name: onShift.name, phone: onShift.phone } : null;
     
     res.json({
       success: true,
@@ -1015,8 +1068,9 @@ static async getAcceptedPickup(req, res) {
       });
     }
     
-    // Get depot attendant info
-    const depotAttendant = await User.findById(depot.assignedAttendant).select('name phone');
+    // Whoever is on shift at the depot hands the milk over
+    const { attendant: onShift } = await ShiftService.findOnShiftAttendant(depot._id);
+    const depotAttendant = onShift ? { name: onShift.name, phone: onShift.phone } : null;
     
     res.json({
       success: true,
@@ -0,0 +1,190 @@
+// src/controllers/ledgerController.js
+import mongoose from 'mongoose';
+import Wallet from '../models/Wallet.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+class LedgerController {
+  /**
+   * ADMIN: Report wallets whose stored balance drifts from their postings
+   */
+  static async getReconciliationReport(req, res) {
+    try {
+      const drifts = await LedgerEntry.findBalanceDrift();
+
+      await Wallet.populate(drifts, { path: 'user', select: 'name phone role' });
+
+      const totalDrift = drifts.reduce((sum, wallet) => sum + wallet.drift, 0);
+
+      res.json({
+        success: true,
+        message: drifts.length > 0
+          ? `${drifts.length} wallet(s) out of balance with the ledger`
+          : 'All wallet balances match their ledger postings',
+        data: {
+          checkedAt: new Date(),
+          driftingWallets: drifts.length,
+          totalDrift,
+          wallets: drifts.map(wallet => ({
+            walletId: wallet._id,
+            user: wallet.user ? {
+              id: wallet.user._id,
+              name: wallet.user.name,
+              phone: wallet.user.phone,
+              role: wallet.user.role
+            } : null,
+            storedBalance: wallet.storedBalance,
+            projectedBalance: wallet.projectedBalance,
+            drift: wallet.drift,
+            postingCount: wallet.postingCount
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reconcile wallet balances',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Get postings for a wallet with its projected balance
+   */
+  static async getWalletLedger(req, res) {
+    try {
+      const { walletId } = req.params;
+      const { page = 1, limit = 50 } = req.query;
+
+      const wallet = await Wallet.findById(walletId).populate('user', 'name phone role');
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      const [entries, total, projection] = await Promise.all([
+        LedgerEntry.find({ wallet: wallet._id })
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(parseInt(limit))
+          .populate('transaction', 'reference type status'),
+        LedgerEntry.countDocuments({ wallet: wallet._id }),
+        LedgerEntry.getWalletProjection(wallet._id)
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Wallet ledger retrieved',
+        data: {
+          wallet: {
+            id: wallet._id,
+            user: wallet.user,
+            storedBalance: wallet.getBalance(),
+            projectedBalance: projection.balance,
+            drift: wallet.getBalance() - projection.balance
+          },
+          entries,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalEntries: total
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get wallet ledger',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Get all postings of one journal and confirm it balances
+   */
+  static async getJournal(req, res) {
+    try {
+      const entries = await LedgerEntry.find({ journalId: req.params.journalId })
+        .populate('user', 'name phone')
+        .populate('transaction', 'reference type status');
+
+      if (entries.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Journal not found'
+        });
+      }
+
+      const totals = entries.reduce((sum, entry) => {
+        sum[entry.direction] += entry.amount;
+        return sum;
+      }, { debit: 0, credit: 0 });
+
+      res.json({
+        success: true,
+        message: 'Journal retrieved',
+        data: {
+          journalId: req.params.journalId,
+          entryType: entries[0].entryType,
+          totals,
+          balanced: Math.round(totals.debit * 1e6) === Math.round(totals.credit * 1e6),
+          entries
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get journal',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Rebuild a wallet's stored balance from its postings
+   */
+  static async rebuildWalletBalance(req, res) {
+    try {
+      const { walletId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(walletId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid wallet ID'
+        });
+      }
+
+      const wallet = await Wallet.findById(walletId);
+      if (!wallet) {
+        return res.status(404).json({
+          success: false,
+          message: 'Wallet not found'
+        });
+      }
+
+      const result = await wallet.rebuildBalance();
+
+      res.json({
+        success: true,
+        message: result.correction === 0
+          ? 'Wallet balance already matches the ledger'
+          : `Wallet balance corrected by ${result.correction} MTZ`,
+        data: {
+          walletId: wallet._id,
+          ...result
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to rebuild wallet balance',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default LedgerController;
@@ -0,0 +1,283 @@
+// src/controllers/merchantController.js
+import Merchant from '../models/Merchant.js';
+import Wallet from '../models/Wallet.js';
+import AuditLog from '../models/AuditLog.js';
+import MerchantService from '../services/merchantService.js';
+
+const merchantSummary = (merchant) => ({
+  id: merchant._id,
+  businessName: merchant.businessName,
+  category: merchant.category,
+  county: merchant.county,
+  tillCode: merchant.tillCode,
+  settlementFeeRate: MerchantService.getFeeRate(merchant),
+  status: merchant.status
+});
+
+class MerchantController {
+  /**
+   * Confirm who a till code belongs to before paying
+   */
+  static async lookupTill(req, res) {
+    try {
+      const merchant = await MerchantService.findTill(req.params.tillCode);
+
+      res.json({
+        success: true,
+        message: 'Merchant found',
+        data: {
+          merchant: {
+            businessName: merchant.businessName,
+            category: merchant.category,
+            county: merchant.county,
+            tillCode: merchant.tillCode
+          }
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Till lookup failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * FARMER: Pay a merchant till - { tillCode, amount, securityPin, description }
+   */
+  static async payTill(req, res) {
+    try {
+      const { request, merchant, fee, fromBalance } = await MerchantService.payTill(req.user._id, req.body, { ip: req.ip });
+
+      res.json({
+        success: true,
+        message: `${request.amount} MTZ paid to ${merchant.businessName}`,
+        data: {
+          receipt: {
+            reference: request.reference,
+            transactionId: request.transaction,
+            merchant: {
+              businessName: merchant.businessName,
+              tillCode: merchant.tillCode
+            },
+            tokensSent: request.amount,
+            fee,
+            totalDeducted: request.amount + fee,
+            fromBalance
+          }
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Till payment failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * MERCHANT: Profile, till and balance
+   */
+  static async getProfile(req, res) {
+    try {
+      const merchant = await MerchantService.getForUser(req.user._id);
+      const wallet = await Wallet.getOrCreateWallet(req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Merchant profile retrieved',
+        data: {
+          merchant: merchantSummary(merchant),
+          balance: wallet.getBalance()
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to retrieve merchant profile',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * MERCHANT: Daily sales - ?days=7
+   */
+  static async getDailySales(req, res) {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+      const merchant = await MerchantService.getForUser(req.user._id);
+      const sales = await MerchantService.getDailySales(merchant, days);
+
+      res.json({
+        success: true,
+        message: 'Sales summary retrieved',
+        data: {
+          merchant: { businessName: merchant.businessName, tillCode: merchant.tillCode },
+          days,
+          ...sales
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to retrieve sales summary',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * MERCHANT: Settle MTZ to KES over M-Pesa - { tokenAmount } (defaults to whole balance)
+   */
+  static async requestSettlement(req, res) {
+    try {
+      const merchant = await MerchantService.getForUser(req.user._id);
+      const { transaction, mpesaRequest, redemption, wallet } =
+        await MerchantService.requestSettlement(merchant, req.body);
+
+      res.status(202).json({
+        success: true,
+        message: `Settlement submitted - ${redemption.netValue} KSH will be sent via M-Pesa`,
+        data: {
+          settlement: {
+            transactionId: transaction.reference,
+            mpesaReference: mpesaRequest.reference,
+            tokensSettled: redemption.tokenAmount,
+            feeRate: MerchantService.getFeeRate(merchant),
+            fee: redemption.fee,
+            grossValue: redemption.grossValue,
+            netValue: redemption.netValue,
+            newBalance: wallet.getBalance(),
+            mpesaStatus: 'pending'
+          }
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Settlement failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * MERCHANT: Settlement history
+   */
+  static async getSettlements(req, res) {
+    try {
+      const merchant = await MerchantService.getForUser(req.user._id);
+      const settlements = await MerchantService.listSettlements(merchant);
+
+      res.json({
+        success: true,
+        message: 'Settlements retrieved',
+        data: {
+          settlements: settlements.map(request => ({
+            mpesaReference: request.reference,
+            status: request.status,
+            amountKES: request.amount,
+            phone: request.phone,
+            mpesaReceipt: request.mpesaReceipt,
+            resultDesc: request.resultDesc,
+            transaction: request.transaction,
+            requestedAt: request.createdAt,
+            completedAt: request.completedAt
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to retrieve settlements',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Merchants - ?county=&status=&category=
+   */
+  static async listMerchants(req, res) {
+    try {
+      const { county, status, category } = req.query;
+      const filter = {};
+      if (county) filter.county = county;
+      if (status) filter.status = status;
+      if (category) filter.category = category;
+
+      const merchants = await Merchant.find(filter)
+        .populate('user', 'name phone email status')
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        message: 'Merchants retrieved',
+        data: {
+          count: merchants.length,
+          merchants: merchants.map(merchant => ({
+            ...merchantSummary(merchant),
+            user: merchant.user
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve merchants',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Set a merchant's settlement fee rate or status - { settlementFeeRate, status, reason }
+   */
+  static async updateMerchant(req, res) {
+    try {
+      const { settlementFeeRate, status, reason } = req.body;
+      const merchant = await Merchant.findById(req.params.merchantId);
+      if (!merchant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Merchant not found'
+        });
+      }
+
+      const previous = { settlementFeeRate: merchant.settlementFeeRate, status: merchant.status };
+      if (settlementFeeRate !== undefined) merchant.settlementFeeRate = settlementFeeRate;
+      if (status) merchant.status = status;
+      await merchant.save();
+
+      await AuditLog.record(req, {
+        action: 'merchant.update',
+        targetType: 'User',
+        targetId: merchant.user,
+        targetUser: merchant.user,
+        reason,
+        details: {
+          previous,
+          settlementFeeRate: merchant.settlementFeeRate,
+          status: merchant.status
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `${merchant.businessName} updated`,
+        data: { merchant: merchantSummary(merchant) }
+      });
+    } catch (error) {
+      res.status(error.name === 'ValidationError' ? 400 : 500).json({
+        success: false,
+        message: 'Failed to update merchant',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default MerchantController;
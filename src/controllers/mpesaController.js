@@ -1,97 +1,498 @@
-import Wallet from '../models/Wallet.js';
-import Transaction from '../models/Transaction.js';
 import Token from '../models/Token.js';
 import User from '../models/User.js';
+import Activation from '../models/Activation.js';
+import MpesaRequest from '../models/MpesaRequest.js';
+import C2BPayment from '../models/C2BPayment.js';
+import RedemptionService from '../services/redemptionService.js';
+import { PaymentGateway, getPaymentGateway } from '../services/paymentGateway.js';
+
+// Daraja only needs an acknowledgement; anything else makes it retry
+const ACCEPTED = { ResultCode: 0, ResultDesc: 'Accepted' };
 
 class MpesaController {
   /**
-   * Cash redemption - Burn tokens and send M-Pesa
+   * Cash redemption - Hold tokens and pay out via M-Pesa B2C
    */
   static async cashRedemption(req, res) {
     try {
       const { tokenAmount } = req.body;
       const userId = req.user.id;
 
-      const [user, wallet, token] = await Promise.all([
-        User.findById(userId),
-        Wallet.getOrCreateWallet(userId),
-        Token.getToken()
-      ]);
-
-      // Check wallet balance
-      if (wallet.getBalance() < tokenAmount) {
+      if (!tokenAmount || tokenAmount <= 0) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient tokens. Available: ${wallet.getBalance()}, Requested: ${tokenAmount}`
+          message: 'A positive token amount is required'
+        });
+      }
+
+      const { transaction, mpesaRequest, redemption, wallet } =
+        await RedemptionService.initiateCashRedemption(userId, tokenAmount);
+
+      const token = await Token.getToken();
+
+      res.status(202).json({
+        success: true,
+        message: `Redemption submitted - ${redemption.netValue} KSH will be sent via M-Pesa`,
+        data: {
+          receipt: {
+            transactionId: transaction.reference,
+            mpesaReference: mpesaRequest.reference,
+            tokensRedeemed: tokenAmount,
+            redemptionValue: redemption.netValue,
+            fee: redemption.fee,
+            feeValue: redemption.fee * token.universalPrice.value,
+            newBalance: wallet.getBalance(),
+            mpesaStatus: 'pending'
+          }
+        }
+      });
+
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: 'Redemption failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Request the onboarding fee via STK Push (no token required)
+   */
+  static async requestOnboardingPayment(req, res) {
+    try {
+      const { phone } = req.body;
+
+      const user = await User.findOne({ phone });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found. Please check your phone number.'
         });
       }
 
-      // Verify minimum redemption
-      if (tokenAmount < token.redemptionRules.minRedemption) {
+      // Suspended users can't pay their way back in
+      if (user.status !== 'pending' || !user.onboardingFee) {
         return res.status(400).json({
           success: false,
-          message: `Minimum redemption is ${token.redemptionRules.minRedemption} MTZ`
+          message: 'No onboarding payment required'
         });
       }
 
-      // Calculate redemption value
-      const redemption = Token.calculateRedemptionValue(tokenAmount);
+      const gateway = getPaymentGateway();
+      const mpesaRequest = await MpesaRequest.create({
+        type: 'stk_push',
+        purpose: 'onboarding_fee',
+        user: user._id,
+        gateway: gateway.name,
+        phone: user.phone,
+        amount: user.onboardingFee
+      });
+
+      try {
+        const stk = await gateway.stkPush({
+          phone: user.phone,
+          amount: user.onboardingFee,
+          reference: mpesaRequest.reference,
+          accountReference: user.phone,
+          description: 'MilkBank activation'
+        });
+
+        mpesaRequest.checkoutRequestId = stk.checkoutRequestId;
+        await mpesaRequest.save();
+      } catch (error) {
+        await MpesaRequest.settle(mpesaRequest.reference, {
+          success: false,
+          resultDesc: `STK Push rejected: ${error.message}`
+        });
+        throw error;
+      }
 
-      // Create redemption transaction
-      const redemptionTx = new Transaction({
-        type: 'cash_redemption',
-        fromUser: userId,
-        toUser: userId,
-        attendant: userId,
-        depot: user.assignedDepot || null,
-        tokensAmount: tokenAmount,
-        cashAmount: redemption.netValue,
-        status: 'pending' // Wait for M-Pesa confirmation
+      res.status(202).json({
+        success: true,
+        message: 'Check your phone and enter your M-Pesa PIN to complete payment',
+        data: {
+          reference: mpesaRequest.reference,
+          amount: mpesaRequest.amount,
+          status: mpesaRequest.status
+        }
       });
 
-      await redemptionTx.save();
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: 'Payment request failed',
+        error: error.message
+      });
+    }
+  }
 
-      // Deduct tokens and burn them
-      await wallet.deductTokens(tokenAmount);
-      await Token.burnTokens(tokenAmount, 'cash_redemption');
+  /**
+   * Poll the status of an M-Pesa request
+   */
+  static async getRequestStatus(req, res) {
+    try {
+      const mpesaRequest = await MpesaRequest.findOne({ reference: req.params.reference })
+        .populate('transaction', 'reference status');
 
-      // TODO: Integrate with M-Pesa API
+      if (!mpesaRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'M-Pesa request not found'
+        });
+      }
 
       res.json({
         success: true,
-        message: `Redemption processed - ${redemption.netValue} KSH sent via M-Pesa`,
+        message: 'M-Pesa request status',
         data: {
-          receipt: {
-            transactionId: redemptionTx.reference,
-            tokensRedeemed: tokenAmount,
-            redemptionValue: redemption.netValue,
-            fee: redemption.fee,
-            feeValue: redemption.fee * token.universalPrice.value,
-            newBalance: wallet.getBalance(),
-            mpesaStatus: 'processing'
+          reference: mpesaRequest.reference,
+          purpose: mpesaRequest.purpose,
+          amount: mpesaRequest.amount,
+          status: mpesaRequest.status,
+          resultDesc: mpesaRequest.resultDesc,
+          mpesaReceipt: mpesaRequest.mpesaReceipt,
+          transaction: mpesaRequest.transaction
+        }
+      });
+
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get M-Pesa request status',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * STK Push callback - activates the account once the fee is paid
+   */
+  static async stkCallback(req, res) {
+    try {
+      const { reference } = req.params;
+      const gateway = getPaymentGateway();
+      const result = gateway.parseStkCallback(req.body);
+
+      const pending = await MpesaRequest.findOne({ reference, status: 'pending' });
+      if (!pending) {
+        // Already settled - acknowledge so the gateway stops retrying
+        return res.json(ACCEPTED);
+      }
+
+      // Activate before settling: if activation fails the request stays pending
+      // and the gateway's retry tries again (activation only takes pending users)
+      const extra = {};
+      if (result.success && pending.purpose === 'onboarding_fee') {
+        const activation = await MpesaController.activateFromPayment(pending.user, {
+          amount: pending.amount,
+          mpesaCode: result.receipt,
+          notes: 'Account activation via STK Push'
+        });
+
+        if (activation) {
+          extra.activation = activation._id;
+        }
+      }
+
+      await MpesaRequest.settle(reference, result, req.body, extra);
+
+      res.json(ACCEPTED);
+
+    } catch (error) {
+      console.error('❌ STK callback failed:', error.message);
+      res.status(500).json({ ResultCode: 1, ResultDesc: error.message });
+    }
+  }
+
+  /**
+   * B2C result callback - completes or refunds a redemption
+   */
+  static async b2cResultCallback(req, res) {
+    try {
+      const gateway = getPaymentGateway();
+      const result = gateway.parseB2cResult(req.body);
+
+      await RedemptionService.handlePayoutResult(req.params.reference, result, req.body);
+
+      res.json(ACCEPTED);
+
+    } catch (error) {
+      console.error('❌ B2C result callback failed:', error.message);
+      res.status(500).json({ ResultCode: 1, ResultDesc: error.message });
+    }
+  }
+
+  /**
+   * B2C queue timeout - the payout was never processed, so refund it
+   */
+  static async b2cTimeoutCallback(req, res) {
+    try {
+      await RedemptionService.handlePayoutResult(req.params.reference, {
+        success: false,
+        resultCode: -1,
+        resultDesc: 'M-Pesa request timed out in queue'
+      }, req.body);
+
+      res.json(ACCEPTED);
+
+    } catch (error) {
+      console.error('❌ B2C timeout callback failed:', error.message);
+      res.status(500).json({ ResultCode: 1, ResultDesc: error.message });
+    }
+  }
+
+  /**
+   * Reject callbacks whose ?sig= doesn't match the reference
+   */
+  static verifyCallbackSignature(req, res, next) {
+    if (!PaymentGateway.verifySignature(req.params.reference, req.query.sig)) {
+      return res.status(403).json({ ResultCode: 1, ResultDesc: 'Invalid callback signature' });
+    }
+    next();
+  }
+
+  /**
+   * C2B validation - reject obviously bad paybill payments before they complete
+   */
+  static async c2bValidation(req, res) {
+    const amount = Number(req.body.TransAmount);
+
+    if (!amount || amount <= 0 || !req.body.BillRefNumber) {
+      return res.json({ ResultCode: 'C2B00012', ResultDesc: 'Rejected' });
+    }
+
+    res.json({ ResultCode: '0', ResultDesc: 'Accepted' });
+  }
+
+  /**
+   * C2B confirmation - store the paybill payment for later matching
+   */
+  static async c2bConfirmation(req, res) {
+    try {
+      if (!req.body.TransID) {
+        return res.status(400).json({ ResultCode: 1, ResultDesc: 'Missing TransID' });
+      }
+
+      const payment = await C2BPayment.recordConfirmation(req.body);
+      console.log(`📥 C2B payment ${payment.transId}: ${payment.amount} KSH from ${payment.msisdn}`);
+
+      res.json(ACCEPTED);
+
+    } catch (error) {
+      console.error('❌ C2B confirmation failed:', error.message);
+      res.status(500).json({ ResultCode: 1, ResultDesc: error.message });
+    }
+  }
+
+  /**
+   * ADMIN: Paybill payments not yet matched to any claim
+   */
+  static async getUnmatchedPayments(req, res) {
+    try {
+      const { status = 'unmatched', page = 1, limit = 50 } = req.query;
+
+      const [payments, total, totals] = await Promise.all([
+        C2BPayment.find({ status })
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(parseInt(limit))
+          .populate('consumedBy', 'name phone')
+          .populate('resolvedBy', 'name'),
+        C2BPayment.countDocuments({ status }),
+        C2BPayment.aggregate([
+          { $match: { status } },
+          { $group: { _id: null, amount: { $sum: '$amount' } } }
+        ])
+      ]);
+
+      res.json({
+        success: true,
+        message: `${total} ${status} payment(s)`,
+        data: {
+          payments: payments.map(payment => ({
+            id: payment._id,
+            transId: payment.transId,
+            amount: payment.amount,
+            msisdn: payment.msisdn,
+            accountNumber: payment.billRefNumber,
+            firstName: payment.firstName,
+            transTime: payment.transTime,
+            status: payment.status,
+            consumedBy: payment.consumedBy,
+            resolvedBy: payment.resolvedBy,
+            resolutionNote: payment.resolutionNote,
+            ageHours: Math.floor((Date.now() - payment.createdAt) / (60 * 60 * 1000))
+          })),
+          totalAmount: totals[0]?.amount || 0,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalPayments: total
           }
         }
       });
 
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get unmatched payments',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Match an unmatched payment to a user and activate them
+   */
+  static async matchC2BPayment(req, res) {
+    try {
+      const { userId, note } = req.body;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const payment = await C2BPayment.findOneAndUpdate(
+        { _id: req.params.paymentId, status: 'unmatched' },
+        {
+          status: 'consumed',
+          consumedBy: user._id,
+          consumedFor: 'onboarding_fee',
+          consumedAt: new Date(),
+          resolvedBy: req.user.id,
+          resolutionNote: note || `Matched manually to ${user.phone}`
+        },
+        { new: true }
+      );
+
+      if (!payment) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment not found or already resolved'
+        });
+      }
+
+      const activation = await MpesaController.activateFromPayment(user._id, {
+        amount: payment.amount,
+        mpesaCode: payment.transId,
+        notes: `Account activation for ${user.name} - paybill payment matched by admin`
+      });
+
+      res.json({
+        success: true,
+        message: activation
+          ? `Payment ${payment.transId} matched and ${user.name} activated`
+          : `Payment ${payment.transId} matched to ${user.name}`,
+        data: { payment, activation }
+      });
+
     } catch (error) {
       res.status(400).json({
         success: false,
-        message: 'Redemption failed',
+        message: 'Failed to match payment',
         error: error.message
       });
     }
   }
 
   /**
-   * M-Pesa callback handler (for future integration)
+   * ADMIN: Dismiss a payment that doesn't belong to any claim (e.g. refunded)
    */
-  static async mpesaCallback(req, res) {
-    // TODO: Implement M-Pesa callback handling
-    res.json({ 
-      success: true, 
-      message: 'M-Pesa callback received - TODO: Implement processing' 
+  static async dismissC2BPayment(req, res) {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required to dismiss a payment'
+        });
+      }
+
+      const payment = await C2BPayment.findOneAndUpdate(
+        { _id: req.params.paymentId, status: 'unmatched' },
+        {
+          status: 'dismissed',
+          resolvedBy: req.user.id,
+          resolutionNote: reason
+        },
+        { new: true }
+      );
+
+      if (!payment) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment not found or already resolved'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Payment ${payment.transId} dismissed`,
+        data: { payment }
+      });
+
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to dismiss payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Register the C2B webhooks with the gateway
+   */
+  static async registerC2BUrls(req, res) {
+    try {
+      const result = await getPaymentGateway().registerC2BUrls();
+
+      res.json({
+        success: true,
+        message: 'C2B URLs registered',
+        data: result
+      });
+
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: 'Failed to register C2B URLs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Activate a pending user from a confirmed onboarding payment
+   */
+  static async activateFromPayment(userId, { amount, mpesaCode, notes }) {
+    // Only a pending account is activated - active and suspended ones are left as they are
+    const user = await User.findOneAndUpdate(
+      { _id: userId, status: 'pending' },
+      { $set: { status: 'active', paymentStatus: 'verified', activatedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) {
+      return null;
+    }
+
+    return Activation.create({
+      user: user._id,
+      role: user.role,
+      amount,
+      paymentMethod: 'mpesa',
+      mpesaCode,
+      phone: user.phone,
+      status: 'verified',
+      notes: notes || `Account activation for ${user.name}`
     });
   }
 }
 
-export default MpesaController;
\ No newline at end of file
+export default MpesaController;
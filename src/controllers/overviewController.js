@@ -0,0 +1,29 @@
+// src/controllers/overviewController.js
+import OverviewService from '../services/overviewService.js';
+
+class OverviewController {
+  /**
+   * ADMIN: System overview - supply, milk flows, outstanding payments,
+   * fee revenue, top wallets, depot alerts and chart series (?days=30)
+   */
+  static async getOverview(req, res) {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+      const overview = await OverviewService.getOverview({ days });
+
+      res.json({
+        success: true,
+        message: 'System overview retrieved',
+        data: overview
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build system overview',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default OverviewController;
@@ -0,0 +1,252 @@
+// src/controllers/paymentRequestController.js
+import PaymentRequestService from '../services/paymentRequestService.js';
+
+const requestSummary = (request) => ({
+  id: request._id,
+  reference: request.reference,
+  kind: request.kind,
+  amount: request.amount,
+  fee: request.fee,
+  description: request.description,
+  status: request.status === 'pending' && request.isExpired() ? 'expired' : request.status,
+  requester: request.requester?.name ? { name: request.requester.name, phone: request.requester.phone } : request.requester,
+  payer: request.payer?.name ? { name: request.payer.name, phone: request.payer.phone } : request.payer,
+  transaction: request.transaction,
+  expiresAt: request.expiresAt,
+  paidAt: request.paidAt,
+  createdAt: request.createdAt
+});
+
+const paymentReceipt = ({ request, requester, fee, fromBalance }) => ({
+  reference: request.reference,
+  transactionId: request.transaction,
+  tokensSent: request.amount,
+  fee,
+  totalDeducted: request.amount + fee,
+  fromBalance,
+  toUser: {
+    name: requester.name,
+    phone: requester.phone
+  }
+});
+
+class PaymentRequestController {
+  /**
+   * Ask another user for MTZ - { payerPhone, amount, description, expiresInMinutes }
+   */
+  static async createRequest(req, res) {
+    try {
+      const { request, payer } = await PaymentRequestService.createRequest(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Requested ${request.amount} MTZ from ${payer.name}`,
+        data: { request: requestSummary(request) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Payment request failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * My payment requests - ?direction=incoming|outgoing&status=&page=&limit=
+   */
+  static async listRequests(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const { requests, total } = await PaymentRequestService.listForUser(req.user._id, {
+        direction: req.query.direction,
+        status: req.query.status,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        message: 'Payment requests retrieved',
+        data: {
+          requests: requests.map(requestSummary),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve payment requests',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Payer approves a request with their PIN - { securityPin }
+   */
+  static async approveRequest(req, res) {
+    try {
+      const result = await PaymentRequestService.approveRequest(
+        req.params.requestId,
+        req.user._id,
+        req.body.securityPin,
+        { ip: req.ip }
+      );
+
+      res.json({
+        success: true,
+        message: `${result.request.amount} MTZ paid to ${result.requester.name}`,
+        data: { receipt: paymentReceipt(result) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Payment failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Payer declines a request
+   */
+  static async declineRequest(req, res) {
+    try {
+      const request = await PaymentRequestService.declineRequest(req.params.requestId, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Payment request declined',
+        data: { request: requestSummary(request) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to decline payment request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Requester cancels a request or dynamic QR
+   */
+  static async cancelRequest(req, res) {
+    try {
+      const request = await PaymentRequestService.cancelRequest(req.params.requestId, req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Payment request cancelled',
+        data: { request: requestSummary(request) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to cancel payment request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * My fixed receive QR - payers type the amount
+   */
+  static async getStaticQr(req, res) {
+    try {
+      res.json({
+        success: true,
+        message: 'Static QR generated',
+        data: {
+          payload: PaymentRequestService.getStaticQr(req.user),
+          payee: { name: req.user.name, phone: req.user.phone }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate QR code',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * One-off QR for an amount - { amount, description, expiresInMinutes }
+   */
+  static async createDynamicQr(req, res) {
+    try {
+      const { request, payload } = await PaymentRequestService.createDynamicQr(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `QR for ${request.amount} MTZ generated`,
+        data: {
+          payload,
+          request: requestSummary(request)
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to generate QR code',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Decode a scanned QR for confirmation - { payload }
+   */
+  static async previewQr(req, res) {
+    try {
+      const { kind, payee, request } = await PaymentRequestService.previewQr(req.body.payload);
+
+      res.json({
+        success: true,
+        message: 'QR code verified',
+        data: {
+          kind,
+          payee: { name: payee.name, phone: payee.phone },
+          request: request ? requestSummary(request) : null
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'QR code verification failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Pay a scanned QR - { payload, securityPin, amount (static only), description }
+   */
+  static async payQr(req, res) {
+    try {
+      const result = await PaymentRequestService.payQr(req.user._id, req.body, { ip: req.ip });
+
+      res.json({
+        success: true,
+        message: `${result.request.amount} MTZ paid to ${result.requester.name}`,
+        data: { receipt: paymentReceipt(result) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'QR payment failed',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default PaymentRequestController;
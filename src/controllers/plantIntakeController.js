@@ -0,0 +1,118 @@
+// src/controllers/plantIntakeController.js
+import AuditLog from '../models/AuditLog.js';
+import PlantIntakeService from '../services/plantIntakeService.js';
+
+class PlantIntakeController {
+  /**
+   * KCC: Log a pickup arriving at the plant - { pickupId, receivedLiters, notes }
+   */
+  static async recordIntake(req, res) {
+    try {
+      const intake = await PlantIntakeService.recordIntake(req.kccBranch, req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: intake.transitLoss > 0
+          ? `Intake ${intake.reference}: ${intake.receivedLiters}L received, ${intake.transitLoss}L lost in transit`
+          : `Intake ${intake.reference}: ${intake.receivedLiters}L received`,
+        data: { intake: PlantIntakeService.describe(intake) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to record plant intake',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * KCC: Lab results - { tpc, antibioticsPositive, addedWaterPercent, adulterants, fatPercent, snfPercent }
+   */
+  static async recordResults(req, res) {
+    try {
+      const intake = await PlantIntakeService.recordResults(req.params.intakeId, req.user, req.body);
+      const failures = intake.lab.failures;
+
+      res.json({
+        success: true,
+        message: failures.length > 0
+          ? `Intake ${intake.reference} failed: ${failures.join(', ')}`
+          : `Intake ${intake.reference} passed all lab limits`,
+        data: { intake: PlantIntakeService.describe(intake) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to record lab results',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * KCC ADMIN: Accept or reject - { decision: accepted|rejected, reasons, notes }
+   */
+  static async decide(req, res) {
+    try {
+      const { intake, depot, farmers } = await PlantIntakeService.decide(req.params.intakeId, req.user, req.body);
+
+      await AuditLog.record(req, {
+        action: `plant_intake.${intake.status === 'accepted' ? 'accept' : 'reject'}`,
+        targetType: 'PlantIntake',
+        targetId: intake._id,
+        reason: req.body.notes,
+        details: {
+          reference: intake.reference,
+          depot: depot?.code,
+          reasons: intake.rejectionReasons,
+          penalty: intake.penalty.amount
+        }
+      });
+
+      res.json({
+        success: true,
+        message: intake.status === 'accepted'
+          ? `Intake ${intake.reference} accepted`
+          : intake.penalty.amount > 0
+            ? `Intake ${intake.reference} rejected - ${intake.penalty.amount} MTZ penalty charged to ${depot?.name}`
+            : `Intake ${intake.reference} rejected for transit loss - no penalty charged to ${depot?.name}`,
+        data: {
+          intake: PlantIntakeService.describe(intake),
+          depotQualityScore: depot?.getQualityScore(),
+          farmers
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Intake decision failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Plant intakes - ?status=received|tested|accepted|rejected|all&depot=&kcc=.
+   * Depot attendants see their own depot's.
+   */
+  static async listIntakes(req, res) {
+    try {
+      const result = await PlantIntakeService.listIntakes(req.user, req.query, { depot: req.depot?._id || req.params.depotId });
+
+      res.json({
+        success: true,
+        message: 'Plant intakes retrieved',
+        data: result
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to retrieve plant intakes',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default PlantIntakeController;
@@ -0,0 +1,141 @@
+// src/controllers/pocketController.js
+import PocketService from '../services/pocketService.js';
+
+class PocketController {
+  /**
+   * Pockets with spendable and set-aside totals
+   */
+  static async getPockets(req, res) {
+    try {
+      const summary = await PocketService.getPockets(req.user._id);
+
+      res.json({
+        success: true,
+        message: 'Pockets retrieved',
+        data: summary
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve pockets',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a pocket - { name, goal, lockedUntil, sweepRate }
+   */
+  static async createPocket(req, res) {
+    try {
+      const pocket = await PocketService.createPocket(req.user._id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Pocket ${pocket.name} created`,
+        data: { pocket: PocketService.describe(pocket) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to create pocket',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a pocket - { name, goal, lockedUntil, sweepRate }
+   */
+  static async updatePocket(req, res) {
+    try {
+      const pocket = await PocketService.updatePocket(req.user._id, req.params.pocketId, req.body);
+
+      res.json({
+        success: true,
+        message: `Pocket ${pocket.name} updated`,
+        data: { pocket: PocketService.describe(pocket) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to update pocket',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move spendable tokens into a pocket - { amount }
+   */
+  static async moveToPocket(req, res) {
+    try {
+      const { wallet, pocket } = await PocketService.moveToPocket(req.user._id, req.params.pocketId, req.body.amount);
+
+      res.json({
+        success: true,
+        message: `${req.body.amount} MTZ set aside in ${pocket.name}`,
+        data: {
+          pocket: PocketService.describe(pocket),
+          available: wallet.getAvailableBalance()
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to move tokens to pocket',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Take tokens out of a pocket - { amount }. Locked pockets pay a penalty.
+   */
+  static async withdrawFromPocket(req, res) {
+    try {
+      const { wallet, pocket, amount, penalty, received } =
+        await PocketService.withdrawFromPocket(req.user._id, req.params.pocketId, req.body.amount);
+
+      res.json({
+        success: true,
+        message: penalty > 0
+          ? `${received} MTZ returned from ${pocket.name} after a ${penalty} MTZ early-withdrawal penalty`
+          : `${received} MTZ returned from ${pocket.name}`,
+        data: {
+          withdrawal: { amount, penalty, received },
+          pocket: PocketService.describe(pocket),
+          available: wallet.getAvailableBalance()
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Pocket withdrawal failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Close an empty pocket
+   */
+  static async closePocket(req, res) {
+    try {
+      const pocket = await PocketService.closePocket(req.user._id, req.params.pocketId);
+
+      res.json({
+        success: true,
+        message: `Pocket ${pocket.name} closed`
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to close pocket',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default PocketController;
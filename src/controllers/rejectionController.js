@@ -0,0 +1,123 @@
+// src/controllers/rejectionController.js
+import DepositRejectionService from '../services/depositRejectionService.js';
+import PermissionService from '../services/permissionService.js';
+import { REJECTION_REASONS } from '../models/Transaction.js';
+
+class RejectionController {
+  /**
+   * ATTENDANT: Reject a pending deposit fully, or accept only part of it
+   */
+  static async rejectDeposit(req, res) {
+    try {
+      const { transactionId, reasons, acceptedLiters, notes } = req.body;
+
+      const { transaction, depot, farmer } = await DepositRejectionService.rejectPendingDeposit({
+        depotId: req.params.depotId,
+        transactionId,
+        attendantId: req.user.id,
+        reasons,
+        acceptedLiters,
+        notes
+      });
+
+      const partial = transaction.status === 'pending';
+
+      res.json({
+        success: true,
+        message: partial
+          ? `${transaction.rejection.rejectedLiters}L rejected, ${transaction.litersRaw}L accepted for payment`
+          : `${transaction.rejection.rejectedLiters}L milk rejected`,
+        data: {
+          rejection: {
+            transactionId: transaction._id,
+            reference: transaction.reference,
+            depositCode: transaction.depositCode,
+            reasons: transaction.rejection.reasons,
+            rejectedLiters: transaction.rejection.rejectedLiters,
+            acceptedLiters: transaction.rejection.acceptedLiters,
+            status: partial ? 'pending_payment' : 'rejected'
+          },
+          depotStock: {
+            rawMilk: depot.stock.rawMilk,
+            capacity: depot.stock.capacity
+          },
+          farmerQuality: farmer ? DepositRejectionService.getFarmerQuality(farmer) : null
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Deposit rejection failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rejection reason codes for attendant apps
+   */
+  static getRejectionReasons(req, res) {
+    res.json({
+      success: true,
+      message: 'Rejection reasons retrieved',
+      data: { reasons: REJECTION_REASONS }
+    });
+  }
+
+  /**
+   * ADMIN: Farmers flagged for a high deposit rejection rate
+   */
+  static async getFlaggedFarmers(req, res) {
+    try {
+      const farmers = await DepositRejectionService.getFlaggedFarmers(
+        await PermissionService.scopeFilter(req.permissionScope, { depot: 'assignedDepot', kcc: 'assignedKcc', county: 'county' })
+      );
+
+      res.json({
+        success: true,
+        message: 'Flagged farmers retrieved',
+        data: {
+          count: farmers.length,
+          farmers: farmers.map(farmer => ({
+            id: farmer._id,
+            name: farmer.name,
+            phone: farmer.phone,
+            county: farmer.county,
+            flaggedAt: farmer.depositQuality.flaggedAt,
+            lastRejectedAt: farmer.depositQuality.lastRejectedAt,
+            ...DepositRejectionService.getFarmerQuality(farmer)
+          }))
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve flagged farmers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Clear a farmer's rejection flag after review
+   */
+  static async clearFarmerFlag(req, res) {
+    try {
+      const farmer = await DepositRejectionService.clearFlag(req.params.farmerId, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Rejection flag cleared for ${farmer.name}`,
+        data: { farmerQuality: DepositRejectionService.getFarmerQuality(farmer) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to clear farmer flag',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default RejectionController;
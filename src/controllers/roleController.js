@@ -0,0 +1,209 @@
+// src/controllers/roleController.js
+import AuditLog from '../models/AuditLog.js';
+import PermissionService from '../services/permissionService.js';
+
+class RoleController {
+  /**
+   * ADMIN: Permission catalogue roles are built from
+   */
+  static async getPermissions(req, res) {
+    res.json({
+      success: true,
+      message: 'Permission catalogue',
+      data: { permissions: PermissionService.getCatalogue() }
+    });
+  }
+
+  /**
+   * ADMIN: Roles and how many users hold each
+   */
+  static async listRoles(req, res) {
+    try {
+      const roles = await PermissionService.listRoles();
+
+      res.json({
+        success: true,
+        message: 'Roles retrieved',
+        data: { roles }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve roles',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: New role - { key, name, description, permissions }
+   */
+  static async createRole(req, res) {
+    try {
+      const role = await PermissionService.createRole(req.user, req.body);
+
+      await AuditLog.record(req, {
+        action: 'role.create',
+        targetType: 'Role',
+        targetId: role._id,
+        details: { key: role.key, permissions: role.permissions }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Role ${role.name} created`,
+        data: { role: PermissionService.describeRole(role) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to create role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Change a role - { name, description, permissions }
+   */
+  static async updateRole(req, res) {
+    try {
+      const role = await PermissionService.updateRole(req.params.roleId, req.user, req.body);
+
+      await AuditLog.record(req, {
+        action: 'role.update',
+        targetType: 'Role',
+        targetId: role._id,
+        details: { key: role.key, permissions: role.permissions }
+      });
+
+      res.json({
+        success: true,
+        message: `Role ${role.name} updated`,
+        data: { role: PermissionService.describeRole(role) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to update role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Delete a role no one holds
+   */
+  static async deleteRole(req, res) {
+    try {
+      const role = await PermissionService.deleteRole(req.params.roleId);
+
+      await AuditLog.record(req, {
+        action: 'role.delete',
+        targetType: 'Role',
+        targetId: role._id,
+        details: { key: role.key }
+      });
+
+      res.json({
+        success: true,
+        message: `Role ${role.name} deleted`
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to delete role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: A user's role grants
+   */
+  static async listUserRoles(req, res) {
+    try {
+      const grants = await PermissionService.listGrants(req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'Role grants retrieved',
+        data: { grants }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to retrieve role grants',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Grant a role - { role, depots, kccs, counties, expiresAt, notes }.
+   * No depots, branches or counties means the role applies everywhere.
+   */
+  static async grantRole(req, res) {
+    try {
+      const { grant, user } = await PermissionService.grantRole(req.params.userId, req.user, req.body);
+
+      await AuditLog.record(req, {
+        action: 'role.grant',
+        targetType: 'User',
+        targetId: user._id,
+        targetUser: user._id,
+        reason: req.body.notes,
+        details: {
+          grant: grant._id,
+          role: grant.role.key,
+          scope: grant.isScoped() ? grant.scope : 'all',
+          expiresAt: grant.expiresAt
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${grant.role.name} granted to ${user.name}`,
+        data: { grant: PermissionService.describeGrant(grant) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to grant role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Revoke a role grant
+   */
+  static async revokeGrant(req, res) {
+    try {
+      const grant = await PermissionService.revokeGrant(req.params.userId, req.params.grantId, req.user);
+
+      await AuditLog.record(req, {
+        action: 'role.revoke',
+        targetType: 'User',
+        targetId: grant.user,
+        targetUser: grant.user,
+        reason: req.body?.reason,
+        details: { grant: grant._id, role: grant.role?.key }
+      });
+
+      res.json({
+        success: true,
+        message: `${grant.role?.name || 'Role'} revoked`,
+        data: { grant: PermissionService.describeGrant(grant) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to revoke role',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default RoleController;
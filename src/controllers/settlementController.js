@@ -0,0 +1,247 @@
+// src/controllers/settlementController.js
+import AuditLog from '../models/AuditLog.js';
+import SettlementService from '../services/settlementService.js';
+import PermissionService from '../services/permissionService.js';
+
+const FREQUENCIES = ['daily', 'weekly', 'bi-weekly', 'monthly'];
+
+class SettlementController {
+  /**
+   * ADMIN: Settlement batches - ?status=draft|approved|paid|cancelled|all&partyType=&depot=&kcc=
+   */
+  static async listBatches(req, res) {
+    try {
+      const result = await SettlementService.listBatches(
+        req.query,
+        await PermissionService.scopeFilter(req.permissionScope, { depot: 'depot', kcc: 'kcc' })
+      );
+
+      res.json({
+        success: true,
+        message: 'Settlement batches retrieved',
+        data: result
+      });
+    } catch (error) {
+      res.status(error.name === 'CastError' ? 400 : 500).json({
+        success: false,
+        message: 'Failed to retrieve settlement batches',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Close a party's period now - { partyType: depot|kcc, partyId, until, force, notes }.
+   * No `until` closes up to the start of the current period.
+   */
+  static async closePeriod(req, res) {
+    try {
+      const { partyType, partyId, until, force, notes } = req.body;
+      const { batch, party, skipped } = await SettlementService.closePeriod(partyType, partyId, {
+        until,
+        force: force === true || force === 'true',
+        createdBy: req.user._id,
+        notes
+      });
+
+      if (skipped) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nothing to settle',
+          error: skipped
+        });
+      }
+
+      await AuditLog.record(req, {
+        action: 'settlement.close',
+        targetType: 'SettlementBatch',
+        targetId: batch._id,
+        reason: notes,
+        details: {
+          batchNumber: batch.batchNumber,
+          party: party.code,
+          periodStart: batch.periodStart,
+          periodEnd: batch.periodEnd,
+          netAmount: batch.netAmount
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Settlement batch ${batch.batchNumber} drafted for ${party.name}`,
+        data: { batch: SettlementService.describe(batch) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to close settlement period',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Statement for a batch - positions, per-type lines and transactions
+   */
+  static async getStatement(req, res) {
+    try {
+      const statement = await SettlementService.getStatement(req.params.batchId);
+
+      res.json({
+        success: true,
+        message: `Settlement statement ${statement.batch.batchNumber}`,
+        data: statement
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to build settlement statement',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Approve a draft batch - { notes }
+   */
+  static async approveBatch(req, res) {
+    try {
+      const batch = await SettlementService.approveBatch(req.params.batchId, req.user, req.body.notes);
+
+      await AuditLog.record(req, {
+        action: 'settlement.approve',
+        targetType: 'SettlementBatch',
+        targetId: batch._id,
+        reason: req.body.notes,
+        details: { batchNumber: batch.batchNumber, netAmount: batch.netAmount }
+      });
+
+      res.json({
+        success: true,
+        message: `Settlement batch ${batch.batchNumber} approved`,
+        data: { batch: SettlementService.describe(batch) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Settlement approval failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Record payment of an approved batch - { paymentReference, notes }
+   */
+  static async markPaid(req, res) {
+    try {
+      const batch = await SettlementService.markPaid(req.params.batchId, req.user, req.body);
+
+      await AuditLog.record(req, {
+        action: 'settlement.paid',
+        targetType: 'SettlementBatch',
+        targetId: batch._id,
+        reason: req.body.notes,
+        details: {
+          batchNumber: batch.batchNumber,
+          netAmount: batch.netAmount,
+          paymentReference: batch.paymentReference
+        }
+      });
+
+      res.json({
+        success: true,
+        message: `Settlement batch ${batch.batchNumber} marked as paid`,
+        data: { batch: SettlementService.describe(batch) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to mark settlement as paid',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Cancel a draft batch - { reason }. Its transactions go back into the next close.
+   */
+  static async cancelBatch(req, res) {
+    try {
+      const batch = await SettlementService.cancelBatch(req.params.batchId, req.user, req.body.reason);
+
+      await AuditLog.record(req, {
+        action: 'settlement.cancel',
+        targetType: 'SettlementBatch',
+        targetId: batch._id,
+        reason: req.body.reason,
+        details: { batchNumber: batch.batchNumber, transactionCount: batch.transactionCount }
+      });
+
+      res.json({
+        success: true,
+        message: `Settlement batch ${batch.batchNumber} cancelled`,
+        data: { batch: SettlementService.describe(batch) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to cancel settlement batch',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Settlement terms of a depot or KCC branch - { frequency, autoSettle, minSettlementAmount }
+   */
+  static async updateTerms(req, res) {
+    try {
+      const { partyType, partyId } = req.params;
+      const party = await SettlementService.loadParty(partyType, partyId);
+
+      const previous = { ...party.settlement.toObject() };
+      const { frequency, autoSettle, minSettlementAmount } = req.body;
+
+      if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({
+          success: false,
+          message: `Frequency must be one of: ${FREQUENCIES.join(', ')}`
+        });
+      }
+      if (minSettlementAmount !== undefined && !(Number(minSettlementAmount) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Minimum settlement amount must be zero or more'
+        });
+      }
+
+      if (frequency !== undefined) party.settlement.frequency = frequency;
+      if (autoSettle !== undefined) party.settlement.autoSettle = autoSettle === true || autoSettle === 'true';
+      if (minSettlementAmount !== undefined) party.settlement.minSettlementAmount = Number(minSettlementAmount);
+
+      await party.save();
+
+      await AuditLog.record(req, {
+        action: `${partyType}.settlement_terms`,
+        targetType: partyType === 'depot' ? 'Depot' : 'Kcc',
+        targetId: party._id,
+        details: { previous, current: party.settlement.toObject() }
+      });
+
+      res.json({
+        success: true,
+        message: `${party.name} settlement terms updated`,
+        data: { settlement: party.settlement }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to update settlement terms',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default SettlementController;
@@ -0,0 +1,157 @@
+// src/controllers/shiftController.js
+import Shift from '../models/Shift.js';
+import User from '../models/User.js';
+import ShiftService from '../services/shiftService.js';
+
+class ShiftController {
+  /**
+   * Open a shift - { rawMilk, pasteurizedMilk, tokenFloat, notes } as counted at the counter
+   */
+  static async openShift(req, res) {
+    try {
+      const { shift, handover } = await ShiftService.openShift({
+        depot: req.depot,
+        attendantId: req.user._id,
+        counts: req.body,
+        notes: req.body.notes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Shift ${shift.reference} opened at ${req.depot.name}`,
+        data: {
+          shift: ShiftService.describe(shift),
+          handover
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to open shift',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Close your shift - { rawMilk, pasteurizedMilk, tokenFloat, handoverTo, notes }
+   */
+  static async closeShift(req, res) {
+    try {
+      const shift = await ShiftService.closeShift({
+        depot: req.depot,
+        attendantId: req.user._id,
+        counts: req.body,
+        handoverTo: req.body.handoverTo,
+        notes: req.body.notes
+      });
+
+      res.json({
+        success: true,
+        message: shift.report.hasVariance
+          ? `Shift ${shift.reference} closed with variances - see report`
+          : `Shift ${shift.reference} closed - counts balance`,
+        data: {
+          shift: ShiftService.describe(shift),
+          report: shift.report
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to close shift',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Your open shift with a running report, plus who else is on shift here
+   */
+  static async getCurrentShift(req, res) {
+    try {
+      const [shift, onShift, staff] = await Promise.all([
+        Shift.findOpen(req.user._id),
+        Shift.find({ depot: req.params.depotId, status: 'open' }).populate('attendant', 'name phone'),
+        User.find({ assignedDepot: req.params.depotId, role: 'attendant', status: 'active' }).select('name phone')
+      ]);
+
+      res.json({
+        success: true,
+        message: shift ? `Shift ${shift.reference} is open` : 'No open shift',
+        data: {
+          shift: shift ? ShiftService.describe(shift) : null,
+          report: shift ? await ShiftService.buildReport(shift) : null,
+          onShift: onShift.map(open => ({
+            reference: open.reference,
+            attendant: open.attendant,
+            openedAt: open.openedAt
+          })),
+          staff
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve shift',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Depot shift history - ?status=&attendant=&page=&limit=
+   */
+  static async listShifts(req, res) {
+    try {
+      const result = await ShiftService.listShifts(req.params.depotId, req.query);
+
+      res.json({
+        success: true,
+        message: 'Shifts retrieved',
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve shifts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cash-up report for one shift (running report while still open)
+   */
+  static async getShiftReport(req, res) {
+    try {
+      const shift = await Shift.findOne({ _id: req.params.shiftId, depot: req.params.depotId })
+        .populate('attendant', 'name phone')
+        .populate('handoverTo', 'name phone');
+
+      if (!shift) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shift not found at this depot'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Shift ${shift.reference} report`,
+        data: {
+          shift: ShiftService.describe(shift),
+          report: shift.status === 'closed' ? shift.report : await ShiftService.buildReport(shift)
+        }
+      });
+    } catch (error) {
+      res.status(error.name === 'CastError' ? 400 : 500).json({
+        success: false,
+        message: 'Failed to retrieve shift report',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default ShiftController;
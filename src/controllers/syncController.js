@@ -0,0 +1,60 @@
+// src/controllers/syncController.js
+import DepotSyncService from '../services/depotSyncService.js';
+
+class SyncController {
+  /**
+   * ATTENDANT: Upload deposits captured offline - { deposits: [{ clientId, capturedAt, farmerPhone, liters, ...readings }] }
+   */
+  static async syncDeposits(req, res) {
+    try {
+      const { results, summary } = await DepotSyncService.syncDeposits({
+        depot: req.depot,
+        attendantId: req.user.id,
+        deposits: req.body.deposits
+      });
+
+      res.json({
+        success: true,
+        message: `Synced ${summary.created} new, ${summary.duplicate} already synced, ${summary.failed} failed`,
+        data: {
+          summary,
+          results,
+          depotStock: {
+            rawMilk: req.depot.stock.rawMilk,
+            capacity: req.depot.stock.capacity
+          },
+          syncedAt: new Date()
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Deposit sync failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ATTENDANT: Farmers, pricing and deposits changed since ?cursor= (omit for a full snapshot)
+   */
+  static async getChanges(req, res) {
+    try {
+      const changes = await DepotSyncService.getChanges(req.depot, req.query.cursor);
+
+      res.json({
+        success: true,
+        message: 'Sync changes retrieved',
+        data: changes
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: 'Failed to retrieve sync changes',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default SyncController;
@@ -0,0 +1,139 @@
+// src/controllers/traceabilityController.js
+import TraceabilityService from '../services/traceabilityService.js';
+
+class TraceabilityController {
+  /**
+   * KCC: Group pickups into a processing batch - { pickupIds, notes }
+   */
+  static async createProcessingBatch(req, res) {
+    try {
+      const batch = await TraceabilityService.createBatch(req.kccBranch, req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: `Processing batch ${batch.batchNumber} started with ${batch.pickups.length} pickup(s), ${batch.litersRaw}L`,
+        data: { batch: TraceabilityService.describeBatch(batch) }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to create processing batch',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Processing batches - ?status=processing|released|failed|all&kcc= (kcc for admins)
+   */
+  static async listProcessingBatches(req, res) {
+    try {
+      const result = await TraceabilityService.listBatches(req.user, req.query);
+
+      res.json({
+        success: true,
+        message: 'Processing batches retrieved',
+        data: result
+      });
+    } catch (error) {
+      res.status(error.name === 'CastError' ? 400 : 500).json({
+        success: false,
+        message: 'Failed to retrieve processing batches',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * KCC: Finish a batch - { status: released|failed, reason }. A failed batch
+   * answers with the farmers whose milk was in it.
+   */
+  static async closeProcessingBatch(req, res) {
+    try {
+      const batch = await TraceabilityService.closeBatch(req.params.batchId, req.user, req.body);
+      const trace = batch.status === 'failed'
+        ? await TraceabilityService.traceBatch(batch._id, req.user)
+        : null;
+
+      res.json({
+        success: true,
+        message: `Processing batch ${batch.batchNumber} ${batch.status}`,
+        data: {
+          batch: TraceabilityService.describeBatch(batch),
+          ...(trace && { farmers: trace.farmers, untracedLiters: trace.untracedLiters })
+        }
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Failed to close processing batch',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Farmers in a processing batch, through its pickups
+   */
+  static async traceProcessingBatch(req, res) {
+    try {
+      const trace = await TraceabilityService.traceBatch(req.params.batchId, req.user);
+
+      res.json({
+        success: true,
+        message: `${trace.farmers.length} farmer(s) in batch ${trace.batch.batchNumber}`,
+        data: trace
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Batch trace failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Farmers in a KCC pickup, with liters from each deposit
+   */
+  static async tracePickup(req, res) {
+    try {
+      const trace = await TraceabilityService.tracePickup(req.params.pickupId, req.user);
+
+      res.json({
+        success: true,
+        message: `${trace.farmers.length} farmer(s) in pickup ${trace.pickup.reference}`,
+        data: trace
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Pickup trace failed',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * ADMIN: Where a farmer's milk from a day went - ?date=YYYY-MM-DD
+   */
+  static async traceFarmer(req, res) {
+    try {
+      const trace = await TraceabilityService.traceFarmer(req.params.farmerId, req.query.date);
+
+      res.json({
+        success: true,
+        message: `${trace.deposits.length} deposit(s) by ${trace.farmer.name} on ${trace.date}`,
+        data: trace
+      });
+    } catch (error) {
+      res.status(error.statusCode || (error.name === 'CastError' ? 400 : 500)).json({
+        success: false,
+        message: 'Farmer trace failed',
+        error: error.message
+      });
+    }
+  }
+}
+
+export default TraceabilityController;
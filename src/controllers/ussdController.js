@@ -1,241 +1,458 @@
 // controllers/ussdController.js
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Wallet from '../models/Wallet.js';
 import Transaction from '../models/Transaction.js';
 import Depot from '../models/Depot.js';
+import Token from '../models/Token.js';
+import UssdSession from '../models/UssdSession.js';
+import WithdrawalService from '../services/withdrawalService.js';
+import SecurityService from '../services/securityService.js';
+
+const MAIN_MENU = `Welcome to MilkBank!
+1. Check Balance
+2. Withdraw Milk
+3. Send Tokens
+4. Mini Statement
+5. Depot Info`;
+
+const NAV = '0. Back 00. Home';
+const STATEMENT_PAGE_SIZE = 3;
+const MAX_PIN_ATTEMPTS = 3;
 
 class UssdController {
-  
+
   /**
-   * Handle USSD requests
+   * Handle USSD requests (Africa's Talking format)
+   * The gateway sends the whole '*'-joined input each hit; we only need the
+   * latest answer because the flow state lives in the session store.
    */
   static async handleUssdRequest(req, res) {
+    let response;
+
     try {
-      const { phoneNumber, text, sessionId } = req.body;
-      
-      let response = '';
-      
-      if (text === '') {
-        // Initial menu
-        response = `CON Welcome to MilkBank!
-1. Check Balance
-2. Withdraw Milk
-3. Send Tokens
-4. Transaction History
-5. Depot Info`;
-        
+      const { phoneNumber, text = '', sessionId } = req.body;
+
+      if (!sessionId || !phoneNumber) {
+        response = 'END Invalid USSD request';
       } else {
-        const inputArray = text.split('*');
-        const step = inputArray.length;
-        const userInput = inputArray[step - 1];
-        
-        switch(step) {
-          case 1:
-            // User selected menu option
-            response = await UssdController.handleMenuSelection(phoneNumber, userInput);
-            break;
-          case 2:
-          case 3:
-          case 4:
-            // Multi-step flows
-            response = await UssdController.handleMultiStep(phoneNumber, inputArray);
-            break;
+        const phone = UssdController.normalizePhone(phoneNumber);
+        const user = await User.findByPhone(phone);
+
+        if (!user) {
+          response = 'END User not registered';
+        } else if (user.status !== 'active') {
+          response = 'END Your account is not active. Complete activation to use MilkBank.';
+        } else {
+          const session = await UssdSession.findOrStart(sessionId, phone, user._id);
+          const input = text === '' ? null : text.split('*').pop().trim();
+
+          response = await UssdController.processInput(session, user, input);
+
+          if (response.startsWith('END')) {
+            await UssdSession.deleteOne({ sessionId });
+          } else {
+            await session.touch();
+          }
         }
       }
-      
-      res.set('Content-Type', text/plain');
-      res.send(response);
-      
+
     } catch (error) {
-      res.set('Content-Type', 'text/plain');
-      res.send(`END Error: ${error.message}`);
+      response = `END Error: ${error.message}`;
+    }
+
+    res.set('Content-Type', 'text/plain');
+    res.send(response);
+  }
+
+  /**
+   * Apply navigation, then hand the input to the current state
+   */
+  static async processInput(session, user, input) {
+    if (input === null || input === '00') {
+      session.goHome();
+      return UssdController.render(session, user);
+    }
+
+    if (input === '0' && session.state !== 'main') {
+      session.goBack();
+      return UssdController.render(session, user);
+    }
+
+    const [state] = session.state.split(':');
+
+    switch (state) {
+      case 'main':
+        return UssdController.handleMainMenu(session, user, input);
+
+      case 'withdraw_depot':
+      case 'withdraw_liters':
+      case 'withdraw_pin':
+        return UssdController.handleWithdrawalFlow(session, user, input);
+
+      case 'send_phone':
+      case 'send_amount':
+      case 'send_confirm':
+      case 'send_pin':
+        return UssdController.handleSendTokensFlow(session, user, input);
+
+      case 'statement':
+        return UssdController.handleStatement(session, user, input);
+
+      default:
+        session.goHome();
+        return UssdController.render(session, user);
+    }
+  }
+
+  /**
+   * Prompt for the current state, optionally prefixed with a notice
+   */
+  static async render(session, user, notice = '') {
+    const prefix = notice ? `${notice}\n` : '';
+    const data = session.data;
+    const [state, page] = session.state.split(':');
+
+    switch (state) {
+      case 'main':
+        return `CON ${prefix}${MAIN_MENU}`;
+
+      case 'withdraw_depot':
+        return `CON ${prefix}Enter Depot Code:\n${NAV}`;
+
+      case 'withdraw_liters':
+        return `CON ${prefix}${data.depotName}: ${data.availableLiters}L available\nEnter liters to withdraw:\n${NAV}`;
+
+      case 'withdraw_pin':
+        return `CON ${prefix}Withdraw ${data.liters}L at ${data.depotName}\nCost: ${data.liters} MTZ\nEnter your PIN:\n${NAV}`;
+
+      case 'send_phone':
+        return `CON ${prefix}Enter recipient phone:\n${NAV}`;
+
+      case 'send_amount':
+        return `CON ${prefix}Send to ${data.recipientName}\nEnter amount (MTZ):\n${NAV}`;
+
+      case 'send_confirm':
+        return `CON ${prefix}Send ${data.amount} MTZ to ${data.recipientName}
+Fee: ${data.fee} MTZ
+Total: ${data.amount + data.fee} MTZ
+1. Confirm
+${NAV}`;
+
+      case 'send_pin':
+        return `CON ${prefix}Enter your PIN:\n${NAV}`;
+
+      case 'statement':
+        return UssdController.getMiniStatement(session, user._id, Number(page) || 0);
+
+      default:
+        return `CON ${prefix}${MAIN_MENU}`;
     }
   }
-  
+
   /**
-   * Handle menu selection
+   * Handle main menu selection
    */
-  static async handleMenuSelection(phoneNumber, choice) {
-    const user = await User.findByPhone(phoneNumber);
-    if (!user) return 'END User not registered';
-    
+  static async handleMainMenu(session, user, choice) {
     switch(choice) {
-      case '1':
+      case '1': {
         // Check Balance
         const wallet = await Wallet.getOrCreateWallet(user._id);
         return `END Your balance: ${wallet.getBalance()} MTZ`;
-        
+      }
+
       case '2':
         // Withdraw Milk - Step 1: Enter depot code
-        return `CON Enter Depot Code:`;
-        
+        session.goTo('withdraw_depot');
+        break;
+
       case '3':
         // Send Tokens - Step 1: Enter recipient phone
-        return `CON Enter recipient phone:`;
-        
+        session.goTo('send_phone');
+        break;
+
       case '4':
-        // Transaction History
-        return await UssdController.getTransactionHistory(user._id);
-        
+        // Mini statement, first page
+        session.goTo('statement:0');
+        break;
+
       case '5':
         // Depot Info
         return await UssdController.getDepotInfo();
-        
+
       default:
-        return 'END Invalid choice';
-    }
-  }
-  
-  /**
-   * Handle multi-step USSD flows
-   */
-  static async handleMultiStep(phoneNumber, inputArray) {
-    const user = await User.findByPhone(phoneNumber);
-    const step = inputArray.length;
-    const choice = inputArray[0];
-    
-    switch(choice) {
-      case '2': // Withdraw Milk
-        return await UssdController.handleWithdrawalFlow(user, inputArray, step);
-        
-      case '3': // Send Tokens
-        return await UssdController.handleSendTokensFlow(user, inputArray, step);
+        return UssdController.render(session, user, 'Invalid choice');
     }
+
+    return UssdController.render(session, user);
   }
-  
+
   /**
    * USSD Withdrawal Flow
    */
-  static async handleWithdrawalFlow(user, inputArray, step) {
-    switch(step) {
-      case 2:
-        // Step 2: Enter liters
-        return `CON Enter liters to withdraw:`;
-        
-      case 3:
-        // Step 3: Enter PIN
-        return `CON Enter your PIN:`;
-        
-      case 4:
-        // Step 4: Process withdrawal
-        const depotCode = inputArray[1];
-        const liters = parseInt(inputArray[2]);
-        const pin = inputArray[3];
-        
-        return await UssdController.processUssdWithdrawal(user, depotCode, liters, pin);
+  static async handleWithdrawalFlow(session, user, input) {
+    switch(session.state) {
+      case 'withdraw_depot': {
+        try {
+          const { depot } = await WithdrawalService.findDepotForWithdrawal(input);
+          session.setData({
+            depotCode: depot.code,
+            depotName: depot.name,
+            availableLiters: depot.stock.pasteurizedMilk
+          });
+          session.goTo('withdraw_liters');
+        } catch (error) {
+          return UssdController.render(session, user, error.message);
+        }
+        break;
+      }
+
+      case 'withdraw_liters': {
+        const liters = Number(input);
+        if (!Number.isFinite(liters) || liters <= 0) {
+          return UssdController.render(session, user, 'Invalid amount');
+        }
+        if (liters > session.data.availableLiters) {
+          return UssdController.render(session, user, `Only ${session.data.availableLiters}L available`);
+        }
+
+        session.setData({ liters });
+        session.goTo('withdraw_pin');
+        break;
+      }
+
+      case 'withdraw_pin':
+        return await UssdController.processUssdWithdrawal(session, user, input);
     }
+
+    return UssdController.render(session, user);
   }
-  
+
   /**
-   * Process USSD Withdrawal
+   * Process USSD Withdrawal through the shared withdrawal service
    */
-  static async processUssdWithdrawal(user, depotCode, liters, pin) {
+  static async processUssdWithdrawal(session, user, pin) {
     try {
-      // Verify PIN
-      const userWithPin = await User.findById(user._id).select('+pin');
-      const isPinValid = await userWithPin.comparePin(pin);
-      if (!isPinValid) return 'END Invalid PIN';
-      
-      // Find depot
-      const depot = await Depot.findOne({ code: depotCode.toUpperCase() });
-      if (!depot) return 'END Depot not found';
-      
-      // Check depot stock
-      if (depot.stock.pasteurizedMilk < liters) {
-        return `END Only ${depot.stock.pasteurizedMilk}L available`;
-      }
-      
-      // Check balance
-      const wallet = await Wallet.getOrCreateWallet(user._id);
-      if (wallet.getBalance() < liters) {
-        return `END Insufficient balance. Need ${liters} MTZ`;
-      }
-      
-      // Get attendant
-      const attendant = await User.findOne({ 
-        assignedDepot: depot._id, 
-        role: 'attendant', 
-        status: 'active' 
+      const { transaction, depot, newBalance } = await WithdrawalService.withdrawMilk({
+        farmerId: user._id,
+        depotCode: session.data.depotCode,
+        liters: session.data.liters,
+        pin,
+        channel: 'ussd'
       });
-      
-      if (!attendant) return 'END Depot unavailable';
-      
-      // Process transaction
-      await Wallet.transferTokens(user._id, attendant._id, liters, `USSD Withdrawal: ${liters}L`);
-      await depot.removeMilkStock(liters, 'pasteurized');
-      
-      const transaction = await Transaction.create({
-        type: 'milk_withdrawal',
-        fromUser: user._id,
-        toUser: attendant._id,
-        attendant: attendant._id,
-        depot: depot._id,
-        litersPasteurized: liters,
-        tokensAmount: liters,
-        status: 'completed',
-        notes: `USSD withdrawal: ${liters}L`
-      });
-      
-      return `END ✅ Success! ${liters}L from ${depot.name}
-Cost: ${liters} MTZ
-New Balance: ${wallet.getBalance() - liters} MTZ
+
+      return `END ✅ Success! ${transaction.litersPasteurized}L from ${depot.name}
+Cost: ${transaction.tokensAmount} MTZ
+New Balance: ${newBalance} MTZ
 TX: ${transaction.reference}`;
-      
+
     } catch (error) {
-      return `END Error: ${error.message}`;
+      if (error.statusCode === 401) {
+        return UssdController.retryPin(session, user);
+      }
+      return `END ${error.statusCode ? '' : 'Error: '}${error.message}`;
     }
   }
-  
+
   /**
    * USSD Send Tokens Flow (P2P)
    */
-  static async handleSendTokensFlow(user, inputArray, step) {
-    switch(step) {
-      case 2:
-        return `CON Enter amount to send:`;
-        
-      case 3:
-        return `CON Enter recipient PIN:`;
-        
-      case 4:
-        const recipientPhone = inputArray[1];
-        const amount = parseInt(inputArray[2]);
-        const pin = inputArray[3];
-        
-        return await UssdController.processUssdSendTokens(user, recipientPhone, amount, pin);
+  static async handleSendTokensFlow(session, user, input) {
+    switch(session.state) {
+      case 'send_phone': {
+        const recipient = await User.findByPhone(UssdController.normalizePhone(input));
+        if (!recipient) {
+          return UssdController.render(session, user, 'Recipient not found');
+        }
+        if (recipient._id.equals(user._id)) {
+          return UssdController.render(session, user, 'You cannot send to yourself');
+        }
+
+        session.setData({
+          recipientId: recipient._id.toString(),
+          recipientName: recipient.name
+        });
+        session.goTo('send_amount');
+        break;
+      }
+
+      case 'send_amount': {
+        const amount = Number(input);
+        if (!Number.isFinite(amount) || amount <= 0) {
+          return UssdController.render(session, user, 'Invalid amount');
+        }
+
+        const [wallet, token] = await Promise.all([
+          Wallet.getOrCreateWallet(user._id),
+          Token.getToken()
+        ]);
+        const fee = token.calculateP2PFee(amount);
+
+        if (!wallet.canSend(amount + fee)) {
+          return UssdController.render(session, user, `Insufficient balance. Need ${amount + fee} MTZ incl. fee`);
+        }
+
+        session.setData({ amount, fee });
+        session.goTo('send_confirm');
+        break;
+      }
+
+      case 'send_confirm':
+        if (input !== '1') {
+          return UssdController.render(session, user, 'Invalid choice');
+        }
+        session.goTo('send_pin');
+        break;
+
+      case 'send_pin':
+        return await UssdController.processUssdSendTokens(session, user, input);
     }
+
+    return UssdController.render(session, user);
   }
-  
+
   /**
-   * Process USSD P2P Token Transfer
+   * Process USSD P2P Token Transfer with fees
    */
-  static async processUssdSendTokens(sender, recipientPhone, amount, pin) {
+  static async processUssdSendTokens(session, sender, pin) {
+    const senderWithPin = await User.findById(sender._id).select('+pin');
+    const isPinValid = await SecurityService.verifyPin(senderWithPin, pin, { channel: 'ussd' });
+    if (!isPinValid) {
+      return UssdController.retryPin(session, sender);
+    }
+
+    const { recipientId, recipientName, amount, fee } = session.data;
+    const dbSession = await mongoose.startSession();
+
     try {
-      // Verify sender PIN
-      const senderWithPin = await User.findById(sender._id).select('+pin');
-      const isPinValid = await senderWithPin.comparePin(pin);
-      if (!isPinValid) return 'END Invalid PIN';
-      
-      // Find recipient
-      const recipient = await User.findByPhone(recipientPhone);
-      if (!recipient) return 'END Recipient not found';
-      
-      // Check sender balance
-      const senderWallet = await Wallet.getOrCreateWallet(sender._id);
-      if (senderWallet.getBalance() < amount) {
-        return `END Insufficient balance. Need ${amount} MTZ`;
-      }
-      
-      // Transfer tokens
-      await Wallet.transferTokens(sender._id, recipient._id, amount, `USSD P2P transfer`);
-      
-      return `END ✅ Sent ${amount} MTZ to ${recipient.name}
-New Balance: ${senderWallet.getBalance() - amount} MTZ`;
-      
+      dbSession.startTransaction();
+
+      const result = await Wallet.transferTokensWithFees(
+        sender._id,
+        recipientId,
+        amount,
+        fee,
+        `USSD P2P transfer to ${recipientName}`,
+        dbSession,
+        'p2p_transfer'
+      );
+
+      await dbSession.commitTransaction();
+
+      return `END ✅ Sent ${amount} MTZ to ${recipientName}
+Fee: ${fee} MTZ
+New Balance: ${result.fromBalance} MTZ`;
+
     } catch (error) {
+      await dbSession.abortTransaction();
       return `END Error: ${error.message}`;
+    } finally {
+      dbSession.endSession();
+    }
+  }
+
+  /**
+   * Count a wrong PIN and either re-prompt or end the session
+   */
+  static async retryPin(session, user) {
+    const attempts = (session.data.pinAttempts || 0) + 1;
+    if (attempts >= MAX_PIN_ATTEMPTS) {
+      return 'END Too many wrong PIN attempts';
+    }
+
+    session.setData({ pinAttempts: attempts });
+    return UssdController.render(session, user, `Invalid PIN. ${MAX_PIN_ATTEMPTS - attempts} attempt(s) left`);
+  }
+
+  /**
+   * Mini statement paging - '9' for the next page, '0' for the previous
+   */
+  static async handleStatement(session, user, input) {
+    if (input === '9' && session.data.hasMoreStatement) {
+      const page = Number(session.state.split(':')[1]) || 0;
+      session.goTo(`statement:${page + 1}`);
+    }
+
+    return UssdController.render(session, user);
+  }
+
+  /**
+   * Mini statement page for a user
+   */
+  static async getMiniStatement(session, userId, page) {
+    const transactions = await Transaction.find({
+      $or: [{ fromUser: userId }, { toUser: userId }],
+      status: 'completed'
+    })
+      .sort({ createdAt: -1 })
+      .skip(page * STATEMENT_PAGE_SIZE)
+      .limit(STATEMENT_PAGE_SIZE + 1);
+
+    if (transactions.length === 0) {
+      return page === 0 ? 'END No transactions yet' : `CON No more transactions\n${NAV}`;
+    }
+
+    const hasMore = transactions.length > STATEMENT_PAGE_SIZE;
+    const lines = transactions.slice(0, STATEMENT_PAGE_SIZE).map(tx => {
+      const date = tx.createdAt.toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit' });
+      return `${date} ${UssdController.describeTransaction(tx, userId)}`;
+    });
+
+    // Remember whether '9' has a page to go to
+    session.setData({ hasMoreStatement: hasMore });
+
+    return `CON Mini Statement (${page + 1})
+${lines.join('\n')}
+${hasMore ? '9. Next ' : ''}${NAV}`;
+  }
+
+  /**
+   * Short statement line: label and signed token amount
+   */
+  static describeTransaction(tx, userId) {
+    const isSender = tx.fromUser?.toString() === userId.toString();
+    const isReceiver = tx.toUser?.toString() === userId.toString();
+
+    switch (tx.type) {
+      case 'milk_deposit':
+        return `Deposit ${tx.litersRaw}L +${tx.tokensAmount}`;
+      case 'milk_withdrawal':
+        return `Milk ${tx.litersPasteurized}L -${tx.tokensAmount}`;
+      case 'cash_redemption':
+        return `Cash out -${tx.tokensAmount}`;
+      case 'token_transfer':
+        if (isSender && isReceiver) return `Transfer ${tx.tokensAmount}`;
+        return isSender ? `Sent -${tx.tokensAmount}` : `Received +${tx.tokensAmount}`;
+      default:
+        return `${tx.type} ${isSender ? '-' : '+'}${tx.tokensAmount}`;
+    }
+  }
+
+  /**
+   * Active depots with available milk
+   */
+  static async getDepotInfo() {
+    const depots = await Depot.find({ status: 'active' })
+      .sort({ 'stock.pasteurizedMilk': -1 })
+      .limit(5);
+
+    if (depots.length === 0) {
+      return 'END No depots available';
     }
+
+    return `END Depots (code - milk available):
+${depots.map(depot => `${depot.code} ${depot.name} - ${depot.stock.pasteurizedMilk}L`).join('\n')}`;
+  }
+
+  /**
+   * Normalize +2547..., 07... and 7... to 2547...
+   */
+  static normalizePhone(phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    if (digits.startsWith('0')) return `254${digits.slice(1)}`;
+    if (digits.length === 9) return `254${digits}`;
+    return digits;
   }
 }
 
-export default UssdController;
\ No newline at end of file
+export default UssdController;
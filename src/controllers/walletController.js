@@ -5,6 +5,7 @@ import Wallet from '../models/Wallet.js'; // ✅ Add Wallet import
 import Transaction from '../models/Transaction.js';
 import Token from '../models/Token.js';
 import { TokenActivity } from '../models/Token.js';
+import SecurityService from '../services/securityService.js';
 
 class WalletController {
   /**
@@ -23,6 +24,8 @@ class WalletController {
         message: 'Wallet balance retrieved',
         data: {
           balance: wallet.getBalance(),
+          available: wallet.getAvailableBalance(),
+          inPockets: wallet.getPocketedBalance(),
           currency: 'MTZ',
           valueInKES: wallet.getBalance() * token.universalPrice.value,
           universalPrice: token.universalPrice.value,
@@ -66,7 +69,7 @@ static async transferTokens(req, res) {
     }
 
     // Verify PIN
-    const isPinValid = await fromUser.comparePin(securityPin);
+    const isPinValid = await SecurityService.verifyPin(fromUser, securityPin, { ip: req.ip });
     if (!isPinValid) {
       throw new Error('Invalid security PIN');
     }
@@ -80,10 +83,6 @@ static async transferTokens(req, res) {
       throw new Error('Insufficient balance');
     }
 
-    // Transfer tokens
-    await fromWallet.deductTokens(tokenAmount, session);
-    await toWallet.addTokens(tokenAmount, session);
-
     // ✅ CREATE TRANSACTION DIRECTLY - NO BROKEN METHODS
     const transactionData = {
       type: 'token_transfer',
@@ -104,6 +103,13 @@ static async transferTokens(req, res) {
     const transaction = new Transaction(transactionData);
     const savedTx = await transaction.save({ session });
 
+    // Transfer tokens and post the journal against the saved transaction
+    await Wallet.moveTokens(fromWallet, toWallet, tokenAmount, {
+      entryType: 'p2p_transfer',
+      transaction: savedTx,
+      description: transactionData.notes
+    }, session);
+
     await session.commitTransaction();
 
     res.json({
@@ -170,14 +176,14 @@ static async cashRedemption(req, res) {
     }
 
     // Verify PIN
-    const isPinValid = await fromUser.comparePin(securityPin);
+    const isPinValid = await SecurityService.verifyPin(fromUser, securityPin, { ip: req.ip });
     if (!isPinValid) {
       throw new Error('Invalid security PIN');
     }
 
     // Check wallet balance
-    if (wallet.getBalance() < tokenAmount) {
-      throw new Error(`Insufficient tokens. Available: ${wallet.getBalance()}`);
+    if (wallet.getAvailableBalance() < tokenAmount) {
+      throw new Error(`Insufficient tokens. Available: ${wallet.getAvailableBalance()}`);
     }
 
     // Verify minimum redemption
@@ -199,10 +205,6 @@ static async cashRedemption(req, res) {
       throw new Error('Insufficient balance');
     }
 
-    // Transfer tokens (same as P2P)
-    await fromWallet.deductTokens(tokenAmount, session);
-    await adminWallet.addTokens(tokenAmount, session);
-
     // Create transaction (similar to P2P but with cash redemption type)
     const transactionData = {
       type: 'cash_redemption',
@@ -223,6 +225,13 @@ static async cashRedemption(req, res) {
     const transaction = new Transaction(transactionData);
     const savedTx = await transaction.save({ session });
 
+    // Transfer tokens (same as P2P)
+    await Wallet.moveTokens(fromWallet, adminWallet, tokenAmount, {
+      entryType: 'redemption',
+      transaction: savedTx,
+      description: transactionData.notes
+    }, session);
+
     await session.commitTransaction();
 
     res.json({
@@ -282,7 +291,8 @@ static async cashRedemption(req, res) {
         adminId, // From admin/system
         recipientId, // To recipient
         amount,
-        purpose || 'Float transfer'
+        purpose || 'Float transfer',
+        'float_transfer'
       );
 
       res.json({
@@ -391,10 +401,7 @@ static async cashRedemption(req, res) {
       let calculation;
       switch (operation) {
         case 'transfer':
-          const fee = Math.min(
-            tokenAmount * token.feeStructure.p2pTransfer.rate,
-            token.feeStructure.p2pTransfer.maxFee / token.universalPrice.value
-          );
+          const fee = token.calculateP2PFee(tokenAmount);
           calculation = {
             operation: 'transfer',
             grossAmount: tokenAmount,
@@ -407,7 +414,7 @@ static async cashRedemption(req, res) {
           break;
         
         case 'redeem':
-          const redemption = Token.calculateRedemptionValue(tokenAmount);
+          const redemption = await Token.calculateRedemptionValue(tokenAmount);
           calculation = {
             operation: 'redemption',
             ...redemption
@@ -1,7 +1,4 @@
-import Wallet from '../models/Wallet.js';
-import Transaction from '../models/Transaction.js';
-import Depot from '../models/Depot.js';
-import User from '../models/User.js';
+import WithdrawalService from '../services/withdrawalService.js';
 
 class WithdrawalController {
   /**
@@ -12,93 +9,12 @@ class WithdrawalController {
       const { depotCode, liters, pin } = req.body;
       const farmerId = req.user.id;
 
-      // Step 1: Verify farmer and PIN
-      const farmer = await User.findById(farmerId).select('+pin');
-      if (!farmer || farmer.role !== 'farmer') {
-        return res.status(403).json({
-          success: false,
-          message: 'Only farmers can withdraw milk'
-        });
-      }
-
-      const isPinValid = await farmer.comparePin(pin);
-      if (!isPinValid) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid PIN'
-        });
-      }
-
-      // Step 2: Find depot by CODE
-      const depot = await Depot.findOne({ code: depotCode.toUpperCase() });
-      if (!depot) {
-        return res.status(404).json({
-          success: false,
-          message: 'Depot not found. Please check the depot code.'
-        });
-      }
-
-      // Depot verification details
-      const depotVerification = {
-        name: depot.name,
-        code: depot.code,
-        location: `${depot.location.village}, ${depot.location.subcounty}`,
-        availableMilk: depot.stock.pasteurizedMilk + 'L',
-        status: depot.status
-      };
-
-      // Step 3: Get depot attendant
-      const depotAttendant = await User.findOne({ 
-        assignedDepot: depot._id, 
-        role: 'attendant', 
-        status: 'active' 
-      });
-
-      if (!depotAttendant) {
-        return res.status(400).json({
-          success: false,
-          message: 'This depot is currently unavailable'
-        });
-      }
-
-      // Step 4: Validations
-      if (depot.stock.pasteurizedMilk < liters) {
-        return res.status(400).json({
-          success: false,
-          message: `Not enough milk available at ${depot.name}. Only ${depot.stock.pasteurizedMilk}L left.`
-        });
-      }
-
-      const farmerWallet = await Wallet.getOrCreateWallet(farmerId);
-      const farmerBalance = farmerWallet.getBalance();
-      
-      if (farmerBalance < liters) {
-        return res.status(400).json({
-          success: false,
-          message: `Not enough tokens. You have ${farmerBalance} MTZ, need ${liters} MTZ.`
-        });
-      }
-
-      // Step 5: Process withdrawal
-      const paymentResult = await Wallet.transferTokens(
+      const { transaction, depot, attendant, newBalance } = await WithdrawalService.withdrawMilk({
         farmerId,
-        depotAttendant._id,
+        depotCode,
         liters,
-        `Milk withdrawal: ${liters}L from ${depot.name} (${depot.code})`
-      );
-
-      await depot.removeMilkStock(liters, 'pasteurized');
-
-      const withdrawalTx = await Transaction.create({
-        type: 'milk_withdrawal',
-        fromUser: farmerId,
-        toUser: depotAttendant._id,
-        attendant: depotAttendant._id,
-        depot: depot._id,
-        litersPasteurized: liters,
-        tokensAmount: liters,
-        status: 'completed',
-        notes: `Farmer withdrawal: ${liters}L from ${depot.code}`
+        pin,
+        channel: 'app'
       });
 
       res.json({
@@ -111,23 +27,30 @@ class WithdrawalController {
             transactionVerified: true
           },
           receipt: {
-            transactionId: withdrawalTx.reference,
-            depot: depotVerification,
+            transactionId: transaction.reference,
+            depot: WithdrawalService.getDepotVerification(depot),
             milk: {
-              liters: liters,
+              liters: transaction.litersPasteurized,
               type: 'Pasteurized Milk'
             },
             payment: {
-              tokensUsed: liters,
-              yourNewBalance: paymentResult.fromBalance
+              tokensUsed: transaction.tokensAmount,
+              yourNewBalance: newBalance
             },
             collectedAt: new Date().toLocaleString(),
-            attendant: depotAttendant.name
+            attendant: attendant.name
           }
         }
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Withdrawal error:', error);
       res.status(500).json({
         success: false,
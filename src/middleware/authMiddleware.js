@@ -2,6 +2,8 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Kcc from '../models/Kcc.js';
 import Depot from '../models/Depot.js';
+import AuthSession from '../models/AuthSession.js';
+import PermissionService from '../services/permissionService.js';
 
 class AuthMiddleware {
   /**
@@ -25,7 +27,7 @@ class AuthMiddleware {
 
       try {
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'milkbank_fallback_secret');
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
         // Check if user still exists
         const user = await User.findById(decoded.userId);
@@ -36,6 +38,15 @@ class AuthMiddleware {
           });
         }
 
+        // Tokens die with their session, and on password/PIN change or suspension
+        const session = decoded.sid ? await AuthSession.findById(decoded.sid) : null;
+        if (!session || !session.user.equals(user._id) || !session.isActive(user) || decoded.tv !== (user.tokenVersion || 0)) {
+          return res.status(401).json({
+            success: false,
+            message: 'Session has ended. Please log in again.'
+          });
+        }
+
         // Allow pending users to access verification routes
         const verificationRoutes = ['/verify-payment', '/payment-instructions'];
         const isVerificationRoute = verificationRoutes.some(route => req.path.includes(route));
@@ -47,8 +58,26 @@ class AuthMiddleware {
           });
         }
 
+        // Admin-reset credentials must be replaced before anything else
+        const credentialRoutes = ['/change-password', '/change-pin', '/profile'];
+        const isCredentialRoute = credentialRoutes.some(route => req.path.includes(route));
+
+        if ((user.mustChangePassword || user.mustChangePin) && !isCredentialRoute) {
+          return res.status(403).json({
+            success: false,
+            message: user.mustChangePassword
+              ? 'Password reset by admin. Please set a new password.'
+              : 'PIN reset by admin. Please set a new PIN.',
+            data: {
+              mustChangePassword: user.mustChangePassword,
+              mustChangePin: user.mustChangePin
+            }
+          });
+        }
+
         // Grant access to protected route
         req.user = user;
+        req.authSession = session;
         next();
       } catch (error) {
         return res.status(401).json({
@@ -80,6 +109,76 @@ class AuthMiddleware {
     };
   }
 
+  /**
+   * Authorize by permission. Base roles in `roles` pass as before; anyone else
+   * needs a role grant carrying the permission. A scoped grant only opens a
+   * route that can check scope: `locate(req)` returns the resource's
+   * { depot, kcc, county }, or `scoped: true` marks a list that filters by
+   * req.permissionScope (null = everywhere).
+   */
+  static permit(permission, { roles = ['admin'], locate = null, scoped = false } = {}) {
+    return async (req, res, next) => {
+      try {
+        if (roles.includes(req.user.role)) {
+          req.permissionScope = null;
+          return next();
+        }
+
+        req.access = req.access || await PermissionService.getAccess(req.user);
+        const scope = PermissionService.scopeFor(req.access, permission);
+
+        if (scope === undefined) {
+          return res.status(403).json({
+            success: false,
+            message: `Permission ${permission} is required for this route`
+          });
+        }
+
+        if (scope && !(scoped && !locate)) {
+          const target = locate ? await locate(req) : null;
+          if (!PermissionService.covers(scope, target)) {
+            return res.status(403).json({
+              success: false,
+              message: 'This resource is outside your assigned scope'
+            });
+          }
+        }
+
+        req.permissionScope = scope;
+        next();
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          message: 'Permission check failed',
+          error: error.message
+        });
+      }
+    };
+  }
+
+  /**
+   * Let in admins and anyone holding a role grant - routes still check the permission
+   */
+  static async requireStaffAccess(req, res, next) {
+    try {
+      req.access = req.access || await PermissionService.getAccess(req.user);
+
+      if (!req.access.all && req.access.grants.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: `User role ${req.user.role} is not authorized to access this route`
+        });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Permission check failed',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * ✅ NEW: Ensure KCC admin/attendant can only access their assigned branch
    */
@@ -0,0 +1,152 @@
+// src/middleware/idempotencyMiddleware.js
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import Environment from '../config/env.js';
+
+// JSON with sorted keys so field order doesn't change the hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+class IdempotencyMiddleware {
+  /**
+   * Replay the stored response for a repeated Idempotency-Key instead of
+   * running a money- or stock-moving request twice. Must run after protect.
+   */
+  static async idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) {
+      if (Environment.get('IDEMPOTENCY_KEY_REQUIRED', false)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Idempotency-Key header is required for this request'
+        });
+      }
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key must be at most 255 characters'
+      });
+    }
+
+    const path = `${req.baseUrl}${req.path}`;
+    const requestHash = crypto
+      .createHash('sha256')
+      .update(`${req.method} ${path} ${stableStringify(req.body || {})}`)
+      .digest('hex');
+
+    try {
+      const ttlHours = Number(Environment.get('IDEMPOTENCY_TTL_HOURS', 24));
+      const leaseMs = Number(Environment.get('IDEMPOTENCY_LEASE_SECONDS', 120)) * 1000;
+      let record;
+
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          user: req.user._id,
+          method: req.method,
+          path,
+          requestHash,
+          leaseExpiresAt: new Date(Date.now() + leaseMs),
+          expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Key seen before - replay, wait or refuse
+        const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+        if (!existing) {
+          return res.status(409).json({
+            success: false,
+            message: 'Idempotency-Key expired while retrying. Send the request again.'
+          });
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key was already used with a different request'
+          });
+        }
+
+        if (existing.status === 'processing') {
+          // Still within its lease, or another retry took the lease first
+          const taken = existing.leaseExpiresAt > new Date()
+            ? null
+            : await IdempotencyKey.findOneAndUpdate(
+              { _id: existing._id, status: 'processing', leaseExpiresAt: existing.leaseExpiresAt },
+              { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } },
+              { new: true }
+            );
+          if (!taken) {
+            return res.status(409).json({
+              success: false,
+              message: 'A request with this Idempotency-Key is still being processed'
+            });
+          }
+          record = taken;
+        } else {
+          res.set('Idempotent-Replayed', 'true');
+          if (existing.responseType) {
+            res.type(existing.responseType);
+          }
+          return res.status(existing.responseStatus).send(existing.responseBody);
+        }
+      }
+
+      // Store the outcome as the controller sends it, whatever the body type.
+      // Stored at send time, not on 'finish', so a client that hangs up
+      // mid-request still gets the result when it retries.
+      const originalSend = res.send.bind(res);
+      res.send = (body) => {
+        // res.send(object) re-enters send with the JSON string - capture once
+        res.send = originalSend;
+        IdempotencyMiddleware.storeResponse(record, res.statusCode, body, res.get('Content-Type'));
+        return originalSend(body);
+      };
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Idempotency check failed',
+        error: error.message
+      });
+    }
+  }
+
+  static async storeResponse(record, statusCode, body, contentType) {
+    try {
+      if (statusCode >= 500) {
+        // Nothing (or not everything) happened - let the client retry the key
+        await IdempotencyKey.deleteOne({ _id: record._id });
+        return;
+      }
+
+      await IdempotencyKey.updateOne({ _id: record._id }, {
+        $set: {
+          status: 'completed',
+          responseStatus: statusCode,
+          responseBody: Buffer.isBuffer(body) ? body.toString('utf8') : body,
+          responseType: contentType,
+          completedAt: new Date()
+        },
+        $unset: { leaseExpiresAt: '' }
+      });
+    } catch (error) {
+      console.error('Failed to store idempotent response:', error.message);
+    }
+  }
+}
+
+export default IdempotencyMiddleware;
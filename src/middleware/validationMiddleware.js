@@ -1,5 +1,6 @@
 // src/middleware/validationMiddleware.js
 import validator from 'validator';
+import { OTP_PURPOSES } from '../models/Otp.js';
 
 class ValidationMiddleware {
   /**
@@ -59,11 +60,27 @@ class ValidationMiddleware {
     }
 
     // Validate role
-    const validRoles = ['farmer', 'attendant', 'admin'];
+    const validRoles = ['farmer', 'attendant', 'admin', 'merchant'];
     if (!validRoles.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be: farmer, attendant, or admin'
+        message: 'Invalid role. Must be: farmer, attendant, admin, or merchant'
+      });
+    }
+
+    // Merchants trade under a business name in a county
+    if (role === 'merchant' && (!req.body.businessName || !county)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Merchants must provide businessName and county'
+      });
+    }
+
+    const merchantCategories = ['agrovet', 'feed_supplier', 'vet', 'other'];
+    if (role === 'merchant' && req.body.category && !merchantCategories.includes(req.body.category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid merchant category. Must be: ${merchantCategories.join(', ')}`
       });
     }
 
@@ -209,6 +226,66 @@ static validatePhone(req, res, next) {
     next();
   }
 
+  /**
+   * Validate password change
+   */
+  static validatePasswordChange(req, res, next) {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    if (newPassword === currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Validate PIN change
+   */
+  static validatePinChange(req, res, next) {
+    const { currentPin, newPin } = req.body;
+
+    if (!currentPin || !newPin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new PIN are required'
+      });
+    }
+
+    if (!/^\d{4,6}$/.test(newPin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be 4-6 digits'
+      });
+    }
+
+    if (newPin === currentPin) {
+      return res.status(400).json({
+        success: false,
+        message: 'New PIN must be different from the current one'
+      });
+    }
+
+    next();
+  }
+
   /**
    * Validate profile update data
    */
@@ -232,6 +309,82 @@ static validatePhone(req, res, next) {
     next();
   }
 
+  /**
+   * Validate OTP request
+   */
+  static validateOtpRequest(req, res, next) {
+    const { phone, purpose } = req.body;
+
+    if (!phone || !/^254[17]\d{8}$/.test(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid phone number format. Use 254XXXXXXXXX'
+      });
+    }
+
+    if (!OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: `Purpose must be one of: ${OTP_PURPOSES.join(', ')}`
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Validate phone + OTP code
+   */
+  static validateOtpCode(req, res, next) {
+    const { phone, code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number and code are required'
+      });
+    }
+
+    if (!/^\d{6}$/.test(String(code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code must be 6 digits'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Validate forgotten PIN/password reset
+   */
+  static validateCredentialReset(req, res, next) {
+    const { newPin, newPassword } = req.body;
+
+    if (!newPin === !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either newPin or newPassword'
+      });
+    }
+
+    if (newPin && !/^\d{4,6}$/.test(newPin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be 4-6 digits'
+      });
+    }
+
+    if (newPassword && newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    next();
+  }
+
   /**
    * Validate M-Pesa payment verification
    */
@@ -11,7 +11,7 @@ const activationSchema = new mongoose.Schema({
   
   role: {
     type: String,
-    enum: ['farmer', 'attendant', 'admin'],
+    enum: ['farmer', 'attendant', 'admin', 'kcc_attendant', 'kcc_admin', 'merchant'],
     required: true
   },
   
@@ -50,7 +50,13 @@ const activationSchema = new mongoose.Schema({
     unique: true
   },
   
-  notes: String
+  notes: String,
+
+  // Admin who recorded a waived or manual activation
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
 
 }, {
   timestamps: true
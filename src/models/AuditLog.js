@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * Who did what to whom - one entry per admin action
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorRole: String,
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Wallet', 'Depot', 'Kcc', 'Transaction', 'Activation', 'Dispute', 'CreditAdvance', 'FloatRequest', 'SettlementBatch', 'PlantIntake', 'Role', 'System'],
+    required: true
+  },
+  targetId: mongoose.Schema.Types.ObjectId,
+  // The user affected, for per-user history across target types
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * Record an action taken by the authenticated user on a request
+ */
+auditLogSchema.statics.record = function(req, { action, targetType, targetId, targetUser, reason, details }, session = null) {
+  const entry = {
+    actor: req.user._id,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    targetId,
+    targetUser,
+    reason,
+    details,
+    ip: req.ip,
+    userAgent: req.get ? req.get('user-agent') : undefined
+  };
+
+  if (session) {
+    return this.create([entry], { session }).then(([log]) => log);
+  }
+  return this.create(entry);
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,36 @@
+// src/models/AuthAttempt.js
+import mongoose from 'mongoose';
+
+/**
+ * Failed credential checks per key - "ip:<address>", "account:<email|phone>".
+ * Each lockout doubles the next one until the streak is broken.
+ */
+const authAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts in the current streak - drives the progressive duration
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: Date,
+  lastFailureAt: Date
+}, {
+  timestamps: true
+});
+
+// Forget keys that have been quiet for a week
+authAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+authAttemptSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+export default mongoose.model('AuthAttempt', authAttemptSchema);
@@ -0,0 +1,85 @@
+// src/models/AuthSession.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * A logged-in device. Holds the hash of its current refresh token, which
+ * rotates on every refresh. Access tokens carry the session id (sid) so a
+ * revoked session stops working straight away.
+ */
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // Last rotated-out token - presenting it again means the token was stolen
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+
+  // User.tokenVersion when the session started - a bump ends every session
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
+  device: {
+    _id: false,
+    // Client-generated install id (X-Device-Id) - decides when a login is from a new device
+    id: String,
+    name: String,
+    userAgent: String,
+    ip: String
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by Mongo
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authSessionSchema.index({ user: 1, 'device.id': 1 });
+
+authSessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+authSessionSchema.methods.isActive = function(user) {
+  return !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    (!user || this.tokenVersion === (user.tokenVersion || 0));
+};
+
+/**
+ * Revoke every open session of a user, optionally keeping one
+ */
+authSessionSchema.statics.revokeAll = function(userId, reason, exceptId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+export default mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,123 @@
+// src/models/C2BPayment.js
+import mongoose from 'mongoose';
+
+/**
+ * Paybill payments reported by the M-Pesa C2B confirmation webhook.
+ * A payment can back exactly one claim - it is consumed atomically.
+ */
+const c2bPaymentSchema = new mongoose.Schema({
+  // M-Pesa transaction code, e.g. RKT4XY12AB
+  transId: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  transTime: Date,
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  msisdn: {
+    type: String,
+    required: true
+  },
+
+  // Account number the customer typed - we ask for their phone number
+  billRefNumber: {
+    type: String,
+    trim: true
+  },
+
+  businessShortCode: String,
+  firstName: String,
+
+  status: {
+    type: String,
+    enum: ['unmatched', 'consumed', 'dismissed'],
+    default: 'unmatched'
+  },
+
+  consumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  consumedFor: {
+    type: String,
+    enum: ['onboarding_fee']
+  },
+  consumedAt: Date,
+
+  // Set when an admin resolves the payment from the reconciliation queue
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolutionNote: String,
+
+  payload: mongoose.Schema.Types.Mixed
+
+}, {
+  timestamps: true
+});
+
+c2bPaymentSchema.index({ status: 1, createdAt: -1 });
+c2bPaymentSchema.index({ msisdn: 1 });
+c2bPaymentSchema.index({ billRefNumber: 1 });
+
+/**
+ * Record a confirmation. Replays of the same TransID are ignored.
+ */
+c2bPaymentSchema.statics.recordConfirmation = async function(payload) {
+  const transTime = payload.TransTime
+    ? new Date(String(payload.TransTime).replace(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/, '$1-$2-$3T$4:$5:$6+03:00'))
+    : new Date();
+
+  return this.findOneAndUpdate(
+    { transId: String(payload.TransID).toUpperCase() },
+    {
+      $setOnInsert: {
+        transTime,
+        amount: Number(payload.TransAmount),
+        msisdn: String(payload.MSISDN),
+        billRefNumber: payload.BillRefNumber,
+        businessShortCode: payload.BusinessShortCode,
+        firstName: payload.FirstName,
+        payload
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Atomically consume an unmatched payment for a claim.
+ * The payment must cover the expected amount and come from, or be
+ * referenced to, the claimant's phone. Returns null if no payment qualifies.
+ */
+c2bPaymentSchema.statics.consume = function(transId, { expectedAmount, phone, userId, purpose = 'onboarding_fee' }) {
+  if (!transId) return null;
+
+  return this.findOneAndUpdate(
+    {
+      transId: String(transId).toUpperCase().trim(),
+      status: 'unmatched',
+      amount: { $gte: expectedAmount },
+      $or: [{ msisdn: phone }, { billRefNumber: phone }]
+    },
+    {
+      status: 'consumed',
+      consumedBy: userId,
+      consumedFor: purpose,
+      consumedAt: new Date()
+    },
+    { new: true }
+  );
+};
+
+export default mongoose.model('C2BPayment', c2bPaymentSchema);
@@ -0,0 +1,161 @@
+// src/models/CreditAdvance.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Advances that still owe money, or will once disbursed
+export const OPEN_ADVANCE_STATUSES = ['pending', 'approved', 'active', 'defaulted'];
+
+/**
+ * Input credit advanced to a farmer against future milk payouts.
+ * mtz: tokens paid into the farmer's wallet on approval.
+ * voucher: tokens paid to a named merchant when they redeem the voucher code.
+ * Repaid as a share of every deposit payout until outstanding reaches zero.
+ */
+const creditAdvanceSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['mtz', 'voucher'],
+    required: true
+  },
+
+  // Voucher advances can only be spent at this merchant
+  merchant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Merchant',
+    required: function() {
+      return this.type === 'voucher';
+    }
+  },
+
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  principal: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Principal plus the flat advance fee
+  totalDue: {
+    type: Number,
+    required: true
+  },
+
+  repaid: {
+    type: Number,
+    default: 0
+  },
+
+  // Share of each deposit payout withheld for repayment
+  repaymentRate: {
+    type: Number,
+    required: true,
+    min: 0.01,
+    max: 1
+  },
+
+  // pending -> approved (voucher not yet redeemed) -> active -> repaid | defaulted
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'active', 'repaid', 'defaulted', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+
+  // Deposit history the limit was based on
+  eligibility: {
+    _id: false,
+    windows: mongoose.Schema.Types.Mixed,
+    limit: Number,
+    monthlyPayout: Number,
+    assessedAt: Date
+  },
+
+  voucherCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  repayments: [{
+    _id: false,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    amount: Number,
+    paidAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: String,
+  approvedAt: Date,
+  disbursedAt: Date,
+  dueDate: Date,
+  repaidAt: Date,
+  defaultedAt: Date,
+
+  reference: {
+    type: String,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+creditAdvanceSchema.index({ status: 1, dueDate: 1 });
+
+creditAdvanceSchema.pre('save', async function(next) {
+  if (!this.reference) {
+    const count = await this.constructor.countDocuments();
+    this.reference = `ADV${String(count + 1).padStart(6, '0')}`;
+  }
+  if (this.type === 'voucher' && !this.voucherCode) {
+    this.voucherCode = `V${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+creditAdvanceSchema.methods.getOutstanding = function() {
+  return Math.max(0, Math.round((this.totalDue - this.repaid) * 100) / 100);
+};
+
+/**
+ * Advances being repaid from payouts, oldest first
+ */
+creditAdvanceSchema.statics.findRepaying = function(farmerId) {
+  return this.find({ farmer: farmerId, status: { $in: ['active', 'defaulted'] } }).sort({ disbursedAt: 1 });
+};
+
+/**
+ * Mark active advances past due (plus grace) as defaulted
+ */
+creditAdvanceSchema.statics.markDefaults = function(graceDays = 0) {
+  const cutoff = new Date(Date.now() - graceDays * 24 * 60 * 60 * 1000);
+  return this.updateMany(
+    { status: 'active', dueDate: { $lt: cutoff } },
+    { $set: { status: 'defaulted', defaultedAt: new Date() } }
+  );
+};
+
+export default mongoose.model('CreditAdvance', creditAdvanceSchema);
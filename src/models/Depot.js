@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+const gradeBandSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    enum: ['premium', 'standard'],
+    required: true
+  },
+  minLactometer: Number,
+  minFatPercent: Number,
+  minSnfPercent: Number,
+  maxTemperature: Number
+}, { _id: false });
+
 const depotSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -74,6 +86,28 @@ const depotSchema = new mongoose.Schema({
       type: Number,
       required: true, 
       default: 1.2
+    },
+    lowRate: {
+      type: Number,
+      default: 0.8
+    },
+    // ✅ NEW: Grade bands, best first. A deposit gets the first band whose
+    // minimums it meets; readings not taken at the counter are not checked.
+    gradeBands: {
+      type: [gradeBandSchema],
+      default: () => [
+        { grade: 'premium', minLactometer: 28, minFatPercent: 3.5, minSnfPercent: 8.5, maxTemperature: null },
+        { grade: 'standard', minLactometer: 26, minFatPercent: 3.0, minSnfPercent: 8.0, maxTemperature: null }
+      ]
+    },
+    // Milk outside these limits is rejected at the counter
+    rejection: {
+      enabled: { type: Boolean, default: false },
+      minLactometer: { type: Number, default: 24 },
+      maxLactometer: { type: Number, default: 34 },
+      minFatPercent: { type: Number, default: 2.5 },
+      minSnfPercent: { type: Number, default: 7.5 },
+      maxTemperature: { type: Number, default: 30 }
     }
   },
   status: {
@@ -122,6 +156,24 @@ const depotSchema = new mongoose.Schema({
     },
     lastPerformanceReview: Date
   },
+  // ✅ NEW: KCC plant lab outcomes for this depot's pickups (see PlantIntakeService)
+  quality: {
+    plantIntakes: { type: Number, default: 0 },
+    plantRejections: { type: Number, default: 0 },
+    rejectedLiters: { type: Number, default: 0 },
+    penaltiesCharged: { type: Number, default: 0 },
+    lastResult: {
+      intake: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PlantIntake'
+      },
+      status: String,
+      tpc: Number,
+      fatPercent: Number,
+      snfPercent: Number,
+      decidedAt: Date
+    }
+  },
   settlement: {
     frequency: {
       type: String,
@@ -136,6 +188,24 @@ const depotSchema = new mongoose.Schema({
       type: Number,
       default: 1000
     }
+  },
+  // ✅ NEW: Depot token float (see FloatService). Below minBalance a top-up
+  // request is raised automatically to bring it back to targetBalance.
+  float: {
+    minBalance: {
+      type: Number,
+      default: 2000,
+      min: 0
+    },
+    targetBalance: {
+      type: Number,
+      default: 10000,
+      min: 0
+    },
+    autoRequest: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true
@@ -275,16 +345,16 @@ depotSchema.methods.canProcessWithdrawal = function(liters) {
   return true;
 };
 
-depotSchema.methods.addMilkStock = function(liters, milkType = 'raw') {
+depotSchema.methods.addMilkStock = function(liters, milkType = 'raw', session = null) {
   if (milkType === 'raw') {
     this.stock.rawMilk += liters;
   } else {
     this.stock.pasteurizedMilk += liters;
   }
-  return this.save();
+  return this.save({ session });
 };
 
-depotSchema.methods.removeMilkStock = async function(liters, milkType = 'pasteurized') {
+depotSchema.methods.removeMilkStock = async function(liters, milkType = 'pasteurized', session = null) {
   if (milkType === 'raw') {
     if (this.stock.rawMilk < liters) {
       return { success: false, error: 'Insufficient raw milk stock' };
@@ -297,10 +367,18 @@ depotSchema.methods.removeMilkStock = async function(liters, milkType = 'pasteur
     this.stock.pasteurizedMilk -= liters;
   }
   
-  await this.save();
+  await this.save({ session });
   return { success: true };
 };
 
+/**
+ * 0-100: share of plant-tested pickups that were accepted
+ */
+depotSchema.methods.getQualityScore = function() {
+  const { plantIntakes = 0, plantRejections = 0 } = this.quality || {};
+  return plantIntakes > 0 ? Math.round((1 - plantRejections / plantIntakes) * 100) : null;
+};
+
 depotSchema.methods.needsKccPickup = function() {
   const rules = this.pickupRules;
   
@@ -312,7 +390,7 @@ depotSchema.methods.needsKccPickup = function() {
       return this.stock.rawMilk >= rules.triggerValue;
     
     case 'daily_schedule':
-      const today = new Date().toLowerCase().substring(0, 3);
+      const today = new Date().toLocaleDateString('en-US', { weekday: 'short' }).toLowerCase();
       return rules.scheduleDays.includes(today) && this.stock.rawMilk >= rules.minPickupVolume;
     
     case 'manual':
@@ -320,6 +398,60 @@ depotSchema.methods.needsKccPickup = function() {
   }
 };
 
+// Stock alerts for the depot dashboard and admin overview
+depotSchema.methods.getStockAlerts = function() {
+  const alerts = [];
+  const rawMilkPercent = (this.stock.rawMilk / this.stock.capacity) * 100;
+  const pasteurizedPercent = (this.stock.pasteurizedMilk / this.stock.capacity) * 100;
+
+  if (rawMilkPercent >= 80) {
+    alerts.push({
+      id: 'capacity_warning',
+      type: 'capacity_warning',
+      severity: rawMilkPercent >= 90 ? 'high' : 'medium',
+      title: 'Raw Milk Nearing Capacity',
+      message: 'Consider scheduling KCC pickup soon',
+      threshold: 80,
+      current: Math.round(rawMilkPercent),
+      metric: 'rawMilk',
+      suggestedAction: 'Schedule KCC pickup',
+      createdAt: new Date()
+    });
+  }
+
+  if (pasteurizedPercent <= 10 && this.stock.pasteurizedMilk > 0) {
+    alerts.push({
+      id: 'low_pasteurized',
+      type: 'low_stock',
+      severity: 'medium',
+      title: 'Low Pasteurized Milk Stock',
+      message: 'Consider requesting KCC delivery',
+      threshold: 10,
+      current: Math.round(pasteurizedPercent),
+      metric: 'pasteurizedMilk',
+      suggestedAction: 'Request KCC delivery',
+      createdAt: new Date()
+    });
+  }
+
+  if (this.needsKccPickup()) {
+    alerts.push({
+      id: 'pickup_needed',
+      type: 'pickup_required',
+      severity: 'high',
+      title: 'KCC Pickup Required',
+      message: `Raw milk at ${Math.round(rawMilkPercent)}% capacity`,
+      threshold: this.pickupRules.triggerValue || 80,
+      current: Math.round(rawMilkPercent),
+      metric: 'rawMilk',
+      suggestedAction: 'Request immediate pickup',
+      createdAt: new Date()
+    });
+  }
+
+  return alerts;
+};
+
 depotSchema.methods.updatePerformance = function(transaction) {
   this.performance.daily.deposits += transaction.litersDeposited || 0;
   this.performance.daily.withdrawals += transaction.litersWithdrawn || 0;
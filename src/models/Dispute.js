@@ -0,0 +1,112 @@
+// src/models/Dispute.js
+import mongoose from 'mongoose';
+
+export const DISPUTE_CATEGORIES = [
+  'wrong_amount',
+  'not_received',
+  'duplicate',
+  'unauthorized',
+  'other'
+];
+
+const disputeSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    index: true
+  },
+
+  // Reference the user quoted when opening the dispute
+  transactionReference: {
+    type: String,
+    required: true
+  },
+
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  openedByRole: String,
+
+  category: {
+    type: String,
+    enum: DISPUTE_CATEGORIES,
+    required: true
+  },
+
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // awaiting_second_approval: past the reversal window, one admin has approved
+  status: {
+    type: String,
+    enum: ['open', 'awaiting_second_approval', 'approved', 'rejected'],
+    default: 'open'
+  },
+
+  // Transactions older than the reversal window need two different admins
+  requiresSecondApproval: {
+    type: Boolean,
+    default: false
+  },
+
+  approvals: [{
+    _id: false,
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    approvedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: String,
+  resolvedAt: Date,
+
+  // Compensating transaction created on approval
+  reversalTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+
+  reference: {
+    type: String,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+// Generate reference
+disputeSchema.pre('save', async function(next) {
+  if (!this.reference) {
+    const count = await this.constructor.countDocuments();
+    this.reference = `DSP${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+disputeSchema.methods.isOpen = function() {
+  return ['open', 'awaiting_second_approval'].includes(this.status);
+};
+
+disputeSchema.methods.hasApproved = function(adminId) {
+  return this.approvals.some(approval => approval.admin.equals(adminId));
+};
+
+export default mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,85 @@
+// src/models/FloatRequest.js
+import mongoose from 'mongoose';
+
+/**
+ * Request to top up a depot's token float. Raised by an attendant or
+ * automatically when the float drops below the depot minimum; funded by an
+ * admin (from the treasury) or a KCC admin (from their own wallet).
+ */
+const floatRequestSchema = new mongoose.Schema({
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot',
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // What the forecast suggested when the request was raised
+  suggestedAmount: Number,
+  forecast: mongoose.Schema.Types.Mixed,
+  floatBalance: Number,
+
+  source: {
+    type: String,
+    enum: ['attendant', 'automatic'],
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewNotes: String,
+  reviewedAt: Date,
+  // Amount actually funded - the reviewer may adjust it
+  approvedAmount: Number,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+
+  reference: {
+    type: String,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+floatRequestSchema.index({ status: 1, createdAt: -1 });
+floatRequestSchema.index({ depot: 1, createdAt: -1 });
+// One pending request per depot
+floatRequestSchema.index(
+  { depot: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' }, name: 'one_pending_float_request_per_depot' }
+);
+
+floatRequestSchema.pre('save', async function(next) {
+  if (!this.reference) {
+    const count = await this.constructor.countDocuments();
+    this.reference = `FLT${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+export default mongoose.model('FloatRequest', floatRequestSchema);
@@ -0,0 +1,56 @@
+// src/models/IdempotencyKey.js
+import mongoose from 'mongoose';
+
+/**
+ * Stored outcome of a request sent with an Idempotency-Key header.
+ * Keys are scoped per user and expire after IDEMPOTENCY_TTL_HOURS.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  method: String,
+  path: String,
+
+  // Hash of method, path and body - a reused key must match it
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  // processing until the first request finishes
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+
+  // A processing record past its lease was abandoned (crash, no response) and can be retried
+  leaseExpiresAt: Date,
+
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  // Content-Type the body was sent with - JSON, CSV, text...
+  responseType: String,
+  completedAt: Date,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * One document per scheduled job. Holds the cross-instance lock and the
+ * next due time, so each schedule slot runs on exactly one instance.
+ */
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  nextRunAt: Date,
+  lastRunAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Take the lock if nobody holds it (or the holder's lease ran out).
+ * With dueOnly, also require the job's slot to be due.
+ * Returns the lock document or null if another instance has it.
+ */
+jobLockSchema.statics.acquire = async function(name, owner, leaseMs, { dueOnly = false } = {}) {
+  const now = new Date();
+  const filter = {
+    name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+
+  if (dueOnly) {
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + leaseMs) } },
+    { new: true }
+  );
+};
+
+/**
+ * Release a lock we hold, optionally moving the job to its next slot
+ */
+jobLockSchema.statics.release = function(name, owner, update = {}) {
+  return this.updateOne(
+    { name, lockedBy: owner },
+    { $set: { ...update, lockedBy: null, lockedUntil: null } }
+  );
+};
+
+/**
+ * Make sure a lock document exists for a job
+ */
+jobLockSchema.statics.ensureJob = function(name, nextRunAt) {
+  return this.updateOne(
+    { name },
+    { $setOnInsert: { name, nextRunAt } },
+    { upsert: true }
+  );
+};
+
+export default mongoose.model('JobLock', jobLockSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * Outcome of one scheduled or manual job run
+ */
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instance: String,
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ name: 1, startedAt: -1 });
+
+// Keep 90 days of run history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Latest run per job name
+ */
+jobRunSchema.statics.getLastRuns = async function() {
+  const runs = await this.aggregate([
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: '$name', run: { $first: '$$ROOT' } } }
+  ]);
+
+  return Object.fromEntries(runs.map(({ _id, run }) => [_id, run]));
+};
+
+export default mongoose.model('JobRun', jobRunSchema);
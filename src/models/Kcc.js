@@ -28,6 +28,28 @@ const kccSchema = new mongoose.Schema({
     type: String,
     enum: ['active', 'inactive'],
     default: 'active'
+  },
+  // Milk lost between depot and plant on the branch's pickups - see PlantIntakeService
+  transit: {
+    intakes: { type: Number, default: 0 },
+    lossLiters: { type: Number, default: 0 },
+    excessLossIntakes: { type: Number, default: 0 }
+  },
+  // Same settlement terms as depots - see SettlementService
+  settlement: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'bi-weekly', 'monthly'],
+      default: 'weekly'
+    },
+    autoSettle: {
+      type: Boolean,
+      default: true
+    },
+    minSettlementAmount: {
+      type: Number,
+      default: 1000
+    }
   }
 }, {
   timestamps: true
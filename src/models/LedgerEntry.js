@@ -0,0 +1,249 @@
+// src/models/LedgerEntry.js
+import mongoose from 'mongoose';
+
+/**
+ * Immutable double-entry postings behind every MTZ movement.
+ * A journal is a set of entries sharing a journalId whose debits equal its credits.
+ * Wallet accounts are credited when tokens arrive and debited when they leave,
+ * so a wallet balance is always credits - debits.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  entryType: {
+    type: String,
+    enum: [
+      'deposit_payment',
+      'kcc_pickup_payment',
+      'kcc_delivery_payment',
+      'milk_withdrawal',
+      'p2p_transfer',
+      'redemption',
+      'redemption_refund',
+      'float_transfer',
+      'fee',
+      'issuance',
+      'opening_balance',
+      'transfer',
+      'reversal',
+      'credit_advance',
+      'credit_repayment'
+    ],
+    required: true,
+    immutable: true
+  },
+  // 'wallet' entries belong to a user wallet; the others are system accounts.
+  // 'clearing' holds tokens while an external payout is in flight.
+  account: {
+    type: String,
+    enum: ['wallet', 'issuance', 'burned', 'clearing'],
+    default: 'wallet',
+    immutable: true
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet',
+    required: function() {
+      return this.account === 'wallet';
+    },
+    immutable: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true,
+    immutable: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Posting amount must be positive'],
+    immutable: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    immutable: true
+  },
+  description: {
+    type: String,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ wallet: 1, createdAt: 1 });
+ledgerEntrySchema.index({ transaction: 1 });
+ledgerEntrySchema.index({ entryType: 1, createdAt: -1 });
+
+// Postings are never edited or removed - corrections are new journals
+const rejectMutation = function(next) {
+  next(new Error('Ledger entries are immutable - post a correcting journal instead'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  ledgerEntrySchema.pre(operation, { document: true, query: true }, rejectMutation);
+});
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+// Amounts are compared in micro-MTZ to avoid floating point noise
+const toMicro = (amount) => Math.round(amount * 1e6);
+
+/**
+ * Post a balanced journal
+ * lines: [{ wallet, user, account, direction, amount }]
+ */
+ledgerEntrySchema.statics.postJournal = async function(entryType, lines, options = {}, session = null) {
+  const { transaction = null, description = '' } = options;
+
+  const postings = lines.filter(line => line.amount > 0);
+  if (postings.length < 2) {
+    throw new Error('A journal needs at least one debit and one credit');
+  }
+
+  const totals = postings.reduce((sum, line) => {
+    sum[line.direction] += toMicro(line.amount);
+    return sum;
+  }, { debit: 0, credit: 0 });
+
+  if (totals.debit !== totals.credit) {
+    throw new Error(`Unbalanced journal: debits ${totals.debit / 1e6} != credits ${totals.credit / 1e6}`);
+  }
+
+  const journalId = `JRN-${new mongoose.Types.ObjectId().toHexString().toUpperCase()}`;
+
+  const entries = postings.map(line => ({
+    journalId,
+    entryType,
+    account: line.account || 'wallet',
+    wallet: line.wallet?._id || line.wallet,
+    user: line.user?._id || line.user || line.wallet?.user,
+    direction: line.direction,
+    amount: line.amount,
+    transaction: transaction?._id || transaction,
+    description
+  }));
+
+  await this.insertMany(entries, session ? { session } : {});
+  return journalId;
+};
+
+/**
+ * Wallet balance as projected from its postings,
+ * optionally only counting postings made before a date
+ */
+ledgerEntrySchema.statics.getWalletProjection = async function(walletId, before = null) {
+  const match = { wallet: new mongoose.Types.ObjectId(walletId) };
+  if (before) {
+    match.createdAt = { $lt: before };
+  }
+
+  const [projection] = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$wallet',
+        credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+        postings: { $sum: 1 },
+        lastPostingAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  if (!projection) {
+    return { credits: 0, debits: 0, balance: 0, postings: 0, lastPostingAt: null };
+  }
+
+  return {
+    credits: projection.credits,
+    debits: projection.debits,
+    balance: (toMicro(projection.credits) - toMicro(projection.debits)) / 1e6,
+    postings: projection.postings,
+    lastPostingAt: projection.lastPostingAt
+  };
+};
+
+/**
+ * Compare every stored wallet balance with its postings. Postings are summed
+ * per wallet first so no wallet document ever carries its whole history;
+ * wallets with no postings are unioned in at zero.
+ */
+ledgerEntrySchema.statics.findBalanceDrift = async function() {
+  const Wallet = mongoose.model('Wallet');
+
+  const drifts = await this.aggregate([
+    { $match: { wallet: { $ne: null } } },
+    {
+      $group: {
+        _id: '$wallet',
+        postingCount: { $sum: 1 },
+        projectedBalance: {
+          $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] }
+        }
+      }
+    },
+    {
+      $unionWith: {
+        coll: Wallet.collection.name,
+        pipeline: [{ $project: { _id: 1, postingCount: { $literal: 0 }, projectedBalance: { $literal: 0 } } }]
+      }
+    },
+    {
+      $group: {
+        _id: '$_id',
+        postingCount: { $sum: '$postingCount' },
+        projectedBalance: { $sum: '$projectedBalance' }
+      }
+    },
+    {
+      $lookup: {
+        from: Wallet.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'wallet'
+      }
+    },
+    { $unwind: '$wallet' },
+    {
+      $project: {
+        user: '$wallet.user',
+        storedBalance: '$wallet.balances.MTZ',
+        postingCount: 1,
+        projectedBalance: 1
+      }
+    },
+    { $addFields: { drift: { $round: [{ $subtract: ['$storedBalance', '$projectedBalance'] }, 6] } } },
+    { $match: { drift: { $ne: 0 } } },
+    { $sort: { drift: -1 } }
+  ]);
+
+  return drifts;
+};
+
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,74 @@
+// src/models/Merchant.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * Business profile for a merchant user - agrovets, feed suppliers, vets
+ */
+const merchantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+
+  businessName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  category: {
+    type: String,
+    enum: ['agrovet', 'feed_supplier', 'vet', 'other'],
+    default: 'agrovet'
+  },
+
+  county: {
+    type: String,
+    required: true
+  },
+
+  // Farmers pay by entering this at the counter
+  tillCode: {
+    type: String,
+    unique: true
+  },
+
+  // Settlement fee for this merchant; null uses MERCHANT_SETTLEMENT_FEE_RATE
+  settlementFeeRate: {
+    type: Number,
+    min: 0,
+    max: 0.2,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+merchantSchema.index({ county: 1, status: 1 });
+
+// Six-digit till, retried until unused
+merchantSchema.pre('save', async function(next) {
+  if (!this.tillCode) {
+    let tillCode;
+    do {
+      tillCode = String(crypto.randomInt(100000, 1000000));
+    } while (await this.constructor.exists({ tillCode }));
+    this.tillCode = tillCode;
+  }
+  next();
+});
+
+merchantSchema.statics.findByTill = function(tillCode) {
+  return this.findOne({ tillCode: String(tillCode).trim() }).populate('user', 'name phone status');
+};
+
+export default mongoose.model('Merchant', merchantSchema);
@@ -0,0 +1,110 @@
+// src/models/MpesaRequest.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const mpesaRequestSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['stk_push', 'b2c'],
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: ['onboarding_fee', 'cash_redemption', 'merchant_settlement'],
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Redemption being paid out (B2C)
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+
+  // Activation created once an onboarding fee is paid (STK)
+  activation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activation'
+  },
+
+  gateway: {
+    type: String,
+    default: 'daraja'
+  },
+
+  phone: {
+    type: String,
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  reference: {
+    type: String,
+    unique: true
+  },
+
+  // Provider correlation IDs
+  checkoutRequestId: String,
+  conversationId: String,
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+
+  resultCode: Number,
+  resultDesc: String,
+  mpesaReceipt: String,
+  callbackPayload: mongoose.Schema.Types.Mixed,
+  completedAt: Date
+
+}, {
+  timestamps: true
+});
+
+mpesaRequestSchema.index({ status: 1, createdAt: -1 });
+mpesaRequestSchema.index({ checkoutRequestId: 1 });
+mpesaRequestSchema.index({ conversationId: 1 });
+
+// Generate an unguessable reference - it appears in public callback URLs
+mpesaRequestSchema.pre('save', function(next) {
+  if (!this.reference) {
+    this.reference = `MPR${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+/**
+ * Atomically settle a pending request so duplicate callbacks are ignored.
+ * Returns null when the request was already settled.
+ */
+mpesaRequestSchema.statics.settle = function(reference, result, payload, extra = {}) {
+  return this.findOneAndUpdate(
+    { reference, status: 'pending' },
+    {
+      status: result.success ? 'completed' : 'failed',
+      resultCode: result.resultCode,
+      resultDesc: result.resultDesc,
+      mpesaReceipt: result.receipt || undefined,
+      callbackPayload: payload,
+      completedAt: new Date(),
+      ...extra
+    },
+    { new: true }
+  );
+};
+
+export default mongoose.model('MpesaRequest', mpesaRequestSchema);
@@ -0,0 +1,55 @@
+// src/models/Otp.js
+import mongoose from 'mongoose';
+
+export const OTP_PURPOSES = ['phone_verification', 'pin_reset', 'password_reset', 'device_login', 'wallet_unlock'];
+
+/**
+ * One-time code sent by SMS. Only a hash of the code is stored.
+ */
+const otpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  consumedAt: Date
+}, {
+  timestamps: true
+});
+
+otpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep spent codes a day for rate limiting, then let Mongo remove them
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+otpSchema.methods.isUsable = function() {
+  return !this.consumedAt && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Otp', otpSchema);
@@ -0,0 +1,107 @@
+// src/models/PaymentRequest.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * A request for MTZ from one user to another.
+ * p2p: addressed to a payer who approves it with their PIN.
+ * dynamic_qr: amount fixed by the payee, paid by whoever scans it.
+ * static_qr: record of a payment made to a payee's fixed QR code.
+ * till: record of a payment made to a merchant till code.
+ */
+const paymentRequestSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['p2p', 'dynamic_qr', 'static_qr', 'till'],
+    default: 'p2p'
+  },
+
+  // Who is asking to be paid
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Who pays - unknown for a dynamic QR until it is scanned
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.kind === 'p2p';
+    }
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 140
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'declined', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+
+  expiresAt: Date,
+
+  // P2P fee charged to the payer on top of the amount
+  fee: {
+    type: Number,
+    default: 0
+  },
+
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+
+  paidAt: Date,
+  closedAt: Date,
+
+  reference: {
+    type: String,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+paymentRequestSchema.index({ requester: 1, createdAt: -1 });
+paymentRequestSchema.index({ payer: 1, createdAt: -1 });
+paymentRequestSchema.index({ status: 1, expiresAt: 1 });
+
+// References appear in QR payloads - keep them unguessable
+paymentRequestSchema.pre('save', function(next) {
+  if (!this.reference) {
+    this.reference = `PRQ${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+paymentRequestSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+paymentRequestSchema.methods.isPayable = function() {
+  return this.status === 'pending' && !this.isExpired();
+};
+
+/**
+ * Mark pending requests past their expiry as expired
+ */
+paymentRequestSchema.statics.expireStale = function() {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired', closedAt: new Date() } }
+  );
+};
+
+export default mongoose.model('PaymentRequest', paymentRequestSchema);
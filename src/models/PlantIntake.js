@@ -0,0 +1,125 @@
+// src/models/PlantIntake.js
+import mongoose from 'mongoose';
+
+// Reasons a plant can reject a pickup
+export const PLANT_REJECTION_REASONS = [
+  'high_tpc',
+  'antibiotics_positive',
+  'adulterated',
+  'low_fat',
+  'low_snf',
+  'excess_transit_loss',
+  'other'
+];
+
+/**
+ * A KCC pickup arriving at the plant: volume received against volume
+ * collected at the depot, lab results and the accept/reject decision.
+ * Rejected milk puts a penalty on the depot, collected in its next settlement.
+ */
+const plantIntakeSchema = new mongoose.Schema({
+  pickup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  kcc: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kcc',
+    required: true
+  },
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot',
+    required: true
+  },
+
+  collectedLiters: {
+    type: Number,
+    required: true
+  },
+  receivedLiters: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // collected - received
+  transitLoss: Number,
+  transitLossPercent: Number,
+
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lab: {
+    // Total plate count, CFU/ml
+    tpc: Number,
+    antibioticsPositive: Boolean,
+    addedWaterPercent: Number,
+    adulterants: [String],
+    fatPercent: Number,
+    snfPercent: Number,
+    // Limits the results broke - see PlantIntakeService.assessResults
+    failures: [String],
+    testedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    testedAt: Date
+  },
+
+  status: {
+    type: String,
+    enum: ['received', 'tested', 'accepted', 'rejected'],
+    default: 'received'
+  },
+  rejectionReasons: [{
+    type: String,
+    enum: PLANT_REJECTION_REASONS
+  }],
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+
+  // Charged to the depot on rejection and netted off its next settlement batch
+  penalty: {
+    amount: { type: Number, default: 0 },
+    rate: Number,
+    settlementBatch: String
+  },
+
+  notes: String,
+
+  reference: {
+    type: String,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+plantIntakeSchema.index({ kcc: 1, createdAt: -1 });
+plantIntakeSchema.index({ depot: 1, createdAt: -1 });
+plantIntakeSchema.index({ status: 1 });
+plantIntakeSchema.index(
+  { depot: 1, decidedAt: 1 },
+  { partialFilterExpression: { 'penalty.amount': { $gt: 0 } }, name: 'depot_penalties' }
+);
+
+plantIntakeSchema.pre('save', async function(next) {
+  if (!this.reference) {
+    const count = await this.constructor.countDocuments();
+    this.reference = `INT${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+export default mongoose.model('PlantIntake', plantIntakeSchema);
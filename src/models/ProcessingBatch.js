@@ -0,0 +1,62 @@
+// src/models/ProcessingBatch.js
+import mongoose from 'mongoose';
+
+/**
+ * A run at the KCC plant made from one or more paid pickups. Pickups carry
+ * their source deposits, so a failed batch traces back to the farmers in it.
+ */
+const processingBatchSchema = new mongoose.Schema({
+  kcc: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kcc',
+    required: true
+  },
+
+  pickups: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  litersRaw: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'released', 'failed'],
+    default: 'processing'
+  },
+  // Why a batch failed, e.g. the quality test result
+  failureReason: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  notes: String,
+
+  batchNumber: {
+    type: String,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+processingBatchSchema.index({ kcc: 1, createdAt: -1 });
+processingBatchSchema.index({ pickups: 1 });
+
+processingBatchSchema.pre('save', async function(next) {
+  if (!this.batchNumber) {
+    const count = await this.constructor.countDocuments();
+    this.batchNumber = `PRB${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+export default mongoose.model('ProcessingBatch', processingBatchSchema);
@@ -0,0 +1,92 @@
+// src/models/Role.js
+import mongoose from 'mongoose';
+
+/**
+ * Everything a configurable role can be allowed to do. Admins hold all of
+ * them; other staff get them through RoleGrant, optionally limited in scope.
+ */
+export const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:manage': 'Suspend, reactivate, reset and reassign users',
+  'wallets:lock': 'Lock and unlock user wallets',
+  'audit:read': 'View the audit and security logs',
+  'fees:read': 'View fee settings and fee income',
+  'fees:update': 'Change P2P, redemption and pocket fees',
+  'token:price': 'View and change depot milk pricing',
+  'depots:manage': 'Create and edit depots and assign attendants',
+  'shifts:read': 'View depot shifts and shift reports',
+  'float:read': 'View depot float status and reports',
+  'ledger:read': 'View ledger journals and reconciliation',
+  'ledger:rebuild': 'Rebuild a wallet balance from its ledger',
+  'mpesa:reconcile': 'Match and dismiss paybill payments',
+  'farmers:quality': 'Review flagged farmers and clear flags',
+  'statements:read': 'Generate farmer statements',
+  'jobs:manage': 'View and run scheduled jobs',
+  'disputes:review': 'Review, approve and reject disputes',
+  'merchants:manage': 'View and update merchants',
+  'settlements:read': 'View settlement batches and statements',
+  'settlements:approve': 'Approve, pay and cancel settlement batches',
+  'settlements:manage': 'Close settlement periods and change terms',
+  'overview:read': 'View the system overview',
+  'roles:manage': 'Manage roles and grant them to users'
+};
+
+/**
+ * Starting roles, created by scripts/seedRoles.js
+ */
+export const ROLE_PRESETS = [
+  {
+    key: 'depot_supervisor',
+    name: 'Depot supervisor',
+    description: 'Oversees the depots it is granted over',
+    permissions: ['shifts:read', 'float:read', 'token:price', 'farmers:quality', 'settlements:read']
+  },
+  {
+    key: 'county_auditor',
+    name: 'County auditor',
+    description: 'Read-only access within a county',
+    permissions: ['users:read', 'shifts:read', 'float:read', 'statements:read', 'settlements:read']
+  },
+  {
+    key: 'finance_officer',
+    name: 'Finance officer',
+    description: 'Redemptions, paybill reconciliation and settlements',
+    permissions: ['fees:read', 'ledger:read', 'mpesa:reconcile', 'settlements:read', 'settlements:approve']
+  }
+];
+
+const roleSchema = new mongoose.Schema({
+  // Stable slug, e.g. county_auditor
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]{2,39}$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,66 @@
+// src/models/RoleGrant.js
+import mongoose from 'mongoose';
+
+/**
+ * A role given to one user. Empty scope means everywhere; otherwise the role
+ * only reaches the listed depots, KCC branches and counties (any match counts).
+ */
+const roleGrantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    required: true
+  },
+
+  scope: {
+    depots: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Depot'
+    }],
+    kccs: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Kcc'
+    }],
+    counties: [String]
+  },
+
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+roleGrantSchema.index({ user: 1, revokedAt: 1 });
+roleGrantSchema.index({ role: 1, revokedAt: 1 });
+
+/**
+ * Grants in force for a user, with their roles
+ */
+roleGrantSchema.statics.findActive = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  }).populate('role');
+};
+
+roleGrantSchema.methods.isScoped = function() {
+  const { depots = [], kccs = [], counties = [] } = this.scope || {};
+  return depots.length + kccs.length + counties.length > 0;
+};
+
+export default mongoose.model('RoleGrant', roleGrantSchema);
@@ -0,0 +1,44 @@
+// src/models/SecurityEvent.js
+import mongoose from 'mongoose';
+
+export const SECURITY_EVENT_TYPES = [
+  'pin_failed',
+  'password_failed',
+  'account_locked',
+  'ip_locked',
+  'wallet_locked',
+  'wallet_unlocked'
+];
+
+/**
+ * Security log - failed credential checks, lockouts and unlocks
+ */
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Login identifier tried (email or phone), kept when no user matched
+  account: String,
+  ip: String,
+  channel: {
+    type: String,
+    enum: ['app', 'ussd'],
+    default: 'app'
+  },
+  reason: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+
+export default mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,140 @@
+// src/models/SettlementBatch.js
+import mongoose from 'mongoose';
+
+const lineSchema = new mongoose.Schema({
+  type: String,
+  count: Number,
+  litersRaw: Number,
+  litersPasteurized: Number,
+  tokensPaid: Number,
+  tokensReceived: Number,
+  fees: Number
+}, { _id: false });
+
+/**
+ * One closed settlement period for a depot or KCC branch. The period's
+ * completed transactions carry the batch number (Transaction.settlementBatch
+ * for depots, kccSettlementBatch for branches) so nothing settles twice.
+ *
+ * Fees owed include plant rejection penalties on depots (PlantIntake.penalty).
+ * netAmount = tokens received - tokens paid - fees owed, from the party's side:
+ * positive is paid out to the party, negative is collected from it.
+ */
+const settlementBatchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    unique: true
+  },
+
+  partyType: {
+    type: String,
+    enum: ['depot', 'kcc'],
+    required: true
+  },
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot',
+    required: function() {
+      return this.partyType === 'depot';
+    }
+  },
+  kcc: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kcc',
+    required: function() {
+      return this.partyType === 'kcc';
+    }
+  },
+
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'bi-weekly', 'monthly']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'paid', 'cancelled'],
+    default: 'draft'
+  },
+
+  // Net positions for the period
+  liters: {
+    rawIn: { type: Number, default: 0 },
+    rawOut: { type: Number, default: 0 },
+    pasteurizedIn: { type: Number, default: 0 },
+    pasteurizedOut: { type: Number, default: 0 }
+  },
+  tokens: {
+    paid: { type: Number, default: 0 },
+    received: { type: Number, default: 0 }
+  },
+  feesOwed: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    default: 0
+  },
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  // Per transaction type breakdown for the statement
+  lines: [lineSchema],
+
+  // Null when closed by the scheduled job
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  paymentReference: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  notes: String
+}, {
+  timestamps: true
+});
+
+settlementBatchSchema.index({ status: 1, createdAt: -1 });
+settlementBatchSchema.index({ depot: 1, periodEnd: -1 });
+settlementBatchSchema.index({ kcc: 1, periodEnd: -1 });
+
+settlementBatchSchema.pre('save', async function(next) {
+  if (!this.batchNumber) {
+    const count = await this.constructor.countDocuments();
+    this.batchNumber = `STL${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+/**
+ * Latest non-cancelled batch for a party - its periodEnd is where the next one starts
+ */
+settlementBatchSchema.statics.findLatest = function(partyType, partyId) {
+  return this.findOne({ [partyType]: partyId, status: { $ne: 'cancelled' } })
+    .sort({ periodEnd: -1 });
+};
+
+export default mongoose.model('SettlementBatch', settlementBatchSchema);
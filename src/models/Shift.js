@@ -0,0 +1,108 @@
+// src/models/Shift.js
+import mongoose from 'mongoose';
+
+const stockCountSchema = new mongoose.Schema({
+  rawMilk: Number,
+  pasteurizedMilk: Number,
+  tokenFloat: Number
+}, { _id: false });
+
+/**
+ * One attendant's stint at the depot counter. Milk and the token float are
+ * counted at open and close and compared with the system stock and the depot
+ * float wallet.
+ * Deposits, payments, withdrawals and pickups made meanwhile carry the shift id.
+ */
+const shiftSchema = new mongoose.Schema({
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot',
+    required: true
+  },
+
+  attendant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+
+  // What the attendant counted vs what the system held at that moment
+  opening: {
+    counted: stockCountSchema,
+    system: stockCountSchema
+  },
+  closing: {
+    counted: stockCountSchema,
+    system: stockCountSchema
+  },
+
+  // Filled at close - see ShiftService.buildReport
+  report: mongoose.Schema.Types.Mixed,
+
+  // Handover: the closing attendant names who takes over; the next shift
+  // opened by that attendant at this depot links back and compares counts
+  handoverTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  handoverFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  handoverAcceptedAt: Date,
+
+  openingNotes: String,
+  closingNotes: String,
+
+  reference: {
+    type: String,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+shiftSchema.index({ depot: 1, openedAt: -1 });
+shiftSchema.index({ attendant: 1, openedAt: -1 });
+// One open shift per attendant
+shiftSchema.index(
+  { attendant: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' }, name: 'one_open_shift_per_attendant' }
+);
+
+shiftSchema.pre('save', async function(next) {
+  if (!this.reference) {
+    const count = await this.constructor.countDocuments();
+    this.reference = `SHF${String(count + 1).padStart(6, '0')}`;
+  }
+  next();
+});
+
+shiftSchema.statics.findOpen = function(attendantId) {
+  return this.findOne({ attendant: attendantId, status: 'open' });
+};
+
+/**
+ * Shift the attendant was working when `at` happened (offline captures)
+ */
+shiftSchema.statics.findCovering = function(attendantId, at) {
+  return this.findOne({
+    attendant: attendantId,
+    openedAt: { $lte: at },
+    $or: [{ status: 'open' }, { closedAt: { $gte: at } }]
+  }).sort({ openedAt: -1 });
+};
+
+export default mongoose.model('Shift', shiftSchema);
@@ -71,6 +71,10 @@ const tokenSchema = new mongoose.Schema({
       premium: {
         type: Number,
         default: 1.0 // ✅ CHANGED: No premium bonus - all milk equal
+      },
+      low: {
+        type: Number,
+        default: 1.0
       }
     }
   },
@@ -129,6 +133,12 @@ const tokenSchema = new mongoose.Schema({
         enum: ['depot', 'mtz', 'split'],
         default: 'depot'
       }
+    },
+    pocketEarlyWithdrawal: {
+      rate: {
+        type: Number,
+        default: 0.05 // 5% of amounts taken out of a locked pocket
+      }
     }
   },
 
@@ -221,10 +231,13 @@ tokenSchema.statics.mintTokens = async function(amount, reason = 'milk_deposit')
   return token;
 };
 
-tokenSchema.statics.burnTokens = async function(amount, reason = 'cash_redemption') {
-  const token = await this.getToken();
+tokenSchema.statics.burnTokens = async function(amount, reason = 'cash_redemption', session = null) {
+  // Inside a payout the supply moves with the ledger, in the same transaction
+  const token = session
+    ? await this.findOne({ symbol: 'MTZ' }).session(session)
+    : await this.getToken();
   
-  if (token.circulatingSupply < amount) {
+  if (!token || token.circulatingSupply < amount) {
     throw new Error('Insufficient circulating supply to burn');
   }
 
@@ -233,16 +246,43 @@ tokenSchema.statics.burnTokens = async function(amount, reason = 'cash_redemptio
   token.burnedSupply += amount;
   token.lastBurn = new Date();
 
-  await token.save();
+  await token.save({ session });
   
   // Log burning activity
-  await TokenActivity.create({
+  await TokenActivity.create([{
     type: 'burn',
     amount: amount,
     reason: reason,
     totalSupply: token.totalSupply,
     circulatingSupply: token.circulatingSupply
-  });
+  }], { session });
+
+  return token;
+};
+
+// Return burned tokens to circulation when a completed redemption is reversed
+tokenSchema.statics.restoreBurnedTokens = async function(amount, reason = 'redemption_reversal', session = null) {
+  // Inside a reversal the supply moves with the ledger, in the same transaction
+  const token = session
+    ? await this.findOne({ symbol: 'MTZ' }).session(session)
+    : await this.getToken();
+
+  if (!token || token.burnedSupply < amount) {
+    throw new Error('Cannot restore more tokens than have been burned');
+  }
+
+  token.circulatingSupply += amount;
+  token.burnedSupply -= amount;
+
+  await token.save({ session });
+
+  await TokenActivity.create([{
+    type: 'supply_update',
+    amount: amount,
+    reason: reason,
+    totalSupply: token.totalSupply,
+    circulatingSupply: token.circulatingSupply
+  }], { session });
 
   return token;
 };
@@ -253,9 +293,10 @@ tokenSchema.statics.calculateMintAmount = function(liters, quality = 'standard')
   return liters * this.mintingRules.ratio;
 };
 
-tokenSchema.statics.calculateRedemptionValue = function(tokenAmount) {
-  const token = this;
-  const fee = tokenAmount * token.redemptionRules.cashRedemptionFee;
+// feeRate overrides the cash redemption fee (merchant settlements)
+tokenSchema.statics.calculateRedemptionValue = async function(tokenAmount, feeRate = null) {
+  const token = await this.getToken();
+  const fee = tokenAmount * (feeRate ?? token.redemptionRules.cashRedemptionFee);
   const netAmount = tokenAmount - fee;
   return {
     grossValue: tokenAmount * token.universalPrice.value,
@@ -322,6 +363,13 @@ tokenSchema.methods.getTokenMetrics = function() {
   };
 };
 
+// P2P fee in MTZ - maxFee is configured in KSH
+tokenSchema.methods.calculateP2PFee = function(tokenAmount) {
+  const { rate, maxFee } = this.feeStructure.p2pTransfer;
+  const fee = Math.min(tokenAmount * rate, maxFee / this.universalPrice.value);
+  return Math.round(fee * 1e6) / 1e6;
+};
+
 tokenSchema.methods.canMint = function(amount) {
   return this.status === 'active' && 
          this.totalSupply + amount <= this.supplyControl.maxSupply;
@@ -1,10 +1,34 @@
 import mongoose from 'mongoose';
 
+// Reason codes an attendant (or the depot thresholds) can reject milk for
+export const REJECTION_REASONS = [
+  'added_water',
+  'low_density',
+  'antibiotics_positive',
+  'sour_test_failed',
+  'alcohol_test_failed',
+  'out_of_range'
+];
+
+// Share of one farmer deposit in a KCC pickup
+const sourceLotSchema = new mongoose.Schema({
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  liters: Number,
+  depositedAt: Date
+}, { _id: false });
+
 const transactionSchema = new mongoose.Schema({
 // In transactionSchema
 type: {
   type: String,
-  enum: ['milk_deposit', 'cash_deposit', 'milk_withdrawal', 'kcc_pickup', 'kcc_delivery', 'token_transfer', 'cash_redemption'], // ADD cash_redemption
+  enum: ['milk_deposit', 'cash_deposit', 'milk_withdrawal', 'kcc_pickup', 'kcc_delivery', 'token_transfer', 'cash_redemption', 'reversal', 'credit_advance', 'credit_repayment', 'float_topup'], // ADD cash_redemption
   required: true
 },
   fromUser: {
@@ -33,6 +57,11 @@ type: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Branch the KCC attendant worked for at the time - settles pickups and deliveries
+  kcc: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Kcc'
+  },
   litersRaw: {
     type: Number,
     min: 0
@@ -66,9 +95,40 @@ type: {
   },
   exchangeRate: Number,
   lactometerReading: Number,
+  fatPercent: Number,
+  snfPercent: Number,
+  temperature: Number,
   qualityGrade: {
     type: String,
-    enum: ['premium', 'standard']
+    enum: ['premium', 'standard', 'low']
+  },
+  // Line items behind tokensAmount for priced milk deposits
+  pricingBreakdown: {
+    grade: String,
+    ratePerLiter: Number,
+    lineItems: [{
+      _id: false,
+      label: String,
+      detail: String,
+      amount: Number
+    }],
+    pricedAt: Date
+  },
+  // Rejected milk - whole deposit (status rejected) or the part not accepted
+  rejection: {
+    reasons: [{
+      type: String,
+      enum: REJECTION_REASONS
+    }],
+    details: [String],
+    rejectedLiters: Number,
+    acceptedLiters: Number,
+    automatic: Boolean,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: Date
   },
   depositCode: {
     type: String,
@@ -80,14 +140,52 @@ type: {
     unique: true,
     sparse: true
   },
+  // Offline-captured deposits: device-generated id and capture time
+  clientId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  capturedAt: Date,
+  // When an accepted deposit's lot entered the tank (capture time for offline
+  // deposits) - KCC pickups draw lots oldest first by this
+  lotOpenedAt: Date,
+  // Counter shift the transaction was recorded in; deposits may be paid in a later one
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  paidInShift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // Milk deposits: accepted liters of this deposit still in the depot tank
+  lotRemaining: Number,
+  // KCC pickups: deposits drawn from the tank, oldest first (see TraceabilityService)
+  sourceLots: {
+    type: [sourceLotSchema],
+    default: undefined
+  },
+  // Liters of a pickup not covered by any tracked lot (stock from before lot tracking)
+  untracedLiters: Number,
+  processingBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProcessingBatch'
+  },
   settlementBatch: String,
+  // KCC-side batch for pickups and deliveries, which also settle with the depot
+  kccSettlementBatch: String,
+  mpesaReceipt: String,
+  // Reversal <-> reversed original, linked both ways
   relatedTransaction: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
   },
+  // On a reversal: the type of the transaction it undoes
+  reversedType: String,
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'completed', 'failed', 'cancelled', 'rejected', 'reversed'],
     default: 'completed'
   },
   reference: {
@@ -104,7 +202,15 @@ transactionSchema.index({ fromUser: 1, createdAt: -1 });
 transactionSchema.index({ toUser: 1, createdAt: -1 });
 transactionSchema.index({ attendant: 1, createdAt: -1 });
 transactionSchema.index({ depot: 1, createdAt: -1 });
+transactionSchema.index({ depot: 1, type: 1, updatedAt: -1 });
 transactionSchema.index({ settlementBatch: 1 });
+transactionSchema.index({ kccSettlementBatch: 1 }, { sparse: true });
+transactionSchema.index({ kcc: 1, createdAt: -1 }, { sparse: true });
+transactionSchema.index({ depot: 1, lotOpenedAt: 1, createdAt: 1 }, { partialFilterExpression: { lotRemaining: { $gt: 0 } }, name: 'open_milk_lots' });
+transactionSchema.index({ 'sourceLots.deposit': 1 }, { sparse: true });
+transactionSchema.index({ processingBatch: 1 }, { sparse: true });
+transactionSchema.index({ shift: 1 });
+transactionSchema.index({ paidInShift: 1 }, { sparse: true });
 transactionSchema.index({ status: 1 });
 transactionSchema.index({ 'fees.amount': 1 });
 
@@ -133,10 +239,15 @@ transactionSchema.pre('save', async function(next) {
   next();
 });
 
-transactionSchema.methods.canReverse = function() {
+// Types a dispute can reverse, regardless of age
+transactionSchema.methods.isReversible = function() {
   const reversibleTypes = ['milk_deposit', 'cash_redemption', 'milk_withdrawal'];
-  return reversibleTypes.includes(this.type) && 
-         this.status === 'completed' &&
+  return reversibleTypes.includes(this.type) && this.status === 'completed';
+};
+
+// Reversible by a single admin - inside the 24h window
+transactionSchema.methods.canReverse = function() {
+  return this.isReversible() &&
          Date.now() - this.createdAt < 24 * 60 * 60 * 1000;
 };
 
@@ -222,6 +333,11 @@ transactionSchema.statics.createMilkDeposit = async function(depositData, sessio
     depotId,
     liters,
     lactometerReading,
+    fatPercent,
+    snfPercent,
+    temperature,
+    qualityGrade,
+    pricingBreakdown,
     exchangeRate,
     tokensAmount,
     depositCode,
@@ -238,7 +354,11 @@ transactionSchema.statics.createMilkDeposit = async function(depositData, sessio
     tokensAmount: tokensAmount,
     exchangeRate: exchangeRate,
     lactometerReading: lactometerReading,
-    qualityGrade: lactometerReading >= 28 ? 'premium' : 'standard',
+    fatPercent: fatPercent,
+    snfPercent: snfPercent,
+    temperature: temperature,
+    qualityGrade: qualityGrade || 'standard', // graded by PricingService
+    pricingBreakdown: pricingBreakdown,
     depositCode: depositCode,
     shortCode: shortCode,
     status: 'completed',
@@ -253,8 +373,8 @@ transactionSchema.statics.createMilkDeposit = async function(depositData, sessio
 
 transactionSchema.statics.createTokenTransfer = async function(transferData, session = null) {
   const {
-    fromUserId,
-    toUserId,
+    fromUser,
+    toUser,
     tokensAmount,
     fees = {},
     notes
@@ -262,8 +382,8 @@ transactionSchema.statics.createTokenTransfer = async function(transferData, ses
 
   const transactionData = {
     type: 'token_transfer',
-    fromUser: new mongoose.Types.ObjectId(fromUserId),
-    toUser: new mongoose.Types.ObjectId(toUserId),
+    fromUser: new mongoose.Types.ObjectId(fromUser),
+    toUser: new mongoose.Types.ObjectId(toUser),
     tokensAmount: tokensAmount,
     fees: {
       amount: fees.amount || 0,
@@ -287,6 +407,7 @@ transactionSchema.statics.createKccPickup = async function(pickupData, session =
     depotId,
     attendantId,
     kccAttendantId,
+    kccId,
     litersRaw,
     tokensReplenished,
     settlementBatch
@@ -298,6 +419,7 @@ transactionSchema.statics.createKccPickup = async function(pickupData, session =
     toUser: new mongoose.Types.ObjectId(kccAttendantId),
     attendant: new mongoose.Types.ObjectId(attendantId),
     kccAttendant: new mongoose.Types.ObjectId(kccAttendantId),
+    kcc: kccId ? new mongoose.Types.ObjectId(kccId) : undefined,
     depot: new mongoose.Types.ObjectId(depotId),
     litersRaw: litersRaw,
     tokensAmount: tokensReplenished,
@@ -36,7 +36,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['farmer', 'attendant', 'admin', 'kcc_attendant', 'kcc_admin'],
+    enum: ['farmer', 'attendant', 'admin', 'kcc_attendant', 'kcc_admin', 'merchant'],
     required: true
   },
   onboardingFee: {
@@ -63,7 +63,48 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'pending', 'suspended'],
     default: 'pending'
   },
-  county: String
+  county: String,
+  // Set by an admin reset - the user must choose new credentials first
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  mustChangePin: {
+    type: Boolean,
+    default: false
+  },
+  statusReason: String,
+  // Confirmed by SMS code
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  // Bumped on password/PIN change and suspension - revokes every issued token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Farmer deposit rejection record - flagged when the rate crosses the threshold
+  depositQuality: {
+    totalDeposits: { type: Number, default: 0 },
+    rejectedDeposits: { type: Number, default: 0 },
+    rejectedLiters: { type: Number, default: 0 },
+    lastRejectedAt: Date,
+    flagged: { type: Boolean, default: false },
+    flaggedAt: Date,
+    flagReason: String,
+    clearedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    clearedAt: Date,
+    // Plant lab outcomes for pickups this farmer's milk was in
+    plantTests: { type: Number, default: 0 },
+    plantRejections: { type: Number, default: 0 },
+    plantRejectedLiters: { type: Number, default: 0 },
+    lastPlantRejectionAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -73,6 +114,18 @@ userSchema.index({ assignedDepot: 1 });
 userSchema.index({ assignedKcc: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ paymentStatus: 1 });
+userSchema.index({ 'depositQuality.flagged': 1 });
+
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (
+    this.isModified('password') ||
+    this.isModified('pin') ||
+    (this.isModified('status') && this.status === 'suspended')
+  )) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+  next();
+});
 
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -96,16 +149,19 @@ userSchema.pre('save', async function(next) {
   }
 });
 
-userSchema.methods.generateAuthToken = function() {
+// Short-lived access token bound to a login session (see SessionService)
+userSchema.methods.generateAuthToken = function(sessionId) {
   const payload = {
     userId: this._id,
     phone: this.phone,
-    role: this.role
+    role: this.role,
+    sid: sessionId,
+    tv: this.tokenVersion || 0
   };
   return jwt.sign(
     payload, 
-    process.env.JWT_SECRET || 'milkbank_fallback_secret',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
@@ -137,10 +193,27 @@ userSchema.methods.isKccAdmin = function() {
   return this.role === 'kcc_admin';
 };
 
+userSchema.methods.isMerchant = function() {
+  return this.role === 'merchant';
+};
+
 userSchema.methods.isActive = function() {
   return this.status === 'active';
 };
 
+userSchema.methods.getRejectionRate = function() {
+  const { totalDeposits = 0, rejectedDeposits = 0 } = this.depositQuality || {};
+  return totalDeposits > 0 ? rejectedDeposits / totalDeposits : 0;
+};
+
+/**
+ * 0-100: share of plant-tested pickups with this farmer's milk that passed
+ */
+userSchema.methods.getPlantQualityScore = function() {
+  const { plantTests = 0, plantRejections = 0 } = this.depositQuality || {};
+  return plantTests > 0 ? Math.round((1 - plantRejections / plantTests) * 100) : null;
+};
+
 userSchema.methods.isPaymentVerified = function() {
   return this.paymentStatus === 'verified';
 };
@@ -0,0 +1,87 @@
+// src/models/UssdSession.js
+import mongoose from 'mongoose';
+
+// Gateways drop idle USSD sessions after ~3 minutes; keep ours a little longer
+const SESSION_TTL_MS = 5 * 60 * 1000;
+
+const ussdSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  phoneNumber: {
+    type: String,
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Current menu state and the states that led to it (for '0' back)
+  state: {
+    type: String,
+    default: 'main'
+  },
+  history: {
+    type: [String],
+    default: []
+  },
+
+  // Answers collected so far in the current flow
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_TTL_MS)
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ussdSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+ussdSessionSchema.statics.findOrStart = async function(sessionId, phoneNumber, userId) {
+  let session = await this.findOne({ sessionId });
+  if (!session) {
+    session = new this({ sessionId, phoneNumber, user: userId });
+  }
+  return session;
+};
+
+/**
+ * Move to a new state, remembering the current one for back navigation
+ */
+ussdSessionSchema.methods.goTo = function(state) {
+  this.history.push(this.state);
+  this.state = state;
+};
+
+ussdSessionSchema.methods.goBack = function() {
+  this.state = this.history.pop() || 'main';
+};
+
+ussdSessionSchema.methods.goHome = function() {
+  this.state = 'main';
+  this.history = [];
+  this.data = {};
+};
+
+ussdSessionSchema.methods.setData = function(values) {
+  this.data = { ...this.data, ...values };
+  this.markModified('data');
+};
+
+ussdSessionSchema.methods.touch = function() {
+  this.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  return this.save();
+};
+
+export default mongoose.model('UssdSession', ussdSessionSchema);
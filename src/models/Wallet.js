@@ -1,11 +1,53 @@
 import mongoose from 'mongoose';
+import LedgerEntry from './LedgerEntry.js';
+
+// Named savings sub-balance. Pocketed tokens stay in balances.MTZ but can't be sent.
+const pocketSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  goal: {
+    type: Number,
+    min: 0
+  },
+  // Withdrawals before this date pay the early-withdrawal penalty
+  lockedUntil: Date,
+  // Share of every deposit payment swept into this pocket
+  sweepRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  }
+}, {
+  timestamps: true
+});
+
+pocketSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
 
 const walletSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    required: function() {
+      return !this.depot;
+    }
+  },
+  // Depot float wallets belong to a depot, not a person - counter payments
+  // come out of them and withdrawal/pickup tokens go back in
+  depot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Depot'
   },
   balances: {
     MTZ: {
@@ -43,19 +85,35 @@ const walletSchema = new mongoose.Schema({
     default: false
   },
   lockReason: String,
+  // admin locks stay until an admin unlocks; security locks (wrong PINs) expire at lockedUntil
+  lockSource: {
+    type: String,
+    enum: ['admin', 'security']
+  },
+  lockedUntil: Date,
+  // Wrong PINs since the last correct one
   failedAttempts: {
     type: Number,
     default: 0
-  }
+  },
+  // Security lockouts in the current streak - each one lasts longer
+  securityLocks: {
+    type: Number,
+    default: 0
+  },
+  pockets: [pocketSchema]
 }, {
   timestamps: true
 });
 
+// One wallet per user and one float per depot (see scripts/migrateWalletIndexes.js)
+walletSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } }, name: 'user_wallet_unique' });
+walletSchema.index({ depot: 1 }, { unique: true, partialFilterExpression: { depot: { $type: 'objectId' } }, name: 'depot_float_unique' });
 walletSchema.index({ 'balances.MTZ': 1 });
 walletSchema.index({ 'limits.lastReset': 1 });
 
 walletSchema.statics.resetDailyLimits = async function() {
-  await this.updateMany(
+  return this.updateMany(
     {},
     { 
       $set: { 
@@ -66,6 +124,19 @@ walletSchema.statics.resetDailyLimits = async function() {
   );
 };
 
+/**
+ * Lift security lockouts whose cooldown has passed
+ */
+walletSchema.statics.releaseExpiredLocks = async function() {
+  return this.updateMany(
+    { isLocked: true, lockSource: 'security', lockedUntil: { $lte: new Date() } },
+    {
+      $set: { isLocked: false, failedAttempts: 0 },
+      $unset: { lockReason: '', lockSource: '', lockedUntil: '' }
+    }
+  );
+};
+
 walletSchema.statics.getOrCreateWallet = async function(userId) {
   let wallet = await this.findOne({ user: userId });
   if (!wallet) {
@@ -83,13 +154,125 @@ walletSchema.statics.getOrCreateWalletInSession = async function(userId, session
   return wallet;
 };
 
-walletSchema.statics.transferFeeToAdmin = async function(feeAmount, session) {
+walletSchema.statics.getOrCreateDepotFloat = async function(depotId, session = null) {
+  let wallet = await this.findOne({ depot: depotId }).session(session);
+  if (!wallet) {
+    const [newWallet] = await this.create([{ depot: depotId }], { session });
+    wallet = newWallet;
+  }
+  return wallet;
+};
+
+/**
+ * Move tokens between two wallets and post the matching journal
+ */
+walletSchema.statics.moveTokens = async function(fromWallet, toWallet, amount, options = {}, session = null) {
+  const { entryType = 'transfer', transaction = null, description = '' } = options;
+
+  await fromWallet.deductTokens(amount, session);
+  await toWallet.addTokens(amount, session);
+
+  return LedgerEntry.postJournal(entryType, [
+    { wallet: fromWallet, direction: 'debit', amount },
+    { wallet: toWallet, direction: 'credit', amount }
+  ], { transaction, description }, session);
+};
+
+/**
+ * Platform-initiated move (reversals, repayment collection): skips the lock
+ * and daily send limits, which only govern what the holder spends
+ */
+walletSchema.statics.systemMoveTokens = async function(fromWallet, toWallet, amount, options = {}, session = null) {
+  const { entryType = 'reversal', transaction = null, description = '' } = options;
+
+  await fromWallet.deductTokens(amount, session, { system: true });
+  await toWallet.addTokens(amount, session);
+
+  return LedgerEntry.postJournal(entryType, [
+    { wallet: fromWallet, direction: 'debit', amount },
+    { wallet: toWallet, direction: 'credit', amount }
+  ], { transaction, description }, session);
+};
+
+/**
+ * Credit newly issued tokens to a wallet (initial supply, opening balances)
+ */
+walletSchema.statics.issueTokens = async function(wallet, amount, options = {}, session = null) {
+  const { entryType = 'issuance', transaction = null, description = '' } = options;
+
+  await wallet.addTokens(amount, session);
+
+  return LedgerEntry.postJournal(entryType, [
+    { account: 'issuance', direction: 'debit', amount },
+    { wallet, direction: 'credit', amount }
+  ], { transaction, description }, session);
+};
+
+/**
+ * Debit tokens from a wallet and retire them from circulation
+ */
+walletSchema.statics.burnFromWallet = async function(wallet, amount, options = {}, session = null) {
+  const { entryType = 'redemption', transaction = null, description = '' } = options;
+
+  await wallet.deductTokens(amount, session);
+
+  return LedgerEntry.postJournal(entryType, [
+    { wallet, direction: 'debit', amount },
+    { account: 'burned', direction: 'credit', amount }
+  ], { transaction, description }, session);
+};
+
+/**
+ * Move tokens from a wallet into clearing while an external payout is pending
+ */
+walletSchema.statics.holdTokens = async function(wallet, amount, options = {}, session = null) {
+  const { entryType = 'redemption', transaction = null, description = '' } = options;
+
+  await wallet.deductTokens(amount, session);
+
+  return LedgerEntry.postJournal(entryType, [
+    { wallet, direction: 'debit', amount },
+    { account: 'clearing', user: wallet.user, direction: 'credit', amount }
+  ], { transaction, description }, session);
+};
+
+/**
+ * Return held tokens from clearing to the wallet (failed payout)
+ */
+walletSchema.statics.releaseHeldTokens = async function(wallet, amount, options = {}, session = null) {
+  const { entryType = 'redemption_refund', transaction = null, description = '' } = options;
+
+  await wallet.addTokens(amount, session);
+
+  return LedgerEntry.postJournal(entryType, [
+    { account: 'clearing', user: wallet.user, direction: 'debit', amount },
+    { wallet, direction: 'credit', amount }
+  ], { transaction, description }, session);
+};
+
+/**
+ * Retire held tokens once the external payout has succeeded
+ */
+walletSchema.statics.burnHeldTokens = async function(wallet, amount, options = {}, session = null) {
+  const { entryType = 'redemption', transaction = null, description = '' } = options;
+
+  return LedgerEntry.postJournal(entryType, [
+    { account: 'clearing', user: wallet.user, direction: 'debit', amount },
+    { account: 'burned', user: wallet.user, direction: 'credit', amount }
+  ], { transaction, description }, session);
+};
+
+walletSchema.statics.transferFeeToAdmin = async function(fromWallet, feeAmount, session, transaction = null) {
   if (feeAmount > 0) {
     const adminWallet = await this.getOrCreateWalletInSession(
       process.env.ADMIN_USER_ID,
       session
     );
-    await adminWallet.addTokens(feeAmount, session);
+    await this.moveTokens(fromWallet, adminWallet, feeAmount, {
+      entryType: 'fee',
+      transaction,
+      description: 'Transaction fee'
+    }, session);
   }
 };
 
@@ -99,7 +282,8 @@ walletSchema.statics.transferTokensWithFees = async function(
   amount, 
   feeAmount,
   description = '', 
-  session = null
+  session = null,
+  entryType = 'p2p_transfer'
 ) {
   const fromWallet = await this.findOne({ user: fromUserId }).session(session);
   if (!fromWallet) {
@@ -113,13 +297,6 @@ walletSchema.statics.transferTokensWithFees = async function(
     throw new Error(`Insufficient balance. Need ${totalDeduction} MTZ (including ${feeAmount} MTZ fees)`);
   }
 
-  await fromWallet.deductTokens(totalDeduction, session);
-  await toWallet.addTokens(amount, session);
-
-  if (feeAmount > 0) {
-    await this.transferFeeToAdmin(feeAmount, session);
-  }
-
   const Transaction = mongoose.model('Transaction');
   
   // FIX: Convert user IDs to ObjectIds
@@ -134,6 +311,16 @@ walletSchema.statics.transferTokensWithFees = async function(
     notes: description
   }, session);
 
+  await this.moveTokens(fromWallet, toWallet, amount, {
+    entryType,
+    transaction: transactionRecord,
+    description
+  }, session);
+
+  if (feeAmount > 0) {
+    await this.transferFeeToAdmin(fromWallet, feeAmount, session, transactionRecord);
+  }
+
   return {
     success: true,
     fromBalance: fromWallet.balances.MTZ,
@@ -142,7 +329,7 @@ walletSchema.statics.transferTokensWithFees = async function(
   };
 };
 
-walletSchema.statics.transferTokens = async function(fromUserId, toUserId, amount, description = '') {
+walletSchema.statics.transferTokens = async function(fromUserId, toUserId, amount, description = '', entryType = 'transfer') {
   const session = await mongoose.startSession();
   
   try {
@@ -159,17 +346,20 @@ walletSchema.statics.transferTokens = async function(fromUserId, toUserId, amoun
       throw new Error('Insufficient balance or transfer limits exceeded');
     }
 
-    await fromWallet.deductTokens(amount, session);
-    await toWallet.addTokens(amount, session);
-
     const Transaction = mongoose.model('Transaction');
-    await Transaction.createTokenTransfer({
+    const transactionRecord = await Transaction.createTokenTransfer({
       fromUser: new mongoose.Types.ObjectId(fromUserId),
       toUser: new mongoose.Types.ObjectId(toUserId),
       tokensAmount: amount,
       notes: description
     }, session);
 
+    await this.moveTokens(fromWallet, toWallet, amount, {
+      entryType,
+      transaction: transactionRecord,
+      description
+    }, session);
+
     await session.commitTransaction();
 
     const updatedFromWallet = await this.findOne({ user: fromUserId });
@@ -178,7 +368,8 @@ walletSchema.statics.transferTokens = async function(fromUserId, toUserId, amoun
     return {
       success: true,
       fromBalance: updatedFromWallet.balances.MTZ,
-      toBalance: updatedToWallet.balances.MTZ
+      toBalance: updatedToWallet.balances.MTZ,
+      transactionId: transactionRecord._id
     };
 
   } catch (error) {
@@ -190,7 +381,7 @@ walletSchema.statics.transferTokens = async function(fromUserId, toUserId, amoun
   }
 };
 
-walletSchema.statics.bulkTransfer = async function(fromUserId, transfers, description = '') {
+walletSchema.statics.bulkTransfer = async function(fromUserId, transfers, description = '', entryType = 'transfer') {
   const session = await mongoose.startSession();
   
   try {
@@ -209,15 +400,19 @@ walletSchema.statics.bulkTransfer = async function(fromUserId, transfers, descri
 
     for (const transfer of transfers) {
       const toWallet = await this.getOrCreateWalletInSession(transfer.toUserId, session);
-      await fromWallet.deductTokens(transfer.amount, session);
-      await toWallet.addTokens(transfer.amount, session);
 
-      await mongoose.model('Transaction').createTokenTransfer({
+      const transactionRecord = await mongoose.model('Transaction').createTokenTransfer({
         fromUser: new mongoose.Types.ObjectId(fromUserId),
         toUser: new mongoose.Types.ObjectId(transfer.toUserId),
         tokensAmount: transfer.amount,
         notes: transfer.description || description
       }, session);
+
+      await this.moveTokens(fromWallet, toWallet, transfer.amount, {
+        entryType,
+        transaction: transactionRecord,
+        description: transfer.description || description
+      }, session);
     }
 
     await session.commitTransaction();
@@ -236,7 +431,7 @@ walletSchema.statics.bulkTransfer = async function(fromUserId, transfers, descri
   }
 };
 
-walletSchema.statics.simpleTransfer = async function(fromUserId, toUserId, amount) {
+walletSchema.statics.simpleTransfer = async function(fromUserId, toUserId, amount, entryType = 'transfer') {
   const fromWallet = await this.findOne({ user: fromUserId });
   const toWallet = await this.getOrCreateWallet(toUserId);
   
@@ -248,8 +443,7 @@ walletSchema.statics.simpleTransfer = async function(fromUserId, toUserId, amoun
     throw new Error('Insufficient balance or transfer limits exceeded');
   }
   
-  await fromWallet.deductTokens(amount);
-  await toWallet.addTokens(amount);
+  await this.moveTokens(fromWallet, toWallet, amount, { entryType });
   
   return {
     success: true,
@@ -258,13 +452,66 @@ walletSchema.statics.simpleTransfer = async function(fromUserId, toUserId, amoun
   };
 };
 
+/**
+ * Rebuild the stored balance from the wallet's ledger postings
+ */
+walletSchema.methods.rebuildBalance = async function() {
+  const projection = await LedgerEntry.getWalletProjection(this._id);
+  const previousBalance = this.balances.MTZ;
+
+  this.balances.MTZ = projection.balance;
+  await this.save();
+
+  return {
+    previousBalance,
+    rebuiltBalance: projection.balance,
+    correction: projection.balance - previousBalance,
+    postings: projection.postings
+  };
+};
+
 walletSchema.methods.getBalance = function() {
   return this.balances.MTZ;
 };
 
+walletSchema.methods.getPocketedBalance = function() {
+  return Math.round(this.pockets.reduce((sum, pocket) => sum + pocket.balance, 0) * 100) / 100;
+};
+
+// Balance that can be spent - everything not set aside in pockets
+walletSchema.methods.getAvailableBalance = function() {
+  return Math.max(0, this.balances.MTZ - this.getPocketedBalance());
+};
+
+/**
+ * Set aside each pocket's sweep share of a payment just received.
+ * Only moves tokens between sub-balances - the caller saves the wallet.
+ */
+walletSchema.methods.sweepToPockets = function(amount) {
+  const swept = [];
+  let available = this.getAvailableBalance();
+
+  for (const pocket of this.pockets) {
+    const share = Math.round(Math.min(amount * pocket.sweepRate, available) * 100) / 100;
+    if (share <= 0) continue;
+
+    pocket.balance = Math.round((pocket.balance + share) * 100) / 100;
+    available -= share;
+    swept.push({ pocket: pocket.name, amount: share, balance: pocket.balance });
+  }
+
+  return swept;
+};
+
+walletSchema.methods.isDepotFloat = function() {
+  return !!this.depot;
+};
+
 walletSchema.methods.canSend = function(amount) {
   if (this.isLocked) return false;
-  if (this.balances.MTZ < amount) return false;
+  if (this.getAvailableBalance() < amount) return false;
+  // Daily send limits are for personal wallets - a float pays the whole morning queue
+  if (this.isDepotFloat()) return true;
   
   const today = new Date();
   const lastReset = new Date(this.limits.lastReset);
@@ -289,8 +536,12 @@ walletSchema.methods.addTokens = function(amount, session = null) {
   return this.save();
 };
 
-walletSchema.methods.deductTokens = function(amount, session = null) {
-  if (!this.canSend(amount)) {
+walletSchema.methods.deductTokens = function(amount, session = null, { system = false } = {}) {
+  if (system) {
+    if (this.getAvailableBalance() < amount) {
+      throw new Error('Insufficient balance');
+    }
+  } else if (!this.canSend(amount)) {
     throw new Error('Insufficient balance, wallet locked, or daily limit exceeded');
   }
   
@@ -298,6 +549,11 @@ walletSchema.methods.deductTokens = function(amount, session = null) {
   this.stats.totalSent += amount;
   this.stats.transactionCount += 1;
   this.stats.lastTransaction = new Date();
+
+  // System debits don't use up the holder's daily allowance
+  if (system) {
+    return session ? this.save({ session }) : this.save();
+  }
   
   const today = new Date();
   const lastReset = new Date(this.limits.lastReset);
@@ -327,6 +583,8 @@ walletSchema.methods.getSummary = async function() {
       role: this.user.role
     },
     balance: this.balances.MTZ,
+    available: this.getAvailableBalance(),
+    inPockets: this.getPocketedBalance(),
     limits: this.limits,
     stats: this.stats,
     isLocked: this.isLocked
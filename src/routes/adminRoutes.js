@@ -1,44 +1,132 @@
 import express from 'express';
 import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
 import FeeController from '../controllers/feeController.js'; // 👈 Import fee controller
+import LedgerController from '../controllers/ledgerController.js';
+import MpesaController from '../controllers/mpesaController.js';
+import RejectionController from '../controllers/rejectionController.js';
+import FarmerController from '../controllers/farmerController.js';
+import JobController from '../controllers/jobController.js';
+import AdminUserController from '../controllers/adminUserController.js';
+import OverviewController from '../controllers/overviewController.js';
+import DisputeController from '../controllers/disputeController.js';
+import MerchantController from '../controllers/merchantController.js';
+import SettlementController from '../controllers/settlementController.js';
+import RoleController from '../controllers/roleController.js';
+import PermissionService from '../services/permissionService.js';
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
-router.use(AuthMiddleware.protect, AuthMiddleware.authorize('admin'));
+const { permit } = AuthMiddleware;
+const { locate } = PermissionService;
+
+// Admins, plus staff holding a role grant - each route checks its permission
+router.use(AuthMiddleware.protect, AuthMiddleware.requireStaffAccess);
 
 // ========================
 // 💰 FEE MANAGEMENT
 // ========================
-router.get('/fees/settings', FeeController.getFeeSettings);
-router.patch('/fees/p2p', FeeController.updateP2PFees);
-router.patch('/fees/redemption', FeeController.updateRedemptionFees);
-router.get('/fees/stats', FeeController.getFeeStats);
+router.get('/fees/settings', permit('fees:read'), FeeController.getFeeSettings);
+router.patch('/fees/p2p', permit('fees:update'), FeeController.updateP2PFees);
+router.patch('/fees/redemption', permit('fees:update'), FeeController.updateRedemptionFees);
+router.patch('/fees/pockets', permit('fees:update'), FeeController.updatePocketFees);
+router.get('/fees/stats', permit('fees:read'), FeeController.getFeeStats);
+
+// ========================
+// 📒 LEDGER & RECONCILIATION
+// ========================
+router.get('/ledger/reconcile', permit('ledger:read'), LedgerController.getReconciliationReport);
+router.get('/ledger/journals/:journalId', permit('ledger:read'), LedgerController.getJournal);
+router.get('/ledger/wallets/:walletId', permit('ledger:read'), LedgerController.getWalletLedger);
+router.post('/ledger/wallets/:walletId/rebuild', permit('ledger:rebuild'), LedgerController.rebuildWalletBalance);
+
+// ========================
+// 📲 M-PESA RECONCILIATION
+// ========================
+router.get('/mpesa/c2b/payments', permit('mpesa:reconcile'), MpesaController.getUnmatchedPayments);
+router.post('/mpesa/c2b/payments/:paymentId/match', permit('mpesa:reconcile'), MpesaController.matchC2BPayment);
+router.post('/mpesa/c2b/payments/:paymentId/dismiss', permit('mpesa:reconcile'), MpesaController.dismissC2BPayment);
+router.post('/mpesa/c2b/register-urls', permit('mpesa:reconcile'), MpesaController.registerC2BUrls);
+
+// ========================
+// 🚫 DEPOSIT REJECTIONS
+// ========================
+router.get('/farmers/flagged', permit('farmers:quality', { scoped: true }), RejectionController.getFlaggedFarmers);
+router.post('/farmers/:farmerId/clear-flag', permit('farmers:quality', { locate: locate('user', 'farmerId') }), RejectionController.clearFarmerFlag);
+
+// ========================
+// 🧾 FARMER STATEMENTS
+// ========================
+router.get('/farmers/:farmerId/statements/:year/:month', permit('statements:read', { locate: locate('user', 'farmerId') }), FarmerController.getMonthlyStatement);
+
+// ========================
+// ⏱️ SCHEDULED JOBS
+// ========================
+router.get('/jobs', permit('jobs:manage'), JobController.listJobs);
+router.get('/jobs/:name/runs', permit('jobs:manage'), JobController.getJobRuns);
+router.post('/jobs/:name/run', permit('jobs:manage'), JobController.runJob);
+
+// ========================
+// ⚖️ DISPUTES & REVERSALS
+// ========================
+router.get('/disputes', permit('disputes:review'), DisputeController.listDisputes);
+router.get('/disputes/:disputeId', permit('disputes:review'), DisputeController.getDispute);
+router.post('/disputes/:disputeId/approve', permit('disputes:review'), IdempotencyMiddleware.idempotent, DisputeController.approveDispute);
+router.post('/disputes/:disputeId/reject', permit('disputes:review'), DisputeController.rejectDispute);
+
+// ========================
+// 🛒 MERCHANTS
+// ========================
+router.get('/merchants', permit('merchants:manage'), MerchantController.listMerchants);
+router.patch('/merchants/:merchantId', permit('merchants:manage'), MerchantController.updateMerchant);
+
+// ========================
+// 🤝 DEPOT & KCC SETTLEMENTS
+// ========================
+router.get('/settlements', permit('settlements:read', { scoped: true }), SettlementController.listBatches);
+router.post('/settlements/close', permit('settlements:manage'), IdempotencyMiddleware.idempotent, SettlementController.closePeriod);
+router.patch('/settlements/terms/:partyType/:partyId', permit('settlements:manage'), SettlementController.updateTerms);
+router.get('/settlements/:batchId', permit('settlements:read', { locate: locate('settlement', 'batchId') }), SettlementController.getStatement);
+router.post('/settlements/:batchId/approve', permit('settlements:approve', { locate: locate('settlement', 'batchId') }), SettlementController.approveBatch);
+router.post('/settlements/:batchId/paid', permit('settlements:approve', { locate: locate('settlement', 'batchId') }), IdempotencyMiddleware.idempotent, SettlementController.markPaid);
+router.post('/settlements/:batchId/cancel', permit('settlements:approve', { locate: locate('settlement', 'batchId') }), SettlementController.cancelBatch);
 
 // ========================
 // 📊 SYSTEM OVERVIEW
 // ========================
-router.get('/overview', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Admin overview endpoint - to be implemented'
-  });
-});
+router.get('/overview', permit('overview:read'), OverviewController.getOverview);
 
 // ========================
 // 👥 USER MANAGEMENT
 // ========================
-router.get('/users', (req, res) => {
-  res.json({
-    success: true,
-    message: 'User management endpoint - to be implemented'
-  });
-});
+router.get('/users', permit('users:read', { scoped: true }), AdminUserController.listUsers);
+router.get('/users/:userId', permit('users:read', { locate: locate('user', 'userId') }), AdminUserController.getUser);
+router.post('/users/:userId/suspend', permit('users:manage', { locate: locate('user', 'userId') }), AdminUserController.suspendUser);
+router.post('/users/:userId/reactivate', permit('users:manage', { locate: locate('user', 'userId') }), AdminUserController.reactivateUser);
+router.post('/users/:userId/waive-fee', permit('users:manage', { locate: locate('user', 'userId') }), AdminUserController.waiveOnboardingFee);
+router.post('/users/:userId/reset-credentials', permit('users:manage', { locate: locate('user', 'userId') }), AdminUserController.resetCredentials);
+router.post('/users/:userId/reassign', permit('users:manage', { locate: locate('user', 'userId') }), AdminUserController.reassignUser);
+router.post('/users/:userId/wallet/lock', permit('wallets:lock', { locate: locate('user', 'userId') }), AdminUserController.lockWallet);
+router.post('/users/:userId/wallet/unlock', permit('wallets:lock', { locate: locate('user', 'userId') }), AdminUserController.unlockWallet);
+router.get('/audit-logs', permit('audit:read'), AdminUserController.getAuditLogs);
+router.get('/security-events', permit('audit:read'), AdminUserController.getSecurityEvents);
+
+// ========================
+// 🔑 ROLES & PERMISSIONS
+// ========================
+router.get('/permissions', permit('roles:manage'), RoleController.getPermissions);
+router.get('/roles', permit('roles:manage'), RoleController.listRoles);
+router.post('/roles', permit('roles:manage'), RoleController.createRole);
+router.patch('/roles/:roleId', permit('roles:manage'), RoleController.updateRole);
+router.delete('/roles/:roleId', permit('roles:manage'), RoleController.deleteRole);
+router.get('/users/:userId/roles', permit('roles:manage'), RoleController.listUserRoles);
+router.post('/users/:userId/roles', permit('roles:manage'), RoleController.grantRole);
+router.delete('/users/:userId/roles/:grantId', permit('roles:manage'), RoleController.revokeGrant);
 
 // ========================
 // 🏭 DEPOT MANAGEMENT
 // ========================
-router.get('/depots', (req, res) => {
+router.get('/depots', permit('depots:manage'), (req, res) => {
   res.json({
     success: true,
     message: 'Depot management endpoint - to be implemented'
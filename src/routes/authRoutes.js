@@ -25,6 +25,30 @@ router.post('/login-phone',
   ValidationMiddleware.validatePhoneLogin, // Add this validation
   AuthController.loginWithPhone
 );
+router.post('/refresh', AuthController.refreshToken);
+
+// 📲 SMS codes - phone verification and forgotten PIN/password
+router.post('/otp/request',
+  ValidationMiddleware.validateOtpRequest,
+  AuthController.requestOtp
+);
+
+router.post('/verify-phone',
+  ValidationMiddleware.validateOtpCode,
+  AuthController.verifyPhone
+);
+
+router.post('/unlock-wallet',
+  ValidationMiddleware.validateOtpCode,
+  AuthController.unlockWallet
+);
+
+router.post('/reset-credentials',
+  ValidationMiddleware.validateOtpCode,
+  ValidationMiddleware.validateCredentialReset,
+  AuthController.resetCredential
+);
+
 // ✅ ADD PUBLIC PAYMENT ROUTES (No token required)
 router.post('/verify-payment-public', 
   ValidationMiddleware.validatePublicPayment,
@@ -65,6 +89,24 @@ router.put('/profile',
   AuthController.updateProfile
 );
 
+router.post('/change-password',
+  AuthMiddleware.protect,
+  ValidationMiddleware.validatePasswordChange,
+  AuthController.changePassword
+);
+
+router.post('/change-pin',
+  AuthMiddleware.protect,
+  ValidationMiddleware.validatePinChange,
+  AuthController.changePin
+);
+
+// 📱 Sessions & Devices
+router.post('/logout', AuthMiddleware.protect, AuthController.logout);
+router.post('/logout-all', AuthMiddleware.protect, AuthController.logoutAll);
+router.get('/sessions', AuthMiddleware.protect, AuthController.getSessions);
+router.delete('/sessions/:sessionId', AuthMiddleware.protect, AuthController.revokeSession);
+
 // 👨‍💼 Admin Routes
 router.post('/register-kcc-admin',
   AuthMiddleware.protect,
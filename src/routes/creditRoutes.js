@@ -0,0 +1,44 @@
+// routes/creditRoutes.js
+import express from 'express';
+import CreditController from '../controllers/creditController.js';
+import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(AuthMiddleware.protect);
+
+// ========================
+// 🧑‍🌾 FARMER - ADVANCES
+// ========================
+router.get('/eligibility', AuthMiddleware.authorize('farmer'), CreditController.getEligibility);
+router.get('/advances/mine', AuthMiddleware.authorize('farmer'), CreditController.getMyAdvances);
+router.post('/advances',
+  AuthMiddleware.authorize('farmer'),
+  IdempotencyMiddleware.idempotent,
+  CreditController.requestAdvance
+);
+router.post('/advances/:advanceId/cancel', AuthMiddleware.authorize('farmer'), CreditController.cancelAdvance);
+
+// ========================
+// 🏛️ ADMIN / CO-OP REVIEW
+// ========================
+router.get('/advances', AuthMiddleware.authorize('admin', 'kcc_admin'), CreditController.listAdvances);
+router.post('/advances/:advanceId/approve',
+  AuthMiddleware.authorize('admin', 'kcc_admin'),
+  IdempotencyMiddleware.idempotent,
+  CreditController.approveAdvance
+);
+router.post('/advances/:advanceId/reject', AuthMiddleware.authorize('admin', 'kcc_admin'), CreditController.rejectAdvance);
+
+// ========================
+// 🛒 MERCHANT - INPUT VOUCHERS
+// ========================
+router.post('/vouchers/redeem',
+  AuthMiddleware.authorize('merchant'),
+  IdempotencyMiddleware.idempotent,
+  CreditController.redeemVoucher
+);
+
+export default router;
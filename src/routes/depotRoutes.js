@@ -1,6 +1,13 @@
 import express from 'express';
 import DepotController from '../controllers/depotController.js';
 import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
+import RejectionController from '../controllers/rejectionController.js';
+import SyncController from '../controllers/syncController.js';
+import ShiftController from '../controllers/shiftController.js';
+import FloatController from '../controllers/floatController.js';
+import PlantIntakeController from '../controllers/plantIntakeController.js';
+import PermissionService from '../services/permissionService.js';
 
 const router = express.Router();
 
@@ -10,7 +17,7 @@ const router = express.Router();
 
 router.post('/', 
   AuthMiddleware.protect,
-  AuthMiddleware.authorize('admin'),
+  AuthMiddleware.permit('depots:manage'),
   DepotController.createDepot
 );
 
@@ -26,13 +33,25 @@ router.get('/:id',
 
 router.put('/:id',
   AuthMiddleware.protect,
-  AuthMiddleware.authorize('admin'),
+  AuthMiddleware.permit('depots:manage', { locate: PermissionService.locate('depot', 'id') }),
   DepotController.updateDepot
 );
 
+router.get('/:id/pricing',
+  AuthMiddleware.protect,
+  AuthMiddleware.permit('token:price', { locate: PermissionService.locate('depot', 'id') }),
+  DepotController.getDepotPricing
+);
+
+router.patch('/:id/pricing',
+  AuthMiddleware.protect,
+  AuthMiddleware.permit('token:price', { locate: PermissionService.locate('depot', 'id') }),
+  DepotController.updateDepotPricing
+);
+
 router.post('/:id/assign-attendant',
   AuthMiddleware.protect,
-  AuthMiddleware.authorize('admin'),
+  AuthMiddleware.permit('depots:manage', { locate: PermissionService.locate('depot', 'id') }),
   DepotController.assignAttendant
 );
 
@@ -52,9 +71,24 @@ router.post('/:depotId/deposit/record',
   AuthMiddleware.protect,
   AuthMiddleware.authorize('attendant'), 
   AuthMiddleware.requireAssignedDepot(),
+  IdempotencyMiddleware.idempotent,
   DepotController.recordMilkDeposit
 );
 
+router.get('/deposit/rejection-reasons',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  RejectionController.getRejectionReasons
+);
+
+router.post('/:depotId/deposit/reject',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  IdempotencyMiddleware.idempotent,
+  RejectionController.rejectDeposit
+);
+
 router.get('/:depotId/deposit/pending', 
   AuthMiddleware.protect,
   AuthMiddleware.authorize('attendant'), 
@@ -66,9 +100,159 @@ router.post('/:depotId/deposit/pay',
   AuthMiddleware.protect,
   AuthMiddleware.authorize('attendant'), 
   AuthMiddleware.requireAssignedDepot(), 
+  IdempotencyMiddleware.idempotent,
   DepotController.processTokenPayment
 );
 
+// ====================
+// SHIFTS & CASH-UP
+// ====================
+
+router.post('/:depotId/shifts/open',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  IdempotencyMiddleware.idempotent,
+  ShiftController.openShift
+);
+
+router.post('/:depotId/shifts/close',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  IdempotencyMiddleware.idempotent,
+  ShiftController.closeShift
+);
+
+router.get('/:depotId/shifts/current',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  ShiftController.getCurrentShift
+);
+
+router.get('/:depotId/shifts',
+  AuthMiddleware.protect,
+  AuthMiddleware.permit('shifts:read', {
+    roles: ['attendant', 'admin'],
+    locate: PermissionService.locate('depot', 'depotId')
+  }),
+  AuthMiddleware.requireAssignedDepot(),
+  ShiftController.listShifts
+);
+
+router.get('/:depotId/shifts/:shiftId/report',
+  AuthMiddleware.protect,
+  AuthMiddleware.permit('shifts:read', {
+    roles: ['attendant', 'admin'],
+    locate: PermissionService.locate('depot', 'depotId')
+  }),
+  AuthMiddleware.requireAssignedDepot(),
+  ShiftController.getShiftReport
+);
+
+// ====================
+// DEPOT FLOAT
+// ====================
+
+router.get('/float/requests',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin', 'kcc_admin'),
+  FloatController.listTopUps
+);
+
+router.post('/float/requests/:requestId/approve',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin', 'kcc_admin'),
+  IdempotencyMiddleware.idempotent,
+  FloatController.approveTopUp
+);
+
+router.post('/float/requests/:requestId/reject',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin', 'kcc_admin'),
+  FloatController.rejectTopUp
+);
+
+router.get('/:depotId/float',
+  AuthMiddleware.protect,
+  AuthMiddleware.permit('float:read', {
+    roles: ['attendant', 'admin', 'kcc_admin'],
+    locate: PermissionService.locate('depot', 'depotId')
+  }),
+  AuthMiddleware.requireAssignedDepot(),
+  FloatController.getFloatStatus
+);
+
+router.get('/:depotId/float/report',
+  AuthMiddleware.protect,
+  AuthMiddleware.permit('float:read', {
+    roles: ['attendant', 'admin', 'kcc_admin'],
+    locate: PermissionService.locate('depot', 'depotId')
+  }),
+  AuthMiddleware.requireAssignedDepot(),
+  FloatController.getFloatReport
+);
+
+router.patch('/:depotId/float/settings',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin'),
+  FloatController.updateFloatSettings
+);
+
+router.post('/:depotId/float/requests',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  IdempotencyMiddleware.idempotent,
+  FloatController.requestTopUp
+);
+
+router.post('/:depotId/float/requests/:requestId/cancel',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  FloatController.cancelTopUp
+);
+
+router.post('/:depotId/float/contribute',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  IdempotencyMiddleware.idempotent,
+  FloatController.contribute
+);
+
+// ====================
+// KCC PLANT RESULTS
+// ====================
+
+router.get('/:depotId/plant-intakes',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant', 'admin'),
+  AuthMiddleware.requireAssignedDepot(),
+  PlantIntakeController.listIntakes
+);
+
+// ====================
+// OFFLINE DEVICE SYNC
+// ====================
+
+router.post('/:depotId/sync/deposits',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  IdempotencyMiddleware.idempotent,
+  SyncController.syncDeposits
+);
+
+router.get('/:depotId/sync/changes',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('attendant'),
+  AuthMiddleware.requireAssignedDepot(),
+  SyncController.getChanges
+);
+
 // ====================
 // DASHBOARD & TRANSACTIONS
 // ====================
@@ -98,17 +282,14 @@ router.get('/:depotId/today-stats',
 // KCC OPERATIONS
 // ====================
 
-router.post('/:depotId/kcc-pickup', 
-  AuthMiddleware.protect,
-  AuthMiddleware.authorize('attendant'), 
-  AuthMiddleware.requireAssignedDepot(), 
-  DepotController.kccPickup
-);
+// Pickups are recorded by the KCC attendant (POST /api/kcc/pickup/record), which
+// draws the milk lots; depots only signal that milk is ready below
 
 router.post('/:depotId/kcc-delivery', 
   AuthMiddleware.protect,
   AuthMiddleware.authorize('attendant'), 
   AuthMiddleware.requireAssignedDepot(), 
+  IdempotencyMiddleware.idempotent,
   DepotController.kccDelivery
 );
 
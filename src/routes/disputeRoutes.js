@@ -0,0 +1,14 @@
+// routes/disputeRoutes.js
+import express from 'express';
+import DisputeController from '../controllers/disputeController.js';
+import AuthMiddleware from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Farmers and depot attendants dispute transactions they took part in
+router.use(AuthMiddleware.protect, AuthMiddleware.authorize('farmer', 'attendant'));
+
+router.post('/', DisputeController.openDispute);
+router.get('/mine', DisputeController.getMyDisputes);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import FarmerController from '../controllers/farmerController.js';
 import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
 
 const router = express.Router();
 
@@ -14,11 +15,16 @@ router.get('/deposits', FarmerController.getFarmerDepositHistory);
 router.get('/deposits/summary', FarmerController.getDepositSummary);
 router.get('/deposits/:depositId', FarmerController.getDepositDetails);
 
+// ========================
+// 🧾 STATEMENTS
+// ========================
+router.get('/statements/:year/:month', FarmerController.getMonthlyStatement);
+
 // ========================
 // 🥛 MILK WITHDRAWAL ROUTES  ✅ ADD THIS SECTION
 // ========================
 router.get('/check-depot/:code', FarmerController.checkDepot);
-router.post('/withdraw-milk', FarmerController.withdrawMilk);
+router.post('/withdraw-milk', IdempotencyMiddleware.idempotent, FarmerController.withdrawMilk);
 // In your farmer routes file, add this temporary route:
 router.get('/debug-transactions', FarmerController.debugTransactions);
 // ========================
@@ -1,6 +1,9 @@
 import express from 'express';
 import KccController from '../controllers/kccController.js';
+import TraceabilityController from '../controllers/traceabilityController.js';
+import PlantIntakeController from '../controllers/plantIntakeController.js';
 import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
 
 const router = express.Router();
 
@@ -22,6 +25,13 @@ router.get('/branches',
   KccController.getAllKccBranches
 );
 
+// Where a farmer's milk from a day went (System Admin only)
+router.get('/trace/farmers/:farmerId',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin'),
+  TraceabilityController.traceFarmer
+);
+
 // ========================
 // 🏭 KCC ADMIN ROUTES (KCC Branch Manager)
 // ========================
@@ -40,6 +50,7 @@ router.post('/transfer-tokens',
   AuthMiddleware.authorize('kcc_admin'),
   AuthMiddleware.requireAssignedKcc(),
   AuthMiddleware.requireSameKccBranch(),
+  IdempotencyMiddleware.idempotent,
   KccController.transferTokensToAttendant
 );
 
@@ -60,6 +71,7 @@ router.post('/pickup/record',  // STEP 1: Record pickup (collect milk)
   AuthMiddleware.protect,
   AuthMiddleware.authorize('kcc_attendant'),
   AuthMiddleware.requireAssignedKcc(),
+  IdempotencyMiddleware.idempotent,
   KccController.recordKccPickup
 );
 
@@ -67,6 +79,7 @@ router.post('/pickup/pay',  // STEP 2: Process payment
   AuthMiddleware.protect,
   AuthMiddleware.authorize('kcc_attendant'),
   AuthMiddleware.requireAssignedKcc(),
+  IdempotencyMiddleware.idempotent,
   KccController.processKccPayment
 );
 
@@ -150,7 +163,88 @@ router.post('/delivery/confirm',
   AuthMiddleware.protect,
   AuthMiddleware.authorize('kcc_attendant'),
   AuthMiddleware.requireAssignedKcc(),
+  IdempotencyMiddleware.idempotent,
   KccController.confirmKccDelivery
 );
 
+// ========================
+// 🔎 PROCESSING BATCHES & TRACEABILITY
+// ========================
+
+// Group pickups into a plant processing batch
+router.post('/processing-batches',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  TraceabilityController.createProcessingBatch
+);
+
+// Processing batches (own branch for KCC staff)
+router.get('/processing-batches',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin', 'kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  TraceabilityController.listProcessingBatches
+);
+
+// Release or fail a batch
+router.post('/processing-batches/:batchId/close',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  TraceabilityController.closeProcessingBatch
+);
+
+// Farmers in a processing batch
+router.get('/processing-batches/:batchId/trace',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin', 'kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  TraceabilityController.traceProcessingBatch
+);
+
+// Farmers in a pickup
+router.get('/pickups/:pickupId/trace',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin', 'kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  TraceabilityController.tracePickup
+);
+
+// ========================
+// 🧪 PLANT INTAKE & LAB RESULTS
+// ========================
+
+// Log a pickup arriving at the plant
+router.post('/intakes',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  PlantIntakeController.recordIntake
+);
+
+// Plant intakes (own branch for KCC staff)
+router.get('/intakes',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('admin', 'kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  PlantIntakeController.listIntakes
+);
+
+// Record lab results
+router.post('/intakes/:intakeId/results',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('kcc_admin', 'kcc_attendant'),
+  AuthMiddleware.requireAssignedKcc(),
+  PlantIntakeController.recordResults
+);
+
+// Accept or reject (KCC Admin only) - rejection charges the depot a penalty
+router.post('/intakes/:intakeId/decision',
+  AuthMiddleware.protect,
+  AuthMiddleware.authorize('kcc_admin'),
+  AuthMiddleware.requireAssignedKcc(),
+  PlantIntakeController.decide
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,34 @@
+// routes/merchantRoutes.js
+import express from 'express';
+import MerchantController from '../controllers/merchantController.js';
+import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(AuthMiddleware.protect);
+
+// ========================
+// 🧑‍🌾 FARMER - PAY AT THE COUNTER
+// ========================
+router.get('/till/:tillCode', MerchantController.lookupTill);
+router.post('/pay',
+  AuthMiddleware.authorize('farmer'),
+  IdempotencyMiddleware.idempotent,
+  MerchantController.payTill
+);
+
+// ========================
+// 🛒 MERCHANT
+// ========================
+router.get('/me', AuthMiddleware.authorize('merchant'), MerchantController.getProfile);
+router.get('/sales/daily', AuthMiddleware.authorize('merchant'), MerchantController.getDailySales);
+router.get('/settlements', AuthMiddleware.authorize('merchant'), MerchantController.getSettlements);
+router.post('/settlements',
+  AuthMiddleware.authorize('merchant'),
+  IdempotencyMiddleware.idempotent,
+  MerchantController.requestSettlement
+);
+
+export default router;
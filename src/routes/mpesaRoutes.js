@@ -1,10 +1,24 @@
 import express from 'express';
 import MpesaController from '../controllers/mpesaController.js';
 import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
+import ValidationMiddleware from '../middleware/validationMiddleware.js';
 
 const router = express.Router();
 
-router.post('/redeem', AuthMiddleware.protect, MpesaController.cashRedemption);
-router.post('/callback', MpesaController.mpesaCallback);
+router.post('/redeem', AuthMiddleware.protect, IdempotencyMiddleware.idempotent, MpesaController.cashRedemption);
 
-export default router;
\ No newline at end of file
+// Onboarding fee via STK Push (no token required)
+router.post('/stk/onboarding', ValidationMiddleware.validatePhone, MpesaController.requestOnboardingPayment);
+router.get('/requests/:reference', MpesaController.getRequestStatus);
+
+// Gateway callbacks - signed per request
+router.post('/callback/stk/:reference', MpesaController.verifyCallbackSignature, MpesaController.stkCallback);
+router.post('/callback/b2c/:reference', MpesaController.verifyCallbackSignature, MpesaController.b2cResultCallback);
+router.post('/callback/b2c-timeout/:reference', MpesaController.verifyCallbackSignature, MpesaController.b2cTimeoutCallback);
+
+// Paybill (C2B) webhooks - signed with the shortcode
+router.post('/callback/c2b-validation/:reference', MpesaController.verifyCallbackSignature, MpesaController.c2bValidation);
+router.post('/callback/c2b-confirmation/:reference', MpesaController.verifyCallbackSignature, MpesaController.c2bConfirmation);
+
+export default router;
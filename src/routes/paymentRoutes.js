@@ -0,0 +1,29 @@
+// routes/paymentRoutes.js
+import express from 'express';
+import PaymentRequestController from '../controllers/paymentRequestController.js';
+import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(AuthMiddleware.protect);
+
+// ========================
+// 🙏 PAYMENT REQUESTS
+// ========================
+router.post('/requests', PaymentRequestController.createRequest);
+router.get('/requests', PaymentRequestController.listRequests);
+router.post('/requests/:requestId/approve', IdempotencyMiddleware.idempotent, PaymentRequestController.approveRequest);
+router.post('/requests/:requestId/decline', PaymentRequestController.declineRequest);
+router.post('/requests/:requestId/cancel', PaymentRequestController.cancelRequest);
+
+// ========================
+// 📷 QR PAYMENTS
+// ========================
+router.get('/qr/static', PaymentRequestController.getStaticQr);
+router.post('/qr/dynamic', PaymentRequestController.createDynamicQr);
+router.post('/qr/preview', PaymentRequestController.previewQr);
+router.post('/qr/pay', IdempotencyMiddleware.idempotent, PaymentRequestController.payQr);
+
+export default router;
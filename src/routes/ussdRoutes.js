@@ -4,7 +4,7 @@ import UssdController from '../controllers/ussdController.js';
 
 const router = express.Router();
 
-// USSD endpoint
+// USSD endpoint - Africa's Talking posts form-encoded sessionId, phoneNumber, text
 router.post('/', UssdController.handleUssdRequest);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,7 +1,9 @@
 // src/routes/walletRoutes.js
 import express from 'express';
 import WalletController from '../controllers/walletController.js';
+import PocketController from '../controllers/pocketController.js';
 import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
 
 const router = express.Router();
 
@@ -11,12 +13,20 @@ router.use(AuthMiddleware.protect);
 // User wallet operations
 router.get('/balance', WalletController.getWalletBalance);
 router.get('/transactions', WalletController.getTransactionHistory);
-router.post('/transfer', WalletController.transferTokens);
+router.post('/transfer', IdempotencyMiddleware.idempotent, WalletController.transferTokens);
 router.post('/calculate', WalletController.calculateValue);
-router.post('/redeem', WalletController.cashRedemption);
+router.post('/redeem', IdempotencyMiddleware.idempotent, WalletController.cashRedemption);
+
+// Savings pockets (farmers)
+router.get('/pockets', AuthMiddleware.authorize('farmer'), PocketController.getPockets);
+router.post('/pockets', AuthMiddleware.authorize('farmer'), PocketController.createPocket);
+router.patch('/pockets/:pocketId', AuthMiddleware.authorize('farmer'), PocketController.updatePocket);
+router.post('/pockets/:pocketId/deposit', AuthMiddleware.authorize('farmer'), IdempotencyMiddleware.idempotent, PocketController.moveToPocket);
+router.post('/pockets/:pocketId/withdraw', AuthMiddleware.authorize('farmer'), IdempotencyMiddleware.idempotent, PocketController.withdrawFromPocket);
+router.delete('/pockets/:pocketId', AuthMiddleware.authorize('farmer'), PocketController.closePocket);
 
 // Admin-only route
-router.post('/transfer-float', AuthMiddleware.authorize('admin'), WalletController.transferFloat);
+router.post('/transfer-float', AuthMiddleware.authorize('admin'), IdempotencyMiddleware.idempotent, WalletController.transferFloat);
 
 // Public token metrics
 router.get('/metrics', WalletController.getTokenMetrics);
@@ -1,9 +1,10 @@
 import express from 'express';
 import WithdrawalController from '../controllers/withdrawalController.js';
 import AuthMiddleware from '../middleware/authMiddleware.js';
+import IdempotencyMiddleware from '../middleware/idempotencyMiddleware.js';
 
 const router = express.Router();
 
-router.post('/milk', AuthMiddleware.protect, WithdrawalController.withdrawMilk);
+router.post('/milk', AuthMiddleware.protect, IdempotencyMiddleware.idempotent, WithdrawalController.withdrawMilk);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,480 @@
+// src/services/creditService.js
+import mongoose from 'mongoose';
+import CreditAdvance, { OPEN_ADVANCE_STATUSES } from '../models/CreditAdvance.js';
+import Transaction from '../models/Transaction.js';
+import Wallet from '../models/Wallet.js';
+import User from '../models/User.js';
+import Kcc from '../models/Kcc.js';
+import Merchant from '../models/Merchant.js';
+import MerchantService from './merchantService.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Input credit against future milk payouts. Advances are funded from the
+ * admin (treasury) wallet and repaid into it from deposit payments.
+ */
+class CreditService {
+  static getSettings() {
+    return {
+      limitRatio: Number(Environment.get('CREDIT_LIMIT_RATIO', 0.5)),
+      maxAdvance: Number(Environment.get('CREDIT_MAX_ADVANCE', 5000)),
+      minDeposits: Number(Environment.get('CREDIT_MIN_DEPOSITS', 6)),
+      feeRate: Number(Environment.get('CREDIT_ADVANCE_FEE_RATE', 0.05)),
+      repaymentRate: Number(Environment.get('CREDIT_REPAYMENT_RATE', 0.3)),
+      termDays: Number(Environment.get('CREDIT_TERM_DAYS', 90))
+    };
+  }
+
+  static async getTreasuryWallet(session) {
+    if (!process.env.ADMIN_USER_ID) {
+      throw new AppError('ADMIN_USER_ID is not configured - no wallet to fund advances from', 500);
+    }
+    return Wallet.getOrCreateWalletInSession(process.env.ADMIN_USER_ID, session);
+  }
+
+  /**
+   * Paid deposits over the last 30/60/90 days
+   */
+  static async getDepositWindows(farmerId) {
+    const now = Date.now();
+    const since = (days) => new Date(now - days * DAY_MS);
+    const inWindow = (days, value) => ({ $cond: [{ $gte: ['$createdAt', since(days)] }, value, 0] });
+
+    const [row] = await Transaction.aggregate([
+      {
+        $match: {
+          type: 'milk_deposit',
+          fromUser: new mongoose.Types.ObjectId(farmerId),
+          status: 'completed',
+          createdAt: { $gte: since(90) }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries([30, 60, 90].flatMap(days => [
+            [`deposits${days}`, { $sum: inWindow(days, 1) }],
+            [`liters${days}`, { $sum: inWindow(days, '$litersRaw') }],
+            [`tokens${days}`, { $sum: inWindow(days, '$tokensAmount') }]
+          ]))
+        }
+      }
+    ]);
+
+    const windows = {};
+    for (const days of [30, 60, 90]) {
+      windows[`${days}d`] = {
+        deposits: row?.[`deposits${days}`] || 0,
+        liters: round(row?.[`liters${days}`]),
+        tokens: round(row?.[`tokens${days}`])
+      };
+    }
+    return windows;
+  }
+
+  /**
+   * Credit limit from the weakest month in the last 90 days, less what is already owed
+   */
+  static async getEligibility(farmerId, { excludeId = null } = {}) {
+    const settings = CreditService.getSettings();
+    const windows = await CreditService.getDepositWindows(farmerId);
+
+    // Weakest month: the last 30 days, or the 60/90-day monthly average
+    const monthlyPayout = round(Math.min(
+      windows['30d'].tokens,
+      windows['60d'].tokens / 2,
+      windows['90d'].tokens / 3
+    ));
+
+    const filter = { farmer: farmerId, status: { $in: OPEN_ADVANCE_STATUSES } };
+    if (excludeId) filter._id = { $ne: excludeId };
+    const open = await CreditAdvance.find(filter);
+
+    const owed = round(open.reduce((sum, advance) => sum + advance.getOutstanding(), 0));
+    const base = {
+      windows,
+      monthlyPayout,
+      owed,
+      repaymentRate: settings.repaymentRate,
+      feeRate: settings.feeRate,
+      termDays: settings.termDays
+    };
+
+    if (open.some(advance => advance.status === 'defaulted')) {
+      return { ...base, eligible: false, limit: 0, reason: 'An earlier advance is in default' };
+    }
+    if (windows['90d'].deposits < settings.minDeposits) {
+      return { ...base, eligible: false, limit: 0, reason: `At least ${settings.minDeposits} paid deposits in the last 90 days are needed` };
+    }
+
+    const limit = Math.max(0, Math.floor(Math.min(monthlyPayout * settings.limitRatio, settings.maxAdvance) - owed));
+    return {
+      ...base,
+      eligible: limit > 0,
+      limit,
+      reason: limit > 0 ? null : 'Outstanding advances already use the credit limit'
+    };
+  }
+
+  /**
+   * Farmer asks for an advance in MTZ or as a voucher for a merchant till
+   */
+  static async requestAdvance(farmer, { amount, type = 'mtz', tillCode, purpose }) {
+    const principal = Number(amount);
+    if (!Number.isFinite(principal) || principal < 1) {
+      throw new AppError('Enter a valid advance amount', 400);
+    }
+    if (!['mtz', 'voucher'].includes(type)) {
+      throw new AppError('Advance type must be mtz or voucher', 400);
+    }
+
+    const eligibility = await CreditService.getEligibility(farmer._id);
+    if (!eligibility.eligible) {
+      throw new AppError(`Not eligible for an advance: ${eligibility.reason}`, 400);
+    }
+    if (principal > eligibility.limit) {
+      throw new AppError(`Advance limit is ${eligibility.limit} MTZ`, 400);
+    }
+
+    const merchant = type === 'voucher' ? await MerchantService.findTill(tillCode) : null;
+    const settings = CreditService.getSettings();
+
+    return CreditAdvance.create({
+      farmer: farmer._id,
+      type,
+      merchant: merchant?._id,
+      purpose,
+      principal,
+      totalDue: round(principal * (1 + settings.feeRate)),
+      repaymentRate: settings.repaymentRate,
+      eligibility: {
+        windows: eligibility.windows,
+        limit: eligibility.limit,
+        monthlyPayout: eligibility.monthlyPayout,
+        assessedAt: new Date()
+      },
+      requestedBy: farmer._id
+    });
+  }
+
+  /**
+   * Co-op (KCC) admins may only decide for farmers in their branch's county
+   */
+  static async assertReviewerScope(reviewer, farmer) {
+    if (reviewer.role !== 'kcc_admin') return;
+
+    const kcc = reviewer.assignedKcc ? await Kcc.findById(reviewer.assignedKcc) : null;
+    if (!kcc || kcc.location.county !== farmer.county) {
+      throw new AppError('Farmer is outside your KCC branch county', 403);
+    }
+  }
+
+  static async findPending(advanceId, reviewer) {
+    const advance = await CreditAdvance.findById(advanceId);
+    if (!advance) {
+      throw new AppError('Advance not found', 404);
+    }
+    if (advance.status !== 'pending') {
+      throw new AppError(`Advance is already ${advance.status}`, 400);
+    }
+
+    const farmer = await User.findById(advance.farmer);
+    await CreditService.assertReviewerScope(reviewer, farmer);
+    return { advance, farmer };
+  }
+
+  /**
+   * Approve an advance. MTZ advances are paid out now; vouchers wait for the merchant.
+   */
+  static async approveAdvance(advanceId, reviewer, notes) {
+    const { advance, farmer } = await CreditService.findPending(advanceId, reviewer);
+
+    // History may have changed since the request
+    const eligibility = await CreditService.getEligibility(farmer._id, { excludeId: advance._id });
+    if (!eligibility.eligible || advance.principal > eligibility.limit) {
+      throw new AppError(`Farmer no longer qualifies: ${eligibility.reason || `limit is ${eligibility.limit} MTZ`}`, 400);
+    }
+
+    const review = { reviewedBy: reviewer._id, reviewNotes: notes, approvedAt: new Date() };
+
+    if (advance.type === 'voucher') {
+      const approved = await CreditService.claim(advance, 'pending', { ...review, status: 'approved' });
+      return { advance: approved, farmer, transaction: null };
+    }
+
+    const transaction = await CreditService.disburse(advance, farmer._id, `Credit advance ${advance.reference} to ${farmer.name}`, {
+      from: 'pending',
+      review
+    });
+    return { advance, farmer, transaction };
+  }
+
+  static async rejectAdvance(advanceId, reviewer, notes) {
+    if (!notes) {
+      throw new AppError('Review notes are required to reject an advance', 400);
+    }
+
+    const { advance: pending, farmer } = await CreditService.findPending(advanceId, reviewer);
+    const advance = await CreditService.claim(pending, 'pending', {
+      status: 'rejected',
+      reviewedBy: reviewer._id,
+      reviewNotes: notes
+    });
+    return { advance, farmer };
+  }
+
+  /**
+   * Farmer withdraws a request before review
+   */
+  static async cancelAdvance(advanceId, farmerId) {
+    const advance = await CreditAdvance.findOne({ _id: advanceId, farmer: farmerId });
+    if (!advance) {
+      throw new AppError('Advance not found', 404);
+    }
+    if (advance.status !== 'pending') {
+      throw new AppError(`Advance is already ${advance.status}`, 400);
+    }
+
+    return CreditService.claim(advance, 'pending', { status: 'cancelled' });
+  }
+
+  /**
+   * Move an advance on from `from` only if nobody else has - two reviewers
+   * (or a review and a cancel) racing on one advance get one winner and a 409
+   */
+  static async claim(advance, from, changes, session = null) {
+    const claimed = await CreditAdvance.findOneAndUpdate(
+      { _id: advance._id, status: from },
+      { $set: changes },
+      { new: true, session }
+    );
+    if (!claimed) {
+      throw new AppError(`Advance ${advance.reference} was changed by someone else - reload it`, 409);
+    }
+    return claimed;
+  }
+
+  /**
+   * Pay the principal from the treasury and start the repayment term.
+   * The advance is claimed from status `from` first, so it pays out once.
+   */
+  static async disburse(advance, recipientId, notes, { from, review = {} }) {
+    const changes = {
+      ...review,
+      status: 'active',
+      disbursedAt: new Date(),
+      dueDate: new Date(Date.now() + CreditService.getSettings().termDays * DAY_MS)
+    };
+    const session = await mongoose.startSession();
+    let transaction;
+
+    try {
+      session.startTransaction();
+
+      await CreditService.claim(advance, from, changes, session);
+
+      const [treasury, recipientWallet] = await Promise.all([
+        CreditService.getTreasuryWallet(session),
+        Wallet.getOrCreateWalletInSession(recipientId, session)
+      ]);
+
+      if (treasury.getBalance() < advance.principal) {
+        throw new AppError(`Treasury wallet holds ${treasury.getBalance()} MTZ - cannot fund ${advance.principal} MTZ`, 400);
+      }
+
+      [transaction] = await Transaction.create([{
+        type: 'credit_advance',
+        fromUser: treasury.user,
+        toUser: recipientId,
+        tokensAmount: advance.principal,
+        status: 'completed',
+        notes
+      }], { session });
+
+      await Wallet.moveTokens(treasury, recipientWallet, advance.principal, {
+        entryType: 'credit_advance',
+        transaction,
+        description: notes
+      }, session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // Keep the caller's copy (and anything populated on it) in step
+    advance.set(changes);
+    return transaction;
+  }
+
+  /**
+   * Merchant redeems a farmer's voucher - the merchant is paid the principal
+   */
+  static async redeemVoucher(merchantUserId, voucherCode) {
+    const merchant = await Merchant.findOne({ user: merchantUserId });
+    const advance = voucherCode
+      ? await CreditAdvance.findOne({ voucherCode: String(voucherCode).trim().toUpperCase() }).populate('farmer', 'name phone')
+      : null;
+
+    if (!merchant || !advance || !advance.merchant.equals(merchant._id)) {
+      throw new AppError('Voucher not found for this merchant', 404);
+    }
+    if (advance.status !== 'approved') {
+      throw new AppError(`Voucher is ${advance.status === 'pending' ? 'not approved yet' : 'already used or closed'}`, 400);
+    }
+
+    const transaction = await CreditService.disburse(
+      advance,
+      merchantUserId,
+      `Voucher ${advance.voucherCode} (${advance.reference}) for ${advance.farmer.name} at ${merchant.businessName}`,
+      { from: 'approved' }
+    );
+
+    return { advance, merchant, transaction };
+  }
+
+  /**
+   * Withhold repayments from a deposit payout, inside the payout's own transaction
+   * so the farmer is never paid without the deduction. A system move - the
+   * farmer's daily send limit or a wallet lock can't make it skip.
+   */
+  static async collectRepayments(farmerId, payout, depositTx, session) {
+    const advances = await CreditAdvance.findRepaying(farmerId).session(session);
+    if (advances.length === 0 || !(payout > 0)) {
+      return null;
+    }
+
+    const collected = [];
+    let remaining = payout;
+
+    const [farmerWallet, treasury] = await Promise.all([
+      Wallet.getOrCreateWalletInSession(farmerId, session),
+      CreditService.getTreasuryWallet(session)
+    ]);
+
+    for (const advance of advances) {
+      const amount = round(Math.min(advance.getOutstanding(), payout * advance.repaymentRate, remaining));
+      if (amount <= 0) continue;
+
+      const [transaction] = await Transaction.create([{
+        type: 'credit_repayment',
+        fromUser: farmerId,
+        toUser: treasury.user,
+        tokensAmount: amount,
+        relatedTransaction: depositTx?._id,
+        status: 'completed',
+        notes: `Repayment of ${advance.reference} from ${depositTx ? depositTx.reference : 'deposit payout'}`
+      }], { session });
+
+      await Wallet.systemMoveTokens(farmerWallet, treasury, amount, {
+        entryType: 'credit_repayment',
+        transaction,
+        description: transaction.notes
+      }, session);
+
+      advance.repaid = round(advance.repaid + amount);
+      advance.repayments.push({ transaction: transaction._id, amount });
+      if (advance.getOutstanding() === 0) {
+        advance.status = 'repaid';
+        advance.repaidAt = new Date();
+      }
+      await advance.save({ session });
+
+      remaining = round(remaining - amount);
+      collected.push({
+        advance: advance.reference,
+        amount,
+        outstanding: advance.getOutstanding(),
+        status: advance.status
+      });
+    }
+
+    return { collected, total: round(payout - remaining) };
+  }
+
+  /**
+   * Expected monthly instalments from the farmer's usual payout, against actual repayments
+   */
+  static getSchedule(advance) {
+    if (!advance.disbursedAt) {
+      return null;
+    }
+
+    const instalment = round((advance.eligibility?.monthlyPayout || 0) * advance.repaymentRate);
+    const schedule = [];
+    let expected = 0;
+
+    for (let month = 1; instalment > 0 && expected < advance.totalDue && month <= 24; month++) {
+      const amount = round(Math.min(instalment, advance.totalDue - expected));
+      expected = round(expected + amount);
+      schedule.push({
+        dueBy: new Date(advance.disbursedAt.getTime() + month * 30 * DAY_MS),
+        amount,
+        cumulative: expected
+      });
+    }
+
+    const expectedByNow = schedule
+      .filter(entry => entry.dueBy <= new Date())
+      .reduce((sum, entry) => sum + entry.amount, 0);
+
+    return {
+      monthlyInstalment: instalment,
+      instalments: schedule,
+      expectedByNow: round(expectedByNow),
+      repaid: advance.repaid,
+      onTrack: advance.repaid >= expectedByNow
+    };
+  }
+
+  static describe(advance) {
+    return {
+      id: advance._id,
+      reference: advance.reference,
+      type: advance.type,
+      purpose: advance.purpose,
+      status: advance.status,
+      principal: advance.principal,
+      totalDue: advance.totalDue,
+      repaid: advance.repaid,
+      outstanding: advance.getOutstanding(),
+      repaymentRate: advance.repaymentRate,
+      voucherCode: advance.voucherCode,
+      merchant: advance.merchant,
+      farmer: advance.farmer,
+      approvedAt: advance.approvedAt,
+      disbursedAt: advance.disbursedAt,
+      dueDate: advance.dueDate,
+      defaultedAt: advance.defaultedAt,
+      repaidAt: advance.repaidAt,
+      reviewNotes: advance.reviewNotes,
+      schedule: CreditService.getSchedule(advance),
+      repayments: advance.repayments,
+      createdAt: advance.createdAt
+    };
+  }
+
+  /**
+   * Advances for review queues - ?status=&farmer=
+   */
+  static listAdvances({ status, farmer } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (farmer) filter.farmer = farmer;
+
+    return CreditAdvance.find(filter)
+      .populate('farmer', 'name phone county')
+      .populate('merchant', 'businessName tillCode')
+      .sort({ createdAt: -1 })
+      .limit(200);
+  }
+}
+
+export default CreditService;
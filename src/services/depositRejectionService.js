@@ -0,0 +1,215 @@
+// src/services/depositRejectionService.js
+import mongoose from 'mongoose';
+import Transaction, { REJECTION_REASONS } from '../models/Transaction.js';
+import Depot from '../models/Depot.js';
+import User from '../models/User.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+/**
+ * Milk rejection at the depot counter and per-farmer rejection tracking
+ */
+class DepositRejectionService {
+  /**
+   * Validate reason codes and the accepted volume for a rejection
+   */
+  static validateRejection(reasons, liters, acceptedLiters) {
+    if (!Array.isArray(reasons) || reasons.length === 0) {
+      throw new AppError('At least one rejection reason is required', 400);
+    }
+
+    const invalid = reasons.filter(reason => !REJECTION_REASONS.includes(reason));
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid rejection reason(s): ${invalid.join(', ')}. Allowed: ${REJECTION_REASONS.join(', ')}`, 400);
+    }
+
+    const accepted = acceptedLiters === undefined || acceptedLiters === null ? 0 : Number(acceptedLiters);
+    if (!Number.isFinite(accepted) || accepted < 0 || accepted >= liters) {
+      throw new AppError(`Accepted liters must be at least 0 and less than ${liters}L`, 400);
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Build the rejection subdocument stored on the deposit transaction
+   */
+  static buildRejection({ reasons, details = [], liters, acceptedLiters, attendantId, automatic = false }) {
+    return {
+      reasons: [...new Set(reasons)],
+      details,
+      rejectedLiters: liters - acceptedLiters,
+      acceptedLiters,
+      automatic,
+      rejectedBy: attendantId,
+      rejectedAt: new Date()
+    };
+  }
+
+  /**
+   * Reject a pending deposit (fully or partially) after it was recorded.
+   * The rejected volume comes back out of the depot's raw milk stock.
+   */
+  static async rejectPendingDeposit({ depotId, transactionId, attendantId, reasons, acceptedLiters, notes }) {
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const depositTx = await Transaction.findOne({
+        _id: transactionId,
+        depot: depotId,
+        type: 'milk_deposit',
+        status: 'pending'
+      }).session(session);
+
+      if (!depositTx) {
+        throw new AppError('Pending deposit transaction not found in this depot', 404);
+      }
+
+      // A partial rejection leaves the deposit pending - don't reject it twice
+      if (depositTx.rejection?.rejectedAt) {
+        throw new AppError(`Deposit already rejected (${depositTx.rejection.rejectedLiters}L)`, 409);
+      }
+
+      const liters = depositTx.litersRaw;
+      const accepted = DepositRejectionService.validateRejection(reasons, liters, acceptedLiters);
+      const rejection = DepositRejectionService.buildRejection({
+        reasons,
+        liters,
+        acceptedLiters: accepted,
+        attendantId
+      });
+
+      const depot = await Depot.findById(depotId).session(session);
+      if (!depot) {
+        throw new AppError('Depot not found', 404);
+      }
+
+      // Reverse the stock added when the deposit was recorded
+      depot.stock.rawMilk = Math.max(0, depot.stock.rawMilk - rejection.rejectedLiters);
+      await depot.save({ session });
+
+      depositTx.rejection = rejection;
+      // The rejected milk leaves its lot too
+      depositTx.lotRemaining = Math.max(0, (depositTx.lotRemaining || 0) - rejection.rejectedLiters);
+      if (accepted > 0) {
+        depositTx.litersRaw = accepted; // Accepted part stays payable
+      } else {
+        depositTx.status = 'rejected';
+      }
+      depositTx.notes = notes
+        ? `Rejected ${rejection.rejectedLiters}L (${rejection.reasons.join(', ')}): ${notes}`
+        : `Rejected ${rejection.rejectedLiters}L (${rejection.reasons.join(', ')})`;
+      await depositTx.save({ session });
+
+      await session.commitTransaction();
+
+      // The deposit was already counted when recorded - only add the rejection
+      const farmer = await DepositRejectionService.recordOutcome(depositTx.fromUser, {
+        rejected: true,
+        rejectedLiters: rejection.rejectedLiters,
+        countDeposit: false
+      });
+
+      return { transaction: depositTx, depot, farmer };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Update a farmer's rejection record and flag them over the threshold
+   */
+  static async recordOutcome(farmerId, { rejected = false, rejectedLiters = 0, countDeposit = true } = {}) {
+    const inc = {};
+    if (countDeposit) inc['depositQuality.totalDeposits'] = 1;
+    if (rejected) {
+      inc['depositQuality.rejectedDeposits'] = 1;
+      inc['depositQuality.rejectedLiters'] = rejectedLiters;
+    }
+
+    const update = { $inc: inc };
+    if (rejected) {
+      update.$set = { 'depositQuality.lastRejectedAt': new Date() };
+    }
+
+    const farmer = await User.findByIdAndUpdate(farmerId, update, { new: true });
+    if (!farmer || !rejected || farmer.depositQuality.flagged) {
+      return farmer;
+    }
+
+    const threshold = Number(Environment.get('DEPOSIT_REJECTION_FLAG_RATE', 0.3));
+    const minDeposits = Number(Environment.get('DEPOSIT_REJECTION_MIN_DEPOSITS', 5));
+    const rate = farmer.getRejectionRate();
+
+    if (farmer.depositQuality.totalDeposits >= minDeposits && rate >= threshold) {
+      farmer.depositQuality.flagged = true;
+      farmer.depositQuality.flaggedAt = new Date();
+      farmer.depositQuality.flagReason = `Rejection rate ${(rate * 100).toFixed(1)}% over ${farmer.depositQuality.totalDeposits} deposits`;
+      await farmer.save();
+    }
+
+    return farmer;
+  }
+
+  /**
+   * Farmer rejection summary for receipts and admin views
+   */
+  static getFarmerQuality(farmer) {
+    const quality = farmer.depositQuality || {};
+    return {
+      totalDeposits: quality.totalDeposits || 0,
+      rejectedDeposits: quality.rejectedDeposits || 0,
+      rejectedLiters: quality.rejectedLiters || 0,
+      rejectionRate: `${(farmer.getRejectionRate() * 100).toFixed(1)}%`,
+      plantTests: quality.plantTests || 0,
+      plantRejections: quality.plantRejections || 0,
+      plantQualityScore: farmer.getPlantQualityScore(),
+      flagged: !!quality.flagged,
+      flagReason: quality.flagReason
+    };
+  }
+
+  /**
+   * Farmers currently flagged for review, optionally narrowed by `filter`
+   */
+  static getFlaggedFarmers(filter = {}) {
+    return User.find({ ...filter, role: 'farmer', 'depositQuality.flagged': true })
+      .select('name phone county depositQuality')
+      .sort({ 'depositQuality.flaggedAt': -1 });
+  }
+
+  /**
+   * Clear a farmer's flag and reset their counts for a fresh window
+   */
+  static async clearFlag(farmerId, adminId) {
+    const farmer = await User.findOne({ _id: farmerId, role: 'farmer' });
+    if (!farmer) {
+      throw new AppError('Farmer not found', 404);
+    }
+    if (!farmer.depositQuality?.flagged) {
+      throw new AppError('Farmer is not flagged', 400);
+    }
+
+    farmer.depositQuality = {
+      totalDeposits: 0,
+      rejectedDeposits: 0,
+      rejectedLiters: 0,
+      lastRejectedAt: farmer.depositQuality.lastRejectedAt,
+      flagged: false,
+      clearedBy: adminId,
+      clearedAt: new Date()
+    };
+    await farmer.save();
+
+    return farmer;
+  }
+}
+
+export default DepositRejectionService;
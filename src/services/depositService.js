@@ -0,0 +1,172 @@
+// src/services/depositService.js
+import mongoose from 'mongoose';
+import Transaction from '../models/Transaction.js';
+import PricingService from './pricingService.js';
+import DepositRejectionService from './depositRejectionService.js';
+import AppError from '../utils/appError.js';
+
+// A deposit the depot won't take - the counter answers with the reason alone
+const refuse = (message) => Object.assign(new AppError(message, 400), { refused: true });
+
+/**
+ * Milk deposit recording shared by the live counter and offline device sync
+ */
+class DepositService {
+  /**
+   * Generate depot-specific sequential deposit code (KMB001-0025)
+   */
+  static async generateDepositCode(depotCode) {
+    const lastDeposit = await Transaction.findOne(
+      { depot: { $exists: true }, depositCode: new RegExp(`^${depotCode}-`) },
+      { depositCode: 1 },
+      { sort: { createdAt: -1 } }
+    );
+
+    let sequence = 1;
+    if (lastDeposit && lastDeposit.depositCode) {
+      const lastSequence = parseInt(lastDeposit.depositCode.split('-')[1]) || 0;
+      sequence = lastSequence + 1;
+    }
+
+    return `${depotCode}-${sequence.toString().padStart(4, '0')}`;
+  }
+
+  /**
+   * Generate 6-digit easy-to-remember short code
+   */
+  static generateShortCode() {
+    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let result = '';
+    for (let i = 0; i < 6; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  /**
+   * Grade, apply rejections, check capacity and record a pending deposit.
+   * `input` is the request body shape: liters, readings, rejectionReasons, acceptedLiters.
+   * `shift` is the attendant's counter shift, when there is one.
+   */
+  static async recordDeposit({ depot, farmer, attendantId, shift, input, clientId, capturedAt }) {
+    const liters = Number(input.liters);
+    if (!Number.isFinite(liters) || liters <= 0) {
+      throw new AppError('Enter a valid number of liters', 400);
+    }
+
+    if (farmer.status !== 'active') {
+      throw refuse(`Farmer account is ${farmer.status} - cannot accept deposits`);
+    }
+
+    if (depot.status !== 'active') {
+      throw refuse(`Depot is ${depot.status} - cannot accept deposits`);
+    }
+
+    const readings = PricingService.extractReadings(input);
+
+    // ✅ Grade against the depot bands - tokens are priced at payment
+    const assessment = PricingService.assessDeposit(depot, readings);
+    const quality = assessment.grade;
+
+    // ✅ Rejection: depot thresholds reject the whole deposit, attendant
+    // test results (antibiotics, alcohol, sour...) may accept part of it
+    const rejectionReasons = [
+      ...assessment.rejectionReasons.map(reason => reason.code),
+      ...(input.rejectionReasons || [])
+    ];
+    let rejection = null;
+    let acceptedLiters = liters;
+
+    if (rejectionReasons.length > 0) {
+      acceptedLiters = DepositRejectionService.validateRejection(
+        rejectionReasons,
+        liters,
+        assessment.rejected ? 0 : input.acceptedLiters
+      );
+      rejection = DepositRejectionService.buildRejection({
+        reasons: rejectionReasons,
+        details: assessment.rejectionReasons.map(reason => reason.detail),
+        liters,
+        acceptedLiters,
+        attendantId,
+        automatic: assessment.rejected
+      });
+    }
+    const fullyRejected = !!rejection && acceptedLiters === 0;
+
+    // Check depot capacity
+    if (!fullyRejected && !depot.canAcceptDeposit(acceptedLiters)) {
+      throw refuse(`Depot cannot accept ${acceptedLiters}L. Current: ${depot.stock.rawMilk}L/${depot.stock.capacity}L`);
+    }
+
+    // ✅ GENERATE farmer-friendly codes
+    const depositCode = await DepositService.generateDepositCode(depot.code);
+    const shortCode = DepositService.generateShortCode();
+
+    // Record the deposit and stock the tank together - neither happens without the other
+    const session = await mongoose.startSession();
+    let transaction;
+
+    try {
+      session.startTransaction();
+
+      // Create PENDING milk deposit transaction (NO token amounts)
+      [transaction] = await Transaction.create([{
+        type: 'milk_deposit',
+        fromUser: farmer._id,
+        toUser: farmer._id,
+        attendant: attendantId,
+        depot: depot._id,
+        shift: shift?._id,
+        litersRaw: acceptedLiters,
+        // Accepted milk becomes a lot in the tank, drawn down by KCC pickups
+        lotRemaining: fullyRejected ? 0 : acceptedLiters,
+        lotOpenedAt: fullyRejected ? undefined : capturedAt || new Date(),
+        ...readings,
+        qualityGrade: quality,
+        tokensAmount: 0, // ✅ Will be calculated during payment
+        status: fullyRejected ? 'rejected' : 'pending', // Waiting for token payment
+        rejection: rejection || undefined,
+        depositCode: depositCode, // ✅ Depot-specific sequential code
+        shortCode: shortCode,     // ✅ 6-digit easy code
+        clientId,
+        capturedAt,
+        notes: fullyRejected
+          ? `Milk deposit rejected at ${depot.name} (${rejection.reasons.join(', ')})`
+          : `Milk deposit recorded at ${depot.name} - awaiting token payment. Codes: ${depositCode}, ${shortCode}`
+      }], { session });
+
+      // Update depot stock immediately (only accepted milk goes into the tank)
+      if (!fullyRejected) {
+        await depot.addMilkStock(acceptedLiters, 'raw', session);
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const farmerRecord = await DepositRejectionService.recordOutcome(farmer._id, {
+      rejected: !!rejection,
+      rejectedLiters: rejection ? rejection.rejectedLiters : 0
+    });
+
+    return {
+      transaction,
+      liters,
+      acceptedLiters,
+      quality,
+      readings,
+      rejection,
+      fullyRejected,
+      farmerRecord
+    };
+  }
+}
+
+export default DepositService;
@@ -0,0 +1,244 @@
+// src/services/depotSyncService.js
+import validator from 'validator';
+import Transaction from '../models/Transaction.js';
+import User from '../models/User.js';
+import Shift from '../models/Shift.js';
+import Token from '../models/Token.js';
+import DepositService from './depositService.js';
+import PricingService from './pricingService.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+// Device clocks drift - allow captures a little in the "future"
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Batch upload and delta feed for attendant devices that work offline
+ */
+class DepotSyncService {
+  /**
+   * Check one uploaded item before it is recorded
+   */
+  static validateItem(item, now = new Date()) {
+    if (!item || typeof item !== 'object') {
+      return 'Item must be an object';
+    }
+    if (!item.clientId || !validator.isUUID(String(item.clientId))) {
+      return 'clientId must be a UUID';
+    }
+    if (!item.farmerPhone) {
+      return 'farmerPhone is required';
+    }
+
+    const capturedAt = new Date(item.capturedAt);
+    if (!item.capturedAt || Number.isNaN(capturedAt.getTime())) {
+      return 'capturedAt must be a valid timestamp';
+    }
+    if (capturedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+      return 'capturedAt is in the future - check the device clock';
+    }
+
+    const maxAgeDays = Number(Environment.get('DEPOT_SYNC_MAX_AGE_DAYS', 7));
+    if (now.getTime() - capturedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000) {
+      return `capturedAt is older than ${maxAgeDays} days - record it at the counter instead`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Record offline-captured deposits in capture order. Items already synced
+   * (same clientId) come back as duplicates with their original codes.
+   */
+  static async syncDeposits({ depot, attendantId, deposits }) {
+    if (!Array.isArray(deposits) || deposits.length === 0) {
+      throw new AppError('deposits must be a non-empty array', 400);
+    }
+
+    const maxBatch = Number(Environment.get('DEPOT_SYNC_MAX_BATCH', 200));
+    if (deposits.length > maxBatch) {
+      throw new AppError(`At most ${maxBatch} deposits can be synced at once`, 400);
+    }
+
+    const now = new Date();
+    const results = new Array(deposits.length);
+    const toRecord = [];
+    const seen = new Set();
+
+    deposits.forEach((item, index) => {
+      const error = DepotSyncService.validateItem(item, now);
+      if (error) {
+        results[index] = { clientId: item?.clientId || null, status: 'failed', error };
+        return;
+      }
+
+      const clientId = String(item.clientId).toLowerCase();
+      if (seen.has(clientId)) {
+        results[index] = { clientId, status: 'failed', error: 'clientId repeated in this batch' };
+        return;
+      }
+
+      seen.add(clientId);
+      toRecord.push({ ...item, index, clientId, capturedAt: new Date(item.capturedAt) });
+    });
+
+    // Deduplicate against earlier syncs
+    const existing = await Transaction.find({
+      clientId: { $in: toRecord.map(item => item.clientId) }
+    });
+    const existingById = new Map(existing.map(tx => [tx.clientId, tx]));
+
+    const farmers = await User.find({
+      phone: { $in: [...new Set(toRecord.map(item => String(item.farmerPhone)))] },
+      role: 'farmer'
+    });
+    const farmersByPhone = new Map(farmers.map(farmer => [farmer.phone, farmer]));
+
+    // Capacity is checked against stock as it stood after each earlier can
+    toRecord.sort((a, b) => a.capturedAt - b.capturedAt);
+
+    for (const item of toRecord) {
+      const previous = existingById.get(item.clientId);
+      if (previous) {
+        results[item.index] = DepotSyncService.describeResult(item.clientId, 'duplicate', previous);
+        continue;
+      }
+
+      const farmer = farmersByPhone.get(String(item.farmerPhone));
+      if (!farmer) {
+        results[item.index] = { clientId: item.clientId, status: 'failed', error: 'Farmer not found with this phone number' };
+        continue;
+      }
+
+      try {
+        // Book to the shift that was open when the can was captured
+        const shift = await Shift.findCovering(attendantId, item.capturedAt);
+        const { transaction } = await DepositService.recordDeposit({
+          depot,
+          farmer,
+          attendantId,
+          shift,
+          input: item,
+          clientId: item.clientId,
+          capturedAt: item.capturedAt
+        });
+        results[item.index] = DepotSyncService.describeResult(item.clientId, 'created', transaction);
+      } catch (error) {
+        // A parallel sync recorded it first
+        if (error.code === 11000 && error.keyPattern?.clientId) {
+          const winner = await Transaction.findOne({ clientId: item.clientId });
+          results[item.index] = DepotSyncService.describeResult(item.clientId, 'duplicate', winner);
+          continue;
+        }
+        if (!error.statusCode) throw error;
+        results[item.index] = { clientId: item.clientId, status: 'failed', error: error.message };
+      }
+    }
+
+    const summary = { created: 0, duplicate: 0, failed: 0 };
+    for (const result of results) {
+      summary[result.status] += 1;
+    }
+
+    return { results, summary };
+  }
+
+  /**
+   * Per-item sync result with the codes the device prints for the farmer
+   */
+  static describeResult(clientId, status, transaction) {
+    return {
+      clientId,
+      status,
+      transactionId: transaction._id,
+      reference: transaction.reference,
+      depositCode: transaction.depositCode,
+      shortCode: transaction.shortCode,
+      liters: transaction.litersRaw,
+      qualityGrade: transaction.qualityGrade,
+      depositStatus: transaction.status,
+      rejection: transaction.rejection?.reasons?.length ? {
+        reasons: transaction.rejection.reasons,
+        rejectedLiters: transaction.rejection.rejectedLiters,
+        acceptedLiters: transaction.rejection.acceptedLiters
+      } : null
+    };
+  }
+
+  /**
+   * Farmers, pricing and deposits that changed since the device's cursor
+   */
+  static async getChanges(depot, cursor) {
+    let since = null;
+    if (cursor) {
+      since = new Date(cursor);
+      if (Number.isNaN(since.getTime())) {
+        throw new AppError('Invalid sync cursor', 400);
+      }
+    }
+
+    // Taken before reading so nothing written meanwhile is skipped next time
+    const nextCursor = new Date();
+    const changedSince = since ? { updatedAt: { $gt: since } } : {};
+
+    const [farmers, deposits, token] = await Promise.all([
+      User.find({ role: 'farmer', county: depot.location.county, ...changedSince })
+        .select('name phone status depositQuality.flagged updatedAt'),
+      Transaction.find({
+        depot: depot._id,
+        type: 'milk_deposit',
+        ...(since ? changedSince : { status: 'pending' })
+      })
+        .populate('fromUser', 'name phone')
+        .sort({ updatedAt: 1 }),
+      Token.getToken()
+    ]);
+
+    let pricing = null;
+    if (!since || depot.updatedAt > since || token.updatedAt > since) {
+      const effectiveRates = {};
+      for (const grade of ['premium', 'standard', 'low']) {
+        const quote = await PricingService.priceDeposit(depot, 1, grade, token);
+        effectiveRates[grade] = quote.ratePerLiter;
+      }
+      pricing = {
+        gradeBands: depot.pricing.gradeBands,
+        rejection: depot.pricing.rejection,
+        effectiveRates
+      };
+    }
+
+    return {
+      cursor: nextCursor.toISOString(),
+      since: since ? since.toISOString() : null,
+      farmers: farmers.map(farmer => ({
+        id: farmer._id,
+        name: farmer.name,
+        phone: farmer.phone,
+        status: farmer.status,
+        flagged: !!farmer.depositQuality?.flagged,
+        updatedAt: farmer.updatedAt
+      })),
+      pricing,
+      deposits: deposits.map(tx => ({
+        transactionId: tx._id,
+        clientId: tx.clientId,
+        depositCode: tx.depositCode,
+        shortCode: tx.shortCode,
+        farmer: tx.fromUser ? { name: tx.fromUser.name, phone: tx.fromUser.phone } : null,
+        liters: tx.litersRaw,
+        qualityGrade: tx.qualityGrade,
+        tokensAmount: tx.tokensAmount,
+        status: tx.status,
+        capturedAt: tx.capturedAt,
+        updatedAt: tx.updatedAt
+      })),
+      depotStock: {
+        rawMilk: depot.stock.rawMilk,
+        capacity: depot.stock.capacity
+      }
+    };
+  }
+}
+
+export default DepotSyncService;
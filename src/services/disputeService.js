@@ -0,0 +1,275 @@
+// src/services/disputeService.js
+import mongoose from 'mongoose';
+import Dispute, { DISPUTE_CATEGORIES } from '../models/Dispute.js';
+import Transaction from '../models/Transaction.js';
+import Wallet from '../models/Wallet.js';
+import Depot from '../models/Depot.js';
+import Token from '../models/Token.js';
+import AppError from '../utils/appError.js';
+
+/**
+ * Disputes raised by farmers and attendants, and the compensating
+ * reversals an admin runs when one is approved
+ */
+class DisputeService {
+  /**
+   * Open a dispute on a transaction the user took part in
+   */
+  static async openDispute(user, { reference, category, description }) {
+    if (!reference) {
+      throw new AppError('Transaction reference is required', 400);
+    }
+    if (!DISPUTE_CATEGORIES.includes(category)) {
+      throw new AppError(`Invalid category. Allowed: ${DISPUTE_CATEGORIES.join(', ')}`, 400);
+    }
+    if (!description || !description.trim()) {
+      throw new AppError('Describe what went wrong with the transaction', 400);
+    }
+
+    const code = String(reference).trim().toUpperCase();
+    const transaction = await Transaction.findOne({
+      $or: [{ reference: code }, { depositCode: code }, { shortCode: code }]
+    });
+
+    const parties = transaction
+      ? [transaction.fromUser, transaction.toUser, transaction.attendant].filter(Boolean)
+      : [];
+
+    if (!transaction || !parties.some(party => party.equals(user._id))) {
+      throw new AppError('Transaction not found', 404);
+    }
+
+    if (!transaction.isReversible()) {
+      throw new AppError('Only completed deposits, withdrawals and cash redemptions can be disputed', 400);
+    }
+
+    const existing = await Dispute.findOne({
+      transaction: transaction._id,
+      status: { $in: ['open', 'awaiting_second_approval'] }
+    });
+    if (existing) {
+      throw new AppError(`Dispute ${existing.reference} is already open for this transaction`, 409);
+    }
+
+    const dispute = await Dispute.create({
+      transaction: transaction._id,
+      transactionReference: transaction.reference,
+      openedBy: user._id,
+      openedByRole: user.role,
+      category,
+      description,
+      requiresSecondApproval: !transaction.canReverse()
+    });
+
+    return { dispute, transaction };
+  }
+
+  /**
+   * Approve a dispute. Outside the reversal window the first approval only
+   * records the vote; the reversal runs on a second admin's approval.
+   */
+  static async approveDispute(disputeId, adminId, notes) {
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404);
+    }
+    if (!dispute.isOpen()) {
+      throw new AppError(`Dispute is already ${dispute.status}`, 400);
+    }
+
+    const transaction = await Transaction.findById(dispute.transaction);
+    if (!transaction || !transaction.isReversible()) {
+      throw new AppError('Transaction is no longer reversible', 400);
+    }
+
+    // The window is measured when the reversal would run, not when the dispute was opened
+    if (!transaction.canReverse()) {
+      dispute.requiresSecondApproval = true;
+    }
+
+    if (dispute.hasApproved(adminId)) {
+      throw new AppError('A different admin must give the second approval', 403);
+    }
+
+    dispute.approvals.push({ admin: adminId, notes });
+
+    if (dispute.requiresSecondApproval && dispute.approvals.length < 2) {
+      dispute.status = 'awaiting_second_approval';
+      await dispute.save();
+      return { dispute, transaction, reversal: null };
+    }
+
+    const session = await mongoose.startSession();
+    let reversal;
+
+    try {
+      session.startTransaction();
+
+      reversal = await DisputeService.reverseTransaction(transaction, {
+        adminId,
+        reason: `Dispute ${dispute.reference}: ${dispute.description}`
+      }, session);
+
+      dispute.status = 'approved';
+      dispute.reviewedBy = adminId;
+      dispute.reviewNotes = notes;
+      dispute.resolvedAt = new Date();
+      dispute.reversalTransaction = reversal._id;
+      await dispute.save({ session });
+
+      // Redeemed tokens were burned - they are back in circulation now
+      if (transaction.type === 'cash_redemption') {
+        await Token.restoreBurnedTokens(transaction.tokensAmount, 'redemption_reversal', session);
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return { dispute, transaction, reversal };
+  }
+
+  /**
+   * Reject a dispute without touching the transaction
+   */
+  static async rejectDispute(disputeId, adminId, notes) {
+    if (!notes) {
+      throw new AppError('Review notes are required to reject a dispute', 400);
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404);
+    }
+    if (!dispute.isOpen()) {
+      throw new AppError(`Dispute is already ${dispute.status}`, 400);
+    }
+
+    dispute.status = 'rejected';
+    dispute.reviewedBy = adminId;
+    dispute.reviewNotes = notes;
+    dispute.resolvedAt = new Date();
+    await dispute.save();
+
+    return dispute;
+  }
+
+  /**
+   * Post the compensating transaction: tokens go back the way they came
+   * and depot stock is restored. Both sides are linked via relatedTransaction.
+   */
+  static async reverseTransaction(transaction, { adminId, reason }, session) {
+    // Claim the original first so two approvals can't both reverse it
+    const original = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'completed' },
+      { $set: { status: 'reversed' } },
+      { new: true, session }
+    );
+    if (!original) {
+      throw new AppError('Transaction has already been reversed', 409);
+    }
+
+    const amount = original.tokensAmount || 0;
+    const reversal = new Transaction({
+      type: 'reversal',
+      depot: original.depot,
+      attendant: original.attendant,
+      litersRaw: original.litersRaw,
+      litersPasteurized: original.litersPasteurized,
+      tokensAmount: amount,
+      relatedTransaction: original._id,
+      reversedType: original.type,
+      status: 'completed',
+      notes: `Reversal of ${original.reference} approved by admin ${adminId} - ${reason}`
+    });
+
+    if (original.type === 'milk_deposit') {
+      // Farmer returns the payment to the depot float; whatever of the deposit is
+      // still in the tank comes back out of raw stock - picked-up milk already left
+      reversal.fromUser = original.fromUser;
+      reversal.toUser = original.attendant;
+      await reversal.save({ session });
+
+      const [farmerWallet, floatWallet] = await Promise.all([
+        Wallet.getOrCreateWalletInSession(original.fromUser, session),
+        Wallet.getOrCreateDepotFloat(original.depot, session)
+      ]);
+      await DisputeService.returnTokens(farmerWallet, floatWallet, amount, reversal, session);
+
+      const depot = await Depot.findById(original.depot).session(session);
+      depot.stock.rawMilk = Math.max(0, depot.stock.rawMilk - (original.lotRemaining || 0));
+      await depot.save({ session });
+      original.lotRemaining = 0;
+    } else if (original.type === 'milk_withdrawal') {
+      // The depot float refunds the farmer; the milk goes back on the shelf
+      reversal.fromUser = original.toUser;
+      reversal.toUser = original.fromUser;
+      await reversal.save({ session });
+
+      const [floatWallet, farmerWallet] = await Promise.all([
+        Wallet.getOrCreateDepotFloat(original.depot, session),
+        Wallet.getOrCreateWalletInSession(original.fromUser, session)
+      ]);
+      await DisputeService.returnTokens(floatWallet, farmerWallet, amount, reversal, session);
+
+      const depot = await Depot.findById(original.depot).session(session);
+      depot.stock.pasteurizedMilk += original.litersPasteurized;
+      await depot.save({ session });
+    } else {
+      // Redeemed tokens were burned on payout - reissue them to the wallet
+      reversal.toUser = original.fromUser;
+      await reversal.save({ session });
+
+      const wallet = await Wallet.getOrCreateWalletInSession(original.fromUser, session);
+      await Wallet.issueTokens(wallet, amount, {
+        entryType: 'reversal',
+        transaction: reversal,
+        description: `Reversal of redemption ${original.reference}`
+      }, session);
+    }
+
+    original.relatedTransaction = reversal._id;
+    await original.save({ session });
+
+    return reversal;
+  }
+
+  /**
+   * Move disputed tokens back, failing clearly if the holder can't cover them.
+   * A reversal is a system move - a locked wallet or spent daily limit doesn't block it.
+   */
+  static async returnTokens(fromWallet, toWallet, amount, reversal, session) {
+    if (fromWallet.getAvailableBalance() < amount) {
+      throw new AppError(
+        `Cannot reverse: wallet has ${fromWallet.getAvailableBalance()} MTZ available of ${amount} MTZ`,
+        400
+      );
+    }
+
+    return Wallet.systemMoveTokens(fromWallet, toWallet, amount, {
+      entryType: 'reversal',
+      transaction: reversal,
+      description: `Reversal ${reversal.reference}`
+    }, session);
+  }
+
+  /**
+   * Disputes for the admin queue - ?status=
+   */
+  static listDisputes({ status } = {}) {
+    const filter = status ? { status } : {};
+    return Dispute.find(filter)
+      .populate('openedBy', 'name phone role')
+      .populate('transaction', 'reference type tokensAmount litersRaw litersPasteurized status createdAt')
+      .sort({ createdAt: -1 })
+      .limit(200);
+  }
+}
+
+export default DisputeService;
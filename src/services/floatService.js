@@ -0,0 +1,571 @@
+// src/services/floatService.js
+import mongoose from 'mongoose';
+import Depot from '../models/Depot.js';
+import Kcc from '../models/Kcc.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import Transaction from '../models/Transaction.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import FloatRequest from '../models/FloatRequest.js';
+import SecurityService from './securityService.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Day buckets follow the server's local time, like the depot dashboards
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Depot token float: counter payments, min/target thresholds, top-up requests
+ * and morning-demand forecasts from deposit history
+ */
+class FloatService {
+  static getSettings() {
+    return {
+      forecastDays: Number(Environment.get('FLOAT_FORECAST_DAYS', 28)),
+      // Deposits before this local hour count as the morning rush
+      morningEndHour: Number(Environment.get('FLOAT_MORNING_END_HOUR', 12)),
+      buffer: Number(Environment.get('FLOAT_FORECAST_BUFFER', 1.2)),
+      roundTo: Number(Environment.get('FLOAT_TOP_UP_ROUNDING', 100))
+    };
+  }
+
+  static getFloatWallet(depotId, session = null) {
+    return Wallet.getOrCreateDepotFloat(depotId, session);
+  }
+
+  /**
+   * Weekday (0 = Sunday) and hour of a moment in local time
+   */
+  static getLocalTime(date) {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, weekday: 'long', hour: 'numeric', hourCycle: 'h23' })
+      .formatToParts(date);
+    return {
+      weekday: WEEKDAYS.indexOf(parts.find(part => part.type === 'weekday').value),
+      hour: Number(parts.find(part => part.type === 'hour').value)
+    };
+  }
+
+  /**
+   * Expected payout for the next morning from paid deposits over the forecast
+   * window. Uses the same weekday when there are at least two samples of it.
+   */
+  static async getForecast(depot) {
+    const { forecastDays, morningEndHour, buffer } = FloatService.getSettings();
+
+    const mornings = await Transaction.aggregate([
+      {
+        $match: {
+          depot: new mongoose.Types.ObjectId(depot._id),
+          type: 'milk_deposit',
+          status: 'completed',
+          createdAt: { $gte: new Date(Date.now() - forecastDays * DAY_MS) }
+        }
+      },
+      {
+        $project: {
+          tokensAmount: 1,
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIMEZONE } },
+          hour: { $hour: { date: '$createdAt', timezone: TIMEZONE } },
+          weekday: { $dayOfWeek: { date: '$createdAt', timezone: TIMEZONE } }
+        }
+      },
+      { $match: { hour: { $lt: morningEndHour } } },
+      {
+        $group: {
+          _id: '$day',
+          weekday: { $first: '$weekday' },
+          payout: { $sum: '$tokensAmount' },
+          deposits: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const now = FloatService.getLocalTime(new Date());
+    // Before the morning ends the next morning is today, otherwise tomorrow
+    const nextWeekday = now.hour < morningEndHour ? now.weekday : (now.weekday + 1) % 7;
+
+    const average = rows => rows.length ? rows.reduce((sum, row) => sum + row.payout, 0) / rows.length : 0;
+    // $dayOfWeek is 1 = Sunday
+    const sameWeekday = mornings.filter(row => row.weekday - 1 === nextWeekday);
+    const basis = sameWeekday.length >= 2 ? 'weekday' : 'average';
+    const expectedPayout = round(basis === 'weekday' ? average(sameWeekday) : average(mornings));
+
+    return {
+      windowDays: forecastDays,
+      morningsObserved: mornings.length,
+      averageMorningPayout: round(average(mornings)),
+      peakMorningPayout: round(Math.max(0, ...mornings.map(row => row.payout))),
+      nextMorning: {
+        weekday: WEEKDAYS[nextWeekday],
+        expectedPayout,
+        basis
+      },
+      recommendedFloat: Math.max(depot.float?.targetBalance || 0, Math.ceil(expectedPayout * buffer))
+    };
+  }
+
+  static suggestTopUp(balance, forecast) {
+    const { roundTo } = FloatService.getSettings();
+    const shortfall = forecast.recommendedFloat - balance;
+    return shortfall > 0 ? Math.ceil(shortfall / roundTo) * roundTo : 0;
+  }
+
+  /**
+   * Float balance against thresholds, forecast and any pending request
+   */
+  static async getStatus(depot) {
+    const [wallet, forecast, pendingRequest] = await Promise.all([
+      FloatService.getFloatWallet(depot._id),
+      FloatService.getForecast(depot),
+      FloatRequest.findOne({ depot: depot._id, status: 'pending' })
+    ]);
+    const balance = wallet.getBalance();
+
+    return {
+      balance,
+      minBalance: depot.float.minBalance,
+      targetBalance: depot.float.targetBalance,
+      autoRequest: depot.float.autoRequest,
+      belowMinimum: balance < depot.float.minBalance,
+      forecast,
+      suggestedTopUp: FloatService.suggestTopUp(balance, forecast),
+      pendingRequest: pendingRequest ? FloatService.describe(pendingRequest) : null
+    };
+  }
+
+  static async createRequest(data) {
+    try {
+      return await FloatRequest.create(data);
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.depot) {
+        throw new AppError('A top-up request is already pending for this depot', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Attendant asks for a top-up. Without an amount the forecast suggestion is used.
+   */
+  static async requestTopUp({ depot, user, amount, reason }) {
+    const status = await FloatService.getStatus(depot);
+    if (status.pendingRequest) {
+      throw new AppError(`Top-up request ${status.pendingRequest.reference} is already pending for this depot`, 409);
+    }
+
+    const requested = amount === undefined || amount === null || amount === '' ? status.suggestedTopUp : Number(amount);
+    if (!Number.isFinite(requested) || requested <= 0) {
+      throw new AppError(amount ? 'Enter a valid top-up amount' : 'Float is at its recommended level - enter an amount to request more', 400);
+    }
+
+    return FloatService.createRequest({
+      depot: depot._id,
+      amount: requested,
+      suggestedAmount: status.suggestedTopUp,
+      forecast: status.forecast,
+      floatBalance: status.balance,
+      source: 'attendant',
+      reason,
+      requestedBy: user._id
+    });
+  }
+
+  /**
+   * Raise an automatic request when the float is below the depot minimum.
+   * Never throws - called after counter payments and from the scheduler.
+   */
+  static async checkFloat(depot) {
+    try {
+      if (!depot.float?.autoRequest) return null;
+
+      const wallet = await FloatService.getFloatWallet(depot._id);
+      if (wallet.getBalance() >= depot.float.minBalance) return null;
+      if (await FloatRequest.exists({ depot: depot._id, status: 'pending' })) return null;
+
+      const forecast = await FloatService.getForecast(depot);
+      const amount = FloatService.suggestTopUp(wallet.getBalance(), forecast);
+      if (amount <= 0) return null;
+
+      return await FloatService.createRequest({
+        depot: depot._id,
+        amount,
+        suggestedAmount: amount,
+        forecast,
+        floatBalance: wallet.getBalance(),
+        source: 'automatic',
+        reason: `Float ${wallet.getBalance()} MTZ is below the ${depot.float.minBalance} MTZ minimum`
+      });
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        console.error(`Float check failed for depot ${depot._id}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  static async checkAllFloats() {
+    const depots = await Depot.find({ status: 'active', 'float.autoRequest': { $ne: false } });
+    let raised = 0;
+    for (const depot of depots) {
+      if (await FloatService.checkFloat(depot)) raised++;
+    }
+    return { checked: depots.length, raised };
+  }
+
+  /**
+   * KCC admins review depots in their branch county; admins review all
+   */
+  static async assertReviewerScope(reviewer, depot) {
+    if (reviewer.role !== 'kcc_admin') return;
+
+    const kcc = reviewer.assignedKcc ? await Kcc.findById(reviewer.assignedKcc) : null;
+    if (!kcc || kcc.location.county !== depot.location.county) {
+      throw new AppError('Depot is outside your KCC branch county', 403);
+    }
+  }
+
+  static async findPending(requestId, reviewer) {
+    const request = await FloatRequest.findById(requestId);
+    if (!request) {
+      throw new AppError('Top-up request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      throw new AppError(`Top-up request is already ${request.status}`, 400);
+    }
+
+    const depot = await Depot.findById(request.depot);
+    await FloatService.assertReviewerScope(reviewer, depot);
+    return { request, depot };
+  }
+
+  /**
+   * Fund a request - admins from the treasury wallet, KCC admins from their own
+   */
+  static async approveRequest(requestId, reviewer, { amount, notes } = {}) {
+    const { request: pending, depot } = await FloatService.findPending(requestId, reviewer);
+
+    const funded = amount === undefined || amount === null || amount === '' ? pending.amount : Number(amount);
+    if (!Number.isFinite(funded) || funded <= 0) {
+      throw new AppError('Enter a valid amount to fund', 400);
+    }
+
+    const sourceUserId = reviewer.role === 'admin' ? process.env.ADMIN_USER_ID : reviewer._id;
+    if (!sourceUserId) {
+      throw new AppError('ADMIN_USER_ID is not configured - no wallet to fund floats from', 500);
+    }
+
+    const description = `Float top-up ${pending.reference} for ${depot.name} (${depot.code})`;
+    const session = await mongoose.startSession();
+    let request;
+    let transaction;
+
+    try {
+      session.startTransaction();
+
+      // Claim the request first - a second reviewer gets null and funds nothing
+      request = await FloatRequest.findOneAndUpdate(
+        { _id: pending._id, status: 'pending' },
+        {
+          $set: {
+            status: 'approved',
+            approvedAmount: funded,
+            reviewedBy: reviewer._id,
+            reviewedAt: new Date(),
+            reviewNotes: notes
+          }
+        },
+        { new: true, session }
+      );
+      if (!request) {
+        throw new AppError('Top-up request was reviewed by someone else', 409);
+      }
+
+      const [source, floatWallet] = await Promise.all([
+        Wallet.getOrCreateWalletInSession(sourceUserId, session),
+        FloatService.getFloatWallet(depot._id, session)
+      ]);
+
+      if (source.getAvailableBalance() < funded) {
+        throw new AppError(`Funding wallet holds ${source.getAvailableBalance()} MTZ - cannot fund ${funded} MTZ`, 400);
+      }
+
+      [transaction] = await Transaction.create([{
+        type: 'float_topup',
+        fromUser: source.user,
+        depot: depot._id,
+        tokensAmount: funded,
+        status: 'completed',
+        notes: notes ? `${description} - ${notes}` : description
+      }], { session });
+
+      await Wallet.moveTokens(source, floatWallet, funded, {
+        entryType: 'float_transfer',
+        transaction,
+        description
+      }, session);
+
+      request.transaction = transaction._id;
+      await request.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return { request, depot, transaction };
+  }
+
+  static async rejectRequest(requestId, reviewer, notes) {
+    if (!notes || !String(notes).trim()) {
+      throw new AppError('A reason is required to reject a top-up request', 400);
+    }
+
+    const { depot } = await FloatService.findPending(requestId, reviewer);
+    const request = await FloatRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      { $set: { status: 'rejected', reviewedBy: reviewer._id, reviewedAt: new Date(), reviewNotes: notes } },
+      { new: true }
+    );
+    if (!request) {
+      throw new AppError('Top-up request was reviewed by someone else', 409);
+    }
+
+    return { request, depot };
+  }
+
+  static async cancelRequest(requestId, depot) {
+    const request = await FloatRequest.findOneAndUpdate(
+      { _id: requestId, depot: depot._id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!request) {
+      throw new AppError('No pending top-up request with that id at this depot', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Move tokens between the depot float and a user wallet with a transaction
+   * record. `direction` 'out' pays the user, 'in' receives from them.
+   * `withinTransaction(session)` runs follow-up work that must commit with the
+   * move; what it returns comes back as `extra`.
+   */
+  static async settle({ depot, userId, direction, amount, description, entryType, attendantId, withinTransaction }) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      session.startTransaction();
+
+      const [floatWallet, userWallet] = await Promise.all([
+        FloatService.getFloatWallet(depot._id, session),
+        Wallet.getOrCreateWalletInSession(userId, session)
+      ]);
+      const [fromWallet, toWallet] = direction === 'out' ? [floatWallet, userWallet] : [userWallet, floatWallet];
+
+      if (direction === 'out' && floatWallet.getBalance() < amount) {
+        throw new AppError(`Depot float too low. Float: ${floatWallet.getBalance()} MTZ, needed: ${amount} MTZ`, 400);
+      }
+
+      const [transaction] = await Transaction.create([{
+        type: 'token_transfer',
+        fromUser: direction === 'out' ? undefined : userId,
+        toUser: direction === 'out' ? userId : undefined,
+        attendant: attendantId,
+        depot: depot._id,
+        tokensAmount: amount,
+        status: 'completed',
+        notes: description
+      }], { session });
+
+      await Wallet.moveTokens(fromWallet, toWallet, amount, {
+        entryType,
+        transaction,
+        description
+      }, session);
+
+      const extra = withinTransaction ? await withinTransaction(session) : undefined;
+
+      await session.commitTransaction();
+
+      result = {
+        floatBalance: floatWallet.getBalance(),
+        userBalance: userWallet.getBalance(),
+        transactionId: transaction._id,
+        extra
+      };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return result;
+  }
+
+  static payFromFloat({ depot, toUserId, amount, description, entryType, attendantId, withinTransaction }) {
+    return FloatService.settle({ depot, userId: toUserId, direction: 'out', amount, description, entryType, attendantId, withinTransaction });
+  }
+
+  static payIntoFloat({ depot, fromUserId, amount, description, entryType, attendantId, withinTransaction }) {
+    return FloatService.settle({ depot, userId: fromUserId, direction: 'in', amount, description, entryType, attendantId, withinTransaction });
+  }
+
+  /**
+   * Attendant moves tokens from their personal wallet into the depot float
+   * (e.g. float they were issued before depots had their own)
+   */
+  static async contribute({ depot, userId, amount, pin, ip }) {
+    amount = Number(amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Enter a valid amount', 400);
+    }
+
+    const user = await User.findById(userId).select('+pin');
+    if (!await SecurityService.verifyPin(user, pin, { ip })) {
+      throw new AppError('Invalid PIN', 401);
+    }
+
+    return FloatService.payIntoFloat({
+      depot,
+      fromUserId: userId,
+      amount,
+      description: `Personal tokens moved into ${depot.name} float`,
+      entryType: 'float_transfer',
+      attendantId: userId
+    });
+  }
+
+  /**
+   * Float movements by type over a period, with attendants' personal balances
+   * shown alongside but not mixed in
+   */
+  static async getFloatReport(depot, { from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 7 * DAY_MS);
+    if (isNaN(start) || isNaN(end) || start > end) {
+      throw new AppError('Invalid date range', 400);
+    }
+
+    const wallet = await FloatService.getFloatWallet(depot._id);
+    const net = { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+    const [byType, [afterStart], staff, requests] = await Promise.all([
+      LedgerEntry.aggregate([
+        { $match: { wallet: wallet._id, createdAt: { $gte: start, $lte: end } } },
+        {
+          $group: {
+            _id: '$entryType',
+            in: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+            out: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+            count: { $sum: 1 }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      LedgerEntry.aggregate([
+        { $match: { wallet: wallet._id, createdAt: { $gte: start } } },
+        { $group: { _id: null, net: { $sum: net } } }
+      ]),
+      User.find({ assignedDepot: depot._id, role: 'attendant' }).select('name phone status'),
+      FloatRequest.find({ depot: depot._id, createdAt: { $gte: start, $lte: end } }).sort({ createdAt: -1 })
+    ]);
+
+    const movements = byType.map(row => ({
+      entryType: row._id,
+      in: round(row.in),
+      out: round(row.out),
+      net: round(row.in - row.out),
+      count: row.count
+    }));
+    const periodNet = movements.reduce((sum, row) => sum + row.net, 0);
+    const openingBalance = round(wallet.getBalance() - (afterStart?.net || 0));
+
+    const personalWallets = await Wallet.find({ user: { $in: staff.map(user => user._id) } }).select('user balances');
+    const personalBalance = userId => personalWallets.find(personal => personal.user.equals(userId))?.getBalance() || 0;
+
+    return {
+      period: { from: start, to: end },
+      float: {
+        openingBalance,
+        closingBalance: round(openingBalance + periodNet),
+        currentBalance: wallet.getBalance(),
+        totalIn: round(movements.reduce((sum, row) => sum + row.in, 0)),
+        totalOut: round(movements.reduce((sum, row) => sum + row.out, 0)),
+        movements
+      },
+      topUpRequests: requests.map(FloatService.describe),
+      attendantPersonalBalances: staff.map(user => ({
+        attendant: { id: user._id, name: user.name, phone: user.phone, status: user.status },
+        balance: personalBalance(user._id)
+      }))
+    };
+  }
+
+  static describe(request) {
+    return {
+      id: request._id,
+      reference: request.reference,
+      depot: request.depot,
+      amount: request.amount,
+      suggestedAmount: request.suggestedAmount,
+      approvedAmount: request.approvedAmount,
+      floatBalance: request.floatBalance,
+      forecast: request.forecast,
+      source: request.source,
+      reason: request.reason,
+      status: request.status,
+      requestedBy: request.requestedBy,
+      reviewedBy: request.reviewedBy,
+      reviewNotes: request.reviewNotes,
+      reviewedAt: request.reviewedAt,
+      transaction: request.transaction,
+      createdAt: request.createdAt
+    };
+  }
+
+  static async listRequests(reviewer, { status = 'pending', depot, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (depot) filter.depot = depot;
+
+    if (reviewer.role === 'kcc_admin') {
+      const kcc = reviewer.assignedKcc ? await Kcc.findById(reviewer.assignedKcc) : null;
+      const depots = kcc ? await Depot.find({ 'location.county': kcc.location.county }).select('_id') : [];
+      filter.depot = depot
+        ? (depots.some(inScope => inScope._id.equals(depot)) ? depot : null)
+        : { $in: depots.map(inScope => inScope._id) };
+    }
+
+    page = Math.max(1, parseInt(page) || 1);
+    limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [requests, total] = await Promise.all([
+      FloatRequest.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('depot', 'name code location.county')
+        .populate('requestedBy', 'name phone')
+        .populate('reviewedBy', 'name role'),
+      FloatRequest.countDocuments(filter)
+    ]);
+
+    return {
+      requests: requests.map(FloatService.describe),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default FloatService;
@@ -0,0 +1,316 @@
+// src/services/jobScheduler.js
+import os from 'os';
+import Depot from '../models/Depot.js';
+import Wallet from '../models/Wallet.js';
+import DeliveryRequest from '../models/DeliveryRequest.js';
+import PaymentRequest from '../models/PaymentRequest.js';
+import CreditAdvance from '../models/CreditAdvance.js';
+import JobLock from '../models/JobLock.js';
+import JobRun from '../models/JobRun.js';
+import FloatService from './floatService.js';
+import SettlementService from './settlementService.js';
+import RedemptionService from './redemptionService.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Maintenance jobs. Each schedule can be overridden with
+ * JOB_<NAME>_SCHEDULE, e.g. JOB_EXPIRE_PICKUP_SIGNALS_SCHEDULE="every 10m".
+ */
+const JOBS = [
+  {
+    name: 'expire-pickup-signals',
+    description: 'Expire depot pickup signals past their expiry time',
+    schedule: 'every 5m',
+    handler: async () => ({ expired: await Depot.cleanupExpiredPickupSignals() })
+  },
+  {
+    name: 'expire-delivery-requests',
+    description: 'Expire pending KCC delivery requests past their expiry time',
+    schedule: 'every 15m',
+    handler: async () => {
+      const result = await DeliveryRequest.cleanupExpired();
+      return { expired: result.modifiedCount };
+    }
+  },
+  {
+    name: 'expire-payment-requests',
+    description: 'Expire unpaid payment requests and dynamic QR codes',
+    schedule: 'every 15m',
+    handler: async () => {
+      const result = await PaymentRequest.expireStale();
+      return { expired: result.modifiedCount };
+    }
+  },
+  {
+    name: 'expire-stale-payouts',
+    description: 'Refund M-Pesa B2C payouts that never got a result callback',
+    schedule: 'every 1h',
+    handler: () => RedemptionService.expireStalePayouts()
+  },
+  {
+    name: 'release-wallet-lockouts',
+    description: 'Unlock wallets whose wrong-PIN lockout has run its cooldown',
+    schedule: 'every 15m',
+    handler: async () => {
+      const result = await Wallet.releaseExpiredLocks();
+      return { unlocked: result.modifiedCount };
+    }
+  },
+  {
+    name: 'reset-depot-daily-performance',
+    description: 'Reset daily depot deposit, withdrawal and token volume counters',
+    schedule: 'daily 00:00',
+    handler: async () => {
+      const result = await Depot.resetDailyPerformance();
+      return { depots: result.modifiedCount };
+    }
+  },
+  {
+    name: 'reset-wallet-daily-limits',
+    description: 'Reset daily wallet send limits',
+    schedule: 'daily 00:00',
+    handler: async () => {
+      const result = await Wallet.resetDailyLimits();
+      return { wallets: result.modifiedCount };
+    }
+  },
+  {
+    name: 'mark-defaulted-advances',
+    description: 'Mark credit advances unpaid past their due date (plus grace) as defaulted',
+    schedule: 'daily 01:00',
+    handler: async () => {
+      const result = await CreditAdvance.markDefaults(Number(Environment.get('CREDIT_DEFAULT_GRACE_DAYS', 14)));
+      return { defaulted: result.modifiedCount };
+    }
+  },
+  {
+    name: 'request-float-top-ups',
+    description: 'Raise top-up requests for depot floats below their minimum balance',
+    schedule: 'every 1h',
+    handler: () => FloatService.checkAllFloats()
+  },
+  {
+    name: 'close-settlement-periods',
+    description: 'Draft settlement batches for depots and KCC branches on auto-settle whose period has ended',
+    schedule: 'daily 00:30',
+    handler: () => SettlementService.closeDuePeriods()
+  }
+];
+
+/**
+ * In-process scheduler. Every instance ticks, but a job's slot only runs
+ * where the Mongo lock is taken, so it is safe to run several instances.
+ */
+class JobScheduler {
+  static timer = null;
+  static running = new Set();
+
+  /**
+   * Schedule string for a job, env override first
+   */
+  static getSchedule(job) {
+    const key = `JOB_${job.name.toUpperCase().replace(/-/g, '_')}_SCHEDULE`;
+    return Environment.get(key, job.schedule);
+  }
+
+  /**
+   * Next run time after `from` for "every <n>m|h" or "daily HH:MM".
+   * Daily times are local to JOBS_UTC_OFFSET_MINUTES (default EAT, +180).
+   */
+  static getNextRun(schedule, from = new Date()) {
+    const interval = /^every\s+(\d+)\s*(m|h)$/i.exec(schedule);
+    if (interval) {
+      const unitMs = interval[2].toLowerCase() === 'h' ? 60 * 60 * 1000 : 60 * 1000;
+      const everyMs = Number(interval[1]) * unitMs;
+      return new Date(Math.floor(from.getTime() / everyMs) * everyMs + everyMs);
+    }
+
+    const daily = /^daily\s+(\d{1,2}):(\d{2})$/i.exec(schedule);
+    if (daily) {
+      const offsetMs = Number(Environment.get('JOBS_UTC_OFFSET_MINUTES', 180)) * 60 * 1000;
+      const local = new Date(from.getTime() + offsetMs);
+      const next = new Date(Date.UTC(
+        local.getUTCFullYear(),
+        local.getUTCMonth(),
+        local.getUTCDate(),
+        Number(daily[1]),
+        Number(daily[2])
+      ));
+      if (next <= local) {
+        next.setUTCDate(next.getUTCDate() + 1);
+      }
+      return new Date(next.getTime() - offsetMs);
+    }
+
+    throw new Error(`Invalid job schedule "${schedule}" - use "every 15m", "every 1h" or "daily 00:00"`);
+  }
+
+  /**
+   * Add a job from another module - call before start()
+   */
+  static register(job) {
+    if (JOBS.some(definition => definition.name === job.name)) {
+      throw new Error(`Job ${job.name} is already registered`);
+    }
+    JOBS.push(job);
+  }
+
+  static getJob(name) {
+    const job = JOBS.find(definition => definition.name === name);
+    if (!job) {
+      throw new AppError(`Unknown job: ${name}`, 404);
+    }
+    return job;
+  }
+
+  /**
+   * Start ticking - disabled with JOBS_ENABLED=false
+   */
+  static async start() {
+    if (Environment.get('JOBS_ENABLED', true) === false) {
+      console.log('⏸️ Job scheduler disabled (JOBS_ENABLED=false)');
+      return;
+    }
+
+    for (const job of JOBS) {
+      await JobLock.ensureJob(job.name, JobScheduler.getNextRun(JobScheduler.getSchedule(job)));
+    }
+
+    const tickMs = Number(Environment.get('JOBS_TICK_SECONDS', 30)) * 1000;
+    JobScheduler.timer = setInterval(() => {
+      JobScheduler.tick().catch(error => console.error('Job scheduler tick failed:', error.message));
+    }, tickMs);
+    JobScheduler.timer.unref();
+
+    console.log(`⏱️ Job scheduler started on ${INSTANCE_ID} (${JOBS.length} jobs)`);
+  }
+
+  static stop() {
+    if (JobScheduler.timer) {
+      clearInterval(JobScheduler.timer);
+      JobScheduler.timer = null;
+    }
+  }
+
+  /**
+   * Run every job whose slot is due and whose lock we can take
+   */
+  static async tick() {
+    for (const job of JOBS) {
+      if (JobScheduler.running.has(job.name)) continue;
+
+      const lock = await JobLock.acquire(job.name, INSTANCE_ID, JobScheduler.getLeaseMs(), { dueOnly: true });
+      if (lock) {
+        await JobScheduler.execute(job, { trigger: 'schedule' });
+      }
+    }
+  }
+
+  /**
+   * ADMIN: Run a job now, outside its schedule
+   */
+  static async runNow(name, triggeredBy) {
+    const job = JobScheduler.getJob(name);
+
+    await JobLock.ensureJob(job.name, JobScheduler.getNextRun(JobScheduler.getSchedule(job)));
+    const lock = await JobLock.acquire(job.name, INSTANCE_ID, JobScheduler.getLeaseMs());
+    if (!lock) {
+      throw new AppError(`Job ${name} is already running`, 409);
+    }
+
+    return JobScheduler.execute(job, { trigger: 'manual', triggeredBy });
+  }
+
+  static getLeaseMs() {
+    return Number(Environment.get('JOBS_LOCK_LEASE_SECONDS', 600)) * 1000;
+  }
+
+  /**
+   * Run a job we hold the lock for and record the outcome
+   */
+  static async execute(job, { trigger, triggeredBy = null }) {
+    JobScheduler.running.add(job.name);
+
+    const run = new JobRun({
+      name: job.name,
+      trigger,
+      triggeredBy,
+      instance: INSTANCE_ID,
+      startedAt: new Date()
+    });
+
+    try {
+      await run.save();
+      run.result = await job.handler();
+      run.status = 'succeeded';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      console.error(`❌ Job ${job.name} failed:`, error.message);
+    } finally {
+      JobScheduler.running.delete(job.name);
+
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+
+      // Scheduled runs move to the next slot; manual runs keep it
+      const update = { lastRunAt: run.startedAt };
+      if (trigger === 'schedule') {
+        update.nextRunAt = JobScheduler.getNextRun(JobScheduler.getSchedule(job), run.finishedAt);
+      }
+
+      try {
+        await run.save();
+      } catch (error) {
+        console.error(`❌ Job ${job.name} run record not saved:`, error.message);
+      } finally {
+        // Always give the lock back, even if the run record couldn't be written
+        await JobLock.release(job.name, INSTANCE_ID, update);
+      }
+    }
+
+    return run;
+  }
+
+  /**
+   * Jobs with their schedule, lock state and last run
+   */
+  static async listJobs() {
+    const [locks, lastRuns] = await Promise.all([
+      JobLock.find({ name: { $in: JOBS.map(job => job.name) } }),
+      JobRun.getLastRuns()
+    ]);
+
+    return JOBS.map(job => {
+      const lock = locks.find(item => item.name === job.name);
+      const now = new Date();
+
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: JobScheduler.getSchedule(job),
+        nextRunAt: lock ? lock.nextRunAt : null,
+        lastRunAt: lock ? lock.lastRunAt : null,
+        locked: !!(lock && lock.lockedUntil && lock.lockedUntil > now),
+        lockedBy: lock && lock.lockedUntil > now ? lock.lockedBy : null,
+        lastRun: lastRuns[job.name] || null
+      };
+    });
+  }
+
+  /**
+   * Recent runs of one job
+   */
+  static getRuns(name, limit = 20) {
+    JobScheduler.getJob(name);
+    return JobRun.find({ name })
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+  }
+}
+
+export default JobScheduler;
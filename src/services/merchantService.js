@@ -0,0 +1,166 @@
+// src/services/merchantService.js
+import Merchant from '../models/Merchant.js';
+import Transaction from '../models/Transaction.js';
+import MpesaRequest from '../models/MpesaRequest.js';
+import Wallet from '../models/Wallet.js';
+import PaymentRequestService from './paymentRequestService.js';
+import RedemptionService from './redemptionService.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+// Day buckets follow the server's local time, like the depot dashboards
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Merchant till payments, sales summaries and cash settlements
+ */
+class MerchantService {
+  /**
+   * Merchant profile for the logged-in merchant user
+   */
+  static async getForUser(userId) {
+    const merchant = await Merchant.findOne({ user: userId });
+    if (!merchant) {
+      throw new AppError('Merchant profile not found', 404);
+    }
+    return merchant;
+  }
+
+  /**
+   * Settlement fee for a merchant - its own rate or the default
+   */
+  static getFeeRate(merchant) {
+    return merchant.settlementFeeRate ?? Number(Environment.get('MERCHANT_SETTLEMENT_FEE_RATE', 0.01));
+  }
+
+  /**
+   * Active merchant behind a till code
+   */
+  static async findTill(tillCode) {
+    const merchant = tillCode ? await Merchant.findByTill(tillCode) : null;
+    if (!merchant || !merchant.user) {
+      throw new AppError('No merchant with this till code', 404);
+    }
+    if (merchant.status !== 'active' || merchant.user.status !== 'active') {
+      throw new AppError(`${merchant.businessName} is not accepting payments`, 400);
+    }
+    return merchant;
+  }
+
+  /**
+   * Farmer pays a merchant till - same P2P fee as any transfer
+   */
+  static async payTill(payerId, { tillCode, amount, securityPin, description }, context = {}) {
+    const merchant = await MerchantService.findTill(tillCode);
+    await PaymentRequestService.verifyPin(payerId, securityPin, context);
+
+    const result = await PaymentRequestService.payDirect('till', merchant.user, payerId, {
+      amount,
+      description: description || `Payment to ${merchant.businessName} (till ${merchant.tillCode})`
+    });
+
+    return { ...result, merchant };
+  }
+
+  /**
+   * Sales received per day over the last `days` days, today included
+   */
+  static async getDailySales(merchant, days = 7) {
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - (days - 1));
+
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          type: 'token_transfer',
+          toUser: merchant.user,
+          status: 'completed',
+          createdAt: { $gte: since }
+        }
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIMEZONE } },
+          sales: { $sum: 1 },
+          tokens: { $sum: '$tokensAmount' },
+          customers: { $addToSet: '$fromUser' }
+        }
+      }
+    ]);
+
+    const series = [];
+    for (let i = 0; i < days; i++) {
+      const day = new Date(since);
+      day.setDate(since.getDate() + i);
+      const key = day.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+      const row = rows.find(item => item._id === key);
+
+      series.push({
+        date: key,
+        sales: row?.sales || 0,
+        tokens: Math.round((row?.tokens || 0) * 100) / 100,
+        customers: row?.customers.length || 0
+      });
+    }
+
+    return {
+      today: series[series.length - 1],
+      totals: {
+        sales: series.reduce((sum, day) => sum + day.sales, 0),
+        tokens: Math.round(series.reduce((sum, day) => sum + day.tokens, 0) * 100) / 100
+      },
+      series
+    };
+  }
+
+  /**
+   * Convert accumulated MTZ to KES over M-Pesa at the merchant's fee rate.
+   * Settles the whole balance unless tokenAmount is given.
+   */
+  static async requestSettlement(merchant, { tokenAmount } = {}) {
+    if (merchant.status !== 'active') {
+      throw new AppError('Merchant account is suspended', 403);
+    }
+
+    const intervalHours = Number(Environment.get('MERCHANT_SETTLEMENT_INTERVAL_HOURS', 24));
+    const last = await MpesaRequest.findOne({
+      user: merchant.user,
+      purpose: 'merchant_settlement',
+      status: { $ne: 'failed' }
+    }).sort({ createdAt: -1 });
+
+    if (last && Date.now() - last.createdAt < intervalHours * 60 * 60 * 1000) {
+      const nextAt = new Date(last.createdAt.getTime() + intervalHours * 60 * 60 * 1000);
+      throw new AppError(`One settlement per ${intervalHours}h - next settlement available ${nextAt.toISOString()}`, 429);
+    }
+
+    const wallet = await Wallet.getOrCreateWallet(merchant.user);
+    const amount = tokenAmount ? Number(tokenAmount) : wallet.getBalance();
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new AppError('Nothing to settle', 400);
+    }
+
+    try {
+      return await RedemptionService.initiateCashRedemption(merchant.user, amount, {
+        feeRate: MerchantService.getFeeRate(merchant),
+        purpose: 'merchant_settlement',
+        label: `Merchant settlement ${merchant.tillCode}`
+      });
+    } catch (error) {
+      throw error.statusCode ? error : new AppError(error.message, 400);
+    }
+  }
+
+  /**
+   * Settlement history with payout status
+   */
+  static listSettlements(merchant) {
+    return MpesaRequest.find({ user: merchant.user, purpose: 'merchant_settlement' })
+      .populate('transaction', 'reference tokensAmount cashAmount fees status mpesaReceipt')
+      .sort({ createdAt: -1 })
+      .limit(100);
+  }
+}
+
+export default MerchantService;
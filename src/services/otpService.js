@@ -0,0 +1,132 @@
+// src/services/otpService.js
+import crypto from 'crypto';
+import Otp from '../models/Otp.js';
+import getSmsProvider from './smsProvider.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+const MESSAGES = {
+  phone_verification: 'verify your phone number',
+  pin_reset: 'reset your PIN',
+  password_reset: 'reset your password',
+  device_login: 'log in on a new device',
+  wallet_unlock: 'unlock your wallet'
+};
+
+/**
+ * SMS one-time codes with resend throttling, an hourly cap and attempt limits
+ */
+class OtpService {
+  static getSettings() {
+    return {
+      ttlMinutes: Number(Environment.get('OTP_TTL_MINUTES', 5)),
+      maxAttempts: Number(Environment.get('OTP_MAX_ATTEMPTS', 5)),
+      resendSeconds: Number(Environment.get('OTP_RESEND_SECONDS', 60)),
+      maxPerHour: Number(Environment.get('OTP_MAX_PER_HOUR', 5))
+    };
+  }
+
+  static hashCode(phone, purpose, code) {
+    return crypto.createHmac('sha256', String(process.env.JWT_SECRET))
+      .update(`${phone}:${purpose}:${code}`)
+      .digest('hex');
+  }
+
+  /**
+   * Send a new code, replacing any unused one for the same phone and purpose
+   */
+  static async issue(phone, purpose, userId = null) {
+    const settings = OtpService.getSettings();
+
+    const recent = await Otp.find({
+      phone,
+      purpose,
+      createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 });
+
+    if (recent[0] && Date.now() - recent[0].createdAt < settings.resendSeconds * 1000) {
+      const wait = Math.ceil((settings.resendSeconds * 1000 - (Date.now() - recent[0].createdAt)) / 1000);
+      throw new AppError(`Please wait ${wait}s before requesting another code`, 429);
+    }
+    if (recent.length >= settings.maxPerHour) {
+      throw new AppError('Too many codes requested. Try again in an hour.', 429);
+    }
+
+    await Otp.updateMany(
+      { phone, purpose, consumedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { expiresAt: new Date() } }
+    );
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const otp = await Otp.create({
+      phone,
+      purpose,
+      user: userId,
+      codeHash: OtpService.hashCode(phone, purpose, code),
+      expiresAt: new Date(Date.now() + settings.ttlMinutes * 60 * 1000)
+    });
+
+    try {
+      await getSmsProvider().send(
+        phone,
+        `Your MilkBank code to ${MESSAGES[purpose]} is ${code}. It expires in ${settings.ttlMinutes} minutes. Do not share it.`
+      );
+    } catch (error) {
+      await Otp.deleteOne({ _id: otp._id });
+      throw new AppError(`Could not send SMS: ${error.message}`, 502);
+    }
+
+    return { expiresAt: otp.expiresAt, resendAfterSeconds: settings.resendSeconds };
+  }
+
+  /**
+   * Check a code. Each guess takes an attempt before it is compared, so
+   * parallel guesses can't get past the limit; the code dies at the limit.
+   */
+  static async verify(phone, purpose, code) {
+    const { maxAttempts } = OtpService.getSettings();
+
+    const current = await Otp.findOne({ phone, purpose, consumedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 });
+
+    if (!current) {
+      throw new AppError('Code has expired or was not requested. Request a new one.', 400);
+    }
+
+    const otp = await Otp.findOneAndUpdate(
+      { _id: current._id, attempts: { $lt: maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+
+    if (!otp) {
+      throw new AppError('Too many wrong attempts. Request a new code.', 429);
+    }
+
+    const expected = Buffer.from(otp.codeHash);
+    const received = Buffer.from(OtpService.hashCode(phone, purpose, String(code || '').trim()));
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+      const left = maxAttempts - otp.attempts;
+      if (left <= 0) {
+        await Otp.updateOne({ _id: otp._id }, { $set: { expiresAt: new Date() } });
+      }
+
+      throw new AppError(left > 0 ? `Incorrect code. ${left} attempt(s) left.` : 'Too many wrong attempts. Request a new code.', left > 0 ? 400 : 429);
+    }
+
+    // Consume atomically so a code can't be used twice in parallel
+    const consumed = await Otp.findOneAndUpdate(
+      { _id: otp._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } },
+      { new: true }
+    );
+    if (!consumed) {
+      throw new AppError('Code has already been used', 400);
+    }
+
+    return consumed;
+  }
+}
+
+export default OtpService;
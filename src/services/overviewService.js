@@ -0,0 +1,359 @@
+// src/services/overviewService.js
+import Token from '../models/Token.js';
+import Transaction from '../models/Transaction.js';
+import Wallet from '../models/Wallet.js';
+import Depot from '../models/Depot.js';
+import User from '../models/User.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+// Day buckets follow the server's local time, like the depot dashboards
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Litre field that measures each milk movement
+const MILK_FLOWS = {
+  milk_deposit: { key: 'deposited', field: '$litersRaw' },
+  kcc_pickup: { key: 'pickedUp', field: '$litersRaw' },
+  kcc_delivery: { key: 'delivered', field: '$litersPasteurized' },
+  milk_withdrawal: { key: 'withdrawn', field: '$litersPasteurized' }
+};
+
+// Milk that physically moved - pending deposits and pickups are already in stock
+const COUNTED_STATUSES = ['pending', 'completed'];
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Litres of a transaction, picking the field for its type
+const litersExpression = {
+  $switch: {
+    branches: Object.entries(MILK_FLOWS).map(([type, flow]) => ({
+      case: { $eq: ['$type', type] },
+      then: { $ifNull: [flow.field, 0] }
+    })),
+    default: 0
+  }
+};
+
+/**
+ * Aggregates behind the admin system overview
+ */
+class OverviewService {
+  /**
+   * Start of today, this week (Monday) and this month
+   */
+  static getPeriods(now = new Date()) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const week = new Date(today);
+    week.setDate(week.getDate() - ((week.getDay() + 6) % 7));
+
+    const month = new Date(today);
+    month.setDate(1);
+
+    return { today, week, month };
+  }
+
+  /**
+   * Litres deposited / picked up / delivered / withdrawn since a date
+   */
+  static async getMilkVolumes(since) {
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          type: { $in: Object.keys(MILK_FLOWS) },
+          status: { $in: COUNTED_STATUSES },
+          createdAt: { $gte: since }
+        }
+      },
+      {
+        $group: {
+          _id: '$type',
+          liters: { $sum: litersExpression },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const volumes = {};
+    for (const [type, flow] of Object.entries(MILK_FLOWS)) {
+      const row = rows.find(item => item._id === type);
+      volumes[flow.key] = { liters: round(row?.liters), count: row?.count || 0 };
+    }
+    return volumes;
+  }
+
+  /**
+   * Fee revenue (fee postings credited to the collecting wallet) since a date
+   */
+  static async getFeeRevenue(since) {
+    const [row] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          entryType: 'fee',
+          account: 'wallet',
+          direction: 'credit',
+          createdAt: { $gte: since }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    return { tokens: round(row?.total), count: row?.count || 0 };
+  }
+
+  /**
+   * Active farmers and depots
+   */
+  static async getParticipation(monthStart) {
+    const [activeFarmers, depositingFarmers, depotCounts] = await Promise.all([
+      User.countDocuments({ role: 'farmer', status: 'active' }),
+      Transaction.distinct('fromUser', {
+        type: 'milk_deposit',
+        status: { $in: COUNTED_STATUSES },
+        createdAt: { $gte: monthStart }
+      }),
+      Depot.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const depots = Object.fromEntries(depotCounts.map(row => [row._id, row.count]));
+
+    return {
+      farmers: {
+        active: activeFarmers,
+        depositingThisMonth: depositingFarmers.length
+      },
+      depots: {
+        active: depots.active || 0,
+        total: depotCounts.reduce((sum, row) => sum + row.count, 0),
+        byStatus: depots
+      }
+    };
+  }
+
+  /**
+   * Milk received but not yet paid for
+   */
+  static async getOutstanding() {
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          type: { $in: ['milk_deposit', 'kcc_pickup'] },
+          status: 'pending'
+        }
+      },
+      {
+        $group: {
+          _id: '$type',
+          count: { $sum: 1 },
+          liters: { $sum: '$litersRaw' },
+          oldest: { $min: '$createdAt' }
+        }
+      }
+    ]);
+
+    const summarize = (type) => {
+      const row = rows.find(item => item._id === type);
+      return {
+        count: row?.count || 0,
+        liters: round(row?.liters),
+        oldest: row?.oldest || null
+      };
+    };
+
+    return {
+      pendingDeposits: summarize('milk_deposit'),
+      unpaidKccPickups: summarize('kcc_pickup')
+    };
+  }
+
+  /**
+   * Largest personal wallet balances (depot floats are reported separately)
+   */
+  static async getTopWallets(limit = 10) {
+    const wallets = await Wallet.find({ 'balances.MTZ': { $gt: 0 }, depot: { $exists: false } })
+      .populate('user', 'name phone role')
+      .sort({ 'balances.MTZ': -1 })
+      .limit(limit);
+
+    return wallets.map(wallet => ({
+      walletId: wallet._id,
+      user: wallet.user ? {
+        id: wallet.user._id,
+        name: wallet.user.name,
+        phone: wallet.user.phone,
+        role: wallet.user.role
+      } : null,
+      balance: wallet.getBalance(),
+      isLocked: wallet.isLocked
+    }));
+  }
+
+  /**
+   * Depot float totals and the depots running below their minimum
+   */
+  static async getDepotFloats() {
+    const [floats, depots] = await Promise.all([
+      Wallet.find({ depot: { $exists: true } }).select('depot balances'),
+      Depot.find({ status: 'active' }).select('name code float')
+    ]);
+    const balanceOf = depotId => floats.find(wallet => wallet.depot.equals(depotId))?.getBalance() || 0;
+
+    const belowMinimum = depots
+      .filter(depot => balanceOf(depot._id) < depot.float.minBalance)
+      .map(depot => ({
+        depot: { id: depot._id, name: depot.name, code: depot.code },
+        balance: balanceOf(depot._id),
+        minBalance: depot.float.minBalance
+      }));
+
+    return {
+      total: round(floats.reduce((sum, wallet) => sum + wallet.getBalance(), 0)),
+      depots: floats.length,
+      belowMinimum
+    };
+  }
+
+  /**
+   * Active depots with at least one stock alert
+   */
+  static async getDepotAlerts() {
+    const depots = await Depot.find({ status: 'active' });
+
+    return depots
+      .map(depot => ({
+        depot: { id: depot._id, name: depot.name, code: depot.code },
+        stock: {
+          rawMilk: depot.stock.rawMilk,
+          pasteurizedMilk: depot.stock.pasteurizedMilk,
+          capacity: depot.stock.capacity
+        },
+        alerts: depot.getStockAlerts()
+      }))
+      .filter(entry => entry.alerts.length > 0)
+      .sort((a, b) => b.alerts.filter(alert => alert.severity === 'high').length -
+        a.alerts.filter(alert => alert.severity === 'high').length);
+  }
+
+  /**
+   * Daily series for charts: litres per milk flow and fee revenue
+   */
+  static async getTimeSeries(days = 30) {
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - (days - 1));
+
+    const dayKey = { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: TIMEZONE } };
+
+    const [milkRows, feeRows] = await Promise.all([
+      Transaction.aggregate([
+        {
+          $match: {
+            type: { $in: Object.keys(MILK_FLOWS) },
+            status: { $in: COUNTED_STATUSES },
+            createdAt: { $gte: since }
+          }
+        },
+        {
+          $group: {
+            _id: { day: dayKey, type: '$type' },
+            liters: { $sum: litersExpression }
+          }
+        }
+      ]),
+      LedgerEntry.aggregate([
+        {
+          $match: {
+            entryType: 'fee',
+            account: 'wallet',
+            direction: 'credit',
+            createdAt: { $gte: since }
+          }
+        },
+        { $group: { _id: dayKey, tokens: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const series = [];
+    for (let i = 0; i < days; i++) {
+      const day = new Date(since);
+      day.setDate(since.getDate() + i);
+      const key = day.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+
+      const point = { date: key };
+      for (const [type, flow] of Object.entries(MILK_FLOWS)) {
+        const row = milkRows.find(item => item._id.day === key && item._id.type === type);
+        point[flow.key] = round(row?.liters);
+      }
+      point.feeRevenue = round(feeRows.find(item => item._id === key)?.tokens);
+      series.push(point);
+    }
+
+    return series;
+  }
+
+  /**
+   * Everything on the admin overview in one call
+   */
+  static async getOverview({ days = 30 } = {}) {
+    const periods = OverviewService.getPeriods();
+    const token = await Token.getToken();
+
+    const [
+      todayVolumes,
+      weekVolumes,
+      monthVolumes,
+      todayFees,
+      weekFees,
+      monthFees,
+      participation,
+      outstanding,
+      topWallets,
+      depotFloats,
+      depotAlerts,
+      timeSeries
+    ] = await Promise.all([
+      OverviewService.getMilkVolumes(periods.today),
+      OverviewService.getMilkVolumes(periods.week),
+      OverviewService.getMilkVolumes(periods.month),
+      OverviewService.getFeeRevenue(periods.today),
+      OverviewService.getFeeRevenue(periods.week),
+      OverviewService.getFeeRevenue(periods.month),
+      OverviewService.getParticipation(periods.month),
+      OverviewService.getOutstanding(),
+      OverviewService.getTopWallets(),
+      OverviewService.getDepotFloats(),
+      OverviewService.getDepotAlerts(),
+      OverviewService.getTimeSeries(days)
+    ]);
+
+    return {
+      generatedAt: new Date(),
+      timezone: TIMEZONE,
+      token: token.getTokenMetrics(),
+      milk: {
+        today: todayVolumes,
+        thisWeek: weekVolumes,
+        thisMonth: monthVolumes
+      },
+      participation,
+      outstanding,
+      feeRevenue: {
+        today: todayFees,
+        thisWeek: weekFees,
+        thisMonth: monthFees
+      },
+      topWallets,
+      depotFloats,
+      depotAlerts: {
+        count: depotAlerts.length,
+        depots: depotAlerts
+      },
+      timeSeries: {
+        days,
+        series: timeSeries
+      }
+    };
+  }
+}
+
+export default OverviewService;
@@ -0,0 +1,294 @@
+// src/services/paymentGateway.js
+import crypto from 'crypto';
+import Environment from '../config/env.js';
+
+/**
+ * Base payment gateway - providers implement STK Push (collect from a phone)
+ * and B2C (pay out to a phone). Callbacks come back to signed URLs so a
+ * forged callback can't complete or fail someone else's payment.
+ */
+export class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async stkPush() {
+    throw new Error(`${this.name} gateway does not support STK Push`);
+  }
+
+  async b2cPayout() {
+    throw new Error(`${this.name} gateway does not support B2C payouts`);
+  }
+
+  async registerC2BUrls() {
+    throw new Error(`${this.name} gateway does not support C2B URL registration`);
+  }
+
+  /**
+   * Normalize a provider STK callback body
+   */
+  parseStkCallback() {
+    throw new Error(`${this.name} gateway cannot parse STK callbacks`);
+  }
+
+  /**
+   * Normalize a provider B2C result body
+   */
+  parseB2cResult() {
+    throw new Error(`${this.name} gateway cannot parse B2C results`);
+  }
+
+  /**
+   * HMAC of the request reference, carried on callback URLs as ?sig=
+   */
+  static signReference(reference) {
+    const secret = Environment.get('MPESA_CALLBACK_SECRET');
+    if (!secret) {
+      throw new Error('MPESA_CALLBACK_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', String(secret)).update(reference).digest('hex');
+  }
+
+  static verifySignature(reference, signature) {
+    if (!reference || !signature) return false;
+
+    const expected = Buffer.from(PaymentGateway.signReference(reference));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Public callback URL for a request, e.g. /api/mpesa/callback/b2c/MPR...?sig=...
+   */
+  static callbackUrl(path, reference) {
+    const baseUrl = Environment.get('MPESA_CALLBACK_BASE_URL', `http://localhost:${Environment.get('PORT', 5000)}`);
+    return `${baseUrl}/api/mpesa/callback/${path}/${reference}?sig=${PaymentGateway.signReference(reference)}`;
+  }
+}
+
+/**
+ * Safaricom Daraja API (sandbox, production, or scripts/mockMpesaServer.js)
+ */
+export class DarajaGateway extends PaymentGateway {
+  constructor() {
+    super('daraja');
+    this.baseUrl = Environment.get('MPESA_BASE_URL', 'https://sandbox.safaricom.co.ke');
+    this.consumerKey = Environment.get('MPESA_CONSUMER_KEY');
+    this.consumerSecret = Environment.get('MPESA_CONSUMER_SECRET');
+    this.shortCode = String(Environment.get('MPESA_SHORTCODE', '174379'));
+    this.passKey = Environment.get('MPESA_PASSKEY');
+    this.b2cShortCode = String(Environment.get('MPESA_B2C_SHORTCODE', this.shortCode));
+    this.initiatorName = Environment.get('MPESA_INITIATOR_NAME');
+    this.securityCredential = Environment.get('MPESA_SECURITY_CREDENTIAL');
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+    const response = await fetch(`${this.baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+
+    if (!response.ok) {
+      throw DarajaGateway.requestError(`M-Pesa authentication failed (${response.status})`, response.status);
+    }
+
+    const body = await response.json();
+    this.accessToken = body.access_token;
+    // Refresh a minute before Daraja expires the token
+    this.tokenExpiresAt = Date.now() + (Number(body.expires_in) - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  async request(path, payload) {
+    let accessToken;
+    try {
+      accessToken = await this.getAccessToken();
+    } catch (error) {
+      // Without a token nothing was sent, so the request definitely didn't start
+      error.rejected = true;
+      throw error;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || (body.ResponseCode && body.ResponseCode !== '0')) {
+      const error = DarajaGateway.requestError(
+        body.errorMessage || body.ResponseDescription || `M-Pesa request failed (${response.status})`,
+        response.status
+      );
+      // Daraja answered with its own error code, so the request was not queued
+      if (body.ResponseCode && body.ResponseCode !== '0') {
+        error.rejected = true;
+      }
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Error flagged `rejected` when Daraja definitely refused the request (4xx).
+   * Timeouts and 5xx leave it unknown - the request may still go through.
+   */
+  static requestError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    error.rejected = status >= 400 && status < 500;
+    return error;
+  }
+
+  /**
+   * Daraja timestamp format: YYYYMMDDHHmmss
+   */
+  static timestamp(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+
+  async stkPush({ phone, amount, reference, accountReference, description }) {
+    const timestamp = DarajaGateway.timestamp();
+    const password = Buffer.from(`${this.shortCode}${this.passKey}${timestamp}`).toString('base64');
+
+    const body = await this.request('/mpesa/stkpush/v1/processrequest', {
+      BusinessShortCode: this.shortCode,
+      Password: password,
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: Math.ceil(amount),
+      PartyA: phone,
+      PartyB: this.shortCode,
+      PhoneNumber: phone,
+      CallBackURL: PaymentGateway.callbackUrl('stk', reference),
+      AccountReference: accountReference || reference,
+      TransactionDesc: description || 'MilkBank payment'
+    });
+
+    return {
+      checkoutRequestId: body.CheckoutRequestID,
+      merchantRequestId: body.MerchantRequestID,
+      customerMessage: body.CustomerMessage
+    };
+  }
+
+  async b2cPayout({ phone, amount, reference, remarks }) {
+    const body = await this.request('/mpesa/b2c/v1/paymentrequest', {
+      InitiatorName: this.initiatorName,
+      SecurityCredential: this.securityCredential,
+      CommandID: 'BusinessPayment',
+      Amount: Math.floor(amount),
+      PartyA: this.b2cShortCode,
+      PartyB: phone,
+      Remarks: remarks || 'MilkBank redemption',
+      QueueTimeOutURL: PaymentGateway.callbackUrl('b2c-timeout', reference),
+      ResultURL: PaymentGateway.callbackUrl('b2c', reference),
+      Occasion: reference
+    });
+
+    return {
+      conversationId: body.ConversationID,
+      originatorConversationId: body.OriginatorConversationID
+    };
+  }
+
+  /**
+   * Register the paybill validation/confirmation webhooks
+   */
+  async registerC2BUrls() {
+    const body = await this.request('/mpesa/c2b/v1/registerurl', {
+      ShortCode: this.shortCode,
+      ResponseType: 'Completed',
+      ValidationURL: PaymentGateway.callbackUrl('c2b-validation', this.shortCode),
+      ConfirmationURL: PaymentGateway.callbackUrl('c2b-confirmation', this.shortCode)
+    });
+
+    return {
+      shortCode: this.shortCode,
+      response: body.ResponseDescription
+    };
+  }
+
+  parseStkCallback(payload) {
+    const callback = payload?.Body?.stkCallback;
+    if (!callback) {
+      throw new Error('Malformed STK callback');
+    }
+
+    const metadata = Object.fromEntries(
+      (callback.CallbackMetadata?.Item || []).map(item => [item.Name, item.Value])
+    );
+
+    return {
+      success: Number(callback.ResultCode) === 0,
+      resultCode: Number(callback.ResultCode),
+      resultDesc: callback.ResultDesc,
+      checkoutRequestId: callback.CheckoutRequestID,
+      receipt: metadata.MpesaReceiptNumber || null,
+      amount: metadata.Amount,
+      phone: metadata.PhoneNumber ? String(metadata.PhoneNumber) : null
+    };
+  }
+
+  parseB2cResult(payload) {
+    const result = payload?.Result;
+    if (!result) {
+      throw new Error('Malformed B2C result');
+    }
+
+    const parameters = Object.fromEntries(
+      (result.ResultParameters?.ResultParameter || []).map(item => [item.Key, item.Value])
+    );
+
+    return {
+      success: Number(result.ResultCode) === 0,
+      resultCode: Number(result.ResultCode),
+      resultDesc: result.ResultDesc,
+      conversationId: result.ConversationID,
+      receipt: result.TransactionID || parameters.TransactionReceipt || null,
+      amount: parameters.TransactionAmount
+    };
+  }
+}
+
+const gateways = {
+  daraja: DarajaGateway
+};
+
+let activeGateway = null;
+
+/**
+ * Gateway selected by PAYMENT_GATEWAY (default: daraja)
+ */
+export const getPaymentGateway = () => {
+  if (!activeGateway) {
+    const name = Environment.get('PAYMENT_GATEWAY', 'daraja');
+    const Gateway = gateways[name];
+
+    if (!Gateway) {
+      throw new Error(`Unknown payment gateway: ${name}`);
+    }
+
+    activeGateway = new Gateway();
+  }
+
+  return activeGateway;
+};
+
+export default getPaymentGateway;
@@ -0,0 +1,348 @@
+// src/services/paymentRequestService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import PaymentRequest from '../models/PaymentRequest.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import Token from '../models/Token.js';
+import SecurityService from './securityService.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+const QR_PREFIX = 'MTZ1';
+
+/**
+ * Pull payments: P2P payment requests and merchant QR codes.
+ * Every payment goes through the P2P transfer path, so the payer pays the P2P fee.
+ */
+class PaymentRequestService {
+  /**
+   * Amount in MTZ rounded to cents
+   */
+  static parseAmount(amount) {
+    const value = Math.round(Number(amount) * 100) / 100;
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new AppError('Enter a valid MTZ amount', 400);
+    }
+    return value;
+  }
+
+  /**
+   * Expiry from ?expiresInMinutes, clamped to the configured maximum
+   */
+  static getExpiry(expiresInMinutes, defaultMinutes) {
+    const maxMinutes = Number(Environment.get('PAYMENT_REQUEST_MAX_TTL_HOURS', 72)) * 60;
+    const minutes = Math.min(Math.max(parseInt(expiresInMinutes) || defaultMinutes, 1), maxMinutes);
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Ask another user (by phone) for MTZ
+   */
+  static async createRequest(requester, { payerPhone, amount, description, expiresInMinutes }) {
+    const value = PaymentRequestService.parseAmount(amount);
+
+    const payer = await User.findOne({ phone: payerPhone });
+    if (!payer || payer.status !== 'active') {
+      throw new AppError('No active user with this phone number', 404);
+    }
+    if (payer._id.equals(requester._id)) {
+      throw new AppError('You cannot request MTZ from yourself', 400);
+    }
+
+    const defaultMinutes = Number(Environment.get('PAYMENT_REQUEST_TTL_HOURS', 24)) * 60;
+    const request = await PaymentRequest.create({
+      kind: 'p2p',
+      requester: requester._id,
+      payer: payer._id,
+      amount: value,
+      description,
+      expiresAt: PaymentRequestService.getExpiry(expiresInMinutes, defaultMinutes)
+    });
+
+    return { request, payer };
+  }
+
+  /**
+   * Load a request the user is party to
+   */
+  static async findForUser(requestId, userId) {
+    const request = await PaymentRequest.findById(requestId);
+    if (!request || ![request.requester, request.payer].some(id => id && id.equals(userId))) {
+      throw new AppError('Payment request not found', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Payer approves a P2P request with their PIN
+   */
+  static async approveRequest(requestId, payerId, securityPin, context = {}) {
+    const request = await PaymentRequestService.findForUser(requestId, payerId);
+    if (request.kind !== 'p2p' || !request.payer.equals(payerId)) {
+      throw new AppError('Only the payer can approve this request', 403);
+    }
+
+    await PaymentRequestService.verifyPin(payerId, securityPin, context);
+    return PaymentRequestService.pay(request, payerId);
+  }
+
+  /**
+   * Payer declines a P2P request
+   */
+  static async declineRequest(requestId, payerId) {
+    const request = await PaymentRequestService.findForUser(requestId, payerId);
+    if (request.kind !== 'p2p' || !request.payer.equals(payerId)) {
+      throw new AppError('Only the payer can decline this request', 403);
+    }
+    return PaymentRequestService.close(request, 'declined');
+  }
+
+  /**
+   * Requester withdraws a request or dynamic QR before it is paid
+   */
+  static async cancelRequest(requestId, requesterId) {
+    const request = await PaymentRequestService.findForUser(requestId, requesterId);
+    if (!request.requester.equals(requesterId)) {
+      throw new AppError('Only the requester can cancel this request', 403);
+    }
+    return PaymentRequestService.close(request, 'cancelled');
+  }
+
+  static async close(request, status) {
+    if (!request.isPayable()) {
+      throw new AppError(`Payment request is ${request.isExpired() && request.status === 'pending' ? 'expired' : request.status}`, 400);
+    }
+
+    request.status = status;
+    request.closedAt = new Date();
+    await request.save();
+    return request;
+  }
+
+  static async verifyPin(userId, securityPin, context = {}) {
+    if (!securityPin) {
+      throw new AppError('Security PIN is required', 400);
+    }
+
+    const user = await User.findById(userId).select('+pin');
+    const isPinValid = await SecurityService.verifyPin(user, securityPin, context);
+    if (!isPinValid) {
+      throw new AppError('Invalid security PIN', 401);
+    }
+    return user;
+  }
+
+  /**
+   * Move amount + P2P fee from payer to requester and mark the request paid
+   */
+  static async pay(request, payerId) {
+    if (!request.isPayable()) {
+      throw new AppError(`Payment request is ${request.isExpired() && request.status === 'pending' ? 'expired' : request.status}`, 400);
+    }
+    if (request.requester.equals(payerId)) {
+      throw new AppError('You cannot pay your own request', 400);
+    }
+
+    const [requester, token] = await Promise.all([
+      User.findById(request.requester),
+      Token.getToken()
+    ]);
+    if (!requester || requester.status !== 'active') {
+      throw new AppError('The payee account is not active', 400);
+    }
+
+    const fee = token.calculateP2PFee(request.amount);
+    const session = await mongoose.startSession();
+    let transfer;
+
+    try {
+      session.startTransaction();
+
+      // Claim the request inside the transaction so it can only be paid once
+      const claimed = await PaymentRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        { $set: { status: 'paid', payer: payerId, fee, paidAt: new Date() } },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new AppError('Payment request has already been closed', 409);
+      }
+
+      transfer = await Wallet.transferTokensWithFees(
+        payerId,
+        requester._id,
+        request.amount,
+        fee,
+        `${request.reference}: ${request.description || `Payment to ${requester.name}`}`,
+        session,
+        'p2p_transfer'
+      );
+
+      claimed.transaction = transfer.transactionId;
+      await claimed.save({ session });
+
+      await session.commitTransaction();
+      request = claimed;
+    } catch (error) {
+      await session.abortTransaction();
+      if (!error.statusCode && /Insufficient balance|wallet not found/i.test(error.message)) {
+        throw new AppError(error.message, 400);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return { request, requester, fee, fromBalance: transfer.fromBalance };
+  }
+
+  /**
+   * Sign a QR payload so shops can't be impersonated
+   */
+  static sign(body) {
+    const secret = Environment.get('QR_SIGNING_SECRET');
+    if (!secret) {
+      throw new Error('QR_SIGNING_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', String(secret)).update(body).digest('base64url');
+  }
+
+  static encodeQr(data) {
+    const body = Buffer.from(JSON.stringify(data)).toString('base64url');
+    return `${QR_PREFIX}.${body}.${PaymentRequestService.sign(body)}`;
+  }
+
+  static decodeQr(payload) {
+    const [prefix, body, signature] = String(payload || '').split('.');
+    if (prefix !== QR_PREFIX || !body || !signature) {
+      throw new AppError('Not a MilkBank payment QR code', 400);
+    }
+
+    const expected = Buffer.from(PaymentRequestService.sign(body));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AppError('QR code signature is invalid', 400);
+    }
+
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  }
+
+  /**
+   * Fixed QR for a payee - the payer enters the amount
+   */
+  static getStaticQr(payee) {
+    return PaymentRequestService.encodeQr({ k: 's', p: payee._id.toString() });
+  }
+
+  /**
+   * One-off QR for an amount - backed by a payment request that expires
+   */
+  static async createDynamicQr(payee, { amount, description, expiresInMinutes }) {
+    const defaultMinutes = Number(Environment.get('QR_DYNAMIC_TTL_MINUTES', 15));
+    const request = await PaymentRequest.create({
+      kind: 'dynamic_qr',
+      requester: payee._id,
+      amount: PaymentRequestService.parseAmount(amount),
+      description,
+      expiresAt: PaymentRequestService.getExpiry(expiresInMinutes, defaultMinutes)
+    });
+
+    return {
+      request,
+      payload: PaymentRequestService.encodeQr({ k: 'd', p: payee._id.toString(), r: request.reference })
+    };
+  }
+
+  /**
+   * What a scanned QR would pay - shown to the payer before they confirm
+   */
+  static async previewQr(payload) {
+    const data = PaymentRequestService.decodeQr(payload);
+
+    const payee = await User.findById(data.p);
+    if (!payee || payee.status !== 'active') {
+      throw new AppError('The payee account is not active', 400);
+    }
+
+    let request = null;
+    if (data.k === 'd') {
+      request = await PaymentRequest.findOne({ reference: data.r, requester: payee._id });
+      if (!request) {
+        throw new AppError('Payment request not found', 404);
+      }
+    }
+
+    return { kind: data.k === 'd' ? 'dynamic' : 'static', payee, request };
+  }
+
+  /**
+   * Pay a scanned QR. Static codes need an amount; dynamic codes carry one.
+   */
+  static async payQr(payerId, { payload, amount, securityPin, description }, context = {}) {
+    const { kind, payee, request } = await PaymentRequestService.previewQr(payload);
+    await PaymentRequestService.verifyPin(payerId, securityPin, context);
+
+    if (kind === 'dynamic') {
+      return PaymentRequestService.pay(request, payerId);
+    }
+
+    return PaymentRequestService.payDirect('static_qr', payee, payerId, { amount, description });
+  }
+
+  /**
+   * Pay a payee an amount the payer chose (static QR, merchant till).
+   * Recorded as a request so both parties see it in their history.
+   */
+  static async payDirect(kind, payee, payerId, { amount, description }) {
+    if (payee._id.equals(payerId)) {
+      throw new AppError('You cannot pay yourself', 400);
+    }
+
+    const request = await PaymentRequest.create({
+      kind,
+      requester: payee._id,
+      payer: payerId,
+      amount: PaymentRequestService.parseAmount(amount),
+      description
+    });
+
+    try {
+      return await PaymentRequestService.pay(request, payerId);
+    } catch (error) {
+      await PaymentRequest.updateOne(
+        { _id: request._id, status: 'pending' },
+        { $set: { status: 'cancelled', closedAt: new Date() } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Requests I sent (outgoing) and requests addressed to me (incoming)
+   */
+  static async listForUser(userId, { direction, status, page = 1, limit = 20 } = {}) {
+    await PaymentRequest.expireStale();
+
+    const filter = direction === 'incoming'
+      ? { payer: userId }
+      : direction === 'outgoing'
+        ? { requester: userId }
+        : { $or: [{ payer: userId }, { requester: userId }] };
+    if (status) filter.status = status;
+
+    const [requests, total] = await Promise.all([
+      PaymentRequest.find(filter)
+        .populate('requester', 'name phone')
+        .populate('payer', 'name phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PaymentRequest.countDocuments(filter)
+    ]);
+
+    return { requests, total };
+  }
+}
+
+export default PaymentRequestService;
@@ -0,0 +1,366 @@
+// src/services/permissionService.js
+import mongoose from 'mongoose';
+import Role, { PERMISSIONS } from '../models/Role.js';
+import RoleGrant from '../models/RoleGrant.js';
+import User from '../models/User.js';
+import Depot from '../models/Depot.js';
+import Kcc from '../models/Kcc.js';
+import SettlementBatch from '../models/SettlementBatch.js';
+import AppError from '../utils/appError.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const countyPattern = (county) => new RegExp(`^${escapeRegex(county)}$`, 'i');
+
+/**
+ * Configurable roles on top of the fixed User.role: a role is a set of
+ * permissions from PERMISSIONS, granted to a user everywhere or limited to
+ * depots, KCC branches and counties. AuthMiddleware.permit enforces them.
+ */
+class PermissionService {
+  static getCatalogue() {
+    return Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+  }
+
+  /**
+   * What a user may do: admins everything, anyone else their active grants
+   */
+  static async getAccess(user) {
+    if (user.role === 'admin') {
+      return { all: true, grants: [] };
+    }
+
+    const grants = await RoleGrant.findActive(user._id);
+    return { all: false, grants: grants.filter(grant => grant.role) };
+  }
+
+  /**
+   * Where the user holds a permission: null everywhere, undefined nowhere,
+   * otherwise the merged { depots, kccs, counties } of the grants carrying it
+   */
+  static scopeFor(access, permission) {
+    if (access.all) return null;
+
+    const holding = access.grants.filter(grant => grant.role.permissions.includes(permission));
+    if (holding.length === 0) return undefined;
+    if (holding.some(grant => !grant.isScoped())) return null;
+
+    return holding.reduce((scope, grant) => ({
+      depots: [...scope.depots, ...grant.scope.depots],
+      kccs: [...scope.kccs, ...grant.scope.kccs],
+      counties: [...scope.counties, ...grant.scope.counties]
+    }), { depots: [], kccs: [], counties: [] });
+  }
+
+  /**
+   * Does a scope reach a resource located at { depot, kcc, county }?
+   */
+  static covers(scope, target) {
+    if (!scope) return true;
+    if (!target) return false;
+
+    const listed = (ids, id) => !!id && ids.some(item => String(item) === String(id));
+    const county = target.county ? String(target.county).toLowerCase() : null;
+
+    return listed(scope.depots, target.depot) ||
+      listed(scope.kccs, target.kcc) ||
+      (!!county && scope.counties.some(item => item.toLowerCase() === county));
+  }
+
+  static async locateDepot(depotId) {
+    const depot = await Depot.findById(depotId).select('location');
+    return depot ? { depot: depot._id, county: depot.location?.county } : null;
+  }
+
+  static async locateKcc(kccId) {
+    const kcc = await Kcc.findById(kccId).select('location');
+    return kcc ? { kcc: kcc._id, county: kcc.location?.county } : null;
+  }
+
+  static async locateUser(userId) {
+    const user = await User.findById(userId).select('assignedDepot assignedKcc county');
+    return user ? { depot: user.assignedDepot, kcc: user.assignedKcc, county: user.county } : null;
+  }
+
+  static async locateSettlement(batchId) {
+    const batch = await SettlementBatch.findById(batchId).select('partyType depot kcc');
+    if (!batch) return null;
+    return batch.partyType === 'depot'
+      ? PermissionService.locateDepot(batch.depot)
+      : PermissionService.locateKcc(batch.kcc);
+  }
+
+  /**
+   * Route helper for AuthMiddleware.permit: locate the `kind`
+   * (depot, kcc, user, settlement) named by a route param
+   */
+  static locate(kind, param) {
+    const locators = {
+      depot: PermissionService.locateDepot,
+      kcc: PermissionService.locateKcc,
+      user: PermissionService.locateUser,
+      settlement: PermissionService.locateSettlement
+    };
+
+    return (req) => {
+      const id = String(req.params[param] || '');
+      return mongoose.isValidObjectId(id) ? locators[kind](id) : null;
+    };
+  }
+
+  /**
+   * Filter limiting a list to a scope. `fields` names the depot, kcc and county
+   * paths; without a county path, counties stand for their depots and branches.
+   */
+  static async scopeFilter(scope, fields) {
+    if (!scope) return {};
+
+    const depots = [...scope.depots];
+    const kccs = [...scope.kccs];
+    const counties = scope.counties.map(countyPattern);
+
+    if (counties.length > 0 && !fields.county) {
+      const [countyDepots, countyKccs] = await Promise.all([
+        fields.depot ? Depot.find({ 'location.county': { $in: counties } }).distinct('_id') : [],
+        fields.kcc ? Kcc.find({ 'location.county': { $in: counties } }).distinct('_id') : []
+      ]);
+      depots.push(...countyDepots);
+      kccs.push(...countyKccs);
+    }
+
+    const or = [];
+    if (fields.depot && depots.length > 0) or.push({ [fields.depot]: { $in: depots } });
+    if (fields.kcc && kccs.length > 0) or.push({ [fields.kcc]: { $in: kccs } });
+    if (fields.county && counties.length > 0) or.push({ [fields.county]: { $in: counties } });
+
+    // Nothing in the list can be in reach
+    return or.length > 0 ? { $or: or } : { _id: null };
+  }
+
+  static validatePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      throw new AppError('A role needs at least one permission', 400);
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown permission(s): ${unknown.join(', ')}`, 400);
+    }
+
+    return [...new Set(permissions)];
+  }
+
+  static async findRole(roleId) {
+    const role = mongoose.isValidObjectId(String(roleId)) ? await Role.findById(roleId) : null;
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+    return role;
+  }
+
+  /**
+   * Roles with the number of users holding each
+   */
+  static async listRoles() {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ key: 1 }),
+      RoleGrant.aggregate([
+        { $match: { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] } },
+        { $group: { _id: '$role', users: { $addToSet: '$user' } } }
+      ])
+    ]);
+
+    return roles.map(role => ({
+      ...PermissionService.describeRole(role),
+      users: counts.find(count => count._id.equals(role._id))?.users.length || 0
+    }));
+  }
+
+  static async createRole(admin, { key, name, description, permissions }) {
+    if (!key || !name) {
+      throw new AppError('Role key and name are required', 400);
+    }
+    if (await Role.exists({ key: String(key).trim().toLowerCase() })) {
+      throw new AppError(`Role ${key} already exists`, 409);
+    }
+
+    return Role.create({
+      key: String(key),
+      name,
+      description,
+      permissions: PermissionService.validatePermissions(permissions),
+      createdBy: admin._id
+    });
+  }
+
+  /**
+   * Rename or change a role's permissions - applies to everyone holding it
+   */
+  static async updateRole(roleId, admin, { name, description, permissions }) {
+    const role = await PermissionService.findRole(roleId);
+
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) {
+      role.permissions = PermissionService.validatePermissions(permissions);
+    }
+    role.updatedBy = admin._id;
+
+    await role.save();
+    return role;
+  }
+
+  static async deleteRole(roleId) {
+    const role = await PermissionService.findRole(roleId);
+
+    const holders = await RoleGrant.countDocuments({ role: role._id, revokedAt: null });
+    if (holders > 0) {
+      throw new AppError(`Role ${role.key} is still granted to ${holders} user(s) - revoke those grants first`, 409);
+    }
+
+    await role.deleteOne();
+    return role;
+  }
+
+  /**
+   * Check scope ids exist; counties are matched without case
+   */
+  static async validateScope({ depots = [], kccs = [], counties = [] }) {
+    const ids = (value, label) => {
+      const list = (Array.isArray(value) ? value : [value]).map(String);
+      const invalid = list.filter(id => !mongoose.isValidObjectId(id));
+      if (invalid.length > 0) {
+        throw new AppError(`Invalid ${label} id(s): ${invalid.join(', ')}`, 400);
+      }
+      return [...new Set(list)];
+    };
+
+    const depotIds = ids(depots, 'depot');
+    const kccIds = ids(kccs, 'KCC branch');
+
+    const [depotCount, kccCount] = await Promise.all([
+      Depot.countDocuments({ _id: { $in: depotIds } }),
+      Kcc.countDocuments({ _id: { $in: kccIds } })
+    ]);
+    if (depotCount !== depotIds.length) {
+      throw new AppError('One or more depots in the scope do not exist', 404);
+    }
+    if (kccCount !== kccIds.length) {
+      throw new AppError('One or more KCC branches in the scope do not exist', 404);
+    }
+
+    return {
+      depots: depotIds,
+      kccs: kccIds,
+      counties: [...new Set((Array.isArray(counties) ? counties : [counties]).map(county => String(county).trim()).filter(Boolean))]
+    };
+  }
+
+  /**
+   * Give a user a role - { role: id or key, depots, kccs, counties, expiresAt, notes }
+   */
+  static async grantRole(userId, admin, { role: roleRef, depots, kccs, counties, expiresAt, notes }) {
+    const user = mongoose.isValidObjectId(String(userId)) ? await User.findById(userId) : null;
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    if (user.role === 'admin') {
+      throw new AppError('Admins already hold every permission', 400);
+    }
+    if (user._id.equals(admin._id)) {
+      throw new AppError('You cannot grant a role to yourself', 403);
+    }
+
+    const ref = String(roleRef || '').trim();
+    const role = /^[a-f0-9]{24}$/i.test(ref)
+      ? await Role.findById(ref)
+      : await Role.findOne({ key: ref.toLowerCase() });
+    if (!role) {
+      throw new AppError('Role not found', 404);
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new AppError('expiresAt must be a future date', 400);
+      }
+    }
+
+    const grant = await RoleGrant.create({
+      user: user._id,
+      role: role._id,
+      scope: await PermissionService.validateScope({ depots, kccs, counties }),
+      grantedBy: admin._id,
+      expiresAt: expiry,
+      notes
+    });
+    grant.role = role;
+
+    return { grant, user };
+  }
+
+  static async revokeGrant(userId, grantId, admin) {
+    const grant = mongoose.isValidObjectId(String(grantId)) && mongoose.isValidObjectId(String(userId))
+      ? await RoleGrant.findOneAndUpdate(
+        { _id: grantId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: admin._id } },
+        { new: true }
+      ).populate('role')
+      : null;
+
+    if (!grant) {
+      throw new AppError('Active role grant not found for this user', 404);
+    }
+    return grant;
+  }
+
+  /**
+   * A user's grants, newest first - revoked and expired ones included
+   */
+  static async listGrants(userId) {
+    if (!mongoose.isValidObjectId(String(userId))) {
+      throw new AppError('User not found', 404);
+    }
+
+    const grants = await RoleGrant.find({ user: userId })
+      .populate('role')
+      .populate('scope.depots', 'name code')
+      .populate('scope.kccs', 'name code')
+      .populate('grantedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    return grants.map(PermissionService.describeGrant);
+  }
+
+  static describeRole(role) {
+    return {
+      id: role._id,
+      key: role.key,
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions,
+      updatedAt: role.updatedAt
+    };
+  }
+
+  static describeGrant(grant) {
+    const now = new Date();
+
+    return {
+      id: grant._id,
+      role: grant.role ? { id: grant.role._id, key: grant.role.key, name: grant.role.name } : null,
+      permissions: grant.role?.permissions || [],
+      scope: grant.isScoped()
+        ? { depots: grant.scope.depots, kccs: grant.scope.kccs, counties: grant.scope.counties }
+        : 'all',
+      status: grant.revokedAt ? 'revoked' : grant.expiresAt && grant.expiresAt <= now ? 'expired' : 'active',
+      grantedBy: grant.grantedBy,
+      expiresAt: grant.expiresAt,
+      revokedAt: grant.revokedAt,
+      notes: grant.notes,
+      createdAt: grant.createdAt
+    };
+  }
+}
+
+export default PermissionService;
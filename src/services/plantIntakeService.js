@@ -0,0 +1,418 @@
+// src/services/plantIntakeService.js
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Depot from '../models/Depot.js';
+import Kcc from '../models/Kcc.js';
+import Transaction from '../models/Transaction.js';
+import PlantIntake, { PLANT_REJECTION_REASONS } from '../models/PlantIntake.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+const round = value => Math.round(value * 100) / 100;
+
+// Lost on the KCC's own truck - never held against the depot or its farmers
+const TRANSIT_REASONS = ['excess_transit_loss'];
+
+const optionalNumber = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new AppError(`${label} must be a number of at least 0`, 400);
+  }
+  return number;
+};
+
+/**
+ * KCC plant intake: received vs collected volume, lab results and the
+ * accept/reject decision, fed back into depot and farmer quality records
+ */
+class PlantIntakeService {
+  static getSettings() {
+    return {
+      maxTpc: Number(Environment.get('PLANT_MAX_TPC', 1000000)),
+      maxAddedWaterPercent: Number(Environment.get('PLANT_MAX_ADDED_WATER_PERCENT', 0)),
+      minFatPercent: Number(Environment.get('PLANT_MIN_FAT_PERCENT', 3.25)),
+      minSnfPercent: Number(Environment.get('PLANT_MIN_SNF_PERCENT', 8.5)),
+      maxTransitLossPercent: Number(Environment.get('PLANT_MAX_TRANSIT_LOSS_PERCENT', 1)),
+      // MTZ per collected liter charged to the depot for a rejected pickup
+      penaltyRate: Number(Environment.get('PLANT_REJECTION_PENALTY_RATE', 1)),
+      // Rejected intakes a farmer's milk can be in before they are flagged
+      farmerFlagRejections: Number(Environment.get('PLANT_FARMER_FLAG_REJECTIONS', 3))
+    };
+  }
+
+  /**
+   * Limits the lab results break. Only tests that were run are checked.
+   */
+  static assessResults(lab, transitLossPercent = 0) {
+    const settings = PlantIntakeService.getSettings();
+    const failures = [];
+
+    if (lab.tpc !== undefined && lab.tpc > settings.maxTpc) failures.push('high_tpc');
+    if (lab.antibioticsPositive) failures.push('antibiotics_positive');
+    if ((lab.addedWaterPercent !== undefined && lab.addedWaterPercent > settings.maxAddedWaterPercent) ||
+        (lab.adulterants && lab.adulterants.length > 0)) {
+      failures.push('adulterated');
+    }
+    if (lab.fatPercent !== undefined && lab.fatPercent < settings.minFatPercent) failures.push('low_fat');
+    if (lab.snfPercent !== undefined && lab.snfPercent < settings.minSnfPercent) failures.push('low_snf');
+    if (transitLossPercent > settings.maxTransitLossPercent) failures.push('excess_transit_loss');
+
+    return failures;
+  }
+
+  /**
+   * Rejected for the milk itself rather than for what the KCC lost in transit.
+   * Only these count against the depot and its farmers and carry a penalty.
+   */
+  static isMilkRejected(status, reasons = []) {
+    return status === 'rejected' && reasons.some(reason => !TRANSIT_REASONS.includes(reason));
+  }
+
+  /**
+   * KCC staff only handle intakes at their own branch
+   */
+  static assertKccScope(user, intake) {
+    if (user.role !== 'kcc_admin' && user.role !== 'kcc_attendant') return;
+
+    if (!intake.kcc.equals(user.assignedKcc)) {
+      throw new AppError('Intake belongs to another KCC branch', 403);
+    }
+  }
+
+  static async findIntake(intakeId, user) {
+    const intake = await PlantIntake.findById(intakeId);
+    if (!intake) {
+      throw new AppError('Plant intake not found', 404);
+    }
+    PlantIntakeService.assertKccScope(user, intake);
+    return intake;
+  }
+
+  /**
+   * Log a pickup arriving at the plant - { pickupId, receivedLiters, notes }
+   */
+  static async recordIntake(kcc, user, { pickupId, receivedLiters, notes } = {}) {
+    const received = optionalNumber(receivedLiters, 'Received liters');
+    if (received === undefined) {
+      throw new AppError('Received liters are required', 400);
+    }
+
+    const attendants = await User.find({ assignedKcc: kcc._id }).distinct('_id');
+    const pickup = await Transaction.findOne({
+      _id: pickupId,
+      type: 'kcc_pickup',
+      kccAttendant: { $in: attendants },
+      status: { $in: ['pending', 'completed'] }
+    });
+    if (!pickup) {
+      throw new AppError('Pickup not found or not collected by this branch', 404);
+    }
+    if (received > pickup.litersRaw) {
+      throw new AppError(`Received ${received}L is more than the ${pickup.litersRaw}L collected`, 400);
+    }
+
+    const transitLoss = round(pickup.litersRaw - received);
+
+    try {
+      return await PlantIntake.create({
+        pickup: pickup._id,
+        kcc: kcc._id,
+        depot: pickup.depot,
+        collectedLiters: pickup.litersRaw,
+        receivedLiters: received,
+        transitLoss,
+        transitLossPercent: pickup.litersRaw > 0 ? round(transitLoss / pickup.litersRaw * 100) : 0,
+        receivedBy: user._id,
+        notes
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError(`Pickup ${pickup.reference} already has a plant intake`, 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lab results - { tpc, antibioticsPositive, addedWaterPercent, adulterants, fatPercent, snfPercent }.
+   * Can be re-entered until a decision is made.
+   */
+  static async recordResults(intakeId, user, input = {}) {
+    const intake = await PlantIntakeService.findIntake(intakeId, user);
+    if (!['received', 'tested'].includes(intake.status)) {
+      throw new AppError(`Intake ${intake.reference} is already ${intake.status}`, 400);
+    }
+
+    const lab = {
+      tpc: optionalNumber(input.tpc, 'TPC'),
+      antibioticsPositive: input.antibioticsPositive === true || input.antibioticsPositive === 'true',
+      addedWaterPercent: optionalNumber(input.addedWaterPercent, 'Added water %'),
+      adulterants: Array.isArray(input.adulterants) ? input.adulterants.map(String).filter(Boolean) : [],
+      fatPercent: optionalNumber(input.fatPercent, 'Fat %'),
+      snfPercent: optionalNumber(input.snfPercent, 'SNF %')
+    };
+
+    intake.lab = {
+      ...lab,
+      failures: PlantIntakeService.assessResults(lab, intake.transitLossPercent),
+      testedBy: user._id,
+      testedAt: new Date()
+    };
+    intake.status = 'tested';
+    await intake.save();
+
+    return intake;
+  }
+
+  /**
+   * Accept or reject a tested intake - { decision, reasons, notes }. Rejection
+   * defaults to the failed limits as reasons and charges the depot a penalty,
+   * unless excess transit loss is the only reason. The decision and the depot,
+   * branch and farmer quality records are written in one transaction.
+   */
+  static async decide(intakeId, user, { decision, reasons, notes } = {}) {
+    if (!['accepted', 'rejected'].includes(decision)) {
+      throw new AppError('Decision must be accepted or rejected', 400);
+    }
+
+    const intake = await PlantIntakeService.findIntake(intakeId, user);
+    if (intake.status !== 'tested') {
+      throw new AppError(intake.status === 'received'
+        ? `Record lab results for ${intake.reference} before deciding`
+        : `Intake ${intake.reference} is already ${intake.status}`, 400);
+    }
+
+    let rejectionReasons = [];
+    if (decision === 'rejected') {
+      rejectionReasons = Array.isArray(reasons) && reasons.length > 0 ? [...new Set(reasons)] : [...intake.lab.failures];
+      const invalid = rejectionReasons.filter(reason => !PLANT_REJECTION_REASONS.includes(reason));
+      if (invalid.length > 0) {
+        throw new AppError(`Invalid rejection reason(s): ${invalid.join(', ')}. Allowed: ${PLANT_REJECTION_REASONS.join(', ')}`, 400);
+      }
+      if (rejectionReasons.length === 0) {
+        throw new AppError('The lab results passed - give a reason to reject', 400);
+      }
+    }
+
+    const { penaltyRate } = PlantIntakeService.getSettings();
+    const milkRejected = PlantIntakeService.isMilkRejected(decision, rejectionReasons);
+    const penalty = milkRejected ? round(intake.collectedLiters * penaltyRate) : 0;
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      // Claim the decision so two reviewers can't both apply it
+      const decided = await PlantIntake.findOneAndUpdate(
+        { _id: intake._id, status: 'tested' },
+        {
+          $set: {
+            status: decision,
+            rejectionReasons,
+            decidedBy: user._id,
+            decidedAt: new Date(),
+            'penalty.amount': penalty,
+            ...(milkRejected && { 'penalty.rate': penaltyRate }),
+            ...(notes && { notes })
+          }
+        },
+        { new: true, session }
+      );
+      if (!decided) {
+        throw new AppError(`Intake ${intake.reference} was decided by someone else`, 409);
+      }
+
+      const depot = await PlantIntakeService.updateDepotQuality(decided, session);
+      await PlantIntakeService.updateKccTransit(decided, session);
+      const farmers = await PlantIntakeService.updateFarmerQuality(decided, session);
+
+      await session.commitTransaction();
+      return { intake: decided, depot, farmers };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  static updateDepotQuality(intake, session = null) {
+    const rejected = PlantIntakeService.isMilkRejected(intake.status, intake.rejectionReasons);
+
+    return Depot.findByIdAndUpdate(intake.depot, {
+      $inc: {
+        'quality.plantIntakes': 1,
+        'quality.plantRejections': rejected ? 1 : 0,
+        'quality.rejectedLiters': rejected ? intake.collectedLiters : 0,
+        'quality.penaltiesCharged': intake.penalty.amount || 0
+      },
+      $set: {
+        'quality.lastResult': {
+          intake: intake._id,
+          status: intake.status,
+          tpc: intake.lab.tpc,
+          fatPercent: intake.lab.fatPercent,
+          snfPercent: intake.lab.snfPercent,
+          decidedAt: intake.decidedAt
+        }
+      }
+    }, { new: true, session });
+  }
+
+  /**
+   * Transit loss is the collecting branch's - kept on the KCC, not the depot
+   */
+  static updateKccTransit(intake, session = null) {
+    return Kcc.updateOne({ _id: intake.kcc }, {
+      $inc: {
+        'transit.intakes': 1,
+        'transit.lossLiters': intake.transitLoss || 0,
+        'transit.excessLossIntakes': intake.lab.failures.includes('excess_transit_loss') ? 1 : 0
+      }
+    }, { session });
+  }
+
+  /**
+   * Every farmer whose milk was in the pickup gets the outcome; rejections
+   * past PLANT_FARMER_FLAG_REJECTIONS flag the farmer for review. Counting and
+   * flagging are one pipeline update, so concurrent decisions can't skip a flag.
+   */
+  static async updateFarmerQuality(intake, session = null) {
+    const pickup = await Transaction.findById(intake.pickup).select('sourceLots').session(session);
+    const shares = new Map();
+    for (const lot of pickup?.sourceLots || []) {
+      const key = lot.farmer.toString();
+      shares.set(key, round((shares.get(key) || 0) + lot.liters));
+    }
+    if (shares.size === 0) return [];
+
+    const rejected = PlantIntakeService.isMilkRejected(intake.status, intake.rejectionReasons);
+    const { farmerFlagRejections } = PlantIntakeService.getSettings();
+
+    const count = (field, by) => ({ $add: [{ $ifNull: [`$depositQuality.${field}`, 0] }, by] });
+    const newlyFlagged = {
+      $and: [
+        { $ne: ['$depositQuality.flagged', true] },
+        { $gte: ['$depositQuality.plantRejections', farmerFlagRejections] }
+      ]
+    };
+
+    const farmers = [];
+    for (const [farmerId, liters] of shares) {
+      const pipeline = [{
+        $set: {
+          'depositQuality.plantTests': count('plantTests', 1),
+          ...(rejected && {
+            'depositQuality.plantRejections': count('plantRejections', 1),
+            'depositQuality.plantRejectedLiters': count('plantRejectedLiters', liters),
+            'depositQuality.lastPlantRejectionAt': intake.decidedAt
+          })
+        }
+      }];
+      if (rejected) {
+        pipeline.push({
+          $set: {
+            'depositQuality.flagged': { $cond: [newlyFlagged, true, '$depositQuality.flagged'] },
+            'depositQuality.flaggedAt': { $cond: [newlyFlagged, intake.decidedAt, '$depositQuality.flaggedAt'] },
+            'depositQuality.flagReason': {
+              $cond: [
+                newlyFlagged,
+                { $concat: ['Milk in ', { $toString: '$depositQuality.plantRejections' }, ' rejected plant intakes'] },
+                '$depositQuality.flagReason'
+              ]
+            }
+          }
+        });
+      }
+
+      farmers.push(await User.findByIdAndUpdate(farmerId, pipeline, { new: true, session }));
+    }
+
+    return farmers.filter(Boolean).map(farmer => ({
+      farmerId: farmer._id,
+      name: farmer.name,
+      liters: shares.get(farmer._id.toString()),
+      plantQualityScore: farmer.getPlantQualityScore(),
+      flagged: !!farmer.depositQuality.flagged
+    }));
+  }
+
+  static describe(intake) {
+    return {
+      id: intake._id,
+      reference: intake.reference,
+      pickup: intake.pickup?.reference
+        ? { id: intake.pickup._id, reference: intake.pickup.reference }
+        : intake.pickup,
+      kcc: intake.kcc?.code ? { name: intake.kcc.name, code: intake.kcc.code } : intake.kcc,
+      depot: intake.depot?.code ? { name: intake.depot.name, code: intake.depot.code } : intake.depot,
+      collectedLiters: intake.collectedLiters,
+      receivedLiters: intake.receivedLiters,
+      transitLoss: intake.transitLoss,
+      transitLossPercent: intake.transitLossPercent,
+      receivedAt: intake.receivedAt,
+      lab: intake.lab?.testedAt ? {
+        tpc: intake.lab.tpc,
+        antibioticsPositive: intake.lab.antibioticsPositive,
+        addedWaterPercent: intake.lab.addedWaterPercent,
+        adulterants: intake.lab.adulterants,
+        fatPercent: intake.lab.fatPercent,
+        snfPercent: intake.lab.snfPercent,
+        failures: intake.lab.failures,
+        testedAt: intake.lab.testedAt
+      } : null,
+      status: intake.status,
+      rejectionReasons: intake.rejectionReasons,
+      decidedAt: intake.decidedAt,
+      penalty: intake.penalty?.amount
+        ? { amount: intake.penalty.amount, settlementBatch: intake.penalty.settlementBatch || null }
+        : null,
+      notes: intake.notes
+    };
+  }
+
+  /**
+   * Intakes - KCC staff see their branch, depot attendants their depot
+   */
+  static async listIntakes(user, { status = 'all', depot, kcc, page = 1, limit = 20 } = {}, scope = {}) {
+    // Query strings can arrive as arrays or objects - only plain ids reach the filter
+    [status, depot, kcc] = [status, depot, kcc].map(value => (value === undefined || value === '' ? undefined : String(value)));
+    const invalid = Object.entries({ depot, kcc })
+      .filter(([, id]) => id !== undefined && !mongoose.isValidObjectId(id))
+      .map(([name]) => name);
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid id: ${invalid.join(', ')}`, 400);
+    }
+
+    const filter = {};
+    if (status && status !== 'all') filter.status = status;
+    if (depot) filter.depot = depot;
+    if (kcc) filter.kcc = kcc;
+    if (user.role === 'kcc_admin' || user.role === 'kcc_attendant') filter.kcc = user.assignedKcc;
+    if (scope.depot) filter.depot = scope.depot;
+
+    page = Math.max(1, parseInt(page) || 1);
+    limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [intakes, total] = await Promise.all([
+      PlantIntake.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('pickup', 'reference')
+        .populate('kcc', 'name code')
+        .populate('depot', 'name code'),
+      PlantIntake.countDocuments(filter)
+    ]);
+
+    return {
+      intakes: intakes.map(PlantIntakeService.describe),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default PlantIntakeService;
@@ -0,0 +1,293 @@
+// src/services/pocketService.js
+import mongoose from 'mongoose';
+import Wallet from '../models/Wallet.js';
+import Token from '../models/Token.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+// Wallet filter: at least `value` MTZ not yet in pockets (Wallet.getAvailableBalance in the query)
+const availableAtLeast = (value) => ({
+  $expr: {
+    $gte: [{ $round: [{ $subtract: ['$balances.MTZ', { $sum: '$pockets.balance' }] }, 2] }, value]
+  }
+});
+
+/**
+ * Savings pockets inside a wallet. Pocketed tokens never leave balances.MTZ -
+ * they are only excluded from what the wallet can send.
+ */
+class PocketService {
+  static parseAmount(amount) {
+    const value = round(Number(amount));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new AppError('Enter a valid MTZ amount', 400);
+    }
+    return value;
+  }
+
+  static parseLockDate(lockedUntil) {
+    if (lockedUntil === undefined) return undefined;
+    if (lockedUntil === null || lockedUntil === '') return null;
+
+    const date = new Date(lockedUntil);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw new AppError('lockedUntil must be a future date', 400);
+    }
+    return date;
+  }
+
+  /**
+   * Sweep rates across all pockets may not take more than the configured share of a payment
+   */
+  static assertSweepTotal(wallet, pocketId, sweepRate) {
+    const maxTotal = Number(Environment.get('POCKET_MAX_TOTAL_SWEEP_RATE', 0.5));
+    const total = wallet.pockets
+      .filter(pocket => !pocketId || !pocket._id.equals(pocketId))
+      .reduce((sum, pocket) => sum + pocket.sweepRate, sweepRate);
+
+    if (total > maxTotal + 1e-9) {
+      throw new AppError(`Auto-sweep across pockets is limited to ${maxTotal * 100}% of each payment`, 400);
+    }
+  }
+
+  static findPocket(wallet, pocketId) {
+    const pocket = wallet.pockets.id(pocketId);
+    if (!pocket) {
+      throw new AppError('Pocket not found', 404);
+    }
+    return pocket;
+  }
+
+  static describe(pocket) {
+    return {
+      id: pocket._id,
+      name: pocket.name,
+      balance: pocket.balance,
+      goal: pocket.goal,
+      progress: pocket.goal ? Math.min(100, Math.round((pocket.balance / pocket.goal) * 100)) : null,
+      lockedUntil: pocket.lockedUntil,
+      locked: pocket.isLocked(),
+      sweepRate: pocket.sweepRate,
+      createdAt: pocket.createdAt
+    };
+  }
+
+  static async getPockets(userId) {
+    const [wallet, token] = await Promise.all([
+      Wallet.getOrCreateWallet(userId),
+      Token.getToken()
+    ]);
+
+    return {
+      balance: wallet.getBalance(),
+      available: wallet.getAvailableBalance(),
+      inPockets: wallet.getPocketedBalance(),
+      earlyWithdrawalPenalty: token.feeStructure.pocketEarlyWithdrawal.rate,
+      pockets: wallet.pockets.map(PocketService.describe)
+    };
+  }
+
+  /**
+   * New pocket - { name, goal, lockedUntil, sweepRate }
+   */
+  static async createPocket(userId, { name, goal, lockedUntil, sweepRate = 0 }) {
+    const wallet = await Wallet.getOrCreateWallet(userId);
+
+    const maxPockets = Number(Environment.get('WALLET_MAX_POCKETS', 5));
+    if (wallet.pockets.length >= maxPockets) {
+      throw new AppError(`A wallet can have at most ${maxPockets} pockets`, 400);
+    }
+    if (!name || wallet.pockets.some(pocket => pocket.name.toLowerCase() === String(name).trim().toLowerCase())) {
+      throw new AppError(name ? `You already have a pocket called ${name}` : 'Pocket name is required', 400);
+    }
+
+    PocketService.assertSweepTotal(wallet, null, Number(sweepRate) || 0);
+
+    wallet.pockets.push({
+      name,
+      goal,
+      lockedUntil: PocketService.parseLockDate(lockedUntil),
+      sweepRate: Number(sweepRate) || 0
+    });
+    await wallet.save();
+
+    return wallet.pockets[wallet.pockets.length - 1];
+  }
+
+  /**
+   * Rename, change goal or sweep, or extend the lock. A lock can't be shortened while it runs.
+   */
+  static async updatePocket(userId, pocketId, { name, goal, lockedUntil, sweepRate }) {
+    const wallet = await Wallet.getOrCreateWallet(userId);
+    const pocket = PocketService.findPocket(wallet, pocketId);
+
+    if (name !== undefined) pocket.name = name;
+    if (goal !== undefined) pocket.goal = goal;
+
+    if (sweepRate !== undefined) {
+      PocketService.assertSweepTotal(wallet, pocket._id, Number(sweepRate) || 0);
+      pocket.sweepRate = Number(sweepRate) || 0;
+    }
+
+    const lockDate = PocketService.parseLockDate(lockedUntil);
+    if (lockDate !== undefined) {
+      if (pocket.isLocked() && (!lockDate || lockDate < pocket.lockedUntil)) {
+        throw new AppError(`Pocket is locked until ${pocket.lockedUntil.toISOString()} - the lock can only be extended`, 400);
+      }
+      pocket.lockedUntil = lockDate;
+    }
+
+    await wallet.save();
+    return pocket;
+  }
+
+  /**
+   * Set aside spendable tokens in a pocket. The balance check and the pocket
+   * credit are one conditional write, so a concurrent spend can't use the same tokens.
+   */
+  static async moveToPocket(userId, pocketId, amount) {
+    const value = PocketService.parseAmount(amount);
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      session.startTransaction();
+
+      const current = await Wallet.findOne({ user: userId }).session(session);
+      if (!current) {
+        throw new AppError('Wallet not found', 404);
+      }
+      const { _id: id } = PocketService.findPocket(current, pocketId);
+
+      const wallet = await Wallet.findOneAndUpdate(
+        { _id: current._id, 'pockets._id': id, ...availableAtLeast(value) },
+        { $inc: { 'pockets.$.balance': value } },
+        { new: true, session }
+      );
+      if (!wallet) {
+        throw new AppError(`Not enough tokens. Available: ${round(current.getAvailableBalance())} MTZ`, 400);
+      }
+
+      await session.commitTransaction();
+      result = { wallet, pocket: wallet.pockets.id(id) };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return result;
+  }
+
+  /**
+   * Return tokens from a pocket to the spendable balance.
+   * Locked pockets pay the early-withdrawal penalty to the platform.
+   */
+  static async withdrawFromPocket(userId, pocketId, amount) {
+    const value = PocketService.parseAmount(amount);
+    const token = await Token.getToken();
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      session.startTransaction();
+
+      const wallet = await Wallet.findOne({ user: userId }).session(session);
+      if (!wallet) {
+        throw new AppError('Wallet not found', 404);
+      }
+      const pocket = PocketService.findPocket(wallet, pocketId);
+
+      if (pocket.balance < value) {
+        throw new AppError(`${pocket.name} holds ${pocket.balance} MTZ`, 400);
+      }
+
+      const penalty = pocket.isLocked()
+        ? round(value * token.feeStructure.pocketEarlyWithdrawal.rate)
+        : 0;
+
+      pocket.balance = round(pocket.balance - value);
+
+      if (penalty > 0) {
+        const adminUserId = Environment.get('ADMIN_USER_ID');
+        if (!adminUserId) {
+          throw new AppError('ADMIN_USER_ID is not configured - no wallet to take the penalty', 500);
+        }
+        const adminWallet = await Wallet.getOrCreateWalletInSession(adminUserId, session);
+        // Saves the wallet (pocket change included) with the deduction
+        await Wallet.moveTokens(wallet, adminWallet, penalty, {
+          entryType: 'fee',
+          description: `Early withdrawal from locked pocket ${pocket.name}`
+        }, session);
+      } else {
+        await wallet.save({ session });
+      }
+
+      await session.commitTransaction();
+      result = { wallet, pocket, amount: value, penalty, received: round(value - penalty) };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error.statusCode ? error : new AppError(error.message, 400);
+    } finally {
+      session.endSession();
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove an empty pocket
+   */
+  static async closePocket(userId, pocketId) {
+    const wallet = await Wallet.getOrCreateWallet(userId);
+    const pocket = PocketService.findPocket(wallet, pocketId);
+
+    if (pocket.balance > 0) {
+      throw new AppError(`Withdraw the ${pocket.balance} MTZ in ${pocket.name} before closing it`, 400);
+    }
+
+    pocket.deleteOne();
+    await wallet.save();
+    return pocket;
+  }
+
+  /**
+   * Apply auto-sweep rules to a deposit payment the user just received, inside
+   * the payout's session so the sweep commits with it. The shares are written
+   * only if the tokens are still unpocketed; returns [] when nothing was swept.
+   */
+  static async sweepPayment(userId, amount, session) {
+    const wallet = await Wallet.findOne({ user: userId }).session(session);
+    if (!wallet || wallet.pockets.length === 0 || !(amount > 0)) {
+      return [];
+    }
+
+    const swept = wallet.sweepToPockets(amount);
+    if (swept.length === 0) {
+      return [];
+    }
+
+    const inc = {};
+    const arrayFilters = [];
+    swept.forEach((sweep, index) => {
+      const pocket = wallet.pockets.find(item => item.name === sweep.pocket);
+      inc[`pockets.$[p${index}].balance`] = sweep.amount;
+      arrayFilters.push({ [`p${index}._id`]: pocket._id });
+    });
+
+    const total = round(swept.reduce((sum, sweep) => sum + sweep.amount, 0));
+    const updated = await Wallet.findOneAndUpdate(
+      { _id: wallet._id, ...availableAtLeast(total) },
+      { $inc: inc },
+      { new: true, arrayFilters, session }
+    );
+    return updated ? swept : [];
+  }
+}
+
+export default PocketService;
@@ -0,0 +1,202 @@
+// src/services/pricingService.js
+import Token from '../models/Token.js';
+import AppError from '../utils/appError.js';
+
+const READINGS = [
+  { key: 'lactometerReading', label: 'Lactometer', unit: '' },
+  { key: 'fatPercent', label: 'Fat', unit: '%' },
+  { key: 'snfPercent', label: 'SNF', unit: '%' },
+  { key: 'temperature', label: 'Temperature', unit: '°C' }
+];
+
+const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+const roundTokens = (amount) => Math.round(amount * 100) / 100;
+
+// A band limit holds unless it is set and the reading is missing or on the wrong side
+const atLeast = (value, min) => !isSet(min) || (isSet(value) && value >= min);
+const atMost = (value, max) => !isSet(max) || (isSet(value) && value <= max);
+
+/**
+ * Deposit pricing: grade milk against the depot's bands at the counter,
+ * then price the grade into MTZ when the attendant pays.
+ */
+class PricingService {
+  /**
+   * Pick the numeric readings out of a request body - a reading that isn't a number is refused
+   */
+  static extractReadings(body = {}) {
+    return READINGS.reduce((readings, { key, label }) => {
+      if (isSet(body[key])) {
+        const value = Number(body[key]);
+        if (!Number.isFinite(value)) {
+          throw new AppError(`${label} reading must be a number`, 400);
+        }
+        readings[key] = value;
+      }
+      return readings;
+    }, {});
+  }
+
+  /**
+   * Check readings against the depot rejection thresholds.
+   * Reasons carry a Transaction rejection code plus a readable detail.
+   */
+  static checkRejection(depot, readings) {
+    const limits = depot.pricing?.rejection;
+    const reasons = [];
+
+    if (!limits?.enabled) {
+      return { rejected: false, reasons };
+    }
+
+    const { lactometerReading, fatPercent, snfPercent, temperature } = readings;
+
+    if (isSet(lactometerReading) && isSet(limits.minLactometer) && lactometerReading < limits.minLactometer) {
+      reasons.push({ code: 'low_density', detail: `Lactometer ${lactometerReading} below ${limits.minLactometer}` });
+    }
+    if (isSet(lactometerReading) && isSet(limits.maxLactometer) && lactometerReading > limits.maxLactometer) {
+      reasons.push({ code: 'out_of_range', detail: `Lactometer ${lactometerReading} above ${limits.maxLactometer}` });
+    }
+    if (isSet(fatPercent) && isSet(limits.minFatPercent) && fatPercent < limits.minFatPercent) {
+      reasons.push({ code: 'added_water', detail: `Fat ${fatPercent}% below ${limits.minFatPercent}%` });
+    }
+    if (isSet(snfPercent) && isSet(limits.minSnfPercent) && snfPercent < limits.minSnfPercent) {
+      reasons.push({ code: 'added_water', detail: `SNF ${snfPercent}% below ${limits.minSnfPercent}%` });
+    }
+    if (isSet(temperature) && isSet(limits.maxTemperature) && temperature > limits.maxTemperature) {
+      reasons.push({ code: 'out_of_range', detail: `Temperature ${temperature}°C above ${limits.maxTemperature}°C` });
+    }
+
+    return { rejected: reasons.length > 0, reasons };
+  }
+
+  /**
+   * Grade milk against the depot bands - 'low' if no band matches.
+   * A band that sets a limit needs that reading: missing milk tests don't earn a grade.
+   */
+  static gradeMilk(depot, readings) {
+    const bands = depot.pricing?.gradeBands || [];
+
+    for (const band of bands) {
+      const meets =
+        atLeast(readings.lactometerReading, band.minLactometer) &&
+        atLeast(readings.fatPercent, band.minFatPercent) &&
+        atLeast(readings.snfPercent, band.minSnfPercent) &&
+        atMost(readings.temperature, band.maxTemperature);
+
+      if (meets) {
+        return band.grade;
+      }
+    }
+
+    return 'low';
+  }
+
+  /**
+   * Grade plus rejection check for a deposit at the counter
+   */
+  static assessDeposit(depot, readings) {
+    const rejection = PricingService.checkRejection(depot, readings);
+
+    return {
+      grade: PricingService.gradeMilk(depot, readings),
+      rejected: rejection.rejected,
+      rejectionReasons: rejection.reasons
+    };
+  }
+
+  /**
+   * Validate admin-supplied grade bands - returns an error message or null
+   */
+  static validateGradeBands(bands) {
+    if (!Array.isArray(bands) || bands.length === 0) {
+      return 'gradeBands must be a non-empty array';
+    }
+
+    const grades = bands.map(band => band.grade);
+    if (grades.some(grade => !['premium', 'standard'].includes(grade))) {
+      return 'Each band grade must be premium or standard';
+    }
+    if (new Set(grades).size !== grades.length) {
+      return 'Each grade can only have one band';
+    }
+
+    if (grades.length === 2 && grades[0] !== 'premium') {
+      return 'The premium band must come before the standard band';
+    }
+
+    return null;
+  }
+
+  /**
+   * Depot rate for a grade
+   */
+  static getDepotRate(depot, grade) {
+    const pricing = depot.pricing || {};
+    switch (grade) {
+      case 'premium':
+        return pricing.premiumRate ?? 1;
+      case 'low':
+        return pricing.lowRate ?? 1;
+      default:
+        return pricing.baseRate ?? 1;
+    }
+  }
+
+  /**
+   * Price a graded deposit into MTZ with a line-item breakdown
+   */
+  static async priceDeposit(depot, liters, grade, token = null) {
+    token = token || await Token.getToken();
+
+    const ratio = token.mintingRules.ratio;
+    const depotRate = PricingService.getDepotRate(depot, grade);
+    const multiplier = token.mintingRules.qualityMultipliers?.[grade] ?? 1;
+
+    const baseAmount = liters * ratio;
+    const gradedAmount = baseAmount * depotRate;
+    const tokensAmount = roundTokens(gradedAmount * multiplier);
+
+    const lineItems = [
+      {
+        label: 'Milk value',
+        detail: `${liters}L × ${ratio} MTZ/L`,
+        amount: roundTokens(baseAmount)
+      },
+      {
+        label: `${grade.charAt(0).toUpperCase() + grade.slice(1)} grade rate`,
+        detail: `× ${depotRate} (${depot.code || 'depot'} rate)`,
+        amount: roundTokens(gradedAmount - baseAmount)
+      },
+      {
+        label: 'Quality multiplier',
+        detail: `× ${multiplier}`,
+        amount: roundTokens(gradedAmount * multiplier - gradedAmount)
+      }
+    ];
+
+    // Keep the items summing exactly to the total after rounding
+    const itemsTotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    lineItems[lineItems.length - 1].amount = roundTokens(lineItems[lineItems.length - 1].amount + tokensAmount - itemsTotal);
+
+    return {
+      grade,
+      ratePerLiter: liters > 0 ? roundTokens(tokensAmount / liters) : 0,
+      tokensAmount,
+      lineItems,
+      pricedAt: new Date()
+    };
+  }
+
+  /**
+   * Readings formatted for receipts
+   */
+  static describeReadings(source) {
+    return READINGS
+      .filter(({ key }) => isSet(source[key]))
+      .map(({ key, label, unit }) => ({ label, value: `${source[key]}${unit}` }));
+  }
+}
+
+export default PricingService;
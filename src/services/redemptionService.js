@@ -0,0 +1,224 @@
+// src/services/redemptionService.js
+import mongoose from 'mongoose';
+import Wallet from '../models/Wallet.js';
+import Transaction from '../models/Transaction.js';
+import Token from '../models/Token.js';
+import User from '../models/User.js';
+import MpesaRequest from '../models/MpesaRequest.js';
+import { getPaymentGateway } from './paymentGateway.js';
+import Environment from '../config/env.js';
+
+/**
+ * Cash redemptions paid out over M-Pesa B2C.
+ * Tokens sit in the ledger clearing account until the payout result arrives:
+ * a successful result burns them, a failed one refunds them to the wallet.
+ */
+class RedemptionService {
+  /**
+   * Hold tokens, record a pending redemption and request the payout.
+   * Merchant settlements pass their own fee rate and purpose.
+   */
+  static async initiateCashRedemption(userId, tokenAmount, options = {}) {
+    const { feeRate = null, purpose = 'cash_redemption', label = 'Cash redemption' } = options;
+
+    const [user, token] = await Promise.all([
+      User.findById(userId),
+      Token.getToken()
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!token.redemptionRules.mpesaIntegration.enabled) {
+      throw new Error('M-Pesa redemptions are currently disabled');
+    }
+
+    if (tokenAmount < token.redemptionRules.minRedemption) {
+      throw new Error(`Minimum redemption is ${token.redemptionRules.minRedemption} MTZ`);
+    }
+
+    const redemption = await Token.calculateRedemptionValue(tokenAmount, feeRate);
+
+    const session = await mongoose.startSession();
+    let redemptionTx;
+    let wallet;
+
+    try {
+      session.startTransaction();
+
+      wallet = await Wallet.getOrCreateWalletInSession(userId, session);
+      if (!wallet.canSend(tokenAmount)) {
+        throw new Error(`Insufficient tokens. Available: ${wallet.getAvailableBalance()}, Requested: ${tokenAmount}`);
+      }
+
+      redemptionTx = new Transaction({
+        type: 'cash_redemption',
+        fromUser: userId,
+        toUser: userId,
+        depot: user.assignedDepot || null,
+        tokensAmount: tokenAmount,
+        cashAmount: redemption.netValue,
+        fees: {
+          amount: tokenAmount - redemption.netTokenAmount,
+          rate: feeRate ?? token.redemptionRules.cashRedemptionFee
+        },
+        status: 'pending', // Wait for M-Pesa result
+        notes: `${label}: ${redemption.netValue} KSH to ${user.phone}`
+      });
+      await redemptionTx.save({ session });
+
+      await Wallet.holdTokens(wallet, tokenAmount, {
+        entryType: 'redemption',
+        transaction: redemptionTx,
+        description: `Redemption ${redemptionTx.reference} awaiting M-Pesa payout`
+      }, session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const gateway = getPaymentGateway();
+    const mpesaRequest = await MpesaRequest.create({
+      type: 'b2c',
+      purpose,
+      user: userId,
+      transaction: redemptionTx._id,
+      gateway: gateway.name,
+      phone: user.phone,
+      amount: redemption.netValue
+    });
+
+    try {
+      const payout = await gateway.b2cPayout({
+        phone: user.phone,
+        amount: redemption.netValue,
+        reference: mpesaRequest.reference,
+        remarks: `MilkBank redemption ${redemptionTx.reference}`
+      });
+
+      mpesaRequest.conversationId = payout.conversationId;
+      await mpesaRequest.save();
+    } catch (error) {
+      if (!error.rejected) {
+        // Outcome unknown (timeout, 5xx) - the payout may still be queued, so keep
+        // the tokens held and let the result or timeout callback settle it
+        // (or expireStalePayouts, if neither ever arrives)
+        console.error(`⚠️ B2C payout ${mpesaRequest.reference} outcome unknown:`, error.message);
+        return { transaction: redemptionTx, mpesaRequest, redemption, wallet };
+      }
+
+      // The gateway refused the payout - refund straight away
+      await RedemptionService.handlePayoutResult(mpesaRequest.reference, {
+        success: false,
+        resultDesc: `Payout request rejected: ${error.message}`
+      });
+      throw new Error(`M-Pesa payout could not be started, tokens refunded: ${error.message}`);
+    }
+
+    return { transaction: redemptionTx, mpesaRequest, redemption, wallet };
+  }
+
+  /**
+   * Apply a B2C result. Returns null if the request was already settled.
+   */
+  static async handlePayoutResult(reference, result, payload = null) {
+    const session = await mongoose.startSession();
+    let mpesaRequest;
+    let redemptionTx;
+
+    try {
+      session.startTransaction();
+
+      // Settling, moving the held tokens and burning supply commit together
+      mpesaRequest = await MpesaRequest.settle(reference, result, payload).session(session);
+      if (!mpesaRequest) {
+        await session.abortTransaction();
+        return null;
+      }
+
+      let wallet;
+      [redemptionTx, wallet] = await Promise.all([
+        Transaction.findById(mpesaRequest.transaction).session(session),
+        Wallet.findOne({ user: mpesaRequest.user }).session(session)
+      ]);
+
+      if (!redemptionTx || !wallet) {
+        throw new Error(`Redemption records missing for ${reference}`);
+      }
+
+      if (result.success) {
+        await Wallet.burnHeldTokens(wallet, redemptionTx.tokensAmount, {
+          entryType: 'redemption',
+          transaction: redemptionTx,
+          description: `Redemption ${redemptionTx.reference} paid - M-Pesa ${result.receipt}`
+        }, session);
+
+        await Token.burnTokens(redemptionTx.tokensAmount, 'cash_redemption', session);
+
+        redemptionTx.status = 'completed';
+        redemptionTx.mpesaReceipt = result.receipt;
+      } else {
+        await Wallet.releaseHeldTokens(wallet, redemptionTx.tokensAmount, {
+          entryType: 'redemption_refund',
+          transaction: redemptionTx,
+          description: `Redemption ${redemptionTx.reference} failed - ${result.resultDesc}`
+        }, session);
+
+        redemptionTx.status = 'failed';
+        redemptionTx.notes = `${redemptionTx.notes} | Payout failed: ${result.resultDesc}`;
+      }
+
+      await redemptionTx.save({ session });
+      await session.commitTransaction();
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    return { mpesaRequest, transaction: redemptionTx };
+  }
+
+  /**
+   * Refund B2C payouts that never got a result or queue timeout callback.
+   * Daraja answers well within MPESA_B2C_TIMEOUT_HOURS (default 24), so a
+   * request still pending after that was lost and its tokens are released.
+   */
+  static async expireStalePayouts() {
+    const hours = Number(Environment.get('MPESA_B2C_TIMEOUT_HOURS', 24));
+    const stale = await MpesaRequest.find({
+      type: 'b2c',
+      status: 'pending',
+      createdAt: { $lt: new Date(Date.now() - hours * 60 * 60 * 1000) }
+    }).select('reference');
+
+    let expired = 0;
+    const failed = [];
+
+    for (const { reference } of stale) {
+      try {
+        const settled = await RedemptionService.handlePayoutResult(reference, {
+          success: false,
+          resultCode: -1,
+          resultDesc: `No M-Pesa result within ${hours}h`
+        });
+        if (settled) expired += 1;
+      } catch (error) {
+        console.error(`❌ Stale payout ${reference} not expired:`, error.message);
+        failed.push(reference);
+      }
+    }
+
+    return { expired, failed };
+  }
+}
+
+export default RedemptionService;
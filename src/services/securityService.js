@@ -0,0 +1,234 @@
+// src/services/securityService.js
+import AuthAttempt from '../models/AuthAttempt.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import Wallet from '../models/Wallet.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+/**
+ * Brute-force protection for PIN and password checks.
+ * Wrong PINs lock the user's wallet; wrong passwords lock the login account.
+ * Failures from one IP are counted across all accounts. Lockouts grow with
+ * each one in a streak (15m, 30m, 1h ... up to the configured maximum).
+ */
+class SecurityService {
+  static getSettings() {
+    return {
+      pinMaxAttempts: Number(Environment.get('PIN_MAX_ATTEMPTS', 5)),
+      passwordMaxAttempts: Number(Environment.get('PASSWORD_MAX_ATTEMPTS', 5)),
+      ipMaxAttempts: Number(Environment.get('IP_MAX_FAILED_ATTEMPTS', 20)),
+      lockoutMinutes: Number(Environment.get('LOCKOUT_BASE_MINUTES', 15)),
+      lockoutMaxMinutes: Number(Environment.get('LOCKOUT_MAX_MINUTES', 1440))
+    };
+  }
+
+  static getLockoutEnd(previousLockouts) {
+    const { lockoutMinutes, lockoutMaxMinutes } = SecurityService.getSettings();
+    const minutes = Math.min(lockoutMinutes * 2 ** previousLockouts, lockoutMaxMinutes);
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  static describeWait(until) {
+    const minutes = Math.max(1, Math.ceil((until - Date.now()) / 60000));
+    return minutes >= 120 ? `${Math.ceil(minutes / 60)} hours` : `${minutes} minutes`;
+  }
+
+  /**
+   * Write to the security log - never fails the request
+   */
+  static log(event) {
+    return SecurityEvent.create(event).catch(error => {
+      console.error('Security log write failed:', error.message);
+    });
+  }
+
+  /**
+   * Reject while any of the keys is locked out
+   */
+  static async assertNotLocked(keys) {
+    const locked = (await AuthAttempt.find({ key: { $in: keys } })).find(attempt => attempt.isLocked());
+    if (locked) {
+      throw new AppError(`Too many failed attempts. Try again in ${SecurityService.describeWait(locked.lockedUntil)}.`, 429);
+    }
+  }
+
+  /**
+   * Count a failure against a key. Returns the lockout end when this failure locked it.
+   */
+  static async registerFailure(key, maxAttempts) {
+    const attempt = await AuthAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: new Date() } },
+      { new: true, upsert: true }
+    );
+
+    if (attempt.failures < maxAttempts) {
+      return null;
+    }
+
+    const lockedUntil = SecurityService.getLockoutEnd(attempt.lockouts);
+    await AuthAttempt.updateOne(
+      { _id: attempt._id },
+      { $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 } }
+    );
+    return lockedUntil;
+  }
+
+  static clearKey(key) {
+    return AuthAttempt.updateOne(
+      { key },
+      { $set: { failures: 0, lockouts: 0 }, $unset: { lockedUntil: '' } }
+    );
+  }
+
+  /**
+   * Check a PIN (user loaded with +pin). Returns false on a wrong PIN;
+   * throws once the wallet or IP is locked out.
+   */
+  static async verifyPin(user, pin, { ip, channel = 'app' } = {}) {
+    const { pinMaxAttempts, ipMaxAttempts } = SecurityService.getSettings();
+    let wallet = await Wallet.getOrCreateWallet(user._id);
+
+    if (wallet.isLocked && wallet.lockSource === 'security') {
+      if (wallet.lockedUntil > new Date()) {
+        throw new AppError(
+          `Wallet locked after too many wrong PINs. Try again in ${SecurityService.describeWait(wallet.lockedUntil)} or unlock it with an SMS code.`,
+          423
+        );
+      }
+      await SecurityService.unlockWallet(wallet, 'cooldown', { ip, channel });
+    }
+
+    const ipKey = ip && channel === 'app' ? `ip:${ip}` : null;
+    if (ipKey) {
+      await SecurityService.assertNotLocked([ipKey]);
+    }
+
+    if (await user.comparePin(String(pin))) {
+      if (wallet.failedAttempts > 0 || wallet.securityLocks > 0) {
+        await Wallet.updateOne({ _id: wallet._id }, { $set: { failedAttempts: 0, securityLocks: 0 } });
+      }
+      return true;
+    }
+
+    wallet = await Wallet.findOneAndUpdate(
+      { _id: wallet._id },
+      { $inc: { failedAttempts: 1 } },
+      { new: true }
+    );
+    SecurityService.log({ type: 'pin_failed', user: user._id, ip, channel, details: { failedAttempts: wallet.failedAttempts } });
+
+    if (ipKey) {
+      const ipLockedUntil = await SecurityService.registerFailure(ipKey, ipMaxAttempts);
+      if (ipLockedUntil) {
+        SecurityService.log({ type: 'ip_locked', user: user._id, ip, channel, reason: 'Too many failed PIN/password attempts', details: { lockedUntil: ipLockedUntil } });
+      }
+    }
+
+    if (wallet.failedAttempts >= pinMaxAttempts) {
+      const lockedUntil = SecurityService.getLockoutEnd(wallet.securityLocks);
+      const locked = await Wallet.findOneAndUpdate(
+        { _id: wallet._id, isLocked: false },
+        {
+          $set: {
+            isLocked: true,
+            lockSource: 'security',
+            lockReason: `Too many wrong PIN attempts (${wallet.failedAttempts})`,
+            lockedUntil
+          },
+          $inc: { securityLocks: 1 }
+        },
+        { new: true }
+      );
+
+      if (locked) {
+        SecurityService.log({
+          type: 'wallet_locked',
+          user: user._id,
+          ip,
+          channel,
+          reason: locked.lockReason,
+          details: { lockedUntil, lockout: locked.securityLocks }
+        });
+        throw new AppError(
+          `Too many wrong PINs. Wallet locked for ${SecurityService.describeWait(lockedUntil)} - unlock it sooner with an SMS code.`,
+          423
+        );
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check a password (user loaded with +password, or null when no account matched).
+   * Throws while the account or IP is locked out.
+   */
+  static async verifyPassword(user, password, { account, ip } = {}) {
+    const { passwordMaxAttempts, ipMaxAttempts } = SecurityService.getSettings();
+    const accountKey = `account:${String(account || user?.phone || '').toLowerCase()}`;
+    const ipKey = ip ? `ip:${ip}` : null;
+
+    await SecurityService.assertNotLocked(ipKey ? [accountKey, ipKey] : [accountKey]);
+
+    if (user && await user.comparePassword(password)) {
+      await SecurityService.clearKey(accountKey);
+      return true;
+    }
+
+    SecurityService.log({ type: 'password_failed', user: user?._id, account, ip });
+
+    const accountLockedUntil = await SecurityService.registerFailure(accountKey, passwordMaxAttempts);
+    const ipLockedUntil = ipKey ? await SecurityService.registerFailure(ipKey, ipMaxAttempts) : null;
+
+    if (ipLockedUntil) {
+      SecurityService.log({ type: 'ip_locked', user: user?._id, account, ip, reason: 'Too many failed PIN/password attempts', details: { lockedUntil: ipLockedUntil } });
+    }
+    if (accountLockedUntil) {
+      SecurityService.log({ type: 'account_locked', user: user?._id, account, ip, reason: 'Too many wrong passwords', details: { lockedUntil: accountLockedUntil } });
+      throw new AppError(`Too many failed attempts. Try again in ${SecurityService.describeWait(accountLockedUntil)}.`, 429);
+    }
+
+    return false;
+  }
+
+  /**
+   * Lift a security lockout (cooldown passed, SMS code, or admin). Admin locks are left alone
+   * unless an admin lifts them.
+   */
+  static async unlockWallet(wallet, via, { ip, channel = 'app', actor } = {}) {
+    if (!wallet.isLocked || (wallet.lockSource !== 'security' && via !== 'admin')) {
+      return false;
+    }
+
+    const previousReason = wallet.lockReason;
+    wallet.isLocked = false;
+    wallet.lockReason = undefined;
+    wallet.lockSource = undefined;
+    wallet.lockedUntil = undefined;
+    wallet.failedAttempts = 0;
+    await wallet.save();
+
+    SecurityService.log({
+      type: 'wallet_unlocked',
+      user: wallet.user,
+      ip,
+      channel,
+      reason: via,
+      details: { previousReason, actor }
+    });
+    return true;
+  }
+
+  /**
+   * Password reset by SMS code also clears login lockouts for the account
+   */
+  static clearAccount(user) {
+    return Promise.all([
+      SecurityService.clearKey(`account:${user.phone}`),
+      user.email ? SecurityService.clearKey(`account:${user.email.toLowerCase()}`) : null
+    ]);
+  }
+}
+
+export default SecurityService;
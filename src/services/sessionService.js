@@ -0,0 +1,163 @@
+// src/services/sessionService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AuthSession from '../models/AuthSession.js';
+import User from '../models/User.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+/**
+ * Login sessions: short-lived access JWTs plus a rotating refresh token per device.
+ * Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored.
+ */
+class SessionService {
+  static getDevice(req) {
+    return {
+      id: String(req.body?.deviceId || req.headers['x-device-id'] || '').slice(0, 100) || undefined,
+      name: String(req.body?.deviceName || req.headers['x-device-name'] || '').slice(0, 80) || undefined,
+      userAgent: String(req.headers['user-agent'] || '').slice(0, 200) || undefined,
+      ip: req.ip
+    };
+  }
+
+  /**
+   * Has this user logged in from this device before? Without a device id the user agent is used.
+   */
+  static async isKnownDevice(user, req) {
+    const device = SessionService.getDevice(req);
+    const filter = device.id
+      ? { user: user._id, 'device.id': device.id }
+      : { user: user._id, 'device.userAgent': device.userAgent || null, 'device.id': null };
+
+    return !!(await AuthSession.exists(filter));
+  }
+
+  static getExpiry() {
+    const days = Number(Environment.get('REFRESH_TOKEN_TTL_DAYS', 30));
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  static newSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  static issue(user, session, secret) {
+    return {
+      token: user.generateAuthToken(session._id.toString()),
+      refreshToken: `${session._id}.${secret}`,
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Start a session for a device after a successful login
+   */
+  static async startSession(user, req) {
+    const secret = SessionService.newSecret();
+    const session = await AuthSession.create({
+      user: user._id,
+      refreshTokenHash: AuthSession.hashToken(secret),
+      tokenVersion: user.tokenVersion || 0,
+      device: SessionService.getDevice(req),
+      expiresAt: SessionService.getExpiry()
+    });
+
+    return SessionService.issue(user, session, secret);
+  }
+
+  /**
+   * Swap a refresh token for a new access token and a new refresh token.
+   * Reusing a rotated-out token revokes the session.
+   */
+  static async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await AuthSession.findById(sessionId).select('+refreshTokenHash +previousTokenHash');
+    if (!session) {
+      throw new AppError('Session not found. Please log in again.', 401);
+    }
+
+    const hash = AuthSession.hashToken(secret);
+    if (hash !== session.refreshTokenHash) {
+      if (hash === session.previousTokenHash && !session.revokedAt) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'refresh_token_reuse';
+        await session.save();
+      }
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.status !== 'active' || !session.isActive(user)) {
+      throw new AppError('Session has ended. Please log in again.', 401);
+    }
+
+    // Rotate only if the token is still current - of two concurrent refreshes one wins
+    const next = SessionService.newSecret();
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+      {
+        $set: {
+          previousTokenHash: hash,
+          refreshTokenHash: AuthSession.hashToken(next),
+          lastUsedAt: new Date(),
+          'device.ip': req.ip
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    return { user, ...SessionService.issue(user, rotated, next) };
+  }
+
+  /**
+   * Sign out one of the user's devices
+   */
+  static async revokeSession(userId, sessionId, reason = 'logout') {
+    if (!mongoose.isValidObjectId(String(sessionId))) {
+      throw new AppError('Session not found', 404);
+    }
+
+    const session = await AuthSession.findOne({ _id: sessionId, user: userId });
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = reason;
+      await session.save();
+    }
+    return session;
+  }
+
+  /**
+   * Logged-in devices, current one flagged
+   */
+  static async listSessions(user, currentSessionId) {
+    const sessions = await AuthSession.find({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+      tokenVersion: user.tokenVersion || 0
+    }).sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      current: session._id.equals(currentSessionId),
+      lastUsedAt: session.lastUsedAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt
+    }));
+  }
+}
+
+export default SessionService;
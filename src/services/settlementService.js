@@ -0,0 +1,521 @@
+// src/services/settlementService.js
+import mongoose from 'mongoose';
+import Depot from '../models/Depot.js';
+import Kcc from '../models/Kcc.js';
+import Transaction from '../models/Transaction.js';
+import SettlementBatch from '../models/SettlementBatch.js';
+import PlantIntake from '../models/PlantIntake.js';
+import AppError from '../utils/appError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A Monday, so bi-weekly periods line up the same way on every instance
+const BI_WEEKLY_EPOCH = new Date(2024, 0, 1);
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Which liters bucket and token side each transaction type lands on, seen
+ * from the party being settled
+ */
+const FLOWS = {
+  depot: {
+    milk_deposit: { liters: 'rawIn', field: 'litersRaw', tokens: 'paid' },
+    milk_withdrawal: { liters: 'pasteurizedOut', field: 'litersPasteurized', tokens: 'received' },
+    kcc_pickup: { liters: 'rawOut', field: 'litersRaw', tokens: 'received' },
+    kcc_delivery: { liters: 'pasteurizedIn', field: 'litersPasteurized', tokens: 'paid' }
+  },
+  kcc: {
+    kcc_pickup: { liters: 'rawIn', field: 'litersRaw', tokens: 'paid' },
+    kcc_delivery: { liters: 'pasteurizedOut', field: 'litersPasteurized', tokens: 'received' }
+  }
+};
+
+// Transaction field holding the batch number for each party type
+const BATCH_FIELD = {
+  depot: 'settlementBatch',
+  kcc: 'kccSettlementBatch'
+};
+
+/**
+ * Settlement periods per depot and KCC branch: closes a period into a draft
+ * batch with net positions, then admin approval and payment
+ */
+class SettlementService {
+  /**
+   * Start of the settlement period containing `at`, in server local time.
+   * Weeks start on Monday.
+   */
+  static getPeriodStart(frequency, at = new Date()) {
+    const day = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+
+    switch (frequency) {
+      case 'daily':
+        return day;
+      case 'monthly':
+        return new Date(at.getFullYear(), at.getMonth(), 1);
+      case 'weekly':
+      case 'bi-weekly': {
+        const monday = new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+        if (frequency === 'weekly') return monday;
+        const weeks = Math.round((monday - BI_WEEKLY_EPOCH) / (7 * DAY_MS));
+        return weeks % 2 === 0
+          ? monday
+          : new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - 7);
+      }
+      default:
+        throw new AppError(`Unknown settlement frequency "${frequency}"`, 400);
+    }
+  }
+
+  static async loadParty(partyType, partyId) {
+    if (!FLOWS[partyType]) {
+      throw new AppError('Party type must be depot or kcc', 400);
+    }
+
+    const party = partyType === 'depot' ? await Depot.findById(partyId) : await Kcc.findById(partyId);
+    if (!party) {
+      throw new AppError(`${partyType === 'depot' ? 'Depot' : 'KCC branch'} not found`, 404);
+    }
+    return party;
+  }
+
+  /**
+   * Not yet batched transactions of the party before `until`. Reversed ones
+   * still count, and their reversals count against them: both land in the
+   * same batch when reversed in-period, or the reversal in a later batch
+   * when the original was already settled.
+   */
+  static getEligibleFilter(partyType, party, until) {
+    const types = Object.keys(FLOWS[partyType]);
+
+    return {
+      [partyType]: party._id,
+      [BATCH_FIELD[partyType]]: null,
+      createdAt: { $lt: until },
+      $or: [
+        { type: { $in: types }, status: { $in: ['completed', 'reversed'] } },
+        { type: 'reversal', reversedType: { $in: types }, status: 'completed' }
+      ]
+    };
+  }
+
+  /**
+   * Net positions from per-type totals. Plant rejection penalties (depots
+   * only) add to the fees owed.
+   */
+  static computePositions(partyType, totals, penalties = []) {
+    const liters = { rawIn: 0, rawOut: 0, pasteurizedIn: 0, pasteurizedOut: 0 };
+    const tokens = { paid: 0, received: 0 };
+    let feesOwed = 0;
+    let transactionCount = 0;
+
+    const lines = totals.map(total => {
+      // Reversals are grouped as `reversal:<original type>` and flow backwards
+      const [kind, reversedType] = total._id.split(':');
+      const type = reversedType || kind;
+      const sign = reversedType ? -1 : 1;
+      const flow = FLOWS[partyType][type];
+      const lineLiters = flow.field === 'litersRaw' ? total.litersRaw : total.litersPasteurized;
+
+      liters[flow.liters] += sign * lineLiters;
+      tokens[flow.tokens] += sign * total.tokens;
+      feesOwed += total.fees;
+      transactionCount += total.count;
+
+      return {
+        type: reversedType ? `${type}_reversal` : type,
+        count: total.count,
+        litersRaw: round(sign * total.litersRaw),
+        litersPasteurized: round(sign * total.litersPasteurized),
+        tokensPaid: flow.tokens === 'paid' ? round(sign * total.tokens) : 0,
+        tokensReceived: flow.tokens === 'received' ? round(sign * total.tokens) : 0,
+        fees: round(total.fees)
+      };
+    });
+
+    if (penalties.length > 0) {
+      const amount = penalties.reduce((sum, intake) => sum + intake.penalty.amount, 0);
+      feesOwed += amount;
+      lines.push({
+        type: 'quality_penalty',
+        count: penalties.length,
+        litersRaw: round(penalties.reduce((sum, intake) => sum + intake.collectedLiters, 0)),
+        litersPasteurized: 0,
+        tokensPaid: 0,
+        tokensReceived: 0,
+        fees: round(amount)
+      });
+    }
+
+    Object.keys(liters).forEach(key => { liters[key] = round(liters[key]); });
+    tokens.paid = round(tokens.paid);
+    tokens.received = round(tokens.received);
+    feesOwed = round(feesOwed);
+
+    return {
+      liters,
+      tokens,
+      feesOwed,
+      netAmount: round(tokens.received - tokens.paid - feesOwed),
+      transactionCount,
+      lines
+    };
+  }
+
+  /**
+   * Close the party's period into a draft batch and tag its transactions.
+   * `until` defaults to the start of the current period, so only finished
+   * periods close; batches below minSettlementAmount (gross MTZ) roll over
+   * unless forced. Returns { batch } or { skipped: reason }.
+   */
+  static async closePeriod(partyType, partyId, { until, force = false, createdBy = null, notes } = {}) {
+    const party = await SettlementService.loadParty(partyType, partyId);
+    const { frequency, minSettlementAmount } = party.settlement;
+
+    const periodEnd = until ? new Date(until) : SettlementService.getPeriodStart(frequency);
+    if (isNaN(periodEnd.getTime()) || periodEnd > new Date()) {
+      throw new AppError('Settlement period must end in the past', 400);
+    }
+
+    const filter = SettlementService.getEligibleFilter(partyType, party, periodEnd);
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const totals = await Transaction.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: {
+              $cond: [{ $eq: ['$type', 'reversal'] }, { $concat: ['reversal:', '$reversedType'] }, '$type']
+            },
+            count: { $sum: 1 },
+            litersRaw: { $sum: { $ifNull: ['$litersRaw', 0] } },
+            litersPasteurized: { $sum: { $ifNull: ['$litersPasteurized', 0] } },
+            tokens: { $sum: { $ifNull: ['$tokensAmount', 0] } },
+            fees: { $sum: { $ifNull: ['$fees.amount', 0] } },
+            firstAt: { $min: '$createdAt' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]).session(session);
+
+      // Penalties for pickups the plant rejected are netted off the depot's batch
+      const penalties = partyType === 'depot'
+        ? await PlantIntake.find({
+          depot: party._id,
+          'penalty.amount': { $gt: 0 },
+          'penalty.settlementBatch': null,
+          decidedAt: { $lt: periodEnd }
+        }).select('penalty collectedLiters decidedAt').session(session)
+        : [];
+
+      if (totals.length === 0 && penalties.length === 0) {
+        await session.abortTransaction();
+        return { skipped: 'No unsettled transactions in the period' };
+      }
+
+      const positions = SettlementService.computePositions(partyType, totals, penalties);
+      // Penalties owed count towards the minimum, or a penalty-only period never closes
+      const gross = positions.tokens.paid + positions.tokens.received +
+        penalties.reduce((sum, intake) => sum + intake.penalty.amount, 0);
+      if (!force && gross < minSettlementAmount) {
+        await session.abortTransaction();
+        return { skipped: `Period volume ${round(gross)} MTZ is below the ${minSettlementAmount} MTZ minimum` };
+      }
+
+      const latest = await SettlementBatch.findLatest(partyType, party._id).session(session);
+      const firstAt = new Date(Math.min(
+        ...totals.map(total => total.firstAt.getTime()),
+        ...penalties.map(intake => intake.decidedAt.getTime())
+      ));
+      const periodStart = latest && latest.periodEnd < firstAt ? latest.periodEnd : firstAt;
+
+      const [batch] = await SettlementBatch.create([{
+        partyType,
+        [partyType]: party._id,
+        frequency,
+        periodStart,
+        periodEnd,
+        ...positions,
+        createdBy,
+        notes
+      }], { session });
+
+      const tagged = await Transaction.updateMany(filter, {
+        $set: { [BATCH_FIELD[partyType]]: batch.batchNumber }
+      }, { session });
+
+      if (tagged.modifiedCount !== positions.transactionCount) {
+        throw new AppError('Transactions changed while closing the period - try again', 409);
+      }
+
+      if (penalties.length > 0) {
+        const charged = await PlantIntake.updateMany(
+          { _id: { $in: penalties.map(intake => intake._id) }, 'penalty.settlementBatch': null },
+          { $set: { 'penalty.settlementBatch': batch.batchNumber } },
+          { session }
+        );
+        if (charged.modifiedCount !== penalties.length) {
+          throw new AppError('Penalties changed while closing the period - try again', 409);
+        }
+      }
+
+      await session.commitTransaction();
+      return { batch, party };
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Scheduled job: close finished periods for every active depot and KCC
+   * branch on auto-settle. One party failing does not stop the rest.
+   */
+  static async closeDuePeriods() {
+    const result = { closed: 0, skipped: 0, failed: 0 };
+
+    const [depots, kccs] = await Promise.all([
+      Depot.find({ status: 'active', 'settlement.autoSettle': true }).select('_id code'),
+      Kcc.find({ status: 'active', 'settlement.autoSettle': true }).select('_id code')
+    ]);
+
+    const parties = [
+      ...depots.map(depot => ['depot', depot]),
+      ...kccs.map(kcc => ['kcc', kcc])
+    ];
+
+    for (const [partyType, party] of parties) {
+      try {
+        const { batch } = await SettlementService.closePeriod(partyType, party._id);
+        result[batch ? 'closed' : 'skipped'] += 1;
+      } catch (error) {
+        result.failed += 1;
+        console.error(`Settlement close failed for ${partyType} ${party.code}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  static async findBatch(batchId) {
+    const batch = await SettlementBatch.findById(batchId);
+    if (!batch) {
+      throw new AppError('Settlement batch not found', 404);
+    }
+    return batch;
+  }
+
+  /**
+   * Move a batch from one status to the next, failing if someone got there first
+   */
+  static async transition(batchId, from, update, session = null) {
+    const batch = await SettlementService.findBatch(batchId);
+    if (batch.status !== from) {
+      throw new AppError(`Settlement batch ${batch.batchNumber} is ${batch.status}, not ${from}`, 400);
+    }
+
+    const updated = await SettlementBatch.findOneAndUpdate(
+      { _id: batch._id, status: from },
+      { $set: update },
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new AppError(`Settlement batch ${batch.batchNumber} was changed by someone else`, 409);
+    }
+    return updated;
+  }
+
+  static async approveBatch(batchId, admin, notes) {
+    return SettlementService.transition(batchId, 'draft', {
+      status: 'approved',
+      approvedBy: admin._id,
+      approvedAt: new Date(),
+      ...(notes && { notes })
+    });
+  }
+
+  static async markPaid(batchId, admin, { paymentReference, notes } = {}) {
+    if (!paymentReference || !String(paymentReference).trim()) {
+      throw new AppError('Payment reference is required', 400);
+    }
+
+    return SettlementService.transition(batchId, 'approved', {
+      status: 'paid',
+      paidBy: admin._id,
+      paidAt: new Date(),
+      paymentReference: String(paymentReference).trim(),
+      ...(notes && { notes })
+    });
+  }
+
+  /**
+   * Discard a draft and release its transactions into the next close
+   */
+  static async cancelBatch(batchId, admin, reason) {
+    if (!reason || !String(reason).trim()) {
+      throw new AppError('A reason is required to cancel a settlement batch', 400);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const batch = await SettlementService.transition(batchId, 'draft', {
+        status: 'cancelled',
+        cancelledBy: admin._id,
+        cancelledAt: new Date(),
+        notes: String(reason).trim()
+      }, session);
+
+      const field = BATCH_FIELD[batch.partyType];
+      await Transaction.updateMany(
+        { [field]: batch.batchNumber },
+        { $unset: { [field]: '' } },
+        { session }
+      );
+      await PlantIntake.updateMany(
+        { 'penalty.settlementBatch': batch.batchNumber },
+        { $unset: { 'penalty.settlementBatch': '' } },
+        { session }
+      );
+
+      await session.commitTransaction();
+      return batch;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  static describe(batch) {
+    const party = batch.depot?.name ? batch.depot : batch.kcc?.name ? batch.kcc : null;
+
+    return {
+      id: batch._id,
+      batchNumber: batch.batchNumber,
+      partyType: batch.partyType,
+      party: party
+        ? { id: party._id, name: party.name, code: party.code }
+        : { id: batch[batch.partyType] },
+      frequency: batch.frequency,
+      periodStart: batch.periodStart,
+      periodEnd: batch.periodEnd,
+      status: batch.status,
+      liters: batch.liters,
+      tokens: batch.tokens,
+      feesOwed: batch.feesOwed,
+      netAmount: batch.netAmount,
+      direction: batch.netAmount > 0 ? 'pay_party' : batch.netAmount < 0 ? 'collect_from_party' : 'none',
+      transactionCount: batch.transactionCount,
+      approvedBy: batch.approvedBy,
+      approvedAt: batch.approvedAt,
+      paidBy: batch.paidBy,
+      paidAt: batch.paidAt,
+      paymentReference: batch.paymentReference,
+      notes: batch.notes,
+      createdAt: batch.createdAt
+    };
+  }
+
+  /**
+   * Settlement statement: net positions, per-type lines, every transaction
+   * and any plant rejection penalties
+   */
+  static async getStatement(batchId) {
+    const batch = await SettlementBatch.findById(batchId)
+      .populate('depot', 'name code location.county')
+      .populate('kcc', 'name code location.county')
+      .populate('approvedBy', 'name')
+      .populate('paidBy', 'name');
+    if (!batch) {
+      throw new AppError('Settlement batch not found', 404);
+    }
+
+    const transactions = batch.partyType === 'depot'
+      ? await Transaction.findBySettlementBatch(batch.batchNumber).sort({ createdAt: 1 })
+      : await Transaction.find({ kccSettlementBatch: batch.batchNumber })
+        .populate('fromUser', 'name phone')
+        .populate('toUser', 'name phone')
+        .populate('depot', 'name code location.county')
+        .sort({ createdAt: 1 });
+
+    const penalties = batch.partyType === 'depot'
+      ? await PlantIntake.find({ 'penalty.settlementBatch': batch.batchNumber })
+        .populate('pickup', 'reference')
+        .sort({ decidedAt: 1 })
+      : [];
+
+    return {
+      batch: SettlementService.describe(batch),
+      netPositions: {
+        rawMilk: round(batch.liters.rawIn - batch.liters.rawOut),
+        pasteurizedMilk: round(batch.liters.pasteurizedIn - batch.liters.pasteurizedOut),
+        tokens: round(batch.tokens.received - batch.tokens.paid),
+        feesOwed: batch.feesOwed,
+        netAmount: batch.netAmount
+      },
+      lines: batch.lines,
+      transactions: transactions.map(tx => ({
+        reference: tx.reference,
+        type: tx.type,
+        status: tx.status,
+        date: tx.createdAt,
+        depot: tx.depot?.code,
+        from: tx.fromUser?.name,
+        to: tx.toUser?.name,
+        litersRaw: tx.litersRaw,
+        litersPasteurized: tx.litersPasteurized,
+        tokensAmount: tx.tokensAmount,
+        fees: tx.fees?.amount || 0
+      })),
+      penalties: penalties.map(intake => ({
+        reference: intake.reference,
+        pickup: intake.pickup?.reference,
+        date: intake.decidedAt,
+        litersRejected: intake.collectedLiters,
+        reasons: intake.rejectionReasons,
+        amount: intake.penalty.amount
+      }))
+    };
+  }
+
+  static async listBatches({ status = 'all', partyType, depot, kcc, page = 1, limit = 20 } = {}, scopeFilter = {}) {
+    const filter = { ...scopeFilter };
+    if (status !== 'all') filter.status = status;
+    if (partyType) filter.partyType = partyType;
+    if (depot) filter.depot = depot;
+    if (kcc) filter.kcc = kcc;
+
+    page = Math.max(1, parseInt(page) || 1);
+    limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [batches, total] = await Promise.all([
+      SettlementBatch.find(filter)
+        .sort({ periodEnd: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('depot', 'name code')
+        .populate('kcc', 'name code'),
+      SettlementBatch.countDocuments(filter)
+    ]);
+
+    return {
+      batches: batches.map(SettlementService.describe),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default SettlementService;
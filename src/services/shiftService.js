@@ -0,0 +1,348 @@
+// src/services/shiftService.js
+import mongoose from 'mongoose';
+import Shift from '../models/Shift.js';
+import Depot from '../models/Depot.js';
+import User from '../models/User.js';
+import Wallet from '../models/Wallet.js';
+import Transaction from '../models/Transaction.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import Environment from '../config/env.js';
+import AppError from '../utils/appError.js';
+
+// Float movements that belong to counter work; anything else in a shift is unexplained
+const COUNTER_ENTRY_TYPES = ['deposit_payment', 'milk_withdrawal', 'kcc_pickup_payment', 'kcc_delivery_payment', 'float_transfer'];
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Attendant shifts: open/close with stock counts, handover and the cash-up report
+ */
+class ShiftService {
+  static getSettings() {
+    return {
+      // Opt-in: when on, counter transactions need an open shift
+      required: Environment.get('SHIFT_REQUIRED', 'false') === true
+    };
+  }
+
+  /**
+   * Attendant's own counts - milk in liters and the token float on the depot device
+   */
+  static parseCounts(input = {}) {
+    const labels = {
+      rawMilk: 'raw milk in liters',
+      pasteurizedMilk: 'pasteurized milk in liters',
+      tokenFloat: 'token float in MTZ'
+    };
+
+    const counts = {};
+    for (const [field, label] of Object.entries(labels)) {
+      const value = Number(input[field]);
+      if (input[field] === undefined || input[field] === null || !Number.isFinite(value) || value < 0) {
+        throw new AppError(`Enter the counted ${label}`, 400);
+      }
+      counts[field] = value;
+    }
+    return counts;
+  }
+
+  static async getSystemCounts(depotId) {
+    const [depot, wallet] = await Promise.all([
+      Depot.findById(depotId).select('stock'),
+      Wallet.getOrCreateDepotFloat(depotId)
+    ]);
+    return {
+      rawMilk: depot.stock.rawMilk,
+      pasteurizedMilk: depot.stock.pasteurizedMilk,
+      tokenFloat: wallet.getBalance()
+    };
+  }
+
+  /**
+   * Open shift for a counter transaction at this depot. Null when shifts are
+   * optional and none is open.
+   */
+  static async requireOpenShift(attendantId, depotId) {
+    const shift = await Shift.findOpen(attendantId);
+
+    if (shift && !shift.depot.equals(depotId)) {
+      throw new AppError('Your open shift is at another depot. Close it first.', 409);
+    }
+    if (!shift && ShiftService.getSettings().required) {
+      throw new AppError('Open a shift before recording deposits, payments or pickups', 409);
+    }
+    return shift;
+  }
+
+  /**
+   * Attendant who serves walk-up withdrawals and KCC pickups: whoever opened a
+   * shift most recently. Without shifts, any active attendant at the depot.
+   */
+  static async findOnShiftAttendant(depotId) {
+    const shifts = await Shift.find({ depot: depotId, status: 'open' })
+      .sort({ openedAt: -1 })
+      .populate('attendant');
+
+    const shift = shifts.find(open => open.attendant && open.attendant.status === 'active');
+    if (shift) {
+      return { attendant: shift.attendant, shift };
+    }
+
+    if (ShiftService.getSettings().required) {
+      return { attendant: null, shift: null };
+    }
+
+    const attendant = await User.findOne({ assignedDepot: depotId, role: 'attendant', status: 'active' });
+    return { attendant, shift: null };
+  }
+
+  static async openShift({ depot, attendantId, counts, notes }) {
+    if (await Shift.findOpen(attendantId)) {
+      throw new AppError('You already have an open shift. Close it before opening another.', 409);
+    }
+
+    const counted = ShiftService.parseCounts(counts);
+    const system = await ShiftService.getSystemCounts(depot._id);
+
+    // Pick up a handover addressed to this attendant, if one is waiting
+    const previous = await Shift.findOne({
+      depot: depot._id,
+      status: 'closed',
+      handoverTo: attendantId,
+      handoverAcceptedAt: null
+    }).sort({ closedAt: -1 });
+
+    let shift;
+    try {
+      shift = await Shift.create({
+        depot: depot._id,
+        attendant: attendantId,
+        opening: { counted, system },
+        handoverFrom: previous?._id,
+        openingNotes: notes
+      });
+    } catch (error) {
+      if (error.code === 11000 && error.keyPattern?.attendant) {
+        throw new AppError('You already have an open shift. Close it before opening another.', 409);
+      }
+      throw error;
+    }
+
+    let handover = null;
+    if (previous) {
+      previous.handoverAcceptedAt = shift.openedAt;
+      await previous.save();
+
+      const handedOver = previous.closing.counted;
+      handover = {
+        fromShift: previous.reference,
+        fromAttendant: previous.attendant,
+        closedAt: previous.closedAt,
+        handedOver: {
+          rawMilk: handedOver.rawMilk,
+          pasteurizedMilk: handedOver.pasteurizedMilk,
+          tokenFloat: handedOver.tokenFloat
+        },
+        difference: {
+          rawMilk: round(counted.rawMilk - handedOver.rawMilk),
+          pasteurizedMilk: round(counted.pasteurizedMilk - handedOver.pasteurizedMilk),
+          tokenFloat: handedOver.tokenFloat === undefined ? null : round(counted.tokenFloat - handedOver.tokenFloat)
+        }
+      };
+    }
+
+    return { shift, handover };
+  }
+
+  static async closeShift({ depot, attendantId, counts, handoverTo, notes }) {
+    const shift = await Shift.findOpen(attendantId);
+    if (!shift || !shift.depot.equals(depot._id)) {
+      throw new AppError('No open shift at this depot', 404);
+    }
+
+    if (handoverTo) {
+      if (String(handoverTo) === String(attendantId)) {
+        throw new AppError('You cannot hand over to yourself', 400);
+      }
+      const next = await User.findOne({ _id: handoverTo, role: 'attendant', assignedDepot: depot._id, status: 'active' });
+      if (!next) {
+        throw new AppError('Handover attendant must be an active attendant at this depot', 400);
+      }
+      shift.handoverTo = next._id;
+    }
+
+    const counted = ShiftService.parseCounts(counts);
+    const system = await ShiftService.getSystemCounts(depot._id);
+
+    shift.closing = { counted, system };
+    shift.closedAt = new Date();
+    shift.closingNotes = notes;
+    shift.report = await ShiftService.buildReport(shift);
+    shift.status = 'closed';
+    await shift.save();
+
+    return shift;
+  }
+
+  /**
+   * Activity, stock variance and token float reconciliation for a shift.
+   * Open shifts get a running report against the current system stock.
+   */
+  static async buildReport(shift) {
+    const end = shift.closedAt || new Date();
+    const shiftId = new mongoose.Types.ObjectId(shift._id);
+    // May be populated
+    const depotId = shift.depot._id;
+
+    const [byType, payments, wallet] = await Promise.all([
+      Transaction.aggregate([
+        { $match: { shift: shiftId } },
+        {
+          $group: {
+            _id: '$type',
+            count: { $sum: 1 },
+            rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+            litersRaw: { $sum: { $ifNull: ['$litersRaw', 0] } },
+            litersPasteurized: { $sum: { $ifNull: ['$litersPasteurized', 0] } },
+            tokens: { $sum: { $ifNull: ['$tokensAmount', 0] } }
+          }
+        }
+      ]),
+      Transaction.aggregate([
+        { $match: { paidInShift: shiftId } },
+        { $group: { _id: null, count: { $sum: 1 }, tokens: { $sum: '$tokensAmount' }, liters: { $sum: '$litersRaw' } } }
+      ]),
+      Wallet.getOrCreateDepotFloat(depotId)
+    ]);
+
+    const type = name => byType.find(row => row._id === name) || { count: 0, rejected: 0, litersRaw: 0, litersPasteurized: 0, tokens: 0 };
+    const deposits = type('milk_deposit');
+    const withdrawals = type('milk_withdrawal');
+    const pickups = type('kcc_pickup');
+    const deliveries = type('kcc_delivery');
+
+    // Token float: depot float movements during the shift, split into counter work
+    // and the rest. Overlapping shifts at the same depot share the float.
+    const postings = await LedgerEntry.aggregate([
+      { $match: { wallet: wallet._id, createdAt: { $gte: shift.openedAt, $lte: end } } },
+      {
+        $group: {
+          _id: '$entryType',
+          net: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+        }
+      }
+    ]);
+
+    const movements = {};
+    let counterNet = 0;
+    let otherNet = 0;
+    for (const posting of postings) {
+      movements[posting._id] = round(posting.net);
+      if (COUNTER_ENTRY_TYPES.includes(posting._id)) {
+        counterNet += posting.net;
+      } else {
+        otherNet += posting.net;
+      }
+    }
+
+    const closing = shift.closing?.system?.rawMilk !== undefined
+      ? shift.closing
+      : { counted: null, system: await ShiftService.getSystemCounts(depotId) };
+
+    const openingFloat = shift.opening.system.tokenFloat;
+    const expectedFloat = round(openingFloat + counterNet);
+    const floatVariance = round(closing.system.tokenFloat - expectedFloat);
+    // What the attendant counted against the float wallet (older shifts have no count)
+    const countedFloat = closing.counted?.tokenFloat ?? null;
+    const countedFloatVariance = countedFloat === null ? null : round(countedFloat - closing.system.tokenFloat);
+
+    const milk = {};
+    for (const field of ['rawMilk', 'pasteurizedMilk']) {
+      milk[field] = {
+        openingCounted: shift.opening.counted[field],
+        openingSystem: shift.opening.system[field],
+        openingVariance: round(shift.opening.counted[field] - shift.opening.system[field]),
+        closingCounted: closing.counted ? closing.counted[field] : null,
+        closingSystem: closing.system[field],
+        variance: closing.counted ? round(closing.counted[field] - closing.system[field]) : null
+      };
+    }
+
+    return {
+      period: {
+        openedAt: shift.openedAt,
+        closedAt: shift.closedAt || null,
+        hours: round((end - shift.openedAt) / (60 * 60 * 1000))
+      },
+      activity: {
+        deposits: { count: deposits.count, rejected: deposits.rejected, liters: round(deposits.litersRaw) },
+        payments: { count: payments[0]?.count || 0, liters: round(payments[0]?.liters || 0), tokens: round(payments[0]?.tokens || 0) },
+        withdrawals: { count: withdrawals.count, liters: round(withdrawals.litersPasteurized), tokens: round(withdrawals.tokens) },
+        kccPickups: { count: pickups.count, liters: round(pickups.litersRaw) },
+        kccDeliveries: { count: deliveries.count, liters: round(deliveries.litersPasteurized) }
+      },
+      milk,
+      tokens: {
+        openingFloat,
+        openingCounted: shift.opening.counted.tokenFloat ?? null,
+        closingFloat: closing.system.tokenFloat,
+        closingCounted: countedFloat,
+        countedVariance: countedFloatVariance,
+        movements,
+        expectedFloat,
+        // Float movements outside counter work (transfers, redemptions, fees...)
+        unexplained: round(otherNet),
+        variance: floatVariance
+      },
+      hasVariance: Object.values(milk).some(line => line.variance) || floatVariance !== 0 || !!countedFloatVariance
+    };
+  }
+
+  static describe(shift) {
+    return {
+      id: shift._id,
+      reference: shift.reference,
+      depot: shift.depot,
+      attendant: shift.attendant,
+      status: shift.status,
+      openedAt: shift.openedAt,
+      closedAt: shift.closedAt,
+      opening: shift.opening,
+      closing: shift.status === 'closed' ? shift.closing : undefined,
+      handoverTo: shift.handoverTo,
+      handoverFrom: shift.handoverFrom,
+      handoverAcceptedAt: shift.handoverAcceptedAt,
+      openingNotes: shift.openingNotes,
+      closingNotes: shift.closingNotes
+    };
+  }
+
+  static async listShifts(depotId, { status, attendant, page = 1, limit = 20 } = {}) {
+    const filter = { depot: depotId };
+    if (status) filter.status = status;
+    if (attendant) filter.attendant = attendant;
+
+    page = Math.max(1, parseInt(page) || 1);
+    limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [shifts, total] = await Promise.all([
+      Shift.find(filter)
+        .sort({ openedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('attendant', 'name phone')
+        .populate('handoverTo', 'name phone'),
+      Shift.countDocuments(filter)
+    ]);
+
+    return {
+      shifts: shifts.map(shift => ({
+        ...ShiftService.describe(shift),
+        hasVariance: shift.report?.hasVariance ?? null
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default ShiftService;
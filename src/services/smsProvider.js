@@ -0,0 +1,116 @@
+// src/services/smsProvider.js
+import fs from 'fs/promises';
+import Environment from '../config/env.js';
+
+/**
+ * Base SMS provider - providers implement send(phone, message)
+ * and resolve with { provider, messageId }.
+ */
+export class SmsProvider {
+  constructor(name) {
+    this.name = name;
+    this.senderId = Environment.get('SMS_SENDER_ID', 'MILKBANK');
+  }
+
+  async send() {
+    throw new Error(`${this.name} SMS provider does not implement send`);
+  }
+}
+
+/**
+ * Development provider - prints messages and optionally appends them to SMS_LOG_FILE
+ */
+export class ConsoleSmsProvider extends SmsProvider {
+  constructor() {
+    super('console');
+    this.logFile = Environment.get('SMS_LOG_FILE');
+  }
+
+  async send(phone, message) {
+    const messageId = `DEV${Date.now()}`;
+    console.log(`📱 SMS to ${phone} [${this.senderId}]: ${message}`);
+
+    if (this.logFile) {
+      const line = JSON.stringify({ at: new Date().toISOString(), to: phone, from: this.senderId, message, messageId });
+      await fs.appendFile(this.logFile, `${line}\n`);
+    }
+
+    return { provider: this.name, messageId };
+  }
+}
+
+/**
+ * Africa's Talking bulk SMS API (set SMS_BASE_URL to the sandbox for testing)
+ */
+export class AfricasTalkingSmsProvider extends SmsProvider {
+  constructor() {
+    super('africastalking');
+    this.baseUrl = Environment.get('SMS_BASE_URL', 'https://api.africastalking.com');
+    this.username = Environment.get('SMS_USERNAME', 'sandbox');
+    this.apiKey = Environment.get('SMS_API_KEY');
+  }
+
+  async send(phone, message) {
+    if (!this.apiKey) {
+      throw new Error('SMS_API_KEY is not configured');
+    }
+
+    const response = await fetch(`${this.baseUrl}/version1/messaging`, {
+      method: 'POST',
+      headers: {
+        apiKey: this.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        username: this.username,
+        to: `+${String(phone).replace(/^\+/, '')}`,
+        message,
+        from: this.senderId
+      })
+    });
+
+    const body = await response.json().catch(() => ({}));
+    const recipient = body.SMSMessageData?.Recipients?.[0];
+
+    if (!response.ok || !recipient || recipient.status !== 'Success') {
+      throw new Error(recipient?.status || body.SMSMessageData?.Message || `SMS request failed (${response.status})`);
+    }
+
+    return { provider: this.name, messageId: recipient.messageId };
+  }
+}
+
+const providers = {
+  console: ConsoleSmsProvider,
+  africastalking: AfricasTalkingSmsProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Provider selected by SMS_PROVIDER. The console provider only prints codes,
+ * so it is the default in development and refused everywhere else.
+ */
+export const getSmsProvider = () => {
+  if (!activeProvider) {
+    const name = Environment.get('SMS_PROVIDER', Environment.isDevelopment() ? 'console' : null);
+    if (!name) {
+      throw new Error('SMS_PROVIDER is not configured');
+    }
+
+    const Provider = providers[name];
+    if (!Provider) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    if (Provider === ConsoleSmsProvider && !Environment.isDevelopment()) {
+      throw new Error('The console SMS provider only runs in development - configure a real provider');
+    }
+
+    activeProvider = new Provider();
+  }
+
+  return activeProvider;
+};
+
+export default getSmsProvider;
@@ -0,0 +1,406 @@
+// src/services/statementService.js
+import PDFDocument from 'pdfkit';
+import Transaction from '../models/Transaction.js';
+import Wallet from '../models/Wallet.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+
+const ACTIVITY_LABELS = {
+  deposit_payment: 'Milk deposit payment',
+  milk_withdrawal: 'Milk withdrawal',
+  p2p_transfer: 'Transfer',
+  redemption: 'Cash redemption',
+  redemption_refund: 'Redemption refund',
+  fee: 'Fee',
+  opening_balance: 'Opening balance',
+  transfer: 'Transfer'
+};
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const average = (values) => {
+  const present = values.filter(value => typeof value === 'number');
+  return present.length > 0
+    ? round(present.reduce((sum, value) => sum + value, 0) / present.length, 1)
+    : null;
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Monthly farmer statements - built from wallet postings and deposit records,
+ * rendered to JSON, CSV or PDF on the server
+ */
+class StatementService {
+  /**
+   * Resolve a YYYY/MM period to its [start, end) dates
+   */
+  static getPeriod(year, month) {
+    year = Number(year);
+    month = Number(month);
+
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      throw new AppError('Statement period must be a valid year and month (1-12)', 400);
+    }
+
+    const start = new Date(Date.UTC(year, month - 1, 1));
+    const end = new Date(Date.UTC(year, month, 1));
+
+    if (start > new Date()) {
+      throw new AppError('Cannot generate a statement for a future month', 400);
+    }
+
+    return {
+      start,
+      end,
+      label: start.toLocaleString('en-KE', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    };
+  }
+
+  /**
+   * Build the statement data for a farmer and month
+   */
+  static async buildMonthlyStatement(farmerId, year, month) {
+    const period = StatementService.getPeriod(year, month);
+
+    const farmer = await User.findOne({ _id: farmerId, role: 'farmer' });
+    if (!farmer) {
+      throw new AppError('Farmer not found', 404);
+    }
+
+    const wallet = await Wallet.findOne({ user: farmerId });
+
+    const [openingProjection, closingProjection, postings, deposits] = await Promise.all([
+      wallet ? LedgerEntry.getWalletProjection(wallet._id, period.start) : null,
+      wallet ? LedgerEntry.getWalletProjection(wallet._id, period.end) : null,
+      wallet
+        ? LedgerEntry.find({
+          wallet: wallet._id,
+          createdAt: { $gte: period.start, $lt: period.end }
+        })
+          .populate('transaction', 'reference depositCode type')
+          .sort({ createdAt: 1 })
+        : [],
+      Transaction.find({
+        fromUser: farmerId,
+        type: 'milk_deposit',
+        createdAt: { $gte: period.start, $lt: period.end }
+      })
+        .populate('depot', 'name code')
+        .sort({ createdAt: 1 })
+    ]);
+
+    const openingBalance = openingProjection ? openingProjection.balance : 0;
+    const closingBalance = closingProjection ? closingProjection.balance : 0;
+
+    // Account activity with a running balance
+    let runningBalance = openingBalance;
+    const activity = postings.map(posting => {
+      const credit = posting.direction === 'credit' ? posting.amount : 0;
+      const debit = posting.direction === 'debit' ? posting.amount : 0;
+      runningBalance = round(runningBalance + credit - debit, 6);
+
+      return {
+        date: posting.createdAt,
+        type: posting.entryType,
+        label: ACTIVITY_LABELS[posting.entryType] || posting.entryType,
+        description: posting.description || '',
+        reference: posting.transaction?.depositCode || posting.transaction?.reference || posting.journalId,
+        credit: round(credit),
+        debit: round(debit),
+        balance: round(runningBalance)
+      };
+    });
+
+    const depositRows = deposits.map(deposit => ({
+      date: deposit.createdAt,
+      depositCode: deposit.depositCode,
+      depot: deposit.depot ? deposit.depot.code : '',
+      liters: deposit.litersRaw || 0,
+      rejectedLiters: deposit.rejection?.rejectedLiters || 0,
+      quality: deposit.status === 'rejected' ? 'rejected' : (deposit.qualityGrade || 'standard'),
+      lactometerReading: deposit.lactometerReading,
+      fatPercent: deposit.fatPercent,
+      snfPercent: deposit.snfPercent,
+      tokensPaid: deposit.status === 'completed' ? deposit.tokensAmount : 0,
+      status: deposit.status
+    }));
+
+    return {
+      farmer: {
+        id: farmer._id,
+        name: farmer.name,
+        phone: farmer.phone,
+        county: farmer.county
+      },
+      period: {
+        label: period.label,
+        start: period.start,
+        end: new Date(period.end.getTime() - 1)
+      },
+      openingBalance: round(openingBalance),
+      closingBalance: round(closingBalance),
+      summary: StatementService.summarize(activity, depositRows),
+      deposits: depositRows,
+      activity,
+      daily: StatementService.buildDailyTotals(depositRows),
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Totals per activity type and milk delivered
+   */
+  static summarize(activity, depositRows) {
+    const sumBy = (types, field) => round(activity
+      .filter(row => types.includes(row.type))
+      .reduce((sum, row) => sum + row[field], 0));
+
+    const accepted = depositRows.filter(row => row.status !== 'rejected');
+
+    return {
+      deposits: depositRows.length,
+      litersDelivered: round(accepted.reduce((sum, row) => sum + row.liters, 0)),
+      litersRejected: round(depositRows.reduce((sum, row) => sum + row.rejectedLiters, 0)),
+      depositPayments: sumBy(['deposit_payment'], 'credit'),
+      withdrawals: sumBy(['milk_withdrawal'], 'debit'),
+      transfersIn: sumBy(['p2p_transfer', 'transfer'], 'credit'),
+      transfersOut: sumBy(['p2p_transfer', 'transfer'], 'debit'),
+      redemptions: round(sumBy(['redemption'], 'debit') - sumBy(['redemption_refund'], 'credit')),
+      fees: sumBy(['fee'], 'debit'),
+      totalCredits: round(activity.reduce((sum, row) => sum + row.credit, 0)),
+      totalDebits: round(activity.reduce((sum, row) => sum + row.debit, 0))
+    };
+  }
+
+  /**
+   * Daily litre totals with the day's average readings and grade mix
+   */
+  static buildDailyTotals(depositRows) {
+    const days = new Map();
+
+    for (const row of depositRows) {
+      const key = dayKey(row.date);
+      if (!days.has(key)) {
+        days.set(key, []);
+      }
+      days.get(key).push(row);
+    }
+
+    return [...days.entries()].map(([date, rows]) => {
+      const accepted = rows.filter(row => row.status !== 'rejected');
+      const grades = { premium: 0, standard: 0, low: 0, rejected: 0 };
+      rows.forEach(row => {
+        grades[row.quality] = (grades[row.quality] || 0) + 1;
+      });
+
+      return {
+        date,
+        deposits: rows.length,
+        liters: round(accepted.reduce((sum, row) => sum + row.liters, 0)),
+        avgLactometer: average(accepted.map(row => row.lactometerReading)),
+        avgFatPercent: average(accepted.map(row => row.fatPercent)),
+        avgSnfPercent: average(accepted.map(row => row.snfPercent)),
+        grades
+      };
+    });
+  }
+
+  /**
+   * CSV export - one file, one section per table
+   */
+  static toCsv(statement) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      // Stop spreadsheets evaluating text (names, notes) as a formula
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const line = (...values) => values.map(escape).join(',');
+    const { farmer, period, summary } = statement;
+
+    const rows = [
+      line('MilkBank Farmer Statement'),
+      line('Farmer', farmer.name),
+      line('Phone', farmer.phone),
+      line('Period', period.label),
+      line('Generated', statement.generatedAt),
+      '',
+      line('Summary'),
+      line('Opening balance (MTZ)', statement.openingBalance),
+      line('Deposit payments (MTZ)', summary.depositPayments),
+      line('Withdrawals (MTZ)', summary.withdrawals),
+      line('Transfers in (MTZ)', summary.transfersIn),
+      line('Transfers out (MTZ)', summary.transfersOut),
+      line('Redemptions (MTZ)', summary.redemptions),
+      line('Fees (MTZ)', summary.fees),
+      line('Closing balance (MTZ)', statement.closingBalance),
+      line('Liters delivered', summary.litersDelivered),
+      line('Liters rejected', summary.litersRejected),
+      '',
+      line('Deposits'),
+      line('Date', 'Deposit code', 'Depot', 'Liters', 'Rejected liters', 'Quality', 'Lactometer', 'Fat %', 'SNF %', 'Tokens paid', 'Status'),
+      ...statement.deposits.map(row => line(
+        row.date, row.depositCode, row.depot, row.liters, row.rejectedLiters, row.quality,
+        row.lactometerReading, row.fatPercent, row.snfPercent, row.tokensPaid, row.status
+      )),
+      '',
+      line('Account activity'),
+      line('Date', 'Type', 'Description', 'Reference', 'Credit', 'Debit', 'Balance'),
+      ...statement.activity.map(row => line(
+        row.date, row.label, row.description, row.reference, row.credit, row.debit, row.balance
+      )),
+      '',
+      line('Daily totals and quality trend'),
+      line('Date', 'Deposits', 'Liters', 'Avg lactometer', 'Avg fat %', 'Avg SNF %', 'Premium', 'Standard', 'Low', 'Rejected'),
+      ...statement.daily.map(day => line(
+        day.date, day.deposits, day.liters, day.avgLactometer, day.avgFatPercent, day.avgSnfPercent,
+        day.grades.premium, day.grades.standard, day.grades.low, day.grades.rejected
+      ))
+    ];
+
+    return rows.join('\n') + '\n';
+  }
+
+  /**
+   * PDF export rendered with pdfkit
+   */
+  static toPdf(statement) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const { farmer, period, summary } = statement;
+      const left = doc.page.margins.left;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+      const ensureSpace = (height) => {
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+      };
+
+      const table = (title, columns, rows) => {
+        ensureSpace(60);
+        doc.moveDown(0.8).font('Helvetica-Bold').fontSize(11).text(title, left);
+        doc.moveDown(0.3);
+
+        const drawRow = (cells, bold = false) => {
+          ensureSpace(16);
+          const y = doc.y;
+          let x = left;
+          doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+          cells.forEach((cell, index) => {
+            const column = columns[index];
+            doc.text(cell === null || cell === undefined ? '-' : String(cell), x, y, {
+              width: column.width * width - 4,
+              align: column.align || 'left',
+              lineBreak: false,
+              ellipsis: true
+            });
+            x += column.width * width;
+          });
+          doc.y = y + 13;
+        };
+
+        drawRow(columns.map(column => column.label), true);
+        doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).strokeColor('#999999').stroke();
+
+        if (rows.length === 0) {
+          doc.font('Helvetica-Oblique').fontSize(8).text('No records this month', left);
+          return;
+        }
+        rows.forEach(row => drawRow(row));
+      };
+
+      // Header
+      doc.font('Helvetica-Bold').fontSize(16).text('MilkBank Farmer Statement', left);
+      doc.font('Helvetica').fontSize(10)
+        .text(`${farmer.name}  |  ${farmer.phone}${farmer.county ? `  |  ${farmer.county}` : ''}`)
+        .text(`Statement period: ${period.label} (${formatDate(period.start)} to ${formatDate(period.end)})`)
+        .text(`Generated: ${statement.generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+
+      // Summary
+      table('Summary', [
+        { label: 'Item', width: 0.7 },
+        { label: 'Amount', width: 0.3, align: 'right' }
+      ], [
+        ['Opening balance (MTZ)', statement.openingBalance],
+        ['Deposit payments (MTZ)', summary.depositPayments],
+        ['Withdrawals (MTZ)', summary.withdrawals],
+        ['Transfers in (MTZ)', summary.transfersIn],
+        ['Transfers out (MTZ)', summary.transfersOut],
+        ['Redemptions (MTZ)', summary.redemptions],
+        ['Fees (MTZ)', summary.fees],
+        ['Closing balance (MTZ)', statement.closingBalance],
+        ['Liters delivered', summary.litersDelivered],
+        ['Liters rejected', summary.litersRejected]
+      ]);
+
+      table('Deposits', [
+        { label: 'Date', width: 0.12 },
+        { label: 'Code', width: 0.15 },
+        { label: 'Depot', width: 0.1 },
+        { label: 'Liters', width: 0.08, align: 'right' },
+        { label: 'Quality', width: 0.11 },
+        { label: 'Lacto', width: 0.08, align: 'right' },
+        { label: 'Fat %', width: 0.08, align: 'right' },
+        { label: 'SNF %', width: 0.08, align: 'right' },
+        { label: 'MTZ', width: 0.1, align: 'right' },
+        { label: 'Status', width: 0.1 }
+      ], statement.deposits.map(row => [
+        formatDate(row.date), row.depositCode, row.depot, row.liters, row.quality,
+        row.lactometerReading, row.fatPercent, row.snfPercent, row.tokensPaid, row.status
+      ]));
+
+      table('Account activity', [
+        { label: 'Date', width: 0.12 },
+        { label: 'Type', width: 0.18 },
+        { label: 'Description', width: 0.3 },
+        { label: 'Credit', width: 0.13, align: 'right' },
+        { label: 'Debit', width: 0.13, align: 'right' },
+        { label: 'Balance', width: 0.14, align: 'right' }
+      ], statement.activity.map(row => [
+        formatDate(row.date), row.label, row.description,
+        row.credit || '', row.debit || '', row.balance
+      ]));
+
+      table('Daily totals and quality trend', [
+        { label: 'Date', width: 0.14 },
+        { label: 'Deposits', width: 0.1, align: 'right' },
+        { label: 'Liters', width: 0.1, align: 'right' },
+        { label: 'Avg lacto', width: 0.12, align: 'right' },
+        { label: 'Avg fat %', width: 0.12, align: 'right' },
+        { label: 'Avg SNF %', width: 0.12, align: 'right' },
+        { label: 'Grades (P/S/L/R)', width: 0.3 }
+      ], statement.daily.map(day => [
+        day.date, day.deposits, day.liters, day.avgLactometer, day.avgFatPercent, day.avgSnfPercent,
+        `${day.grades.premium}/${day.grades.standard}/${day.grades.low}/${day.grades.rejected}`
+      ]));
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Download file name for a statement
+   */
+  static getFileName(statement, extension) {
+    const month = statement.period.start.toISOString().slice(0, 7);
+    return `statement-${statement.farmer.phone}-${month}.${extension}`;
+  }
+}
+
+export default StatementService;
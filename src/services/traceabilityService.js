@@ -0,0 +1,394 @@
+// src/services/traceabilityService.js
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import ProcessingBatch from '../models/ProcessingBatch.js';
+import PlantIntake from '../models/PlantIntake.js';
+import AppError from '../utils/appError.js';
+
+// Lot remainders below this are float dust from $inc, not milk
+const LOT_EPSILON = 0.005;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Milk lot tracking: every accepted deposit is a lot in the depot tank, KCC
+ * pickups draw lots oldest first, and processing batches group pickups. Traces
+ * run both ways - farmers in a pickup or batch, and where a farmer's milk went.
+ */
+class TraceabilityService {
+  /**
+   * Draw `liters` from the depot's open lots, oldest deposit first. Each lot is
+   * decremented only if unchanged since read, so concurrent pickups never
+   * share a liter. Liters with no lot left (pre-tracking stock) come back as untraced.
+   * Offline deposits age from their capture time (lotOpenedAt), not their upload.
+   */
+  static async allocateLots(depotId, liters, session = null) {
+    const taken = new Map();
+    let needed = round(Number(liters));
+
+    while (needed > 0) {
+      const candidates = await Transaction.find({
+        depot: depotId,
+        type: 'milk_deposit',
+        lotRemaining: { $gt: LOT_EPSILON }
+      })
+        .sort({ lotOpenedAt: 1, createdAt: 1 })
+        .limit(20)
+        .select('fromUser lotRemaining createdAt capturedAt')
+        .session(session);
+
+      if (candidates.length === 0) break;
+
+      for (const lot of candidates) {
+        if (needed <= 0) break;
+
+        const take = round(Math.min(needed, lot.lotRemaining));
+        const result = await Transaction.updateOne(
+          { _id: lot._id, lotRemaining: lot.lotRemaining },
+          { $inc: { lotRemaining: -take } },
+          { session }
+        );
+        // Another pickup got there first - re-read on the next pass
+        if (result.modifiedCount === 0) continue;
+
+        const key = lot._id.toString();
+        const existing = taken.get(key);
+        if (existing) {
+          existing.liters = round(existing.liters + take);
+        } else {
+          taken.set(key, {
+            deposit: lot._id,
+            farmer: lot.fromUser,
+            liters: take,
+            depositedAt: lot.capturedAt || lot.createdAt
+          });
+        }
+        needed = round(needed - take);
+      }
+    }
+
+    return { lots: [...taken.values()], untracedLiters: Math.max(0, needed) };
+  }
+
+  /**
+   * Farmers behind a set of lots, biggest share first
+   */
+  static groupByFarmer(lots) {
+    const farmers = new Map();
+
+    for (const lot of lots) {
+      const farmer = lot.farmer || {};
+      const key = (farmer._id || farmer).toString();
+      if (!farmers.has(key)) {
+        farmers.set(key, {
+          farmerId: farmer._id || farmer,
+          name: farmer.name,
+          phone: farmer.phone,
+          liters: 0,
+          deposits: []
+        });
+      }
+
+      const entry = farmers.get(key);
+      entry.liters = round(entry.liters + lot.liters);
+      entry.deposits.push({
+        reference: lot.deposit?.reference,
+        depositCode: lot.deposit?.depositCode,
+        qualityGrade: lot.deposit?.qualityGrade,
+        depositedAt: lot.depositedAt,
+        liters: lot.liters,
+        pickup: lot.pickup
+      });
+    }
+
+    return [...farmers.values()].sort((a, b) => b.liters - a.liters);
+  }
+
+  /**
+   * KCC roles only see pickups collected by their own branch
+   */
+  static async assertPickupScope(user, pickup) {
+    if (user.role !== 'kcc_admin' && user.role !== 'kcc_attendant') return;
+
+    const collector = await User.findById(pickup.kccAttendant).select('assignedKcc');
+    if (!collector?.assignedKcc || !collector.assignedKcc.equals(user.assignedKcc)) {
+      throw new AppError('Pickup was not collected by your KCC branch', 403);
+    }
+  }
+
+  static assertBatchScope(user, batch) {
+    if (user.role !== 'kcc_admin' && user.role !== 'kcc_attendant') return;
+
+    if (!batch.kcc.equals(user.assignedKcc)) {
+      throw new AppError('Processing batch belongs to another KCC branch', 403);
+    }
+  }
+
+  static findPickups(filter) {
+    return Transaction.find({ type: 'kcc_pickup', ...filter })
+      .populate('depot', 'name code')
+      .populate('kccAttendant', 'name phone')
+      .populate('sourceLots.farmer', 'name phone')
+      .populate('sourceLots.deposit', 'reference depositCode qualityGrade');
+  }
+
+  static describePickup(pickup) {
+    return {
+      id: pickup._id,
+      reference: pickup.reference,
+      depot: pickup.depot?.code ? { name: pickup.depot.name, code: pickup.depot.code } : pickup.depot,
+      kccAttendant: pickup.kccAttendant?.name,
+      litersRaw: pickup.litersRaw,
+      untracedLiters: pickup.untracedLiters || 0,
+      status: pickup.status,
+      pickedUpAt: pickup.createdAt
+    };
+  }
+
+  /**
+   * Which farmers are in pickup X
+   */
+  static async tracePickup(pickupId, user) {
+    const [pickup] = await TraceabilityService.findPickups({ _id: pickupId });
+    if (!pickup) {
+      throw new AppError('KCC pickup not found', 404);
+    }
+    await TraceabilityService.assertPickupScope(user, pickup);
+
+    const batch = pickup.processingBatch
+      ? await ProcessingBatch.findById(pickup.processingBatch).select('batchNumber status')
+      : null;
+
+    return {
+      pickup: TraceabilityService.describePickup(pickup),
+      processingBatch: batch ? { batchNumber: batch.batchNumber, status: batch.status } : null,
+      farmers: TraceabilityService.groupByFarmer(pickup.sourceLots || [])
+    };
+  }
+
+  /**
+   * Which farmers are in processing batch X, through its pickups
+   */
+  static async traceBatch(batchId, user) {
+    const batch = await ProcessingBatch.findById(batchId).populate('kcc', 'name code');
+    if (!batch) {
+      throw new AppError('Processing batch not found', 404);
+    }
+    TraceabilityService.assertBatchScope(user, { kcc: batch.kcc._id });
+
+    const pickups = await TraceabilityService.findPickups({ _id: { $in: batch.pickups } });
+    const lots = pickups.flatMap(pickup => (pickup.sourceLots || []).map(lot => ({
+      ...lot.toObject(),
+      farmer: lot.farmer,
+      deposit: lot.deposit,
+      pickup: pickup.reference
+    })));
+
+    return {
+      batch: TraceabilityService.describeBatch(batch),
+      pickups: pickups.map(TraceabilityService.describePickup),
+      untracedLiters: round(pickups.reduce((sum, pickup) => sum + (pickup.untracedLiters || 0), 0)),
+      farmers: TraceabilityService.groupByFarmer(lots)
+    };
+  }
+
+  /**
+   * Where farmer Y's milk from day Z (YYYY-MM-DD, server local) went: per
+   * deposit, the pickups that took it, their processing batches and what is
+   * still in the depot tank
+   */
+  static async traceFarmer(farmerId, date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+    if (!match) {
+      throw new AppError('Date must be YYYY-MM-DD', 400);
+    }
+    const from = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 1);
+
+    const farmer = await User.findById(farmerId).select('name phone role');
+    if (!farmer || farmer.role !== 'farmer') {
+      throw new AppError('Farmer not found', 404);
+    }
+
+    // The day the milk was handed in - offline deposits by capture time
+    const day = { $gte: from, $lt: to };
+    const deposits = await Transaction.find({
+      type: 'milk_deposit',
+      fromUser: farmer._id,
+      $or: [{ capturedAt: day }, { capturedAt: null, createdAt: day }]
+    })
+      .populate('depot', 'name code')
+      .sort({ createdAt: 1 });
+
+    const pickups = deposits.length
+      ? await Transaction.find({ type: 'kcc_pickup', 'sourceLots.deposit': { $in: deposits.map(deposit => deposit._id) } })
+        .populate('kccAttendant', 'name assignedKcc')
+        .populate('processingBatch', 'batchNumber status')
+      : [];
+
+    return {
+      farmer: { id: farmer._id, name: farmer.name, phone: farmer.phone },
+      date,
+      deposits: deposits.map(deposit => ({
+        reference: deposit.reference,
+        depositCode: deposit.depositCode,
+        depot: deposit.depot ? { name: deposit.depot.name, code: deposit.depot.code } : null,
+        depositedAt: deposit.capturedAt || deposit.createdAt,
+        status: deposit.status,
+        litersAccepted: deposit.status === 'rejected' ? 0 : deposit.litersRaw,
+        litersRejected: deposit.rejection?.rejectedLiters || 0,
+        qualityGrade: deposit.qualityGrade,
+        inDepotTank: round(deposit.lotRemaining || 0),
+        pickups: pickups.flatMap(pickup => pickup.sourceLots
+          .filter(lot => lot.deposit.equals(deposit._id))
+          .map(lot => ({
+            reference: pickup.reference,
+            pickedUpAt: pickup.createdAt,
+            liters: lot.liters,
+            kccAttendant: pickup.kccAttendant?.name,
+            kcc: pickup.kcc || pickup.kccAttendant?.assignedKcc,
+            processingBatch: pickup.processingBatch
+              ? { batchNumber: pickup.processingBatch.batchNumber, status: pickup.processingBatch.status }
+              : null
+          })))
+      }))
+    };
+  }
+
+  /**
+   * Group the branch's pickups into a processing batch. Each pickup can be in one batch only.
+   */
+  static async createBatch(kcc, user, { pickupIds, notes } = {}) {
+    if (!Array.isArray(pickupIds) || pickupIds.length === 0) {
+      throw new AppError('Select at least one pickup for the batch', 400);
+    }
+
+    const ids = [...new Set(pickupIds.map(String))];
+    const attendants = await User.find({ assignedKcc: kcc._id }).distinct('_id');
+    const pickups = await Transaction.find({
+      _id: { $in: ids },
+      type: 'kcc_pickup',
+      kccAttendant: { $in: attendants },
+      status: { $in: ['pending', 'completed'] }
+    });
+
+    if (pickups.length !== ids.length) {
+      throw new AppError('Some pickups were not found or were not collected by this branch', 400);
+    }
+    const batched = pickups.filter(pickup => pickup.processingBatch);
+    if (batched.length > 0) {
+      throw new AppError(`Already in a processing batch: ${batched.map(pickup => pickup.reference).join(', ')}`, 409);
+    }
+    const rejected = await PlantIntake.find({ pickup: { $in: ids }, status: 'rejected' }).select('reference');
+    if (rejected.length > 0) {
+      throw new AppError(`Rejected at plant intake: ${rejected.map(intake => intake.reference).join(', ')}`, 400);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const [batch] = await ProcessingBatch.create([{
+        kcc: kcc._id,
+        pickups: pickups.map(pickup => pickup._id),
+        litersRaw: round(pickups.reduce((sum, pickup) => sum + (pickup.litersRaw || 0), 0)),
+        createdBy: user._id,
+        notes
+      }], { session });
+
+      const tagged = await Transaction.updateMany(
+        { _id: { $in: batch.pickups }, processingBatch: null },
+        { $set: { processingBatch: batch._id } },
+        { session }
+      );
+      if (tagged.modifiedCount !== pickups.length) {
+        throw new AppError('Pickups changed while creating the batch - try again', 409);
+      }
+
+      await session.commitTransaction();
+      return batch;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Release a passed batch or fail it (reason required) - both end processing
+   */
+  static async closeBatch(batchId, user, { status, reason }) {
+    if (!['released', 'failed'].includes(status)) {
+      throw new AppError('Status must be released or failed', 400);
+    }
+    if (status === 'failed' && (!reason || !String(reason).trim())) {
+      throw new AppError('A reason is required to fail a batch', 400);
+    }
+
+    const batch = await ProcessingBatch.findById(batchId);
+    if (!batch) {
+      throw new AppError('Processing batch not found', 404);
+    }
+    TraceabilityService.assertBatchScope(user, batch);
+
+    if (batch.status !== 'processing') {
+      throw new AppError(`Processing batch ${batch.batchNumber} is already ${batch.status}`, 400);
+    }
+
+    batch.status = status;
+    batch.closedBy = user._id;
+    batch.closedAt = new Date();
+    if (status === 'failed') batch.failureReason = String(reason).trim();
+    await batch.save();
+
+    return batch;
+  }
+
+  static describeBatch(batch) {
+    return {
+      id: batch._id,
+      batchNumber: batch.batchNumber,
+      kcc: batch.kcc?.code ? { name: batch.kcc.name, code: batch.kcc.code } : batch.kcc,
+      pickupCount: batch.pickups.length,
+      litersRaw: batch.litersRaw,
+      status: batch.status,
+      failureReason: batch.failureReason,
+      closedAt: batch.closedAt,
+      notes: batch.notes,
+      createdAt: batch.createdAt
+    };
+  }
+
+  static async listBatches(user, { status = 'all', kcc, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (user.role === 'kcc_admin' || user.role === 'kcc_attendant') {
+      filter.kcc = user.assignedKcc;
+    } else if (kcc) {
+      filter.kcc = kcc;
+    }
+
+    page = Math.max(1, parseInt(page) || 1);
+    limit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [batches, total] = await Promise.all([
+      ProcessingBatch.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('kcc', 'name code'),
+      ProcessingBatch.countDocuments(filter)
+    ]);
+
+    return {
+      batches: batches.map(TraceabilityService.describeBatch),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+}
+
+export default TraceabilityService;
@@ -0,0 +1,145 @@
+// src/services/withdrawalService.js
+import mongoose from 'mongoose';
+import Wallet from '../models/Wallet.js';
+import Transaction from '../models/Transaction.js';
+import Depot from '../models/Depot.js';
+import User from '../models/User.js';
+import SecurityService from './securityService.js';
+import ShiftService from './shiftService.js';
+import AppError from '../utils/appError.js';
+
+/**
+ * Farmer milk withdrawal shared by the app and USSD channels
+ */
+class WithdrawalService {
+  /**
+   * Verify the farmer's PIN before any withdrawal work
+   */
+  static async verifyFarmerPin(farmerId, pin, context = {}) {
+    const farmer = await User.findById(farmerId).select('+pin');
+    if (!farmer || farmer.role !== 'farmer') {
+      throw new AppError('Only farmers can withdraw milk', 403);
+    }
+
+    const isPinValid = await SecurityService.verifyPin(farmer, pin, context);
+    if (!isPinValid) {
+      throw new AppError('Invalid PIN', 401);
+    }
+
+    return farmer;
+  }
+
+  /**
+   * Resolve a depot code to the depot and the attendant on shift
+   */
+  static async findDepotForWithdrawal(depotCode) {
+    const depot = await Depot.findOne({ code: String(depotCode).toUpperCase() });
+    if (!depot) {
+      throw new AppError('Depot not found. Please check the depot code.', 404);
+    }
+
+    const { attendant, shift } = await ShiftService.findOnShiftAttendant(depot._id);
+
+    if (!attendant) {
+      throw new AppError('This depot is currently unavailable', 400);
+    }
+
+    return { depot, attendant, shift };
+  }
+
+  /**
+   * Pay the depot float 1 MTZ per litre and release pasteurized milk
+   */
+  static async withdrawMilk({ farmerId, depotCode, liters, pin, channel = 'app', ip }) {
+    liters = Number(liters);
+    if (!Number.isFinite(liters) || liters <= 0) {
+      throw new AppError('Enter a valid number of liters', 400);
+    }
+
+    await WithdrawalService.verifyFarmerPin(farmerId, pin, { ip, channel });
+    const { depot, attendant, shift } = await WithdrawalService.findDepotForWithdrawal(depotCode);
+
+    if (depot.stock.pasteurizedMilk < liters) {
+      throw new AppError(`Not enough milk available at ${depot.name}. Only ${depot.stock.pasteurizedMilk}L left.`, 400);
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      session.startTransaction();
+
+      const [farmerWallet, floatWallet] = await Promise.all([
+        Wallet.getOrCreateWalletInSession(farmerId, session),
+        Wallet.getOrCreateDepotFloat(depot._id, session)
+      ]);
+
+      if (farmerWallet.isLocked) {
+        throw new AppError(`Wallet locked: ${farmerWallet.lockReason || 'contact support'}`, 403);
+      }
+
+      if (farmerWallet.getAvailableBalance() < liters) {
+        throw new AppError(`Not enough tokens. You have ${farmerWallet.getAvailableBalance()} MTZ available, need ${liters} MTZ.`, 400);
+      }
+
+      // Take the milk off the shelf only if it is still there - the stock check
+      // above ran outside the transaction and a concurrent withdrawal may have won
+      const stocked = await Depot.findOneAndUpdate(
+        { _id: depot._id, 'stock.pasteurizedMilk': { $gte: liters } },
+        { $inc: { 'stock.pasteurizedMilk': -liters } },
+        { new: true, session }
+      );
+      if (!stocked) {
+        throw new AppError(`Not enough milk available at ${depot.name} - please try again.`, 400);
+      }
+
+      const [withdrawalTx] = await Transaction.create([{
+        type: 'milk_withdrawal',
+        fromUser: farmerId,
+        toUser: attendant._id,
+        attendant: attendant._id,
+        depot: depot._id,
+        shift: shift?._id,
+        litersPasteurized: liters,
+        tokensAmount: liters,
+        status: 'completed',
+        notes: `${channel === 'ussd' ? 'USSD' : 'Farmer'} withdrawal: ${liters}L from ${depot.code}`
+      }], { session });
+
+      await Wallet.moveTokens(farmerWallet, floatWallet, liters, {
+        entryType: 'milk_withdrawal',
+        transaction: withdrawalTx,
+        description: `Milk withdrawal: ${liters}L from ${depot.name} (${depot.code})`
+      }, session);
+
+      await session.commitTransaction();
+
+      return {
+        transaction: withdrawalTx,
+        depot: stocked,
+        attendant,
+        liters,
+        newBalance: farmerWallet.getBalance()
+      };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Depot details shown to the farmer for confirmation
+   */
+  static getDepotVerification(depot) {
+    return {
+      name: depot.name,
+      code: depot.code,
+      location: `${depot.location.village}, ${depot.location.subcounty}`,
+      availableMilk: depot.stock.pasteurizedMilk + 'L',
+      status: depot.status
+    };
+  }
+}
+
+export default WithdrawalService;
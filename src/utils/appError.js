@@ -0,0 +1,14 @@
+// src/utils/appError.js
+
+/**
+ * Error carrying the HTTP status a controller should respond with
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+export default AppError;
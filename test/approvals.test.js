@@ -0,0 +1,149 @@
+// test/approvals.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import FloatService from '../src/services/floatService.js';
+import CreditService from '../src/services/creditService.js';
+import FloatRequest from '../src/models/FloatRequest.js';
+import CreditAdvance from '../src/models/CreditAdvance.js';
+import Transaction from '../src/models/Transaction.js';
+import Wallet from '../src/models/Wallet.js';
+import { useFakeSession, objectId } from './helpers.js';
+
+const kccAdmin = { _id: objectId(), role: 'kcc_admin' };
+
+describe('FloatService top-up review', () => {
+  let session;
+  let pending;
+  let depot;
+
+  beforeEach(() => {
+    session = useFakeSession();
+    depot = { _id: objectId(), name: 'Kiambu', code: 'KMB' };
+    pending = { _id: objectId(), amount: 500, reference: 'FLT000001', status: 'pending' };
+
+    mock.method(FloatService, 'findPending', async () => ({ request: pending, depot }));
+    mock.method(FloatService, 'getFloatWallet', async () => ({ depot: depot._id }));
+    mock.method(Wallet, 'getOrCreateWalletInSession', async (userId) => ({
+      user: userId,
+      getAvailableBalance: () => 10000
+    }));
+    mock.method(Transaction, 'create', async ([data]) => [{ _id: objectId(), ...data }]);
+    mock.method(Wallet, 'moveTokens', async () => 'JRN-TEST');
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('claims the request inside the transaction and funds it once', async () => {
+    const claimed = { _id: pending._id, status: 'approved', save: mock.fn(async () => {}) };
+    const claim = mock.method(FloatRequest, 'findOneAndUpdate', async () => claimed);
+
+    const { request, transaction } = await FloatService.approveRequest(pending._id, kccAdmin, { amount: 300 });
+
+    const [filter, update, options] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: pending._id, status: 'pending' });
+    assert.equal(update.$set.status, 'approved');
+    assert.equal(update.$set.approvedAmount, 300);
+    assert.equal(options.session, session);
+
+    assert.equal(Wallet.moveTokens.mock.callCount(), 1);
+    assert.equal(Wallet.moveTokens.mock.calls[0].arguments[2], 300);
+    assert.equal(request, claimed);
+    assert.equal(String(request.transaction), String(transaction._id));
+    assert.ok(session.committed);
+  });
+
+  it('funds nothing when another reviewer claimed the request first', async () => {
+    mock.method(FloatRequest, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      FloatService.approveRequest(pending._id, kccAdmin),
+      (error) => error.statusCode === 409
+    );
+    assert.equal(Wallet.moveTokens.mock.callCount(), 0);
+    assert.equal(Transaction.create.mock.callCount(), 0);
+    assert.ok(session.aborted);
+    assert.ok(!session.committed);
+  });
+
+  it('refuses to reject a request someone already reviewed', async () => {
+    mock.method(FloatRequest, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      FloatService.rejectRequest(pending._id, kccAdmin, 'Float is fine'),
+      (error) => error.statusCode === 409
+    );
+  });
+});
+
+describe('CreditService advance review', () => {
+  let session;
+  let advance;
+  let farmer;
+
+  beforeEach(() => {
+    session = useFakeSession();
+    process.env.ADMIN_USER_ID = String(objectId());
+    farmer = { _id: objectId(), name: 'Wanjiku' };
+    advance = new CreditAdvance({
+      farmer: farmer._id,
+      type: 'mtz',
+      purpose: 'feed',
+      principal: 1000,
+      totalDue: 1050,
+      repaymentRate: 0.3,
+      reference: 'ADV000001',
+      status: 'pending'
+    });
+
+    mock.method(CreditService, 'findPending', async () => ({ advance, farmer }));
+    mock.method(CreditService, 'getEligibility', async () => ({ eligible: true, limit: 2000 }));
+    mock.method(Wallet, 'getOrCreateWalletInSession', async (userId) => ({
+      user: userId,
+      getBalance: () => 50000
+    }));
+    mock.method(Transaction, 'create', async ([data]) => [{ _id: objectId(), reference: 'TXN1', ...data }]);
+    mock.method(Wallet, 'moveTokens', async () => 'JRN-TEST');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.ADMIN_USER_ID;
+  });
+
+  it('flips pending to active inside the disbursement before paying out', async () => {
+    const claim = mock.method(CreditAdvance, 'findOneAndUpdate', async () => ({ _id: advance._id, status: 'active' }));
+
+    const { transaction } = await CreditService.approveAdvance(advance._id, { _id: objectId(), role: 'admin' }, 'ok');
+
+    const [filter, update, options] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: advance._id, status: 'pending' });
+    assert.equal(update.$set.status, 'active');
+    assert.equal(options.session, session);
+    assert.equal(Wallet.moveTokens.mock.calls[0].arguments[2], 1000);
+    assert.equal(transaction.tokensAmount, 1000);
+    assert.equal(advance.status, 'active');
+    assert.ok(session.committed);
+  });
+
+  it('pays nothing when two approvals race', async () => {
+    mock.method(CreditAdvance, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      CreditService.approveAdvance(advance._id, { _id: objectId(), role: 'admin' }, 'ok'),
+      (error) => error.statusCode === 409
+    );
+    assert.equal(Wallet.moveTokens.mock.callCount(), 0);
+    assert.ok(session.aborted);
+  });
+
+  it('redeems a voucher only from approved', async () => {
+    const claim = mock.method(CreditAdvance, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      CreditService.disburse(advance, objectId(), 'Voucher', { from: 'approved' }),
+      (error) => error.statusCode === 409
+    );
+    assert.equal(claim.mock.calls[0].arguments[0].status, 'approved');
+    assert.equal(Wallet.moveTokens.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,104 @@
+// test/depositPayout.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import DepotController from '../src/controllers/depotController.js';
+import User from '../src/models/User.js';
+import Transaction from '../src/models/Transaction.js';
+import ShiftService from '../src/services/shiftService.js';
+import PricingService from '../src/services/pricingService.js';
+import FloatService from '../src/services/floatService.js';
+import CreditService from '../src/services/creditService.js';
+import PocketService from '../src/services/pocketService.js';
+import { fakeSession, fakeRes, objectId } from './helpers.js';
+
+describe('DepotController.processTokenPayment', () => {
+  let session;
+  let depositTx;
+  let req;
+
+  beforeEach(() => {
+    session = fakeSession();
+    const depot = { _id: objectId(), name: 'Kiambu', code: 'KMB' };
+    const farmer = { _id: objectId(), name: 'Wanjiku', phone: '254700000001' };
+    depositTx = {
+      _id: objectId(),
+      reference: 'TXN000042',
+      fromUser: farmer,
+      depot,
+      litersRaw: 20,
+      qualityGrade: 'premium',
+      fatPercent: 4.2
+    };
+    req = { user: { id: String(objectId()) }, params: { depotId: String(depot._id) }, body: { transactionId: String(depositTx._id) } };
+
+    mock.method(User, 'findById', async () => ({ assignedDepot: depot._id }));
+    mock.method(ShiftService, 'requireOpenShift', async () => null);
+    mock.method(Transaction, 'findOne', () => ({ populate: async () => depositTx }));
+    mock.method(PricingService, 'priceDeposit', async (_depot, liters) => ({
+      tokensAmount: liters * 5,
+      ratePerLiter: 5,
+      lineItems: []
+    }));
+    mock.method(FloatService, 'getFloatWallet', async () => ({ getBalance: () => 1000 }));
+    mock.method(FloatService, 'checkFloat', async () => null);
+    // The float move itself is FloatService's business - run the follow-up work in its session
+    mock.method(FloatService, 'payFromFloat', async ({ amount, withinTransaction }) => ({
+      floatBalance: 1000 - amount,
+      userBalance: amount,
+      transactionId: objectId(),
+      extra: await withinTransaction(session)
+    }));
+    mock.method(PocketService, 'sweepPayment', async () => []);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('completes a pending deposit with its price and withholds credit repayments', async () => {
+    const complete = mock.method(Transaction, 'findOneAndUpdate', async () => ({ _id: depositTx._id, status: 'completed' }));
+    mock.method(CreditService, 'collectRepayments', async () => ({ total: 30, collected: [{ reference: 'ADV000001', amount: 30 }] }));
+    const res = fakeRes();
+
+    await DepotController.processTokenPayment(req, res);
+
+    assert.equal(res.statusCode, 200);
+    const [filter, update, options] = complete.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: depositTx._id, status: 'pending' });
+    assert.equal(update.$set.status, 'completed');
+    assert.equal(update.$set.tokensAmount, 100);
+    assert.equal(options.session, session);
+
+    const { paymentDetails } = res.body.data.paymentReceipt;
+    assert.equal(paymentDetails.tokensPaid, 100);
+    assert.equal(paymentDetails.creditRepayment.withheld, 30);
+    assert.equal(paymentDetails.farmerBalance, 70);
+
+    // Only what is left after the repayment is swept into pockets, in the same session
+    const [, sweepAmount, sweepSession] = PocketService.sweepPayment.mock.calls[0].arguments;
+    assert.equal(sweepAmount, 70);
+    assert.equal(sweepSession, session);
+  });
+
+  it('refuses a second payment for the same deposit', async () => {
+    mock.method(Transaction, 'findOneAndUpdate', async () => null);
+    const repayments = mock.method(CreditService, 'collectRepayments', async () => null);
+    const res = fakeRes();
+
+    await DepotController.processTokenPayment(req, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.success, false);
+    assert.equal(repayments.mock.callCount(), 0);
+    assert.equal(PocketService.sweepPayment.mock.callCount(), 0);
+  });
+
+  it('asks for a float top-up instead of paying from an empty float', async () => {
+    mock.method(FloatService, 'getFloatWallet', async () => ({ getBalance: () => 10 }));
+    const res = fakeRes();
+
+    await DepotController.processTokenPayment(req, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Insufficient depot float/);
+    assert.equal(FloatService.payFromFloat.mock.callCount(), 0);
+  });
+});
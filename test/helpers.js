@@ -0,0 +1,44 @@
+// test/helpers.js
+import mongoose from 'mongoose';
+import { mock } from 'node:test';
+
+/**
+ * Stand-in for a Mongo session - records what the code under test did with it
+ */
+export const fakeSession = () => {
+  let active = false;
+  return {
+    committed: false,
+    aborted: false,
+    ended: false,
+    startTransaction() { active = true; },
+    async commitTransaction() { active = false; this.committed = true; },
+    async abortTransaction() { active = false; this.aborted = true; },
+    endSession() { this.ended = true; },
+    inTransaction() { return active; }
+  };
+};
+
+/**
+ * Make mongoose.startSession hand out a fake session; returns the session
+ */
+export const useFakeSession = () => {
+  const session = fakeSession();
+  mock.method(mongoose, 'startSession', async () => session);
+  return session;
+};
+
+/**
+ * Minimal Express response that captures status and JSON body
+ */
+export const fakeRes = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  return res;
+};
+
+export const objectId = () => new mongoose.Types.ObjectId();
@@ -0,0 +1,128 @@
+// test/idempotency.test.js
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import IdempotencyKey from '../src/models/IdempotencyKey.js';
+import IdempotencyMiddleware from '../src/middleware/idempotencyMiddleware.js';
+
+describe('IdempotencyMiddleware.idempotent', () => {
+  let server;
+  let baseUrl;
+  let records;
+  let runs;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: 'user-1' };
+      next();
+    });
+    app.post('/json', IdempotencyMiddleware.idempotent, (req, res) => {
+      runs += 1;
+      res.status(201).json({ success: true, run: runs });
+    });
+    app.post('/csv', IdempotencyMiddleware.idempotent, (req, res) => {
+      runs += 1;
+      res.type('text/csv').send(`run,${runs}\n`);
+    });
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  beforeEach(() => {
+    records = [];
+    runs = 0;
+    mock.method(IdempotencyKey, 'create', async (data) => {
+      if (records.some(record => record.key === data.key)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      const record = { _id: records.length + 1, status: 'processing', ...data };
+      records.push(record);
+      return record;
+    });
+    mock.method(IdempotencyKey, 'findOne', async ({ key }) => records.find(record => record.key === key) || null);
+    mock.method(IdempotencyKey, 'findOneAndUpdate', async ({ _id, leaseExpiresAt }, { $set }) => {
+      const record = records.find(item => item._id === _id && item.leaseExpiresAt === leaseExpiresAt);
+      return record ? Object.assign(record, $set) : null;
+    });
+    mock.method(IdempotencyKey, 'updateOne', async ({ _id }, { $set }) => {
+      Object.assign(records.find(record => record._id === _id), $set);
+    });
+    mock.method(IdempotencyKey, 'deleteOne', async () => {});
+  });
+
+  const send = async (path, key, body = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+      body: JSON.stringify(body)
+    });
+    // Let the stored outcome land before the next request
+    await new Promise(resolve => setImmediate(resolve));
+    return {
+      status: response.status,
+      type: response.headers.get('content-type'),
+      replayed: response.headers.get('idempotent-replayed') === 'true',
+      text: await response.text()
+    };
+  };
+
+  it('replays a JSON response without running the handler again', async () => {
+    const first = await send('/json', 'key-1');
+    const second = await send('/json', 'key-1');
+
+    assert.equal(runs, 1);
+    assert.equal(second.status, 201);
+    assert.equal(second.replayed, true);
+    assert.equal(second.text, first.text);
+  });
+
+  it('replays non-JSON bodies with their content type', async () => {
+    const first = await send('/csv', 'key-2');
+    const second = await send('/csv', 'key-2');
+
+    assert.equal(runs, 1);
+    assert.equal(second.text, 'run,1\n');
+    assert.equal(second.text, first.text);
+    assert.match(second.type, /text\/csv/);
+  });
+
+  it('refuses a reused key with a different body', async () => {
+    await send('/json', 'key-3', { amount: 1 });
+    const second = await send('/json', 'key-3', { amount: 2 });
+
+    assert.equal(second.status, 422);
+    assert.equal(runs, 1);
+  });
+
+  it('holds retries while the first request is processing, then lets them take an expired lease', async () => {
+    const record = {
+      _id: 99,
+      key: 'key-4',
+      status: 'processing',
+      requestHash: crypto.createHash('sha256').update('POST /json {}').digest('hex'),
+      leaseExpiresAt: new Date(Date.now() + 60000)
+    };
+    records.push(record);
+
+    const held = await send('/json', 'key-4');
+    assert.equal(held.status, 409);
+    assert.equal(runs, 0);
+
+    // The first request died without answering - its lease runs out
+    record.leaseExpiresAt = new Date(Date.now() - 1000);
+    const retried = await send('/json', 'key-4');
+    assert.equal(retried.status, 201);
+    assert.equal(runs, 1);
+    assert.equal(record.status, 'completed');
+  });
+});
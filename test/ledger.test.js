@@ -0,0 +1,113 @@
+// test/ledger.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import LedgerEntry from '../src/models/LedgerEntry.js';
+import Wallet from '../src/models/Wallet.js';
+import { objectId } from './helpers.js';
+
+const captureInserts = () => {
+  const inserted = [];
+  mock.method(LedgerEntry, 'insertMany', async (entries) => {
+    inserted.push(...entries);
+    return entries;
+  });
+  return inserted;
+};
+
+const fakeWallet = (balance) => ({
+  _id: objectId(),
+  user: objectId(),
+  balance,
+  async deductTokens(amount) { this.balance -= amount; },
+  async addTokens(amount) { this.balance += amount; }
+});
+
+describe('LedgerEntry.postJournal', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('posts a balanced journal under one journal id', async () => {
+    const inserted = captureInserts();
+    const from = objectId();
+    const to = objectId();
+
+    const journalId = await LedgerEntry.postJournal('transfer', [
+      { wallet: from, direction: 'debit', amount: 25 },
+      { wallet: to, direction: 'credit', amount: 25 }
+    ], { description: 'test' });
+
+    assert.match(journalId, /^JRN-[A-F0-9]{24}$/);
+    assert.equal(inserted.length, 2);
+    assert.ok(inserted.every(entry => entry.journalId === journalId));
+    assert.deepEqual(inserted.map(entry => entry.direction), ['debit', 'credit']);
+  });
+
+  it('refuses a journal whose debits and credits differ', async () => {
+    const inserted = captureInserts();
+
+    await assert.rejects(
+      LedgerEntry.postJournal('transfer', [
+        { wallet: objectId(), direction: 'debit', amount: 25 },
+        { wallet: objectId(), direction: 'credit', amount: 24.99 }
+      ]),
+      /Unbalanced journal/
+    );
+    assert.equal(inserted.length, 0);
+  });
+
+  it('compares amounts without floating point noise', async () => {
+    const inserted = captureInserts();
+
+    await LedgerEntry.postJournal('fee', [
+      { wallet: objectId(), direction: 'debit', amount: 0.3 },
+      { wallet: objectId(), direction: 'credit', amount: 0.1 },
+      { wallet: objectId(), direction: 'credit', amount: 0.2 }
+    ]);
+    assert.equal(inserted.length, 3);
+  });
+
+  it('needs a debit and a credit with positive amounts', async () => {
+    captureInserts();
+
+    await assert.rejects(
+      LedgerEntry.postJournal('transfer', [
+        { wallet: objectId(), direction: 'debit', amount: 0 },
+        { wallet: objectId(), direction: 'credit', amount: 0 }
+      ]),
+      /at least one debit and one credit/
+    );
+  });
+});
+
+describe('Wallet movements', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('moveTokens debits the sender, credits the receiver and posts both sides', async () => {
+    const inserted = captureInserts();
+    const from = fakeWallet(100);
+    const to = fakeWallet(5);
+
+    await Wallet.moveTokens(from, to, 40, { entryType: 'p2p_transfer' });
+
+    assert.equal(from.balance, 60);
+    assert.equal(to.balance, 45);
+    assert.deepEqual(
+      inserted.map(entry => [String(entry.wallet), entry.direction, entry.amount]),
+      [[String(from._id), 'debit', 40], [String(to._id), 'credit', 40]]
+    );
+    assert.equal(String(inserted[0].user), String(from.user));
+  });
+
+  it('a held redemption nets to zero across hold and release', async () => {
+    const inserted = captureInserts();
+    const wallet = fakeWallet(50);
+
+    await Wallet.holdTokens(wallet, 20);
+    await Wallet.releaseHeldTokens(wallet, 20);
+
+    assert.equal(wallet.balance, 50);
+    const clearing = inserted
+      .filter(entry => entry.account === 'clearing')
+      .reduce((sum, entry) => sum + (entry.direction === 'credit' ? entry.amount : -entry.amount), 0);
+    assert.equal(clearing, 0);
+  });
+});
@@ -0,0 +1,146 @@
+// test/permissions.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import PermissionService from '../src/services/permissionService.js';
+import AuthMiddleware from '../src/middleware/authMiddleware.js';
+import AdminUserController from '../src/controllers/adminUserController.js';
+import User from '../src/models/User.js';
+import { fakeRes, objectId } from './helpers.js';
+
+const grant = (permissions, scope = {}) => {
+  const full = { depots: [], kccs: [], counties: [], ...scope };
+  return {
+    role: { permissions },
+    scope: full,
+    isScoped: () => full.depots.length + full.kccs.length + full.counties.length > 0
+  };
+};
+
+// Run a permit() middleware and report whether it called next
+const runPermit = async (middleware, req) => {
+  const res = fakeRes();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+describe('PermissionService scope', () => {
+  const depotA = objectId();
+  const depotB = objectId();
+
+  it('merges the scopes of every grant carrying the permission', () => {
+    const access = {
+      all: false,
+      grants: [
+        grant(['users:read'], { depots: [depotA] }),
+        grant(['users:read', 'ledger:read'], { counties: ['Kiambu'] }),
+        grant(['ledger:read'], { depots: [depotB] })
+      ]
+    };
+
+    assert.deepEqual(PermissionService.scopeFor(access, 'users:read'), { depots: [depotA], kccs: [], counties: ['Kiambu'] });
+    assert.equal(PermissionService.scopeFor(access, 'fees:read'), undefined);
+  });
+
+  it('is unlimited for admins and for any unscoped grant', () => {
+    assert.equal(PermissionService.scopeFor({ all: true, grants: [] }, 'users:read'), null);
+    const access = { all: false, grants: [grant(['users:read'], { depots: [depotA] }), grant(['users:read'])] };
+    assert.equal(PermissionService.scopeFor(access, 'users:read'), null);
+  });
+
+  it('covers resources at a listed depot or in a listed county, whatever the case', () => {
+    const scope = { depots: [depotA], kccs: [], counties: ['Kiambu'] };
+
+    assert.equal(PermissionService.covers(scope, { depot: depotA }), true);
+    assert.equal(PermissionService.covers(scope, { depot: depotB, county: 'kiambu' }), true);
+    assert.equal(PermissionService.covers(scope, { depot: depotB, county: 'Nakuru' }), false);
+    assert.equal(PermissionService.covers(scope, null), false);
+    assert.equal(PermissionService.covers(null, null), true);
+  });
+});
+
+describe('AuthMiddleware.permit', () => {
+  afterEach(() => mock.restoreAll());
+
+  const depotA = objectId();
+  const supervisor = { _id: objectId(), role: 'attendant' };
+
+  it('lets base roles straight through with an unlimited scope', async () => {
+    const req = { user: { _id: objectId(), role: 'admin' } };
+    const { passed } = await runPermit(AuthMiddleware.permit('users:manage'), req);
+    assert.equal(passed, true);
+    assert.equal(req.permissionScope, null);
+  });
+
+  it('refuses staff without a grant carrying the permission', async () => {
+    mock.method(PermissionService, 'getAccess', async () => ({ all: false, grants: [grant(['users:read'])] }));
+    const { passed, res } = await runPermit(AuthMiddleware.permit('users:manage'), { user: supervisor });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('opens a located resource only inside the grant scope', async () => {
+    mock.method(PermissionService, 'getAccess', async () => ({
+      all: false,
+      grants: [grant(['users:manage'], { depots: [depotA] })]
+    }));
+    const inside = AuthMiddleware.permit('users:manage', { locate: async () => ({ depot: depotA }) });
+    const outside = AuthMiddleware.permit('users:manage', { locate: async () => ({ depot: objectId() }) });
+
+    const allowed = await runPermit(inside, { user: supervisor });
+    assert.equal(allowed.passed, true);
+
+    const denied = await runPermit(outside, { user: supervisor });
+    assert.equal(denied.passed, false);
+    assert.equal(denied.res.statusCode, 403);
+  });
+
+  it('refuses a scoped grant on a route that cannot check scope', async () => {
+    mock.method(PermissionService, 'getAccess', async () => ({
+      all: false,
+      grants: [grant(['roles:manage'], { counties: ['Kiambu'] })]
+    }));
+    const { passed } = await runPermit(AuthMiddleware.permit('roles:manage'), { user: supervisor });
+    assert.equal(passed, false);
+  });
+
+  it('hands list routes the scope to filter by', async () => {
+    mock.method(PermissionService, 'getAccess', async () => ({
+      all: false,
+      grants: [grant(['users:read'], { counties: ['Kiambu'] })]
+    }));
+    const req = { user: supervisor };
+    const { passed } = await runPermit(AuthMiddleware.permit('users:read', { scoped: true }), req);
+    assert.equal(passed, true);
+    assert.deepEqual(req.permissionScope.counties, ['Kiambu']);
+  });
+});
+
+describe('Granted staff and admin accounts', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('a users:manage grant cannot suspend an admin', async () => {
+    const target = { _id: objectId(), role: 'admin', status: 'active', save: mock.fn() };
+    mock.method(User, 'findById', async () => target);
+    const res = fakeRes();
+
+    await AdminUserController.suspendUser({
+      user: { _id: objectId(), role: 'attendant' },
+      params: { userId: String(target._id) },
+      body: { reason: 'test' }
+    }, res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(target.save.mock.callCount(), 0);
+  });
+
+  it('a roles:manage grant cannot grant its holder a role', async () => {
+    const self = { _id: objectId(), role: 'attendant' };
+    mock.method(User, 'findById', async () => self);
+
+    await assert.rejects(
+      PermissionService.grantRole(self._id, self, { role: 'finance_officer' }),
+      (error) => error.statusCode === 403
+    );
+  });
+});
@@ -0,0 +1,65 @@
+// test/pricing.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import PricingService from '../src/services/pricingService.js';
+
+const depot = {
+  pricing: {
+    gradeBands: [
+      { grade: 'premium', minFatPercent: 4, minSnfPercent: 8.5, maxTemperature: 8 },
+      { grade: 'standard', minLactometer: 26 }
+    ],
+    rejection: { enabled: true, minLactometer: 24, maxTemperature: 15 }
+  }
+};
+
+describe('PricingService.gradeMilk', () => {
+  it('gives the first band whose limits the readings meet', () => {
+    assert.equal(PricingService.gradeMilk(depot, { fatPercent: 4.5, snfPercent: 8.8, temperature: 6 }), 'premium');
+    assert.equal(PricingService.gradeMilk(depot, { lactometerReading: 28, fatPercent: 3.5 }), 'standard');
+  });
+
+  it('fails a band when a reading it sets a limit for is missing', () => {
+    // No temperature taken: premium sets a maximum, so it isn't earned
+    assert.equal(PricingService.gradeMilk(depot, { fatPercent: 4.5, snfPercent: 8.8, lactometerReading: 28 }), 'standard');
+    assert.equal(PricingService.gradeMilk(depot, {}), 'low');
+  });
+
+  it('grades low when no band matches or none are set', () => {
+    assert.equal(PricingService.gradeMilk(depot, { lactometerReading: 25 }), 'low');
+    assert.equal(PricingService.gradeMilk({ pricing: {} }, { fatPercent: 5 }), 'low');
+  });
+
+  it('treats a band without limits as met', () => {
+    assert.equal(PricingService.gradeMilk({ pricing: { gradeBands: [{ grade: 'standard' }] } }, {}), 'standard');
+  });
+});
+
+describe('PricingService.extractReadings', () => {
+  it('converts the readings sent and skips blank ones', () => {
+    assert.deepEqual(
+      PricingService.extractReadings({ fatPercent: '4.1', snfPercent: '', temperature: 7, liters: 20 }),
+      { fatPercent: 4.1, temperature: 7 }
+    );
+  });
+
+  it('refuses a reading that is not a number', () => {
+    assert.throws(
+      () => PricingService.extractReadings({ lactometerReading: 'abc' }),
+      (error) => error.statusCode === 400 && /Lactometer/.test(error.message)
+    );
+  });
+});
+
+describe('PricingService.checkRejection', () => {
+  it('rejects readings outside the depot thresholds', () => {
+    const { rejected, reasons } = PricingService.checkRejection(depot, { lactometerReading: 22, temperature: 18 });
+    assert.equal(rejected, true);
+    assert.deepEqual(reasons.map(reason => reason.code), ['low_density', 'out_of_range']);
+  });
+
+  it('accepts everything when rejection is off', () => {
+    const { rejected } = PricingService.checkRejection({ pricing: {} }, { lactometerReading: 10 });
+    assert.equal(rejected, false);
+  });
+});